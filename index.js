@@ -9,17 +9,30 @@ if (!githubToken) {
   console.warn('   Create a .env file with: GITHUB_TOKEN=your_token_here');
 }
 
+if (!process.env.ADMIN_API_KEY) {
+  console.warn('⚠️  Warning: ADMIN_API_KEY not set. Only API keys already stored in the database can');
+  console.warn('   trigger scrapes, imports and other admin endpoints.');
+}
+
+if (!process.env.SHARE_LINK_SECRET) {
+  console.warn('⚠️  Warning: SHARE_LINK_SECRET not set. Share links to private APIs will stop working');
+  console.warn('   when the server restarts.');
+}
+
 // Create and start server
 const server = new CatalogServer({
   port: process.env.PORT || 5000,
-  githubToken: githubToken
+  githubToken: githubToken,
+  adminApiKey: process.env.ADMIN_API_KEY,
+  watchSpecDirectory: process.env.WATCH_SPEC_DIRECTORY === 'true',
+  shareLinkSecret: process.env.SHARE_LINK_SECRET
 });
 
 server.start();
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\nShutting down...');
-  server.close();
+  await server.close();
   process.exit(0);
 });
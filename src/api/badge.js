@@ -0,0 +1,70 @@
+// Flat, shields.io-style SVG badges
+
+const COLORS = [
+  { min: 80, color: '#4c1' },
+  { min: 60, color: '#a4a61d' },
+  { min: 40, color: '#dfb317' },
+  { min: 20, color: '#fe7d37' },
+  { min: 0, color: '#e05d44' }
+];
+
+const UNKNOWN_COLOR = '#9f9f9f';
+
+// Rough width of 11px Verdana, which is what badge renderers assume
+function textWidth(text) {
+  return Math.round(String(text).length * 6.5) + 10;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Badge for a 0-100 score (or null when unknown)
+ * @returns {string} SVG document
+ */
+function renderScoreBadge(label, score) {
+  if (score === null || score === undefined) {
+    return renderBadge(label, 'unknown', UNKNOWN_COLOR);
+  }
+
+  const { color } = COLORS.find(step => score >= step.min);
+  return renderBadge(label, `${score}%`, color);
+}
+
+function renderBadge(label, message, color) {
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
+  const safeLabel = escapeXml(label);
+  const safeMessage = escapeXml(message);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${safeLabel}: ${safeMessage}">
+  <title>${safeLabel}: ${safeMessage}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${safeLabel}</text>
+    <text x="${labelWidth / 2}" y="14">${safeLabel}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${safeMessage}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${safeMessage}</text>
+  </g>
+</svg>`;
+}
+
+module.exports = {
+  renderBadge,
+  renderScoreBadge
+};
@@ -2,12 +2,54 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const yaml = require('js-yaml');
+const multer = require('multer');
 
 const CatalogDatabase = require('../database/schema');
-const GitHubScraper = require('../scraper/github-scraper');
 const ConversionPipeline = require('../pipeline/converter');
-const APIsGuruImporter = require('../scraper/apisguru-importer');
+const SourceRegistry = require('../sources/source-registry');
+const SourceImporter = require('../sources/source-importer');
+const GitHubSource = require('../sources/github-source');
+const APIsGuruSource = require('../sources/apisguru-source');
+const DirectorySource = require('../sources/directory-source');
+const UrlListSource = require('../sources/url-list-source');
+const GitLabSource = require('../sources/gitlab-source');
+const JsonIndexSource = require('../sources/json-index-source');
+const DirectoryWatcher = require('../sources/directory-watcher');
+const JobQueue = require('../jobs/job-queue');
+const Scheduler = require('../jobs/scheduler');
+const SpecDiff = require('../pipeline/spec-diff');
+const SpecIndexer = require('../search/spec-indexer');
+const SpecLinter = require('../pipeline/spec-linter');
+const SpecExporter = require('../pipeline/spec-exporter');
+const { ValidationError, validate, validateParams, sendValidationError, handleInvalidJson, pagination } = require('./validation');
+const ApiKeyAuth = require('./auth');
+const ShareLinks = require('./share-links');
+const { renderScoreBadge } = require('./badge');
+
+const HTTP_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH', 'TRACE'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const FAILURE_STAGES = ['download', 'parse', 'convert', 'docs'];
+const SPEC_FORMATS = ['json', 'yaml'];
+const EXPORT_FORMATS = ['postman', 'insomnia', 'snippets'];
+// Most APIs one bundle download may contain
+const MAX_BUNDLE_APIS = 500;
+// Largest spec POST /api/apis accepts, the same as for downloads
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+// Cookie that keeps a share link's token while its docs pages load
+const SHARE_COOKIE = 'catalog_share';
+// How long a token for a job's event stream can be used to connect
+const EVENTS_TOKEN_TTL_MS = 10 * 60 * 1000;
+// Options of the APIs.guru and source import endpoints
+const IMPORT_RULES = {
+  maxApis: { type: 'integer', min: 1, nullable: true, default: null },
+  skipExisting: { type: 'boolean', default: true },
+  downloadConcurrency: { type: 'integer', min: 1, max: 16 },
+  conversionConcurrency: { type: 'integer', min: 1, max: 32 },
+  hostIntervalMs: { type: 'integer', min: 0, max: 60000 }
+};
 
 class CatalogServer {
   constructor(options = {}) {
@@ -15,20 +57,166 @@ class CatalogServer {
     this.port = options.port || 5000;
     this.db = new CatalogDatabase(options.dbPath);
     this.githubToken = options.githubToken;
+    this.watchSpecDirectory = !!options.watchSpecDirectory;
+    this.auth = new ApiKeyAuth(this.db, { bootstrapKey: options.adminApiKey });
+    this.shareLinks = new ShareLinks({ secret: options.shareLinkSecret });
+    this.jobQueue = new JobQueue(this.db);
+    this.searchIndexer = new SpecIndexer(this.db);
+    this.scheduler = new Scheduler(this.db, {
+      enqueue: (type, payload) => {
+        const job = this.enqueueJob(type, payload);
+        this.auth.audit(null, 'job.enqueue', job.id, { type, payload: job.payload });
+        return job;
+      }
+    });
 
     // Ensure data directories exist
     this.ensureDataDirectories();
 
+    this.setupSources();
+    this.setupJobs();
     this.setupMiddleware();
     this.setupRoutes();
   }
 
+  setupJobs() {
+    this.jobQueue.register('scrape', job => this.runScrape(job));
+    this.jobQueue.register('apisguru-import', job => this.runAPIsGuruImport(job));
+    this.jobQueue.register('regenerate-docs', job => this.regenerateDocs(job));
+    this.jobQueue.register('resync', job => this.runResync(job));
+    this.jobQueue.register('search-index', job => this.runSearchIndex(job));
+    this.jobQueue.register('retry-conversion', job => this.runConversionRetry(job));
+    this.jobQueue.register('source-import', job => this.runSourceImport(job));
+  }
+
+  setupSources() {
+    this.sources = new SourceRegistry();
+    this.sources.register(new GitHubSource({ token: this.githubToken, database: this.db }));
+    this.sources.register(new APIsGuruSource());
+    this.sources.register(new DirectorySource({ root: process.env.SPEC_DIRECTORY }));
+    this.sources.register(new UrlListSource());
+    this.sources.register(new GitLabSource({ baseUrl: process.env.GITLAB_URL, token: process.env.GITLAB_TOKEN }));
+    this.sources.register(new JsonIndexSource());
+  }
+
+  /**
+   * Parse a multipart spec upload (field `spec`) into req.file; other
+   * requests pass through untouched
+   */
+  receiveSpecUpload() {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+    }).single('spec');
+
+    return (req, res, next) => {
+      upload(req, res, error => {
+        if (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        next();
+      });
+    };
+  }
+
+  /**
+   * Visibilities a request may list: any for API key holders, public for
+   * everyone else
+   * @param {Object} req - Request, after auth.optional()
+   * @param {Array<string>} requested - Visibilities asked for (any when empty)
+   * @returns {Array<string>|null} Allowed visibilities, or null for all
+   */
+  listVisibility(req, requested = []) {
+    if (req.apiKey) {
+      return requested.length > 0 ? requested : null;
+    }
+    return requested.length > 0 ? requested.filter(visibility => visibility === 'public') : ['public'];
+  }
+
+  /**
+   * Whether a request may see an API: public and unlisted ones are open to
+   * anyone with the ID, private ones need an API key or a share link
+   */
+  canViewApi(req, api) {
+    return api.visibility !== 'private' || !!req.apiKey || this.shareLinks.verify(req.shareToken, api.id);
+  }
+
+  /**
+   * Gate /docs for private APIs. A share link's token is kept in a cookie
+   * for the API's docs folder, so the pages and assets the shared page
+   * links to load too.
+   */
+  checkDocsAccess(req, res, next) {
+    // The API is taken from the path the static handler will serve (decoded
+    // and normalized), so "//<id>", "./<id>" and "<id>%2F..." lead to the same check
+    let servedPath;
+    try {
+      servedPath = path.posix.normalize(decodeURIComponent(req.path));
+    } catch (error) {
+      return res.status(400).send('Bad request');
+    }
+
+    const apiId = servedPath.split('/').find(Boolean);
+    const api = apiId ? this.db.getApi(apiId) : null;
+    if (!api || api.visibility !== 'private' || this.auth.authenticate(req)) {
+      return next();
+    }
+
+    const token = req.query.share || this.getCookie(req, SHARE_COOKIE);
+    if (!this.shareLinks.verify(token, api.id)) {
+      return res.status(404).send('Not found');
+    }
+
+    if (req.query.share) {
+      res.cookie(SHARE_COOKIE, token, { path: `/docs/${api.id}/`, httpOnly: true, sameSite: 'lax' });
+    }
+    next();
+  }
+
+  // Events tokens are signed like share links, for a name no API can have
+  eventsTokenTarget(jobId) {
+    return `job-events:${jobId}`;
+  }
+
+  getCookie(req, name) {
+    for (const cookie of (req.get('cookie') || '').split(';')) {
+      const separator = cookie.indexOf('=');
+      if (separator !== -1 && cookie.slice(0, separator).trim() === name) {
+        return decodeURIComponent(cookie.slice(separator + 1).trim());
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Queue a background job, preparing any type-specific state first
+   * @param {string} type - Job type
+   * @param {Object} payload - Job options
+   * @returns {Object} The queued job
+   */
+  enqueueJob(type, payload = {}) {
+    if (type === 'scrape') {
+      if (!this.githubToken) {
+        throw new Error('GitHub token not configured');
+      }
+
+      // Scrapes keep their scrape_runs record for /api/scrape/latest
+      const runId = uuidv4();
+      this.db.createScrapeRun(runId);
+      return this.jobQueue.enqueue(type, { ...payload, runId });
+    }
+
+    return this.jobQueue.enqueue(type, payload);
+  }
+
   ensureDataDirectories() {
     const directories = [
       path.join(__dirname, '../../data'),
       path.join(__dirname, '../../data/openapi'),
       path.join(__dirname, '../../data/collections'),
-      path.join(__dirname, '../../data/docs')
+      path.join(__dirname, '../../data/docs'),
+      path.join(__dirname, '../../data/versions'),
+      path.join(__dirname, '../../data/specs')
     ];
 
     directories.forEach(dir => {
@@ -43,7 +231,8 @@ class CatalogServer {
     this.app.use(cors());
     this.app.use(express.json());
     
-    // Serve static files (docs and frontend)
+    // Serve static files (docs and frontend); private APIs' docs need a key or share link
+    this.app.use('/docs', (req, res, next) => this.checkDocsAccess(req, res, next));
     this.app.use('/docs', express.static(path.join(__dirname, '../../data/docs')));
     this.app.use(express.static(path.join(__dirname, '../../public')));
     
@@ -60,27 +249,194 @@ class CatalogServer {
       res.json({ status: 'ok', timestamp: new Date().toISOString() });
     });
 
+    // Private APIs are only visible to API keys and share links (?share=<token>);
+    // to anyone else they don't exist
+    this.app.get(['/api/apis/:id', '/api/apis/:id/*'], this.auth.optional(), (req, res, next) => {
+      req.shareToken = req.query.share;
+      delete req.query.share;
+
+      const api = this.db.getApi(req.params.id);
+      if (api && !this.canViewApi(req, api)) {
+        return res.status(404).json({ error: 'API not found' });
+      }
+      next();
+    });
+
     // Get all APIs
-    this.app.get('/api/apis', (req, res) => {
+    this.app.get('/api/apis', this.auth.optional(), validate({
+      query: {
+        ...pagination(50, 1000),
+        search: { type: 'string', max: 200 },
+        orderBy: { type: 'sort', fields: CatalogDatabase.API_SORT_COLUMNS, default: { field: 'created_at', direction: 'DESC' } },
+        // ?tag=a&tag=b or ?tag=a,b - APIs must have every tag
+        tag: { type: 'list', default: [] },
+        source: { type: 'string' },
+        openapiVersion: { type: 'string', max: 20 },
+        minStars: { type: 'integer', min: 0 },
+        maxStars: { type: 'integer', min: 0 },
+        minQuality: { type: 'integer', min: 0, max: 100 },
+        maxQuality: { type: 'integer', min: 0, max: 100 },
+        updatedSince: { type: 'date' },
+        hasDocs: { type: 'boolean' },
+        // Only API keys see unlisted and private APIs
+        visibility: {
+          type: 'list',
+          default: [],
+          check: values => {
+            const unknown = values.find(value => !CatalogDatabase.VISIBILITIES.includes(value));
+            if (unknown) throw new Error(`must be one of: ${CatalogDatabase.VISIBILITIES.join(', ')} (got ${unknown})`);
+          }
+        },
+        facets: { type: 'boolean', default: true }
+      }
+    }), (req, res) => {
       try {
-        const { limit, offset, search, orderBy } = req.query;
+        const {
+          limit, offset, search, orderBy, tag, source, openapiVersion,
+          minStars, maxStars, minQuality, maxQuality, updatedSince, hasDocs, visibility, facets
+        } = req.query;
+
+        const filters = {
+          search, tags: tag, source, openapiVersion, minStars, maxStars, minQuality, maxQuality, updatedSince, hasDocs,
+          visibility: this.listVisibility(req, visibility)
+        };
+
         const apis = this.db.getAllApis({
-          limit: parseInt(limit) || 10000,
-          offset: parseInt(offset) || 0,
-          search: search || '',
-          orderBy: orderBy || 'created_at DESC'
+          ...filters,
+          limit,
+          offset,
+          orderBy: orderBy.field,
+          direction: orderBy.direction
         });
+        const total = this.db.countApis(filters);
         
         // Add tags to each API
         const apisWithTags = apis.map(api => ({
           ...api,
           tags: this.db.getApiTags(api.id)
         }));
+
+        const hasMore = offset + apis.length < total;
         
         res.json({
           apis: apisWithTags,
-          total: apis.length
+          total,
+          limit,
+          offset,
+          hasMore,
+          nextOffset: hasMore ? offset + apis.length : null,
+          facets: facets ? this.db.getApiFacets(filters) : undefined
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Full-text search over names, descriptions, paths, operations, tags and schemas
+    this.app.get('/api/search', this.auth.optional(), validate({
+      query: {
+        q: { type: 'string', required: true, max: 500 },
+        ...pagination(20, 100)
+      }
+    }), (req, res) => {
+      try {
+        const { q, limit, offset } = req.query;
+
+        const { results, total } = this.db.searchApis(q, { limit, offset, visibility: this.listVisibility(req) });
+
+        const apis = results.map(row => {
+          const {
+            score,
+            name_highlight,
+            description_snippet,
+            paths_snippet,
+            operations_snippet,
+            schemas_snippet,
+            ...api
+          } = row;
+
+          return {
+            ...api,
+            tags: this.db.getApiTags(api.id),
+            score,
+            highlights: {
+              name: name_highlight,
+              description: description_snippet,
+              paths: paths_snippet,
+              operations: operations_snippet,
+              schemas: schemas_snippet
+            }
+          };
         });
+
+        res.json({ query: q, apis, total });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Rebuild the search index (only missing APIs unless `all` is set)
+    this.app.post('/api/search/reindex', this.auth.require('import'), validate({
+      body: this.jobPayloadRules('search-index')
+    }), (req, res) => {
+      try {
+        const { all } = req.body;
+
+        const activeJob = this.jobQueue.findActiveJob('search-index');
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'Search indexing is already queued or running',
+            jobId: activeJob.id
+          });
+        }
+
+        const job = this.jobQueue.enqueue('search-index', { all });
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+        res.json({ message: 'Search indexing queued', jobId: job.id, status: job.status });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Search individual operations (endpoints) across every API
+    this.app.get('/api/operations', this.auth.optional(), validate({
+      query: {
+        q: { type: 'string', max: 500 },
+        method: { type: 'enum', values: HTTP_METHODS, caseInsensitive: true },
+        apiId: { type: 'string' },
+        tag: { type: 'string' },
+        ...pagination(20, 100)
+      }
+    }), (req, res) => {
+      try {
+        const { q, method, apiId, tag, limit, offset } = req.query;
+
+        // An unlisted API's operations are open to anyone who has its ID
+        const api = apiId ? this.db.getApi(apiId) : null;
+        const visibility = api && this.canViewApi(req, api) ? null : this.listVisibility(req);
+
+        const { results, total } = this.db.searchOperations({ q, method, apiId, tag, visibility, limit, offset });
+
+        const operations = results.map(op => ({
+          id: op.id,
+          api: { id: op.api_id, name: op.api_name },
+          method: op.method,
+          path: op.path,
+          operationId: op.operation_id,
+          summary: op.summary,
+          tags: op.tags,
+          score: op.score,
+          highlight: op.summary_snippet,
+          docsUrl: op.api_docs_path
+            ? `/docs/${op.api_id}/index.html${op.docs_anchor ? `#${op.docs_anchor}` : ''}`
+            : null,
+          requestFile: op.request_file,
+          requestFileUrl: op.request_file
+            ? `/api/apis/${op.api_id}/collection/${encodeURI(op.request_file)}`
+            : null
+        }));
+
+        res.json({ query: q || null, operations, total });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -101,382 +457,1694 @@ class CatalogServer {
       }
     });
 
+    // Add an API from an uploaded spec (multipart field `spec`) or a spec URL.
+    // Converts it before responding, like the imports do in the background.
+    this.app.post('/api/apis', this.auth.require('import'), this.receiveSpecUpload(), validate({
+      body: {
+        url: { type: 'string', max: 2000, check: url => { if (!/^https?:\/\//i.test(url)) throw new Error('must be an http(s) URL'); } },
+        name: { type: 'string', max: 200 },
+        description: { type: 'string', max: 5000 },
+        tags: { type: 'list', default: [] },
+        // Uploads are usually internal specs
+        visibility: { type: 'enum', values: CatalogDatabase.VISIBILITIES, default: 'private' }
+      }
+    }), async (req, res) => {
+      try {
+        const { url, name, description, tags, visibility } = req.body;
+
+        if (!req.file === !url) {
+          return res.status(400).json({ error: 'Send either a spec file (multipart field "spec") or a url' });
+        }
+
+        if (url) {
+          const existing = this.db.getApiByUrl(url);
+          if (existing) {
+            return res.status(409).json({ error: 'An API with this URL is already in the catalog', apiId: existing.id });
+          }
+        }
+
+        const importer = new SourceImporter({
+          database: this.db,
+          pipeline: new ConversionPipeline(),
+          indexer: this.searchIndexer
+        });
+        const result = await importer.importSpec(req.file ? req.file.buffer.toString('utf-8') : null, {
+          name,
+          description,
+          categories: tags,
+          visibility,
+          source: 'upload',
+          openapi_url: url || null
+        });
+
+        if (!result.success) {
+          return res.status(422).json({ error: result.error, stage: result.stage });
+        }
+
+        const api = this.db.getApi(result.api.id);
+        this.auth.audit(req, 'api.create', api.id, { source: api.source, name: api.name, url: api.openapi_url });
+
+        res.status(201).json({ ...api, tags: this.db.getApiTags(api.id) });
+      } catch (error) {
+        // A spec that can't be downloaded or parsed is the client's to fix
+        if (error.stage === 'download' || error.stage === 'parse') {
+          return res.status(400).json({ error: error.message, stage: error.stage });
+        }
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Change who can see an API
+    this.app.patch('/api/apis/:id', this.auth.require('import'), validate({
+      body: {
+        visibility: { type: 'enum', values: CatalogDatabase.VISIBILITIES, required: true }
+      }
+    }), (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const { visibility } = req.body;
+        this.db.updateApi(api.id, { visibility });
+        this.auth.audit(req, 'api.update', api.id, { visibility: { from: api.visibility, to: visibility } });
+
+        res.json({ ...this.db.getApi(api.id), tags: this.db.getApiTags(api.id) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Signed link to a private API, its docs and downloads, for people without an API key
+    this.app.post('/api/apis/:id/share', this.auth.require('import'), validate({
+      body: {
+        expiresInHours: { type: 'integer', min: 1, max: 24 * 365, default: 24 * 7 }
+      }
+    }), (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const expiresAt = new Date(Date.now() + req.body.expiresInHours * 60 * 60 * 1000);
+        const token = this.shareLinks.create(api.id, expiresAt);
+        const share = `share=${encodeURIComponent(token)}`;
+        this.auth.audit(req, 'api.share', api.id, { expires_at: expiresAt.toISOString() });
+
+        res.status(201).json({
+          token,
+          expires_at: expiresAt.toISOString(),
+          url: `/api/apis/${api.id}?${share}`,
+          docsUrl: api.docs_path ? `/docs/${api.id}/index.html?${share}` : null,
+          downloadUrl: api.collection_path ? `/api/apis/${api.id}/download?${share}` : null
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Validation and lint report for an API's spec (linted on demand if missing)
+    this.app.get('/api/apis/:id/lint', validate({
+      query: {
+        severity: { type: 'enum', values: ['error', 'warning', 'info'] },
+        refresh: { type: 'boolean', default: false }
+      }
+    }), async (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const { severity, refresh } = req.query;
+        let report = refresh ? null : this.db.getSpecLint(api.id);
+
+        if (!report) {
+          const specPath = path.join(__dirname, '../../data/openapi', `${api.id}.json`);
+          if (!fs.existsSync(specPath)) {
+            return res.status(404).json({ error: 'No stored spec for this API' });
+          }
+
+          const spec = JSON.parse(await fs.promises.readFile(specPath, 'utf-8'));
+          this.db.saveSpecLint(api.id, await new SpecLinter().lint(spec));
+          report = this.db.getSpecLint(api.id);
+        }
+
+        res.json({
+          ...report,
+          issues: severity ? report.issues.filter(issue => issue.severity === severity) : report.issues
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Quality score badge, for READMEs and catalog cards
+    this.app.get('/api/apis/:id/badge.svg', async (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        let score = api.quality_score;
+
+        // Entries added before scoring existed
+        if (score === null) {
+          const pipeline = new ConversionPipeline();
+          const spec = await pipeline.loadSpec(pipeline.getSpecPath(api.id)).catch(() => null);
+          if (spec) {
+            score = pipeline.quality.score(spec).score;
+            this.db.setApiQualityScore(api.id, score);
+          }
+        }
+
+        res.set('Content-Type', 'image/svg+xml');
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.send(renderScoreBadge('API quality', score));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Download Bruno collection as ZIP
     this.app.get('/api/apis/:id/download', (req, res) => {
       try {
-        const api = this.db.getApi(req.params.id);
-        if (!api) {
-          return res.status(404).json({ error: 'API not found' });
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        if (!api.collection_path) {
+          return res.status(404).json({ error: 'Bruno collection not available for this API' });
+        }
+
+        const filename = `${api.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_bruno_collection.zip`;
+        this.sendCollectionArchive(res, api.collection_path, filename);
+
+      } catch (error) {
+        console.error('Download error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Download the collections of several APIs (by tag, search or id) as one ZIP
+    this.app.get('/api/bundles', this.auth.optional(), validate({
+      query: {
+        // APIs must have every tag
+        tag: { type: 'list', default: [] },
+        q: { type: 'string', max: 500 },
+        ids: { type: 'list', default: [] },
+        limit: { type: 'integer', min: 1, max: MAX_BUNDLE_APIS, default: 100 }
+      }
+    }), async (req, res) => {
+      try {
+        const { tag, q, ids, limit } = req.query;
+        if (tag.length === 0 && !q && ids.length === 0) {
+          return res.status(400).json({ error: 'Pass at least one of tag, q or ids' });
+        }
+
+        const apis = this.findBundleApis({ tags: tag, q, ids, limit, visibility: this.listVisibility(req) });
+        if (apis.length === 0) {
+          return res.status(404).json({ error: 'No APIs matched' });
+        }
+
+        const label = tag.length > 0 ? tag.join('_') : (q || 'apis');
+        const filename = `${label.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_bruno_collections.zip`;
+        await this.sendBundleArchive(res, apis, filename);
+      } catch (error) {
+        console.error('Bundle error:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: error.message });
+        }
+      }
+    });
+
+    // Single file (e.g. a .bru request) from an API's Bruno collection
+    this.app.get('/api/apis/:id/collection/*', (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        if (!api.collection_path) {
+          return res.status(404).json({ error: 'Bruno collection not available for this API' });
+        }
+
+        const file = req.params[0];
+        if (file.endsWith('.bru')) {
+          res.type('text/plain');
+        }
+
+        res.sendFile(file, { root: path.resolve(api.collection_path), dotfiles: 'deny' }, (error) => {
+          if (error && !res.headersSent) {
+            res.status(404).json({ error: 'File not found in collection' });
+          }
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Download an API's spec as it was fetched
+    this.app.get('/api/apis/:id/spec', validate({
+      query: {
+        format: { type: 'enum', values: SPEC_FORMATS, default: 'json' }
+      }
+    }), async (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const filename = `${api.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_openapi`;
+        await this.sendSpecFile(res, new ConversionPipeline().getSpecPath(api.id), filename, req.query.format);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Download an API's spec as OpenAPI 3.x; Swagger 2.0 specs come upgraded
+    this.app.get('/api/apis/:id/spec/openapi3', validate({
+      query: {
+        format: { type: 'enum', values: SPEC_FORMATS, default: 'json' }
+      }
+    }), async (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const pipeline = new ConversionPipeline();
+        const specPath = pipeline.getSpecPath(api.id);
+        const spec = await pipeline.loadSpec(specPath).catch(() => null);
+        if (!spec) {
+          return res.status(404).json({ error: 'Spec not available for this API' });
+        }
+
+        // Entries converted before the upgrade step existed are upgraded now
+        let upgradedPath = specPath;
+        if (pipeline.upgrader.isSwagger2(spec)) {
+          upgradedPath = pipeline.getUpgradedSpecPath(api.id);
+          if (!fs.existsSync(upgradedPath)) {
+            upgradedPath = await pipeline.normalizeSpec(api, spec, specPath);
+          }
+        }
+
+        const filename = `${api.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_openapi3`;
+        await this.sendSpecFile(res, upgradedPath, filename, req.query.format);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Export an API's requests for Postman, Insomnia, or as HAR and curl snippets
+    this.app.get('/api/apis/:id/export/:format', async (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const { format } = req.params;
+        if (!EXPORT_FORMATS.includes(format)) {
+          return res.status(404).json({ error: `Unknown export format. Use one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        const pipeline = new ConversionPipeline();
+        const spec = await pipeline.loadSpec(pipeline.getSpecPath(api.id)).catch(() => null);
+        if (!spec) {
+          return res.status(404).json({ error: 'Spec not available for this API' });
+        }
+
+        const exporter = new SpecExporter();
+        const basename = api.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+
+        if (format === 'snippets') {
+          return this.sendSnippetArchive(res, exporter, spec, api, `${basename}_snippets.zip`);
+        }
+
+        const document = format === 'postman' ? exporter.toPostman(spec, api) : exporter.toInsomnia(spec, api);
+        res.attachment(`${basename}_${format}.json`);
+        res.type('application/json').send(JSON.stringify(document, null, 2));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // List stored revisions of an API
+    this.app.get('/api/apis/:id/versions', (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const versions = this.db.getApiVersions(api.id);
+        res.json({ versions, total: versions.length });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get a single revision of an API
+    this.app.get('/api/apis/:id/versions/:versionId', (req, res) => {
+      try {
+        const version = this.db.getApiVersion(req.params.id, req.params.versionId);
+        if (!version) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+
+        res.json(version);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Compare two revisions of an API (defaults to the latest against the one before it)
+    this.app.get('/api/apis/:id/diff', validate({
+      query: {
+        from: { type: 'string' },
+        to: { type: 'string' },
+        format: { type: 'enum', values: ['json', 'markdown', 'text'], default: 'json' }
+      }
+    }), (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        if (!api) {
+          return res.status(404).json({ error: 'API not found' });
+        }
+
+        const { from, to, format } = req.query;
+        const versions = this.db.getApiVersions(api.id); // newest first
+
+        const toVersion = to ? versions.find(v => v.id === to) : versions[0];
+        if (!toVersion) {
+          return res.status(404).json({ error: to ? `Version not found: ${to}` : 'No revisions stored for this API' });
+        }
+
+        const fromVersion = from
+          ? versions.find(v => v.id === from)
+          : versions[versions.indexOf(toVersion) + 1];
+        if (!fromVersion) {
+          return from
+            ? res.status(404).json({ error: `Version not found: ${from}` })
+            : res.status(400).json({ error: 'No earlier revision to compare against' });
+        }
+
+        const oldSpec = JSON.parse(fs.readFileSync(fromVersion.spec_path, 'utf-8'));
+        const newSpec = JSON.parse(fs.readFileSync(toVersion.spec_path, 'utf-8'));
+
+        const differ = new SpecDiff();
+        const report = differ.compare(oldSpec, newSpec);
+        const label = version => `${version.version || 'unversioned'} @ ${version.fetched_at}`;
+        const changelog = differ.formatChangelog(report, {
+          from: label(fromVersion),
+          to: label(toVersion)
+        });
+
+        if (format === 'markdown' || format === 'text') {
+          res.type(format === 'markdown' ? 'text/markdown' : 'text/plain');
+          return res.send(changelog);
+        }
+
+        const describe = version => ({
+          id: version.id,
+          version: version.version,
+          content_hash: version.content_hash,
+          fetched_at: version.fetched_at
+        });
+
+        res.json({
+          apiId: api.id,
+          from: describe(fromVersion),
+          to: describe(toVersion),
+          ...report,
+          changelog
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Download the Bruno collection pinned to a revision as ZIP
+    this.app.get('/api/apis/:id/versions/:versionId/download', (req, res) => {
+      try {
+        const api = this.db.getApi(req.params.id);
+        const version = api && this.db.getApiVersion(api.id, req.params.versionId);
+        if (!version) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+
+        if (!version.collection_path) {
+          return res.status(404).json({ error: 'Bruno collection not available for this version' });
+        }
+
+        const filename = `${api.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${version.id.slice(0, 8)}_bruno_collection.zip`;
+        this.sendCollectionArchive(res, version.collection_path, filename);
+
+      } catch (error) {
+        console.error('Download error:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get all tags with counts
+    this.app.get('/api/tags', this.auth.optional(), (req, res) => {
+      try {
+        // Counts only include the APIs the caller may list
+        const tagsWithCounts = this.db.getTagsWithCounts({ visibility: this.listVisibility(req) });
+        res.json(tagsWithCounts);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get APIs by tag
+    this.app.get('/api/tags/:tagName/apis', this.auth.optional(), (req, res) => {
+      try {
+        const apis = this.db.getApisByTag(req.params.tagName, { visibility: this.listVisibility(req) });
+        res.json({ apis });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get stats
+    this.app.get('/api/stats', this.auth.optional(), (req, res) => {
+      try {
+        // Unlisted and private APIs only count for key holders, as in listings
+        const stats = this.db.getStats({ visibility: this.listVisibility(req) });
+        res.json(stats);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Trigger scrape (admin endpoint)
+    this.app.post('/api/scrape', this.auth.require('import'), validate({
+      body: this.jobPayloadRules('scrape')
+    }), async (req, res) => {
+      if (!this.githubToken) {
+        return res.status(400).json({ error: 'GitHub token not configured' });
+      }
+
+      try {
+        const { minStars, maxResults, queries } = req.body;
+
+        const activeJob = this.jobQueue.findActiveJob('scrape');
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'A scrape is already queued or running',
+            jobId: activeJob.id,
+            runId: activeJob.payload.runId
+          });
+        }
+
+        // Queue the scrape as a background job
+        const job = this.enqueueJob('scrape', { minStars, maxResults, queries });
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+
+        res.json({
+          message: 'Scrape queued',
+          runId: job.payload.runId,
+          jobId: job.id,
+          status: job.status
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get scrape status
+    this.app.get('/api/scrape/latest', (req, res) => {
+      try {
+        const latestRun = this.db.getLatestScrapeRun();
+        res.json(latestRun || { message: 'No scrape runs yet' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // GitHub rate limits for the configured token
+    this.app.get('/api/github/rate-limit', this.auth.require('read'), async (req, res) => {
+      const github = this.sources.get('github');
+      const configurationError = github.configurationError();
+      if (configurationError) {
+        return res.status(400).json({ error: configurationError });
+      }
+
+      try {
+        res.json(await github.getRateLimit());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Import from APIs.guru
+    this.app.post('/api/import/apisguru', this.auth.require('import'), validate({
+      body: this.jobPayloadRules('apisguru-import')
+    }), async (req, res) => {
+      try {
+        const { maxApis, skipExisting, downloadConcurrency, conversionConcurrency, hostIntervalMs } = req.body;
+
+        const activeJob = this.jobQueue.findActiveJob('apisguru-import');
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'An APIs.guru import is already queued or running',
+            jobId: activeJob.id
+          });
+        }
+
+        // Queue the import as a background job
+        const job = this.jobQueue.enqueue('apisguru-import', {
+          maxApis, skipExisting, downloadConcurrency, conversionConcurrency, hostIntervalMs
+        });
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+
+        res.json({
+          message: 'APIs.guru import queued',
+          jobId: job.id,
+          status: job.status
+        });
+
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // List the sources specs can be imported from
+    this.app.get('/api/sources', this.auth.require('read'), (req, res) => {
+      try {
+        res.json({ sources: this.sources.list() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Import from any registered source; the body takes the import options
+    // plus the source's own (see GET /api/sources)
+    this.app.post('/api/sources/:name/import', this.auth.require('import'), (req, res, next) => {
+      const adapter = this.sources.get(req.params.name);
+      if (!adapter) {
+        return res.status(404).json({ error: 'Source not found' });
+      }
+
+      const configurationError = adapter.configurationError();
+      if (configurationError) {
+        return res.status(400).json({ error: configurationError });
+      }
+
+      // The source comes from the path
+      const { source, ...rules } = this.jobPayloadRules('source-import', { source: adapter.name });
+      validate({ body: rules })(req, res, next);
+    }, async (req, res) => {
+      try {
+        const source = req.params.name;
+
+        const activeJob = this.jobQueue.findActiveJob('source-import', payload => payload.source === source);
+        if (activeJob) {
+          return res.status(409).json({
+            error: `An import from ${source} is already queued or running`,
+            jobId: activeJob.id
+          });
+        }
+
+        const job = this.jobQueue.enqueue('source-import', { source, ...req.body });
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+
+        res.json({
+          message: `Import from ${source} queued`,
+          jobId: job.id,
+          status: job.status
+        });
+
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Re-sync existing catalog entries from their source URLs
+    this.app.post('/api/resync', this.auth.require('import'), validate({
+      body: this.jobPayloadRules('resync')
+    }), async (req, res) => {
+      try {
+        const { apiId, source, staleAfterHours, force } = req.body;
+
+        const activeJob = this.jobQueue.findActiveJob('resync',
+          payload => payload.apiId === apiId && payload.source === source);
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'This re-sync is already queued or running',
+            jobId: activeJob.id
+          });
+        }
+
+        // Queue the re-sync as a background job
+        const job = this.jobQueue.enqueue('resync', { apiId, source, staleAfterHours, force });
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+
+        res.json({
+          message: apiId ? `Re-syncing API ${apiId}` : 'Re-syncing catalog',
+          jobId: job.id,
+          status: job.status
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Specs that failed to convert, with the stage that failed and when they'll be retried
+    this.app.get('/api/failures', this.auth.require('read'), validate({
+      query: {
+        ...pagination(50, 500),
+        stage: { type: 'enum', values: FAILURE_STAGES },
+        source: { type: 'string' },
+        due: { type: 'boolean' }
+      }
+    }), (req, res) => {
+      try {
+        const { limit, offset, stage = '', source = '', due = null } = req.query;
+        res.json(this.db.getConversionFailures({ limit, offset, stage, source, due }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Retry a failed conversion now instead of waiting for its backoff
+    this.app.post('/api/failures/:id/retry', this.auth.require('import'), (req, res) => {
+      try {
+        const failure = this.db.getConversionFailure(req.params.id);
+        if (!failure) {
+          return res.status(404).json({ error: 'Failure not found' });
+        }
+
+        // APIs already in the catalog are re-synced; new ones go through the full pipeline
+        const type = failure.api_id ? 'resync' : 'retry-conversion';
+        const payload = failure.api_id ? { apiId: failure.api_id, force: true } : { failureId: failure.id };
+
+        const activeJob = type === 'resync'
+          ? this.jobQueue.findActiveJob('resync', p => p.apiId === failure.api_id)
+          : this.jobQueue.findActiveJob('retry-conversion', p => p.failureId === failure.id);
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'A retry of this conversion is already queued or running',
+            jobId: activeJob.id
+          });
+        }
+
+        const job = this.jobQueue.enqueue(type, payload);
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+
+        res.json({
+          message: `Retrying ${failure.name || failure.source_url}`,
+          jobId: job.id,
+          status: job.status
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // List schedules
+    this.app.get('/api/schedules', this.auth.require('read'), (req, res) => {
+      try {
+        res.json({ schedules: this.db.getSchedules() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Create a schedule
+    this.app.post('/api/schedules', this.auth.require('admin'), validate({
+      body: this.scheduleRules({ required: true })
+    }), (req, res) => {
+      try {
+        const { name, jobType, cron, enabled = true } = req.body;
+        const { values: payload, error } = this.validateJobPayload(jobType, req.body.payload);
+        if (error) {
+          return sendValidationError(res, error);
+        }
+
+        const nextRunAt = this.scheduler.getNextRun(cron);
+
+        const id = uuidv4();
+        this.db.createSchedule({
+          id,
+          name,
+          job_type: jobType,
+          cron,
+          payload,
+          enabled: !!enabled,
+          next_run_at: enabled ? nextRunAt : null
+        });
+
+        this.auth.audit(req, 'schedule.create', id, { name, jobType, cron });
+        res.status(201).json(this.db.getSchedule(id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get a schedule
+    this.app.get('/api/schedules/:id', this.auth.require('read'), (req, res) => {
+      try {
+        const schedule = this.db.getSchedule(req.params.id);
+        if (!schedule) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        res.json(schedule);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Update a schedule
+    this.app.patch('/api/schedules/:id', this.auth.require('admin'), validate({
+      body: this.scheduleRules({ required: false })
+    }), (req, res) => {
+      try {
+        const schedule = this.db.getSchedule(req.params.id);
+        if (!schedule) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        const { name, jobType, cron, payload, enabled } = req.body;
+        const updates = {};
+
+        // A new job type must accept the payload the schedule already has
+        if (payload !== undefined || jobType !== undefined) {
+          const checked = this.validateJobPayload(jobType || schedule.job_type, payload !== undefined ? payload : schedule.payload);
+          if (checked.error) {
+            return sendValidationError(res, checked.error);
+          }
+          updates.payload = JSON.stringify(checked.values);
+        }
+
+        if (name !== undefined) updates.name = name;
+        if (jobType !== undefined) updates.job_type = jobType;
+        if (cron !== undefined) updates.cron = cron;
+        if (enabled !== undefined) updates.enabled = enabled ? 1 : 0;
+
+        // Recompute the next run whenever timing changes
+        const isEnabled = enabled !== undefined ? enabled : schedule.enabled;
+        if (cron !== undefined || enabled !== undefined) {
+          const nextRunAt = this.scheduler.getNextRun(cron !== undefined ? cron : schedule.cron);
+          updates.next_run_at = isEnabled ? nextRunAt : null;
+        }
+
+        if (Object.keys(updates).length > 0) {
+          this.db.updateSchedule(schedule.id, updates);
+          this.auth.audit(req, 'schedule.update', schedule.id, req.body);
+        }
+
+        res.json(this.db.getSchedule(schedule.id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Delete a schedule
+    this.app.delete('/api/schedules/:id', this.auth.require('admin'), (req, res) => {
+      try {
+        const result = this.db.deleteSchedule(req.params.id);
+        if (result.changes === 0) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        this.auth.audit(req, 'schedule.delete', req.params.id);
+        res.json({ message: 'Schedule deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Run a schedule now
+    this.app.post('/api/schedules/:id/run', this.auth.require('import'), (req, res) => {
+      try {
+        const schedule = this.db.getSchedule(req.params.id);
+        if (!schedule) {
+          return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        const activeJob = this.scheduler.getActiveJob(schedule);
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'The previous run of this schedule is still queued or running',
+            jobId: activeJob.id
+          });
+        }
+
+        const job = this.scheduler.runSchedule(schedule);
+        if (!job) {
+          return res.status(500).json({ error: this.db.getSchedule(schedule.id).last_error });
+        }
+
+        this.auth.audit(req, 'schedule.run', schedule.id, { jobId: job.id });
+        res.json({ message: `Schedule "${schedule.name}" triggered`, jobId: job.id, status: job.status });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Dynamic sitemap.xml for SEO
+    this.app.get('/sitemap.xml', (req, res) => {
+      try {
+        const apis = this.db.getAllApis({ limit: 10000, visibility: ['public'] });
+        const baseUrl = 'https://openapicatalog.com';
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+
+        // Homepage
+        xml += '  <url>\n';
+        xml += `    <loc>${baseUrl}/</loc>\n`;
+        xml += '    <changefreq>daily</changefreq>\n';
+        xml += '    <priority>1.0</priority>\n';
+        xml += '  </url>\n';
+
+        // Each API's documentation page
+        apis.forEach(api => {
+          if (api.docs_path) {
+            xml += '  <url>\n';
+            xml += `    <loc>${baseUrl}/docs/${api.id}/index.html</loc>\n`;
+            xml += `    <lastmod>${api.updated_at || api.created_at}</lastmod>\n`;
+            xml += '    <changefreq>weekly</changefreq>\n';
+            xml += '    <priority>0.8</priority>\n';
+            xml += '  </url>\n';
+          }
+        });
+
+        xml += '</urlset>';
+
+        res.header('Content-Type', 'application/xml');
+        res.send(xml);
+      } catch (error) {
+        res.status(500).send('Error generating sitemap');
+      }
+    });
+
+    // Regenerate documentation for all APIs
+    this.app.post('/api/regenerate-docs', this.auth.require('import'), validate({
+      body: this.jobPayloadRules('regenerate-docs')
+    }), async (req, res) => {
+      try {
+        const { apiId } = req.body;
+
+        const activeJob = this.jobQueue.findActiveJob('regenerate-docs', payload => payload.apiId === apiId);
+        if (activeJob) {
+          return res.status(409).json({
+            error: 'This documentation regeneration is already queued or running',
+            jobId: activeJob.id
+          });
+        }
+
+        // Queue the regeneration as a background job
+        const job = this.jobQueue.enqueue('regenerate-docs', { apiId });
+        this.auth.audit(req, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+
+        res.json({
+          message: apiId ? `Regenerating docs for API ${apiId}` : 'Regenerating docs for all APIs',
+          jobId: job.id,
+          status: job.status
+        });
+
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // List background jobs
+    this.app.get('/api/jobs', this.auth.require('read'), validate({
+      query: {
+        ...pagination(50, 500),
+        status: { type: 'enum', values: JOB_STATUSES },
+        type: { type: 'string' }
+      }
+    }), (req, res) => {
+      try {
+        const { limit, offset, status = '', type = '' } = req.query;
+        const jobs = this.db.getJobs({ limit, offset, status, type });
+
+        res.json({ jobs });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Token for a job's event stream: EventSource can't send headers, so
+    // browsers pass this as ?token= instead of their key
+    this.app.post('/api/jobs/:id/events-token', this.auth.require('read'), (req, res) => {
+      try {
+        const job = this.db.getJob(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const expiresAt = new Date(Date.now() + EVENTS_TOKEN_TTL_MS);
+        const token = this.shareLinks.create(this.eventsTokenTarget(job.id), expiresAt);
+
+        res.json({
+          token,
+          expires_at: expiresAt.toISOString(),
+          url: `/api/jobs/${job.id}/events?token=${encodeURIComponent(token)}`
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Stream live progress for a job as Server-Sent Events; takes a key or an events token
+    this.app.get('/api/jobs/:id/events', (req, res, next) => {
+      if (req.query.token !== undefined) {
+        return this.shareLinks.verify(req.query.token, this.eventsTokenTarget(req.params.id))
+          ? next()
+          : res.status(401).json({ error: 'Invalid or expired events token' });
+      }
+      this.auth.require('read')(req, res, next);
+    }, (req, res) => {
+      try {
+        const job = this.db.getJob(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
         }
 
-        if (!api.collection_path) {
-          return res.status(404).json({ error: 'Bruno collection not available for this API' });
-        }
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
 
-        const archiver = require('archiver');
-        const path = require('path');
-        const fs = require('fs');
+        let eventId = 0;
+        const send = (type, data) => {
+          res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
 
-        const collectionPath = path.resolve(api.collection_path);
+        // Current state first, so clients can render counters immediately
+        send('snapshot', job);
 
-        // Check if collection exists
-        if (!fs.existsSync(collectionPath)) {
-          return res.status(404).json({ error: 'Collection files not found' });
+        if (job.status === 'completed' || job.status === 'failed') {
+          return res.end();
         }
 
-        // Set headers for download
-        const filename = `${api.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_bruno_collection.zip`;
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        const eventName = `job:${job.id}`;
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
 
-        // Create archive
-        const archive = archiver('zip', {
-          zlib: { level: 9 }
-        });
+        const cleanup = () => {
+          clearInterval(heartbeat);
+          this.jobQueue.removeListener(eventName, listener);
+        };
 
-        archive.on('error', (err) => {
-          console.error('Archive error:', err);
-          res.status(500).json({ error: 'Failed to create archive' });
-        });
+        const listener = (event) => {
+          send(event.type, event.data);
+          if (event.type === 'status' && (event.data.status === 'completed' || event.data.status === 'failed')) {
+            cleanup();
+            res.end();
+          }
+        };
 
-        // Pipe archive to response
-        archive.pipe(res);
+        this.jobQueue.on(eventName, listener);
+        req.on('close', cleanup);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
 
-        // Add the collection directory to the archive
-        archive.directory(collectionPath, false);
+    // Get a single job with its item progress
+    this.app.get('/api/jobs/:id', this.auth.require('read'), validate({
+      query: {
+        itemStatus: { type: 'enum', values: ['completed', 'skipped', 'failed'] },
+        itemLimit: { type: 'integer', min: 1, max: 1000, default: 100 }
+      }
+    }), (req, res) => {
+      try {
+        const job = this.db.getJob(req.params.id);
+        if (!job) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
 
-        // Finalize the archive
-        archive.finalize();
+        const { itemStatus = '', itemLimit } = req.query;
+        const items = this.db.getJobItems(job.id, { status: itemStatus, limit: itemLimit });
 
+        res.json({ ...job, items });
       } catch (error) {
-        console.error('Download error:', error);
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get all tags with counts
-    this.app.get('/api/tags', (req, res) => {
-      try {
-        const tags = this.db.getAllTags();
-        // Add count for each tag
-        const tagsWithCounts = tags.map(tag => {
-          const stmt = this.db.db.prepare(`
-            SELECT COUNT(*) as count FROM api_tags WHERE tag_id = ?
-          `);
-          const count = stmt.get(tag.id).count;
-          return { ...tag, count };
-        });
-        // Sort by count descending
-        tagsWithCounts.sort((a, b) => b.count - a.count);
-        res.json(tagsWithCounts);
+    // List API keys (hashes are never returned)
+    this.app.get('/api/keys', this.auth.require('admin'), (req, res) => {
+      try {
+        res.json({ keys: this.db.getApiKeys() });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get APIs by tag
-    this.app.get('/api/tags/:tagName/apis', (req, res) => {
+    // Create an API key; the key itself is only shown in this response
+    this.app.post('/api/keys', this.auth.require('admin'), validate({
+      body: {
+        name: { type: 'string', required: true, max: 200 },
+        scopes: {
+          type: 'list',
+          required: true,
+          check: scopes => {
+            const invalid = scopes.filter(scope => !ApiKeyAuth.SCOPES.includes(scope));
+            if (scopes.length === 0 || invalid.length > 0) {
+              throw new Error(`must be one or more of: ${ApiKeyAuth.SCOPES.join(', ')}`);
+            }
+          }
+        }
+      }
+    }), (req, res) => {
       try {
-        const apis = this.db.getApisByTag(req.params.tagName);
-        res.json({ apis });
+        const { name, scopes } = req.body;
+        const { key, record } = this.auth.createKey(name, [...new Set(scopes)]);
+
+        this.auth.audit(req, 'key.create', record.id, { name, scopes: record.scopes });
+        res.status(201).json({ ...record, key });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get stats
-    this.app.get('/api/stats', (req, res) => {
+    // Revoke an API key
+    this.app.delete('/api/keys/:id', this.auth.require('admin'), (req, res) => {
       try {
-        const stats = this.db.getStats();
-        res.json(stats);
+        const result = this.db.revokeApiKey(req.params.id);
+        if (result.changes === 0) {
+          return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+
+        this.auth.audit(req, 'key.revoke', req.params.id);
+        res.json({ message: 'API key revoked' });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Trigger scrape (admin endpoint)
-    this.app.post('/api/scrape', async (req, res) => {
-      if (!this.githubToken) {
-        return res.status(400).json({ error: 'GitHub token not configured' });
+    // Who triggered which job or changed which setting, newest first
+    this.app.get('/api/audit', this.auth.require('admin'), validate({
+      query: {
+        ...pagination(50, 500),
+        action: { type: 'string' },
+        actorId: { type: 'string' },
+        target: { type: 'string' }
       }
-
+    }), (req, res) => {
       try {
-        const { minStars = 10, maxResults = 20 } = req.body;
-        
-        // Create scrape run
-        const runId = uuidv4();
-        this.db.createScrapeRun(runId);
-        
-        // Start scraping in background
-        this.runScrape(runId, { minStars, maxResults });
-        
-        res.json({ 
-          message: 'Scrape started',
-          runId,
-          status: 'running'
-        });
+        res.json({ entries: this.db.getAuditLog(req.query) });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Get scrape status
-    this.app.get('/api/scrape/latest', (req, res) => {
-      try {
-        const latestRun = this.db.getLatestScrapeRun();
-        res.json(latestRun || { message: 'No scrape runs yet' });
-      } catch (error) {
-        res.status(500).json({ error: error.message });
+    // Malformed JSON bodies get the same 400 format as invalid parameters
+    this.app.use(handleInvalidJson);
+  }
+
+  /**
+   * Body rules for a schedule; every field is required when creating one
+   */
+  scheduleRules({ required }) {
+    return {
+      name: { type: 'string', required, max: 200 },
+      jobType: { type: 'enum', values: this.jobQueue.getTypes(), required },
+      cron: {
+        type: 'string',
+        required,
+        check: cron => {
+          // Valid expressions such as "0 0 30 2 *" can still never fire
+          if (this.scheduler.getNextRun(cron) === null) {
+            throw new Error('never fires (no matching time in the next few years)');
+          }
+        }
+      },
+      // Checked against jobPayloadRules once the job type is known
+      payload: { type: 'object' },
+      enabled: { type: 'boolean' }
+    };
+  }
+
+  /**
+   * Options of each job type, as taken by the endpoint that triggers it.
+   * Schedules' payloads are held to the same rules.
+   * @param {string} type - Job type
+   * @param {Object} payload - For source imports, `source` picks the source's own options
+   * @returns {Object} Rules for validate()
+   */
+  jobPayloadRules(type, payload = {}) {
+    switch (type) {
+      case 'scrape':
+        // minStars, maxResults and queries, as for the github source
+        return this.sources.get('github').optionRules;
+      case 'apisguru-import':
+        return IMPORT_RULES;
+      case 'source-import': {
+        const adapter = this.sources.get(payload.source);
+        return {
+          source: { type: 'enum', values: this.sources.getNames(), required: true },
+          ...IMPORT_RULES,
+          // For new APIs; the source's default when omitted (see GET /api/sources)
+          visibility: { type: 'enum', values: CatalogDatabase.VISIBILITIES },
+          ...(adapter ? adapter.optionRules : {})
+        };
       }
+      case 'resync':
+        return {
+          apiId: { type: 'string', nullable: true, default: null },
+          source: { type: 'string', nullable: true, default: null },
+          staleAfterHours: { type: 'number', min: 0, nullable: true, default: null },
+          force: { type: 'boolean', default: false }
+        };
+      case 'regenerate-docs':
+        return {
+          apiId: { type: 'string', nullable: true, default: null }
+        };
+      case 'search-index':
+        return {
+          all: { type: 'boolean', default: false }
+        };
+      case 'retry-conversion':
+        return {
+          failureId: { type: 'string', required: true }
+        };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Check a schedule's payload against its job type's rules
+   * @returns {Object} { values, error }: the coerced payload with defaults
+   *   filled in, or a ValidationError naming payload.<field>
+   */
+  validateJobPayload(type, payload = {}) {
+    const { values, errors } = validateParams(payload, this.jobPayloadRules(type, payload), 'body');
+    if (errors.length > 0) {
+      return { error: new ValidationError(errors.map(error => ({ ...error, field: `payload.${error.field}` }))) };
+    }
+    return { values };
+  }
+
+  /**
+   * Stream a Bruno collection directory to the response as a ZIP
+   */
+  sendCollectionArchive(res, collectionDir, filename) {
+    const archiver = require('archiver');
+
+    const collectionPath = path.resolve(collectionDir);
+
+    // Check if collection exists
+    if (!fs.existsSync(collectionPath)) {
+      return res.status(404).json({ error: 'Collection files not found' });
+    }
+
+    // Set headers for download
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    // Create archive
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
     });
 
-    // Import from APIs.guru
-    this.app.post('/api/import/apisguru', async (req, res) => {
-      try {
-        const { maxApis = null, skipExisting = true } = req.body;
+    archive.on('error', (err) => {
+      console.error('Archive error:', err);
+      res.status(500).json({ error: 'Failed to create archive' });
+    });
 
-        res.json({
-          message: 'APIs.guru import started',
-          status: 'running'
-        });
+    // Pipe archive to response
+    archive.pipe(res);
 
-        // Run import in background
-        this.runAPIsGuruImport({ maxApis, skipExisting });
+    // Add the collection directory to the archive
+    archive.directory(collectionPath, false);
 
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
+    // Finalize the archive
+    archive.finalize();
+  }
+
+  /**
+   * APIs for a bundle: those matching every given criterion (tags, full-text
+   * query, ids), in search rank order for queries and catalog order otherwise
+   */
+  findBundleApis({ tags, q, ids, limit, visibility = null }) {
+    let apis;
+    if (q) {
+      apis = this.db.searchApis(q, { limit: MAX_BUNDLE_APIS, visibility }).results;
+    } else if (ids.length > 0) {
+      // Unlisted APIs can be bundled by ID
+      apis = ids.map(id => this.db.getApi(id)).filter(api => api && (!visibility || api.visibility !== 'private'));
+    } else {
+      apis = this.db.getAllApis({ tags, limit, visibility });
+    }
+
+    if (ids.length > 0) {
+      const wanted = new Set(ids);
+      apis = apis.filter(api => wanted.has(api.id));
+    }
+    if (tags.length > 0 && (q || ids.length > 0)) {
+      apis = apis.filter(api => {
+        const names = this.db.getApiTags(api.id).map(t => t.name);
+        return tags.every(t => names.includes(t));
+      });
+    }
+
+    return apis.slice(0, limit);
+  }
+
+  /**
+   * Stream a ZIP with each API's Bruno collection in its own folder and a
+   * manifest.json listing names, versions, source URLs and SHA-256 checksums
+   * of the spec and of every file
+   */
+  async sendBundleArchive(res, apis, filename) {
+    const archiver = require('archiver');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
     });
 
-    // Dynamic sitemap.xml for SEO
-    this.app.get('/sitemap.xml', (req, res) => {
-      try {
-        const apis = this.db.getAllApis({ limit: 10000 });
-        const baseUrl = 'https://openapicatalog.com';
+    archive.on('error', (err) => {
+      console.error('Archive error:', err);
+      res.destroy(err);
+    });
 
-        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+    archive.pipe(res);
 
-        // Homepage
-        xml += '  <url>\n';
-        xml += `    <loc>${baseUrl}/</loc>\n`;
-        xml += '    <changefreq>daily</changefreq>\n';
-        xml += '    <priority>1.0</priority>\n';
-        xml += '  </url>\n';
+    const manifest = {
+      generated_at: new Date().toISOString(),
+      collections: [],
+      skipped: []
+    };
+    const folders = new Set();
 
-        // Each API's documentation page
-        apis.forEach(api => {
-          if (api.docs_path) {
-            xml += '  <url>\n';
-            xml += `    <loc>${baseUrl}/docs/${api.id}/index.html</loc>\n`;
-            xml += `    <lastmod>${api.updated_at || api.created_at}</lastmod>\n`;
-            xml += '    <changefreq>weekly</changefreq>\n';
-            xml += '    <priority>0.8</priority>\n';
-            xml += '  </url>\n';
-          }
-        });
+    for (const api of apis) {
+      const collectionPath = api.collection_path && path.resolve(api.collection_path);
+      if (!collectionPath || !fs.existsSync(collectionPath)) {
+        manifest.skipped.push({ id: api.id, name: api.name, reason: 'Bruno collection not available' });
+        continue;
+      }
 
-        xml += '</urlset>';
+      // Names can repeat across sources, so the folder gets a short id suffix
+      let folder = `${api.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'api'}_${api.id.slice(0, 8)}`;
+      while (folders.has(folder)) folder += '_';
+      folders.add(folder);
 
-        res.header('Content-Type', 'application/xml');
-        res.send(xml);
-      } catch (error) {
-        res.status(500).send('Error generating sitemap');
+      const files = [];
+      for (const file of await this.listFiles(collectionPath)) {
+        const name = path.relative(collectionPath, file).split(path.sep).join('/');
+        files.push({ path: `${folder}/${name}`, sha256: await this.hashFile(file) });
+        archive.file(file, { name: `${folder}/${name}` });
+      }
+
+      manifest.collections.push({
+        id: api.id,
+        name: api.name,
+        version: api.version,
+        source: api.source,
+        source_url: api.source_url || api.openapi_url,
+        github_url: api.github_url,
+        folder,
+        spec_sha256: api.content_hash || null,
+        files
+      });
+    }
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+  }
+
+  async listFiles(dir) {
+    const files = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(entryPath));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
       }
+    }
+    return files.sort();
+  }
+
+  hashFile(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
     });
+  }
 
-    // Regenerate documentation for all APIs
-    this.app.post('/api/regenerate-docs', async (req, res) => {
-      try {
-        const { apiId = null } = req.body;
+  /**
+   * Send a stored spec as a JSON or YAML download
+   * @param {string} basename - Download name without extension
+   */
+  async sendSpecFile(res, specPath, basename, format = 'json') {
+    if (!fs.existsSync(specPath)) {
+      return res.status(404).json({ error: 'Spec not available for this API' });
+    }
 
-        res.json({
-          message: apiId ? `Regenerating docs for API ${apiId}` : 'Regenerating docs for all APIs',
-          status: 'running'
-        });
+    if (format === 'json') {
+      return res.download(specPath, `${basename}.json`, { headers: { 'Content-Type': 'application/json' } });
+    }
 
-        // Run regeneration in background
-        this.regenerateDocs(apiId);
+    const spec = JSON.parse(await fs.promises.readFile(specPath, 'utf-8'));
+    res.attachment(`${basename}.yaml`);
+    res.type('application/yaml').send(yaml.dump(spec, { noRefs: true, lineWidth: -1 }));
+  }
 
-      } catch (error) {
-        res.status(500).json({ error: error.message });
-      }
+  /**
+   * Send a ZIP with a HAR file of every operation and one curl script per operation
+   */
+  sendSnippetArchive(res, exporter, spec, api, filename) {
+    const archiver = require('archiver');
+
+    const har = exporter.toHar(spec, api);
+    const commands = exporter.toCurl(spec, api);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const archive = archiver('zip', {
+      zlib: { level: 9 }
+    });
+
+    archive.on('error', (err) => {
+      console.error('Archive error:', err);
+      res.status(500).json({ error: 'Failed to create archive' });
+    });
+
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(har, null, 2), { name: 'requests.har' });
+    commands.forEach((snippet, index) => {
+      const slug = snippet.path.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').toLowerCase() || 'root';
+      const name = `curl/${String(index + 1).padStart(3, '0')}_${snippet.method.toLowerCase()}_${slug}.sh`;
+      archive.append(`#!/bin/sh\n# ${snippet.name.replace(/\s+/g, ' ')}\n${snippet.command}\n`, { name, mode: 0o755 });
+    });
+
+    archive.finalize();
+  }
+
+  /**
+   * A SourceImporter whose progress, and its pipeline's, is published on the job
+   */
+  createImporter(job) {
+    const pipeline = new ConversionPipeline();
+    const importer = new SourceImporter({ database: this.db, pipeline, indexer: this.searchIndexer });
+    pipeline.on('progress', event => job.publish(event.stage, event));
+    importer.on('progress', event => job.publish(event.stage, event));
+    return importer;
+  }
+
+  /**
+   * Import from a registered source; payload is `source` plus the import
+   * and source options from POST /api/sources/:name/import
+   */
+  async runSourceImport(job) {
+    const { source, hostIntervalMs, ...options } = job.payload;
+
+    const adapter = this.sources.get(source);
+    if (!adapter) {
+      throw new Error(`Unknown source: ${source}`);
+    }
+
+    console.log(`\n=== Starting ${source} import ===`);
+    const stats = await this.createImporter(job).importAll(adapter, {
+      ...options,
+      hostInterval: hostIntervalMs,
+      // Sources that search (github) report how each query did
+      onQueryStats: queryStats => job.publish('query', queryStats[queryStats.length - 1]),
+      job
     });
+    this.logImportStats(source, stats);
+    return stats;
+  }
+
+  logImportStats(label, stats) {
+    console.log(`\n=== ${label} import completed ===`);
+    console.log(`Total: ${stats.total}`);
+    console.log(`Processed: ${stats.processed}`);
+    console.log(`Skipped: ${stats.skipped}`);
+    console.log(`Failed: ${stats.failed}`);
+
+    if (stats.errors.length > 0) {
+      console.log('\nErrors:');
+      stats.errors.forEach(err => {
+        console.log(`  - ${err.api}: ${err.error}`);
+      });
+    }
   }
 
-  async runScrape(runId, options) {
+  async runScrape(job) {
+    const { runId, ...options } = job.payload;
+
     try {
       console.log(`\n=== Starting scrape run ${runId} ===`);
-      
-      // Initialize scraper and pipeline
-      const scraper = new GitHubScraper(this.githubToken);
-      const pipeline = new ConversionPipeline();
-      
-      // Search for OpenAPI files
-      console.log('Searching GitHub for OpenAPI files...');
-      const apis = await scraper.searchOpenAPIFiles(options);
-      
-      console.log(`Found ${apis.length} APIs`);
-      this.db.updateScrapeRun(runId, { apis_found: apis.length });
-      
-      // Process each API
-      let processed = 0;
-      let skipped = 0;
-      for (const api of apis) {
-        try {
-          // Check if API already exists (by URL)
-          const existing = this.db.getApiByUrl(api.openapi_url || api.github_url);
-          if (existing) {
-            console.log(`⏭️  Skipping ${api.name} (already exists in database)`);
-            skipped++;
-            continue;
-          }
-
-          // Convert and generate docs
-          const result = await pipeline.convertAndGenerateDocs(api);
+      this.db.updateScrapeRun(runId, { status: 'running' });
 
-          if (result.success) {
-            // Save to database
-            this.db.createApi({
-              ...api,
-              collection_path: result.collection_path,
-              docs_path: result.docs_path
-            });
-            
-            // Add tags - use high-level categories based on API content
-            const tagsToAdd = new Set();
-            const name = (api.name || '').toLowerCase();
-            const desc = (api.description || '').toLowerCase();
-            const combined = `${name} ${desc}`;
-
-            // Define category keywords
-            const categories = {
-              'Payments': ['payment', 'stripe', 'paypal', 'billing', 'invoice', 'transaction', 'checkout'],
-              'Authentication': ['auth', 'oauth', 'login', 'sso', 'identity', 'jwt', 'token'],
-              'Database': ['database', 'sql', 'postgres', 'mysql', 'mongodb', 'redis', 'storage'],
-              'Cloud & Infrastructure': ['cloud', 'aws', 'azure', 'gcp', 'kubernetes', 'docker', 'infrastructure', 'terraform'],
-              'AI & ML': ['ai', 'ml', 'machine learning', 'llm', 'gpt', 'openai', 'model', 'neural'],
-              'Communication': ['chat', 'messaging', 'email', 'sms', 'notification', 'twilio', 'sendgrid'],
-              'Analytics': ['analytics', 'metrics', 'tracking', 'monitoring', 'observability', 'telemetry'],
-              'E-commerce': ['ecommerce', 'e-commerce', 'shop', 'cart', 'product', 'inventory'],
-              'Social Media': ['social', 'twitter', 'facebook', 'instagram', 'linkedin'],
-              'Developer Tools': ['api', 'sdk', 'cli', 'developer', 'webhook', 'rest', 'graphql'],
-              'Security': ['security', 'encryption', 'firewall', 'vulnerability', 'scan'],
-              'Media': ['video', 'audio', 'image', 'media', 'streaming', 'upload'],
-              'Documentation': ['docs', 'documentation', 'wiki', 'knowledge'],
-              'IoT': ['iot', 'sensor', 'device', 'hardware', 'embedded'],
-              'Finance': ['finance', 'banking', 'trading', 'stock', 'crypto', 'blockchain'],
-              'Healthcare': ['health', 'medical', 'patient', 'hospital', 'clinical'],
-              'Education': ['education', 'learning', 'course', 'student', 'school'],
-              'Gaming': ['game', 'gaming', 'player', 'unity', 'unreal']
-            };
-
-            // Match categories
-            for (const [category, keywords] of Object.entries(categories)) {
-              if (keywords.some(keyword => combined.includes(keyword))) {
-                tagsToAdd.add(category);
-              }
-            }
+      // Record how each search query did as the search goes
+      const onQueryStats = queryStats => {
+        this.db.updateScrapeRun(runId, { query_stats: JSON.stringify(queryStats) });
+        job.publish('query', queryStats[queryStats.length - 1]);
+      };
 
-            // If no categories matched, add a general one
-            if (tagsToAdd.size === 0) {
-              tagsToAdd.add('General');
-            }
+      const adapter = this.sources.get('github');
+      const stats = await this.createImporter(job).importAll(adapter, { ...options, onQueryStats, job });
+      this.db.updateScrapeRun(runId, { apis_found: stats.total });
 
-            // Save tags to database
-            for (const tagName of tagsToAdd) {
-              const tagId = uuidv4();
-              this.db.createTag(tagId, tagName);
-              const dbTag = this.db.getTag(tagName);
-              if (dbTag) {
-                this.db.addTagToApi(api.id, dbTag.id);
-              }
-            }
-            
-            processed++;
-          }
-        } catch (error) {
-          console.error(`Error processing API ${api.name}:`, error.message);
-        }
-      }
-      
       // Update scrape run
       this.db.updateScrapeRun(runId, {
         completed_at: new Date().toISOString(),
-        apis_processed: processed,
+        apis_processed: stats.processed,
         status: 'completed'
       });
 
       console.log(`\n=== Scrape run ${runId} completed ===`);
-      console.log(`Found: ${apis.length} APIs`);
-      console.log(`Processed: ${processed} new APIs`);
-      console.log(`Skipped: ${skipped} duplicates`);
+      console.log(`Found: ${stats.total} APIs`);
+      console.log(`Processed: ${stats.processed} new APIs`);
+      console.log(`Skipped: ${stats.skipped} duplicates`);
+
+      return { runId, found: stats.total, processed: stats.processed, skipped: stats.skipped, failed: stats.failed };
     } catch (error) {
       console.error('Scrape error:', error);
       this.db.updateScrapeRun(runId, {
         completed_at: new Date().toISOString(),
         status: 'failed'
       });
+      throw error;
     }
   }
 
-  async runAPIsGuruImport(options = {}) {
+  async runAPIsGuruImport(job) {
+    const { hostIntervalMs, ...options } = job.payload;
+
     try {
       console.log('\n=== Starting APIs.guru import ===');
 
-      const importer = new APIsGuruImporter();
-      const pipeline = new ConversionPipeline();
-
-      const stats = await importer.importAll({
-        database: this.db,
-        processor: pipeline,
+      const stats = await this.createImporter(job).importAll(this.sources.get('apis-guru'), {
+        ...options,
         skipExisting: options.skipExisting !== false,
-        maxApis: options.maxApis,
-        delay: 1000 // 1 second delay between downloads
+        hostInterval: hostIntervalMs,
+        job
       });
 
-      console.log('\n=== APIs.guru import completed ===');
-      console.log(`Total: ${stats.total}`);
-      console.log(`Downloaded: ${stats.downloaded}`);
-      console.log(`Processed: ${stats.processed}`);
-      console.log(`Skipped: ${stats.skipped}`);
-      console.log(`Failed: ${stats.failed}`);
-
-      if (stats.errors.length > 0) {
-        console.log('\nErrors:');
-        stats.errors.forEach(err => {
-          console.log(`  - ${err.api}: ${err.error}`);
-        });
-      }
+      this.logImportStats('APIs.guru', stats);
+      return stats;
 
     } catch (error) {
       console.error('APIs.guru import error:', error);
+      throw error;
+    }
+  }
+
+  async runResync(job) {
+    const { apiId = null, source = null, staleAfterHours = null, force = false } = job.payload;
+
+    try {
+      console.log('\n=== Starting re-sync ===');
+
+      const pipeline = new ConversionPipeline();
+      const importer = new SourceImporter({ database: this.db, pipeline });
+      pipeline.on('progress', event => job.publish(event.stage, event));
+
+      const syncedBefore = staleAfterHours
+        ? new Date(Date.now() - staleAfterHours * 60 * 60 * 1000).toISOString()
+        : null;
+      const apis = this.db.getApisForResync({ apiId, source, syncedBefore });
+
+      console.log(`Re-syncing ${apis.length} API(s)...`);
+      job.setTotal(apis.length);
+
+      let updated = 0;
+      let unchanged = 0;
+      let failed = 0;
+
+      for (const api of apis) {
+        // Already re-synced before the job was interrupted
+        if (job.isItemDone(api.id)) continue;
+
+        // Failure records are keyed like the scrape and import that created the API
+        const failureKey = api.openapi_url || api.source_url;
+        if (!force && failureKey && this.db.isConversionRetryPending(failureKey)) {
+          job.publish('skipped', { apiId: api.id, api: api.name, reason: 'Retry scheduled' });
+          job.recordItem(api.id, 'skipped');
+          unchanged++;
+          continue;
+        }
+
+        try {
+          const result = await pipeline.resyncApi(api, { force });
+          const syncedAt = new Date().toISOString();
+
+          if (failureKey) this.db.clearConversionFailure(failureKey);
+
+          if (!result.changed) {
+            this.db.updateApi(api.id, {
+              content_hash: result.content_hash,
+              etag: result.etag,
+              last_modified: result.last_modified,
+              last_synced_at: syncedAt
+            });
+            job.recordItem(api.id, 'skipped');
+            unchanged++;
+            continue;
+          }
+
+          const version = result.spec.info?.version || api.version;
+          this.db.updateApi(api.id, {
+            version,
+            collection_path: result.collection_path,
+            docs_path: result.docs_path,
+            content_hash: result.content_hash,
+            etag: result.etag,
+            last_modified: result.last_modified,
+            quality_score: result.quality.score,
+            last_synced_at: syncedAt
+          });
+          this.db.saveSpecLint(api.id, result.lint);
+          await pipeline.createVersion(this.db, { ...api, version }, result);
+          await this.searchIndexer.indexApi(api, result.spec);
+
+          console.log(`✓ Updated ${api.name}`);
+          job.recordItem(api.id, 'completed');
+          updated++;
+
+        } catch (error) {
+          console.error(`✗ Error re-syncing ${api.name}:`, error.message);
+          if (failureKey) importer.recordFailure(api, failureKey, error.stage, error.message, api.id);
+          job.publish('failed', { apiId: api.id, api: api.name, reason: error.message, failedStage: error.stage });
+          job.recordItem(api.id, 'failed', error.message);
+          failed++;
+        }
+      }
+
+      console.log('\n=== Re-sync completed ===');
+      console.log(`Updated: ${updated}`);
+      console.log(`Unchanged: ${unchanged}`);
+      console.log(`Failed: ${failed}`);
+
+      return { updated, unchanged, failed };
+
+    } catch (error) {
+      console.error('Re-sync error:', error);
+      throw error;
+    }
+  }
+
+  async runConversionRetry(job) {
+    const { failureId } = job.payload;
+
+    const failure = this.db.getConversionFailure(failureId);
+    if (!failure) {
+      throw new Error('Failure not found - it may have been retried already');
+    }
+
+    const importer = this.createImporter(job);
+
+    const api = {
+      ...failure.api_info,
+      id: uuidv4(),
+      last_synced_at: new Date().toISOString()
+    };
+    job.setTotal(1);
+
+    console.log(`\n=== Retrying conversion of ${api.name} (attempt ${failure.attempts + 1}) ===`);
+    const result = await importer.pipeline.convertAndGenerateDocs(api);
+
+    if (!result.success) {
+      const updated = importer.recordFailure(api, failure.source_url, result.stage, result.error);
+      job.recordItem(failure.source_url, 'failed', result.error);
+      return { success: false, stage: updated.stage, error: updated.error, next_retry_at: updated.next_retry_at };
     }
+
+    await importer.saveApi(api, result);
+    this.db.clearConversionFailure(failure.source_url);
+    job.recordItem(failure.source_url, 'completed');
+
+    console.log(`✓ Converted ${api.name}`);
+    return { success: true, apiId: api.id };
+  }
+
+  async runSearchIndex(job) {
+    const { all = false } = job.payload;
+
+    console.log(`\n=== Indexing ${all ? 'all' : 'unindexed'} APIs for search ===`);
+    const indexed = await this.searchIndexer.indexMissing({ all });
+    console.log(`Indexed: ${indexed}`);
+
+    return { indexed };
   }
 
-  async regenerateDocs(apiId = null) {
+  async regenerateDocs(job) {
+    const { apiId = null } = job.payload;
+
     try {
       console.log('\n=== Starting documentation regeneration ===');
 
       const pipeline = new ConversionPipeline();
+      pipeline.on('progress', event => job.publish(event.stage, event));
 
       // Get APIs to regenerate
       const apis = apiId ? [this.db.getApi(apiId)] : this.db.getAllApis({ limit: 10000 });
 
       console.log(`Regenerating docs for ${apis.length} API(s)...`);
+      job.setTotal(apis.length);
 
       let regenerated = 0;
+      let skipped = 0;
       let failed = 0;
 
       for (const api of apis) {
         if (!api) continue;
 
+        // Already regenerated before the job was interrupted
+        if (job.isItemDone(api.id)) {
+          skipped++;
+          continue;
+        }
+
         try {
           console.log(`\nRegenerating docs for: ${api.name}`);
 
           // Check if collection exists
           if (!api.collection_path || !fs.existsSync(api.collection_path)) {
             console.log(`⚠️  Collection not found for ${api.name}, skipping...`);
+            job.publish('failed', { apiId: api.id, api: api.name, reason: 'Collection not found' });
+            job.recordItem(api.id, 'failed', 'Collection not found');
             failed++;
             continue;
           }
@@ -489,39 +2157,107 @@ class CatalogServer {
             api.github_url
           );
 
+          // Rescore from the stored spec, which also fills in older entries
+          const spec = await pipeline.loadSpec(pipeline.getSpecPath(api.id)).catch(() => null);
+
           // Update database with new docs path
           this.db.updateApi(api.id, {
             docs_path: docsPath,
-            updated_at: new Date().toISOString()
+            ...(spec ? { quality_score: pipeline.scoreQuality(spec).score } : {})
           });
 
           console.log(`✓ Regenerated docs for ${api.name}`);
+          job.publish('docs_generated', { apiId: api.id, api: api.name });
+          job.recordItem(api.id, 'completed');
           regenerated++;
 
         } catch (error) {
           console.error(`✗ Error regenerating docs for ${api.name}:`, error.message);
+          job.publish('failed', { apiId: api.id, api: api.name, reason: error.message });
+          job.recordItem(api.id, 'failed', error.message);
           failed++;
         }
       }
 
       console.log('\n=== Documentation regeneration completed ===');
       console.log(`Regenerated: ${regenerated}`);
+      console.log(`Resumed past: ${skipped}`);
       console.log(`Failed: ${failed}`);
 
+      return { regenerated, skipped, failed };
+
     } catch (error) {
       console.error('Documentation regeneration error:', error);
+      throw error;
     }
   }
 
   start() {
-    this.app.listen(this.port, () => {
+    this.jobQueue.start();
+    this.scheduler.start();
+
+    // Backfill the search index for APIs added before it existed
+    if (this.db.getUnindexedApis().length > 0 && !this.jobQueue.findActiveJob('search-index')) {
+      this.jobQueue.enqueue('search-index', { all: false });
+    }
+
+    if (this.watchSpecDirectory) {
+      this.directoryWatcher = new DirectoryWatcher(this.sources.get('directory').root, {
+        onChange: () => this.queueLocalImport()
+      });
+      this.directoryWatcher.start();
+      // Pick up whatever changed while the server was down
+      this.queueLocalImport();
+    }
+
+    this.httpServer = this.app.listen(this.port, () => {
       console.log(`\n🚀 Bruno API Catalog running on http://localhost:${this.port}`);
       console.log(`📊 API endpoints: http://localhost:${this.port}/api`);
       console.log(`📚 Documentation: http://localhost:${this.port}/docs`);
     });
   }
 
-  close() {
+  /**
+   * Import the spec directory after its files changed. Updated specs become
+   * new revisions of their APIs; unchanged ones are skipped by content hash.
+   */
+  queueLocalImport() {
+    const activeJob = this.jobQueue.findActiveJob('source-import', payload => payload.source === 'directory');
+    if (activeJob) {
+      // A running import may already have passed the changed files - check again once it's done
+      if (activeJob.status === 'running') this.directoryWatcher.schedule();
+      return;
+    }
+
+    try {
+      const job = this.enqueueJob('source-import', { source: 'directory', skipExisting: false });
+      this.auth.audit(null, 'job.enqueue', job.id, { type: job.type, payload: job.payload });
+    } catch (error) {
+      console.error('Failed to queue spec directory import:', error.message);
+    }
+  }
+
+  /**
+   * Stop accepting requests and background work, then close the database
+   * @returns {Promise<void>} Resolves once the HTTP listener has closed and
+   *   the running job has finished
+   */
+  async close() {
+    this.directoryWatcher?.stop();
+    this.scheduler.stop();
+    const jobQueueStopped = this.jobQueue.stop();
+
+    if (this.httpServer) {
+      const closed = new Promise((resolve, reject) => {
+        this.httpServer.close(error => (error ? reject(error) : resolve()));
+      });
+      // Job event streams never go idle, so they'd hold the listener open
+      this.httpServer.closeAllConnections();
+      await closed;
+      this.httpServer = null;
+    }
+
+    await jobQueueStopped;
     this.db.close();
   }
 }
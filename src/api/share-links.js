@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+class ShareLinks {
+  /**
+   * Signed, expiring tokens that grant access to one private API. Tokens
+   * aren't stored, so they can't be revoked one by one; changing the secret
+   * revokes them all.
+   * @param {Object} options - `secret` the tokens are signed with (random
+   *   when missing, so links only last until a restart)
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * @param {string} apiId - API the token grants access to
+   * @param {Date} expiresAt - When it stops working
+   * @returns {string} Token for the `share` query parameter
+   */
+  create(apiId, expiresAt) {
+    const payload = `${apiId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+    return `${Buffer.from(payload).toString('base64url')}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Whether a token is genuine, unexpired and for this API
+   */
+  verify(token, apiId) {
+    if (typeof token !== 'string') return false;
+
+    const [encoded, signature] = token.split('.');
+    if (!encoded || !signature) return false;
+
+    const payload = Buffer.from(encoded, 'base64url').toString();
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return false;
+    }
+
+    const separator = payload.lastIndexOf('.');
+    const expires = Number(payload.slice(separator + 1));
+    return payload.slice(0, separator) === apiId && expires * 1000 > Date.now();
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+module.exports = ShareLinks;
@@ -0,0 +1,207 @@
+// Request validation for the /api routes.
+//
+// A schema maps each query or body parameter to a rule:
+//   { type, required, nullable, default, min, max, values, fields, check }
+// Query strings are coerced to the rule's type; JSON bodies must already
+// have the right type, except that numbers may be sent as numeric strings.
+
+class ValidationError extends Error {
+  /**
+   * @param {Array} errors - { in, field, message } for each invalid parameter
+   */
+  constructor(errors) {
+    super(`Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no'];
+
+const coerce = {
+  string(value, rule) {
+    if (typeof value !== 'string') throw new Error('must be a string');
+    const trimmed = value.trim();
+    if (rule.required && !trimmed) throw new Error('must not be empty');
+    if (rule.max !== undefined && trimmed.length > rule.max) {
+      throw new Error(`must be at most ${rule.max} characters`);
+    }
+    return trimmed;
+  },
+
+  integer(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number)) throw new Error('must be an integer');
+    return checkRange(number, rule);
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new Error('must be a number');
+    return checkRange(number, rule);
+  },
+
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new Error('must be true or false');
+  },
+
+  enum(value, rule) {
+    const text = typeof value === 'string' ? value.trim() : value;
+    const match = rule.values.find(allowed =>
+      rule.caseInsensitive ? String(allowed).toLowerCase() === String(text).toLowerCase() : allowed === text
+    );
+    if (match === undefined) throw new Error(`must be one of: ${rule.values.join(', ')}`);
+    return match;
+  },
+
+  // ISO 8601 date or date-time, normalized to an ISO string
+  date(value) {
+    const date = typeof value === 'string' && value.trim() ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) throw new Error('must be an ISO 8601 date');
+    return date.toISOString();
+  },
+
+  // Repeated (?tag=a&tag=b) or comma-separated (?tag=a,b) strings
+  list(value) {
+    const values = [].concat(value);
+    if (values.some(item => typeof item !== 'string')) throw new Error('must be a string or list of strings');
+    return values.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+  },
+
+  object(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('must be an object');
+    return value;
+  },
+
+  // "field", "field:asc", "-field" or "field DESC", against a whitelist
+  sort(value, rule) {
+    if (typeof value !== 'string') throw new Error('must be a string');
+    const match = value.trim().match(/^(-)?([A-Za-z_]+)(?:[:\s]+(asc|desc))?$/i);
+    if (!match || !rule.fields.includes(match[2])) {
+      throw new Error(`must be one of: ${rule.fields.join(', ')} (optionally with :asc or :desc)`);
+    }
+
+    const direction = match[3] ? match[3].toUpperCase() : (match[1] ? 'DESC' : 'ASC');
+    return { field: match[2], direction };
+  }
+};
+
+function checkRange(number, rule) {
+  if (rule.min !== undefined && number < rule.min) throw new Error(`must be at least ${rule.min}`);
+  if (rule.max !== undefined && number > rule.max) throw new Error(`must be at most ${rule.max}`);
+  return number;
+}
+
+/**
+ * Validate and coerce one set of parameters
+ * @param {Object} input - req.query or req.body
+ * @param {Object} schema - Rules keyed by parameter name
+ * @param {string} location - 'query' or 'body', for error reporting
+ * @returns {Object} { values, errors }
+ */
+function validateParams(input, schema, location) {
+  const values = {};
+  const errors = [];
+  const params = input && typeof input === 'object' ? input : {};
+
+  if (location === 'body' && input !== undefined && (typeof input !== 'object' || Array.isArray(input))) {
+    return { values, errors: [{ in: location, field: 'body', message: 'must be a JSON object' }] };
+  }
+
+  for (const field of Object.keys(params)) {
+    if (!schema[field]) {
+      errors.push({ in: location, field, message: 'is not a recognized parameter' });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = params[field];
+
+    if (value === undefined || (value === null && rule.nullable) || (value === '' && location === 'query' && !rule.required)) {
+      if (rule.required) {
+        errors.push({ in: location, field, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[field] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      } else if (value === null) {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    try {
+      let parsed = coerce[rule.type](value, rule);
+      if (rule.check) {
+        parsed = rule.check(parsed) ?? parsed;
+      }
+      values[field] = parsed;
+    } catch (error) {
+      errors.push({ in: location, field, message: error.message });
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Express middleware that validates req.query and req.body against a schema,
+ * replacing them with the coerced values (defaults filled in). Unknown
+ * parameters are rejected. Responds 400 listing every invalid field.
+ * @param {Object} schema - { query: {...rules}, body: {...rules} }
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['query', 'body']) {
+      if (!schema[location] && location === 'body') continue;
+
+      const result = validateParams(req[location], schema[location] || {}, location);
+      errors.push(...result.errors);
+      req[location] = result.values;
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, new ValidationError(errors));
+    }
+    next();
+  };
+}
+
+/**
+ * Respond 400 listing the invalid fields of a ValidationError
+ */
+function sendValidationError(res, error) {
+  return res.status(400).json({ error: 'Invalid request parameters', errors: error.errors });
+}
+
+/**
+ * Error middleware: report malformed JSON bodies in the same format
+ */
+function handleInvalidJson(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendValidationError(res, new ValidationError([
+      { in: 'body', field: 'body', message: 'must be valid JSON' }
+    ]));
+  }
+  next(error);
+}
+
+// Shared rules
+const pagination = (defaultLimit, maxLimit) => ({
+  limit: { type: 'integer', min: 1, max: maxLimit, default: defaultLimit },
+  offset: { type: 'integer', min: 0, default: 0 }
+});
+
+module.exports = {
+  ValidationError,
+  validate,
+  validateParams,
+  sendValidationError,
+  handleInvalidJson,
+  pagination
+};
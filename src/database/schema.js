@@ -2,6 +2,38 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
+// Columns GET /api/apis may sort by
+const API_SORT_COLUMNS = ['name', 'stars', 'quality_score', 'version', 'source', 'created_at', 'updated_at', 'last_synced_at'];
+
+// Who can see an API: everyone (public), anyone with its ID or a link
+// (unlisted), or only API keys and share links (private)
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Backoff before a failed conversion is retried: 1h, 2h, 4h, ... up to a week
+const FAILURE_RETRY_BASE_MS = 60 * 60 * 1000;
+const FAILURE_RETRY_MAX_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Search highlights are marked with control characters, so the matched text
+// can be HTML-escaped before the markers become <mark> tags
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Columns the update helpers may write; anything else is a programming error
+const UPDATABLE_COLUMNS = {
+  apis: [
+    'name', 'description', 'version', 'github_url', 'openapi_url', 'collection_path', 'docs_path',
+    'stars', 'source', 'source_url', 'last_synced_at', 'content_hash', 'etag', 'last_modified', 'openapi_version',
+    'quality_score', 'visibility'
+  ],
+  scrape_runs: ['started_at', 'completed_at', 'apis_found', 'apis_processed', 'status', 'query_stats'],
+  jobs: [
+    'status', 'payload', 'result', 'error', 'attempts', 'max_attempts', 'items_total', 'items_completed',
+    'items_skipped', 'items_failed', 'run_after', 'started_at', 'completed_at'
+  ],
+  schedules: ['name', 'job_type', 'cron', 'payload', 'enabled', 'last_run_at', 'last_job_id', 'last_error', 'next_run_at']
+};
+
 class CatalogDatabase {
   constructor(dbPath = './data/catalog.db') {
     // Ensure data directory exists
@@ -52,6 +84,38 @@ class CatalogDatabase {
     } catch (e) {
       // Column already exists, ignore
     }
+    try {
+      this.db.exec(`ALTER TABLE apis ADD COLUMN content_hash TEXT`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+    try {
+      this.db.exec(`ALTER TABLE apis ADD COLUMN etag TEXT`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+    try {
+      this.db.exec(`ALTER TABLE apis ADD COLUMN last_modified TEXT`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+    try {
+      this.db.exec(`ALTER TABLE apis ADD COLUMN quality_score INTEGER`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+    try {
+      this.db.exec(`ALTER TABLE apis ADD COLUMN visibility TEXT DEFAULT 'public'`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+    let addedOpenapiVersion = false;
+    try {
+      this.db.exec(`ALTER TABLE apis ADD COLUMN openapi_version TEXT`);
+      addedOpenapiVersion = true;
+    } catch (e) {
+      // Column already exists, ignore
+    }
 
     // Tags table
     this.db.exec(`
@@ -83,20 +147,226 @@ class CatalogDatabase {
         status TEXT
       )
     `);
+    try {
+      // JSON list of statistics per GitHub search query
+      this.db.exec(`ALTER TABLE scrape_runs ADD COLUMN query_stats TEXT`);
+    } catch (e) {
+      // Column already exists, ignore
+    }
+
+    // Every fetched revision of an API's spec
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_versions (
+        id TEXT PRIMARY KEY,
+        api_id TEXT NOT NULL,
+        version TEXT,
+        content_hash TEXT NOT NULL,
+        spec_path TEXT,
+        collection_path TEXT,
+        docs_path TEXT,
+        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (api_id) REFERENCES apis(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Background jobs (scrapes, imports, doc regeneration)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload TEXT,
+        result TEXT,
+        error TEXT,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 3,
+        items_total INTEGER DEFAULT 0,
+        items_completed INTEGER DEFAULT 0,
+        items_skipped INTEGER DEFAULT 0,
+        items_failed INTEGER DEFAULT 0,
+        run_after DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Per-item progress of a job, used to resume after a crash
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS job_items (
+        job_id TEXT,
+        item_key TEXT,
+        status TEXT,
+        error TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (job_id, item_key),
+        FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Recurring jobs (cron expressions, evaluated in UTC)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        job_type TEXT NOT NULL,
+        cron TEXT NOT NULL,
+        payload TEXT,
+        enabled INTEGER DEFAULT 1,
+        last_run_at DATETIME,
+        last_job_id TEXT,
+        last_error TEXT,
+        next_run_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Full-text search over API metadata and spec contents
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS apis_fts USING fts5(
+        api_id UNINDEXED,
+        name,
+        description,
+        paths,
+        operations,
+        tags,
+        schemas,
+        tokenize = 'porter unicode61'
+      )
+    `);
+
+    // Operations of every API, for endpoint-level search
+    const hasOperations = this.db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'operations'
+    `).get();
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS operations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        api_id TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        operation_id TEXT,
+        summary TEXT,
+        description TEXT,
+        tags TEXT,
+        request_file TEXT,
+        docs_anchor TEXT,
+        FOREIGN KEY (api_id) REFERENCES apis(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Keyed by operations.id through the rowid
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS operations_fts USING fts5(
+        path,
+        operation_id,
+        summary,
+        description,
+        tags,
+        tokenize = 'porter unicode61'
+      )
+    `);
+
+    // APIs indexed before operations (or the OpenAPI version column) existed
+    // need indexing again; the indexer fills in openapi_version from the spec
+    if (!hasOperations || addedOpenapiVersion) {
+      this.db.exec('DELETE FROM apis_fts');
+    }
+
+    // Latest validation and lint report for each API's spec
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS spec_lint (
+        api_id TEXT PRIMARY KEY,
+        valid INTEGER NOT NULL,
+        score INTEGER NOT NULL,
+        spec_version TEXT,
+        error_count INTEGER DEFAULT 0,
+        warning_count INTEGER DEFAULT 0,
+        info_count INTEGER DEFAULT 0,
+        issues TEXT,
+        linted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (api_id) REFERENCES apis(id) ON DELETE CASCADE
+      )
+    `);
+
+    // API keys for the admin endpoints; only a hash of each key is stored
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        key_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+      )
+    `);
+
+    // Who triggered which job or changed which setting
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id TEXT NOT NULL,
+        actor_name TEXT,
+        action TEXT NOT NULL,
+        target TEXT,
+        details TEXT,
+        ip TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Specs that failed to convert, one row per source URL, retried with backoff
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversion_failures (
+        id TEXT PRIMARY KEY,
+        source_url TEXT UNIQUE NOT NULL,
+        source TEXT,
+        api_id TEXT,
+        name TEXT,
+        stage TEXT NOT NULL,
+        error TEXT,
+        attempts INTEGER DEFAULT 1,
+        api_info TEXT,
+        first_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_failed_at DATETIME,
+        next_retry_at DATETIME
+      )
+    `);
+
+    // GitHub API responses by request, revalidated with their ETags
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS github_cache (
+        key TEXT PRIMARY KEY,
+        etag TEXT NOT NULL,
+        data TEXT NOT NULL,
+        used_at DATETIME NOT NULL
+      )
+    `);
 
     // Create indexes
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_apis_name ON apis(name);
       CREATE INDEX IF NOT EXISTS idx_apis_stars ON apis(stars DESC);
       CREATE INDEX IF NOT EXISTS idx_apis_created ON apis(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_api_versions_api ON api_versions(api_id, fetched_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_operations_api ON operations(api_id);
+      CREATE INDEX IF NOT EXISTS idx_apis_source ON apis(source);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_conversion_failures_retry ON conversion_failures(next_retry_at);
     `);
   }
 
   // API operations
   createApi(api) {
     const stmt = this.db.prepare(`
-      INSERT INTO apis (id, name, description, version, github_url, openapi_url, collection_path, docs_path, stars, source, source_url, last_synced_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO apis (id, name, description, version, github_url, openapi_url, collection_path, docs_path, stars, source, source_url, last_synced_at, content_hash, openapi_version, quality_score, visibility)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       api.id,
@@ -110,7 +380,11 @@ class CatalogDatabase {
       api.stars || 0,
       api.source || 'github-scrape',
       api.source_url || null,
-      api.last_synced_at || new Date().toISOString()
+      api.last_synced_at || new Date().toISOString(),
+      api.content_hash || null,
+      api.openapi_version || null,
+      api.quality_score ?? null,
+      api.visibility || 'public'
     );
   }
 
@@ -124,39 +398,439 @@ class CatalogDatabase {
     return stmt.get(url, url);
   }
 
+  /**
+   * List APIs, optionally filtered (see buildApiFilters for the filter options)
+   */
   getAllApis(options = {}) {
-    const { limit = 50, offset = 0, search = '', orderBy = 'created_at DESC' } = options;
-    
-    let query = 'SELECT * FROM apis';
+    const { limit = 50, offset = 0, orderBy = 'created_at', direction = 'DESC' } = options;
+    const { where, params } = this.buildApiFilters(options);
+
+    if (!API_SORT_COLUMNS.includes(orderBy)) {
+      throw new Error(`Cannot sort APIs by ${orderBy}`);
+    }
+    const sortDirection = String(direction).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    // id keeps pages stable when sort values tie
+    const stmt = this.db.prepare(`
+      SELECT a.* FROM apis a${where}
+      ORDER BY a.${orderBy} ${sortDirection}, a.id LIMIT ? OFFSET ?
+    `);
+    return stmt.all(...params, limit, offset);
+  }
+
+  countApis(filters = {}) {
+    const { where, params } = this.buildApiFilters(filters);
+    return this.db.prepare(`SELECT COUNT(*) as count FROM apis a${where}`).get(...params).count;
+  }
+
+  /**
+   * Counts per filter value for the APIs matching `filters`. Each facet ignores
+   * its own filter so the other values stay selectable.
+   * @returns {Object} { sources, openapiVersions, tags, hasDocs }
+   */
+  getApiFacets(filters = {}) {
+    const facet = (exclude, column, extraJoin = '') => {
+      const { where, params } = this.buildApiFilters(filters, exclude);
+      return this.db.prepare(`
+        SELECT ${column} AS value, COUNT(DISTINCT a.id) AS count
+        FROM apis a${extraJoin}${where}
+        GROUP BY value
+        ORDER BY count DESC, value
+      `).all(...params);
+    };
+
+    // Group patch releases (3.0.0, 3.0.3) under their minor version
+    const openapiVersions = new Map();
+    for (const row of facet('openapiVersion', 'a.openapi_version')) {
+      if (!row.value) continue;
+      const value = row.value.split('.').slice(0, 2).join('.');
+      openapiVersions.set(value, (openapiVersions.get(value) || 0) + row.count);
+    }
+
+    const hasDocs = facet('hasDocs', 'a.docs_path IS NOT NULL');
+
+    return {
+      sources: facet('source', 'a.source'),
+      openapiVersions: [...openapiVersions]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      tags: facet('tags', 't.name', ' JOIN api_tags at ON at.api_id = a.id JOIN tags t ON t.id = at.tag_id'),
+      hasDocs: {
+        true: hasDocs.find(row => row.value === 1)?.count || 0,
+        false: hasDocs.find(row => row.value === 0)?.count || 0
+      }
+    };
+  }
+
+  /**
+   * WHERE clause for API list filters, against `apis a`
+   * @param {Object} filters - search, tags (all must match), source, openapiVersion
+   *   (prefix, e.g. "3.0"), minStars, maxStars, minQuality, maxQuality, updatedSince, hasDocs,
+   *   visibility (list of allowed values)
+   * @param {string} exclude - Filter to leave out (used for facet counts)
+   * @returns {Object} { where, params }
+   */
+  buildApiFilters(filters = {}, exclude = null) {
+    const {
+      search, tags = [], source, openapiVersion, minStars, maxStars, minQuality, maxQuality, updatedSince, hasDocs, visibility
+    } = filters;
+    const conditions = [];
     const params = [];
 
+    if (visibility) {
+      conditions.push(this.visibilityCondition('a', visibility));
+      params.push(...visibility);
+    }
     if (search) {
-      query += ' WHERE name LIKE ? OR description LIKE ?';
+      conditions.push('(a.name LIKE ? OR a.description LIKE ?)');
       params.push(`%${search}%`, `%${search}%`);
     }
+    if (tags.length > 0 && exclude !== 'tags') {
+      for (const tag of tags) {
+        conditions.push(`EXISTS (
+          SELECT 1 FROM api_tags at JOIN tags t ON t.id = at.tag_id
+          WHERE at.api_id = a.id AND t.name = ?
+        )`);
+        params.push(tag);
+      }
+    }
+    if (source && exclude !== 'source') {
+      conditions.push('a.source = ?');
+      params.push(source);
+    }
+    if (openapiVersion && exclude !== 'openapiVersion') {
+      conditions.push("(a.openapi_version = ? OR a.openapi_version LIKE ? || '.%')");
+      params.push(openapiVersion, openapiVersion);
+    }
+    if (minStars !== undefined && minStars !== null) {
+      conditions.push('a.stars >= ?');
+      params.push(minStars);
+    }
+    if (maxStars !== undefined && maxStars !== null) {
+      conditions.push('a.stars <= ?');
+      params.push(maxStars);
+    }
+    if (minQuality !== undefined && minQuality !== null) {
+      conditions.push('a.quality_score >= ?');
+      params.push(minQuality);
+    }
+    if (maxQuality !== undefined && maxQuality !== null) {
+      conditions.push('a.quality_score <= ?');
+      params.push(maxQuality);
+    }
+    if (updatedSince) {
+      // updated_at holds both SQLite timestamps and ISO strings
+      conditions.push('datetime(a.updated_at) >= datetime(?)');
+      params.push(updatedSince);
+    }
+    if (hasDocs !== undefined && hasDocs !== null && exclude !== 'hasDocs') {
+      conditions.push(hasDocs ? 'a.docs_path IS NOT NULL' : 'a.docs_path IS NULL');
+    }
 
-    query += ` ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
-    params.push(limit, offset);
+    return {
+      where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // `alias.visibility IN (?, ...)`, taking the list of visibilities as params
+  visibilityCondition(alias, visibility) {
+    if (visibility.length === 0) return '0';
+    return `${alias}.visibility IN (${visibility.map(() => '?').join(', ')})`;
+  }
+
+  getApisForResync(options = {}) {
+    const { apiId = null, source = '', syncedBefore = null, limit = 10000 } = options;
+
+    // Uploaded specs have nowhere to be re-synced from
+    const conditions = ['(source_url IS NOT NULL OR openapi_url IS NOT NULL)'];
+    const params = [];
+
+    if (apiId) {
+      conditions.push('id = ?');
+      params.push(apiId);
+    }
+    if (source) {
+      conditions.push('source = ?');
+      params.push(source);
+    }
+    if (syncedBefore) {
+      conditions.push('(last_synced_at IS NULL OR last_synced_at < ?)');
+      params.push(syncedBefore);
+    }
+
+    let query = 'SELECT * FROM apis';
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    // Least recently synced first
+    query += ' ORDER BY last_synced_at IS NOT NULL, last_synced_at LIMIT ?';
+    params.push(limit);
 
     const stmt = this.db.prepare(query);
     return stmt.all(...params);
   }
 
   updateApi(id, updates) {
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(updates);
-    
+    const { fields, values } = this.buildUpdate('apis', updates);
+
     const stmt = this.db.prepare(`
       UPDATE apis SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
     `);
     return stmt.run(...values, id);
   }
 
+  // Derived from the spec, so these leave updated_at alone
+  setApiOpenapiVersion(id, openapiVersion) {
+    const stmt = this.db.prepare('UPDATE apis SET openapi_version = ? WHERE id = ?');
+    return stmt.run(openapiVersion, id);
+  }
+
+  setApiQualityScore(id, score) {
+    const stmt = this.db.prepare('UPDATE apis SET quality_score = ? WHERE id = ?');
+    return stmt.run(score, id);
+  }
+
   deleteApi(id) {
+    this.removeApiSearch(id);
+    this.replaceApiOperations(id, []);
+    this.db.prepare('DELETE FROM spec_lint WHERE api_id = ?').run(id);
     const stmt = this.db.prepare('DELETE FROM apis WHERE id = ?');
     return stmt.run(id);
   }
 
+  // Search index operations
+  indexApiSearch(apiId, document) {
+    const replace = this.db.transaction(() => {
+      this.removeApiSearch(apiId);
+      this.db.prepare(`
+        INSERT INTO apis_fts (api_id, name, description, paths, operations, tags, schemas)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        apiId,
+        document.name,
+        document.description,
+        document.paths,
+        document.operations,
+        document.tags,
+        document.schemas
+      );
+    });
+    return replace();
+  }
+
+  removeApiSearch(apiId) {
+    const stmt = this.db.prepare('DELETE FROM apis_fts WHERE api_id = ?');
+    return stmt.run(apiId);
+  }
+
+  // Operation operations
+  replaceApiOperations(apiId, operations) {
+    const insertOperation = this.db.prepare(`
+      INSERT INTO operations (api_id, method, path, operation_id, summary, description, tags, request_file, docs_anchor)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertSearch = this.db.prepare(`
+      INSERT INTO operations_fts (rowid, path, operation_id, summary, description, tags)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const replace = this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM operations_fts WHERE rowid IN (SELECT id FROM operations WHERE api_id = ?)
+      `).run(apiId);
+      this.db.prepare('DELETE FROM operations WHERE api_id = ?').run(apiId);
+
+      for (const op of operations) {
+        const { lastInsertRowid } = insertOperation.run(
+          apiId,
+          op.method,
+          op.path,
+          op.operation_id,
+          op.summary,
+          op.description,
+          JSON.stringify(op.tags || []),
+          op.request_file,
+          op.docs_anchor
+        );
+        insertSearch.run(
+          lastInsertRowid,
+          op.path,
+          op.operation_words || op.operation_id || '',
+          op.summary || '',
+          op.description || '',
+          (op.tags || []).join(' ')
+        );
+      }
+    });
+    return replace();
+  }
+
+  searchOperations(options = {}) {
+    const { q = '', method = '', apiId = '', tag = '', visibility = null, limit = 20, offset = 0 } = options;
+
+    const conditions = [];
+    const params = [];
+    let from = 'operations o';
+    let orderBy = 'a.name, o.path, o.method';
+    let select = 'o.*, a.name AS api_name, a.docs_path AS api_docs_path';
+
+    if (q) {
+      const query = this.toFtsQuery(q);
+      if (!query) {
+        return { results: [], total: 0 };
+      }
+
+      // Column weights: path, operation_id, summary, description, tags
+      const rank = 'bm25(operations_fts, 3.0, 4.0, 6.0, 1.0, 2.0)';
+      from = 'operations_fts JOIN operations o ON o.id = operations_fts.rowid';
+      conditions.push('operations_fts MATCH ?');
+      params.push(query);
+      orderBy = rank;
+      select += `, -${rank} AS score, snippet(operations_fts, 2, '${MATCH_START}', '${MATCH_END}', '…', 16) AS summary_snippet`;
+    }
+    if (method) {
+      conditions.push('o.method = ?');
+      params.push(method.toUpperCase());
+    }
+    if (apiId) {
+      conditions.push('o.api_id = ?');
+      params.push(apiId);
+    }
+    if (tag) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(o.tags) WHERE json_each.value = ?)');
+      params.push(tag);
+    }
+    if (visibility) {
+      conditions.push(this.visibilityCondition('a', visibility));
+      params.push(...visibility);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = this.db.prepare(`
+      SELECT COUNT(*) as count FROM ${from} JOIN apis a ON a.id = o.api_id${where}
+    `).get(...params).count;
+
+    const results = this.db.prepare(`
+      SELECT ${select} FROM ${from} JOIN apis a ON a.id = o.api_id${where}
+      ORDER BY ${orderBy}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(row => ({
+      ...row,
+      tags: JSON.parse(row.tags || '[]'),
+      summary_snippet: this.markMatches(row.summary_snippet)
+    }));
+
+    return { results, total };
+  }
+
+  getUnindexedApis() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM apis WHERE id NOT IN (SELECT api_id FROM apis_fts)
+    `);
+    return stmt.all();
+  }
+
+  // Turn free text into an FTS5 query: every word must match, as a prefix
+  toFtsQuery(text) {
+    const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `"${word}"*`).join(' ');
+  }
+
+  searchApis(text, options = {}) {
+    const { limit = 20, offset = 0, visibility = null } = options;
+
+    const query = this.toFtsQuery(text);
+    if (!query) {
+      return { results: [], total: 0 };
+    }
+
+    // Column weights: name, description, paths, operations, tags, schemas
+    const rank = 'bm25(apis_fts, 0, 10.0, 3.0, 4.0, 5.0, 6.0, 2.0)';
+
+    const visible = visibility ? ` AND ${this.visibilityCondition('a', visibility)}` : '';
+    const visibilityParams = visibility || [];
+
+    const total = this.db.prepare(`
+      SELECT COUNT(*) as count FROM apis_fts
+      JOIN apis a ON a.id = apis_fts.api_id
+      WHERE apis_fts MATCH ?${visible}
+    `).get(query, ...visibilityParams).count;
+
+    const results = this.db.prepare(`
+      SELECT
+        a.*,
+        -${rank} AS score,
+        highlight(apis_fts, 1, '${MATCH_START}', '${MATCH_END}') AS name_highlight,
+        snippet(apis_fts, 2, '${MATCH_START}', '${MATCH_END}', '…', 24) AS description_snippet,
+        snippet(apis_fts, 3, '${MATCH_START}', '${MATCH_END}', '…', 12) AS paths_snippet,
+        snippet(apis_fts, 4, '${MATCH_START}', '${MATCH_END}', '…', 16) AS operations_snippet,
+        snippet(apis_fts, 6, '${MATCH_START}', '${MATCH_END}', '…', 12) AS schemas_snippet
+      FROM apis_fts
+      JOIN apis a ON a.id = apis_fts.api_id
+      WHERE apis_fts MATCH ?${visible}
+      ORDER BY ${rank}
+      LIMIT ? OFFSET ?
+    `).all(query, ...visibilityParams, limit, offset).map(row => ({
+      ...row,
+      name_highlight: this.markMatches(row.name_highlight),
+      description_snippet: this.markMatches(row.description_snippet),
+      paths_snippet: this.markMatches(row.paths_snippet),
+      operations_snippet: this.markMatches(row.operations_snippet),
+      schemas_snippet: this.markMatches(row.schemas_snippet)
+    }));
+
+    return { results, total };
+  }
+
+  // Spec text is untrusted: escape it, then turn the match markers into <mark> tags
+  markMatches(text) {
+    if (text === null || text === undefined) return text;
+    return String(text)
+      .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+      .split(MATCH_START).join('<mark>')
+      .split(MATCH_END).join('</mark>');
+  }
+
+  // API version operations
+  createApiVersion(version) {
+    const stmt = this.db.prepare(`
+      INSERT INTO api_versions (id, api_id, version, content_hash, spec_path, collection_path, docs_path, fetched_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      version.id,
+      version.api_id,
+      version.version,
+      version.content_hash,
+      version.spec_path,
+      version.collection_path || null,
+      version.docs_path || null,
+      version.fetched_at || new Date().toISOString()
+    );
+  }
+
+  getApiVersion(apiId, versionId) {
+    const stmt = this.db.prepare('SELECT * FROM api_versions WHERE api_id = ? AND id = ?');
+    return stmt.get(apiId, versionId);
+  }
+
+  getApiVersions(apiId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM api_versions WHERE api_id = ? ORDER BY fetched_at DESC, rowid DESC
+    `);
+    return stmt.all(apiId);
+  }
+
+  getLatestApiVersion(apiId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM api_versions WHERE api_id = ? ORDER BY fetched_at DESC, rowid DESC LIMIT 1
+    `);
+    return stmt.get(apiId);
+  }
+
   // Tag operations
   createTag(id, name) {
     const stmt = this.db.prepare('INSERT OR IGNORE INTO tags (id, name) VALUES (?, ?)');
@@ -188,6 +862,32 @@ class CatalogDatabase {
     return stmt.all();
   }
 
+  /**
+   * Tags with the number of APIs that have them, most used first. With a
+   * `visibility` list only those APIs count, and tags no such API has are left out.
+   */
+  getTagsWithCounts(options = {}) {
+    const { visibility = null } = options;
+
+    if (!visibility) {
+      return this.db.prepare(`
+        SELECT t.*, COUNT(at.api_id) AS count FROM tags t
+        LEFT JOIN api_tags at ON at.tag_id = t.id
+        GROUP BY t.id
+        ORDER BY count DESC, t.name
+      `).all();
+    }
+
+    return this.db.prepare(`
+      SELECT t.*, COUNT(*) AS count FROM tags t
+      JOIN api_tags at ON at.tag_id = t.id
+      JOIN apis a ON a.id = at.api_id
+      WHERE ${this.visibilityCondition('a', visibility)}
+      GROUP BY t.id
+      ORDER BY count DESC, t.name
+    `).all(...visibility);
+  }
+
   // API-Tag relationship
   addTagToApi(apiId, tagId) {
     const stmt = this.db.prepare('INSERT OR IGNORE INTO api_tags (api_id, tag_id) VALUES (?, ?)');
@@ -203,14 +903,15 @@ class CatalogDatabase {
     return stmt.all(apiId);
   }
 
-  getApisByTag(tagName) {
+  getApisByTag(tagName, options = {}) {
+    const { visibility = null } = options;
     const stmt = this.db.prepare(`
       SELECT a.* FROM apis a
       JOIN api_tags at ON a.id = at.api_id
       JOIN tags t ON at.tag_id = t.id
-      WHERE t.name = ?
+      WHERE t.name = ?${visibility ? ` AND ${this.visibilityCondition('a', visibility)}` : ''}
     `);
-    return stmt.all(tagName);
+    return stmt.all(tagName, ...(visibility || []));
   }
 
   // Scrape run operations
@@ -223,9 +924,8 @@ class CatalogDatabase {
   }
 
   updateScrapeRun(id, updates) {
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(updates);
-    
+    const { fields, values } = this.buildUpdate('scrape_runs', updates);
+
     const stmt = this.db.prepare(`
       UPDATE scrape_runs SET ${fields} WHERE id = ?
     `);
@@ -234,13 +934,220 @@ class CatalogDatabase {
 
   getLatestScrapeRun() {
     const stmt = this.db.prepare('SELECT * FROM scrape_runs ORDER BY started_at DESC LIMIT 1');
-    return stmt.get();
+    const row = stmt.get();
+    return row ? { ...row, query_stats: row.query_stats ? JSON.parse(row.query_stats) : [] } : row;
+  }
+
+  // Job operations
+  createJob(job) {
+    const stmt = this.db.prepare(`
+      INSERT INTO jobs (id, type, status, payload, max_attempts, run_after)
+      VALUES (?, ?, 'queued', ?, ?, ?)
+    `);
+    return stmt.run(
+      job.id,
+      job.type,
+      JSON.stringify(job.payload || {}),
+      job.max_attempts || 3,
+      job.run_after || null
+    );
+  }
+
+  getJob(id) {
+    const stmt = this.db.prepare('SELECT * FROM jobs WHERE id = ?');
+    return this.parseJob(stmt.get(id));
+  }
+
+  getJobs(options = {}) {
+    const { limit = 50, offset = 0, status = '', type = '' } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    let query = 'SELECT * FROM jobs';
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const stmt = this.db.prepare(query);
+    return stmt.all(...params).map(row => this.parseJob(row));
+  }
+
+  getActiveJobs(type) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM jobs WHERE type = ? AND status IN ('queued', 'running')
+      ORDER BY created_at
+    `);
+    return stmt.all(type).map(row => this.parseJob(row));
+  }
+
+  getNextQueuedJob() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM jobs
+      WHERE status = 'queued' AND (run_after IS NULL OR run_after <= ?)
+      ORDER BY created_at, rowid
+      LIMIT 1
+    `);
+    return this.parseJob(stmt.get(new Date().toISOString()));
+  }
+
+  getJobsByStatus(status) {
+    const stmt = this.db.prepare('SELECT * FROM jobs WHERE status = ? ORDER BY created_at');
+    return stmt.all(status).map(row => this.parseJob(row));
+  }
+
+  updateJob(id, updates) {
+    const { fields, values } = this.buildUpdate('jobs', updates);
+
+    const stmt = this.db.prepare(`
+      UPDATE jobs SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    return stmt.run(...values, id);
+  }
+
+  parseJob(row) {
+    if (!row) return row;
+    return {
+      ...row,
+      payload: row.payload ? JSON.parse(row.payload) : {},
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  }
+
+  // Job item operations
+  recordJobItem(jobId, itemKey, status, error = null) {
+    this.db.prepare(`
+      INSERT INTO job_items (job_id, item_key, status, error, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (job_id, item_key) DO UPDATE SET
+        status = excluded.status,
+        error = excluded.error,
+        updated_at = excluded.updated_at
+    `).run(jobId, itemKey, status, error);
+
+    // Keep the counters on the job row in sync with its items
+    return this.db.prepare(`
+      UPDATE jobs SET
+        items_completed = (SELECT COUNT(*) FROM job_items WHERE job_id = ? AND status = 'completed'),
+        items_skipped = (SELECT COUNT(*) FROM job_items WHERE job_id = ? AND status = 'skipped'),
+        items_failed = (SELECT COUNT(*) FROM job_items WHERE job_id = ? AND status = 'failed'),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(jobId, jobId, jobId, jobId);
+  }
+
+  getJobItem(jobId, itemKey) {
+    const stmt = this.db.prepare('SELECT * FROM job_items WHERE job_id = ? AND item_key = ?');
+    return stmt.get(jobId, itemKey);
+  }
+
+  getJobItems(jobId, options = {}) {
+    const { limit = 100, offset = 0, status = '' } = options;
+
+    let query = 'SELECT * FROM job_items WHERE job_id = ?';
+    const params = [jobId];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY updated_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const stmt = this.db.prepare(query);
+    return stmt.all(...params);
+  }
+
+  // Schedule operations
+  createSchedule(schedule) {
+    const stmt = this.db.prepare(`
+      INSERT INTO schedules (id, name, job_type, cron, payload, enabled, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      schedule.id,
+      schedule.name,
+      schedule.job_type,
+      schedule.cron,
+      JSON.stringify(schedule.payload || {}),
+      schedule.enabled === false ? 0 : 1,
+      schedule.next_run_at || null
+    );
+  }
+
+  getSchedule(id) {
+    const stmt = this.db.prepare('SELECT * FROM schedules WHERE id = ?');
+    return this.parseSchedule(stmt.get(id));
+  }
+
+  getSchedules() {
+    const stmt = this.db.prepare('SELECT * FROM schedules ORDER BY name');
+    return stmt.all().map(row => this.parseSchedule(row));
+  }
+
+  getDueSchedules(now) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM schedules
+      WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at
+    `);
+    return stmt.all(now).map(row => this.parseSchedule(row));
+  }
+
+  updateSchedule(id, updates) {
+    const { fields, values } = this.buildUpdate('schedules', updates);
+
+    const stmt = this.db.prepare(`
+      UPDATE schedules SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    return stmt.run(...values, id);
+  }
+
+  deleteSchedule(id) {
+    const stmt = this.db.prepare('DELETE FROM schedules WHERE id = ?');
+    return stmt.run(id);
+  }
+
+  parseSchedule(row) {
+    if (!row) return row;
+    return {
+      ...row,
+      payload: row.payload ? JSON.parse(row.payload) : {},
+      enabled: !!row.enabled
+    };
   }
 
   // Stats
-  getStats() {
-    const totalApis = this.db.prepare('SELECT COUNT(*) as count FROM apis').get().count;
-    const totalTags = this.db.prepare('SELECT COUNT(*) as count FROM tags').get().count;
+  /**
+   * @param {Object} options - `visibility` list to count only those APIs
+   *   (and tags with at least one of them); every API when null
+   */
+  getStats(options = {}) {
+    const { visibility = null } = options;
+
+    let totalApis;
+    let totalTags;
+    if (visibility) {
+      totalApis = this.db.prepare(`
+        SELECT COUNT(*) as count FROM apis a WHERE ${this.visibilityCondition('a', visibility)}
+      `).get(...visibility).count;
+      totalTags = this.getTagsWithCounts({ visibility }).length;
+    } else {
+      totalApis = this.db.prepare('SELECT COUNT(*) as count FROM apis').get().count;
+      totalTags = this.db.prepare('SELECT COUNT(*) as count FROM tags').get().count;
+    }
     const latestRun = this.getLatestScrapeRun();
 
     return {
@@ -250,9 +1157,295 @@ class CatalogDatabase {
     };
   }
 
+  // Spec lint operations
+  saveSpecLint(apiId, report) {
+    const stmt = this.db.prepare(`
+      INSERT INTO spec_lint (api_id, valid, score, spec_version, error_count, warning_count, info_count, issues, linted_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(api_id) DO UPDATE SET
+        valid = excluded.valid,
+        score = excluded.score,
+        spec_version = excluded.spec_version,
+        error_count = excluded.error_count,
+        warning_count = excluded.warning_count,
+        info_count = excluded.info_count,
+        issues = excluded.issues,
+        linted_at = excluded.linted_at
+    `);
+    return stmt.run(
+      apiId,
+      report.valid ? 1 : 0,
+      report.score,
+      report.specVersion || null,
+      report.counts.error,
+      report.counts.warning,
+      report.counts.info,
+      JSON.stringify(report.issues)
+    );
+  }
+
+  getSpecLint(apiId) {
+    const row = this.db.prepare('SELECT * FROM spec_lint WHERE api_id = ?').get(apiId);
+    if (!row) return row;
+    return {
+      ...row,
+      valid: !!row.valid,
+      issues: row.issues ? JSON.parse(row.issues) : []
+    };
+  }
+
+  // API key operations
+  createApiKey(key) {
+    const stmt = this.db.prepare(`
+      INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(key.id, key.name, key.key_hash, key.key_prefix, JSON.stringify(key.scopes));
+  }
+
+  getApiKey(id) {
+    const stmt = this.db.prepare('SELECT * FROM api_keys WHERE id = ?');
+    return this.parseApiKey(stmt.get(id));
+  }
+
+  getApiKeyByHash(keyHash) {
+    const stmt = this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+    return this.parseApiKey(stmt.get(keyHash));
+  }
+
+  getApiKeys() {
+    const stmt = this.db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC');
+    return stmt.all().map(row => this.parseApiKey(row));
+  }
+
+  touchApiKey(id) {
+    const stmt = this.db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  }
+
+  revokeApiKey(id) {
+    const stmt = this.db.prepare(`
+      UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL
+    `);
+    return stmt.run(id);
+  }
+
+  // Never hand the hash back out
+  parseApiKey(row) {
+    if (!row) return row;
+    const { key_hash, ...key } = row;
+    return { ...key, scopes: JSON.parse(row.scopes) };
+  }
+
+  // Audit log operations
+  createAuditEntry(entry) {
+    const stmt = this.db.prepare(`
+      INSERT INTO audit_log (actor_id, actor_name, action, target, details, ip)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      entry.actor_id,
+      entry.actor_name || null,
+      entry.action,
+      entry.target || null,
+      JSON.stringify(entry.details || {}),
+      entry.ip || null
+    );
+  }
+
+  getAuditLog(options = {}) {
+    const { limit = 50, offset = 0, action = '', actorId = '', target = '' } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (actorId) {
+      conditions.push('actor_id = ?');
+      params.push(actorId);
+    }
+    if (target) {
+      conditions.push('target = ?');
+      params.push(target);
+    }
+
+    let query = 'SELECT * FROM audit_log';
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    query += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const stmt = this.db.prepare(query);
+    return stmt.all(...params).map(row => ({
+      ...row,
+      details: row.details ? JSON.parse(row.details) : {}
+    }));
+  }
+
+  // Conversion failures
+  /**
+   * Record a failed conversion of a spec, bumping the attempt count and
+   * pushing the next automatic retry back exponentially
+   * @param {Object} failure - source_url, stage, error and optionally source,
+   *   api_id, name and api_info (what's needed to retry)
+   * @returns {Object} The stored failure
+   */
+  recordConversionFailure(failure) {
+    const previous = this.getConversionFailureByUrl(failure.source_url);
+    const attempts = (previous ? previous.attempts : 0) + 1;
+    const delay = Math.min(FAILURE_RETRY_BASE_MS * 2 ** (attempts - 1), FAILURE_RETRY_MAX_MS);
+    const now = new Date();
+
+    const stmt = this.db.prepare(`
+      INSERT INTO conversion_failures (id, source_url, source, api_id, name, stage, error, attempts, api_info, last_failed_at, next_retry_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(source_url) DO UPDATE SET
+        source = excluded.source,
+        api_id = excluded.api_id,
+        name = excluded.name,
+        stage = excluded.stage,
+        error = excluded.error,
+        attempts = excluded.attempts,
+        api_info = excluded.api_info,
+        last_failed_at = excluded.last_failed_at,
+        next_retry_at = excluded.next_retry_at
+    `);
+    stmt.run(
+      previous ? previous.id : failure.id,
+      failure.source_url,
+      failure.source || null,
+      failure.api_id || null,
+      failure.name || null,
+      failure.stage,
+      failure.error || null,
+      attempts,
+      failure.api_info ? JSON.stringify(failure.api_info) : null,
+      now.toISOString(),
+      new Date(now.getTime() + delay).toISOString()
+    );
+
+    return this.getConversionFailureByUrl(failure.source_url);
+  }
+
+  getConversionFailure(id) {
+    const stmt = this.db.prepare('SELECT * FROM conversion_failures WHERE id = ?');
+    return this.parseConversionFailure(stmt.get(id));
+  }
+
+  getConversionFailureByUrl(sourceUrl) {
+    const stmt = this.db.prepare('SELECT * FROM conversion_failures WHERE source_url = ?');
+    return this.parseConversionFailure(stmt.get(sourceUrl));
+  }
+
+  /**
+   * @param {Object} options - limit, offset and the filters stage, source and
+   *   due (only failures whose retry time has passed)
+   * @returns {Object} { failures, total }
+   */
+  getConversionFailures(options = {}) {
+    const { limit = 50, offset = 0, stage = '', source = '', due = null } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (stage) {
+      conditions.push('stage = ?');
+      params.push(stage);
+    }
+    if (source) {
+      conditions.push('source = ?');
+      params.push(source);
+    }
+    if (due !== null) {
+      conditions.push(due ? 'next_retry_at <= ?' : 'next_retry_at > ?');
+      params.push(new Date().toISOString());
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) as count FROM conversion_failures ${where}`).get(...params).count;
+    const rows = this.db.prepare(`
+      SELECT * FROM conversion_failures ${where}
+      ORDER BY last_failed_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { failures: rows.map(row => this.parseConversionFailure(row)), total };
+  }
+
+  // A URL that failed to convert is left alone until its backoff has passed
+  isConversionRetryPending(sourceUrl) {
+    const failure = this.getConversionFailureByUrl(sourceUrl);
+    return Boolean(failure && failure.next_retry_at > new Date().toISOString());
+  }
+
+  // A successful conversion clears the failure record
+  clearConversionFailure(sourceUrl) {
+    const stmt = this.db.prepare('DELETE FROM conversion_failures WHERE source_url = ?');
+    return stmt.run(sourceUrl);
+  }
+
+  parseConversionFailure(row) {
+    if (!row) return row;
+    return {
+      ...row,
+      api_info: row.api_info ? JSON.parse(row.api_info) : null
+    };
+  }
+
+  // GitHub response cache operations
+  getGitHubCacheEntry(key) {
+    const stmt = this.db.prepare('SELECT etag, data FROM github_cache WHERE key = ?');
+    const row = stmt.get(key);
+    return row ? { etag: row.etag, data: JSON.parse(row.data) } : null;
+  }
+
+  setGitHubCacheEntry(key, etag, data) {
+    const stmt = this.db.prepare(`
+      INSERT INTO github_cache (key, etag, data, used_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET etag = excluded.etag, data = excluded.data, used_at = excluded.used_at
+    `);
+    return stmt.run(key, etag, JSON.stringify(data), new Date().toISOString());
+  }
+
+  touchGitHubCacheEntry(key) {
+    const stmt = this.db.prepare('UPDATE github_cache SET used_at = ? WHERE key = ?');
+    return stmt.run(new Date().toISOString(), key);
+  }
+
+  // Drop entries not used since `before` (ISO date)
+  pruneGitHubCache(before) {
+    const stmt = this.db.prepare('DELETE FROM github_cache WHERE used_at < ?');
+    return stmt.run(before);
+  }
+
+  /**
+   * SET clause for an update helper, restricted to the table's whitelisted columns
+   * @throws {Error} If `updates` names a column that may not be updated
+   */
+  buildUpdate(table, updates) {
+    const columns = Object.keys(updates);
+    const invalid = columns.filter(column => !UPDATABLE_COLUMNS[table].includes(column));
+    if (invalid.length > 0) {
+      throw new Error(`Cannot update ${table} column(s): ${invalid.join(', ')}`);
+    }
+
+    return {
+      fields: columns.map(column => `${column} = ?`).join(', '),
+      values: Object.values(updates)
+    };
+  }
+
   close() {
     this.db.close();
   }
 }
 
+CatalogDatabase.API_SORT_COLUMNS = API_SORT_COLUMNS;
+CatalogDatabase.VISIBILITIES = VISIBILITIES;
+
 module.exports = CatalogDatabase;
@@ -0,0 +1,161 @@
+// Standard 5-field cron expressions, evaluated in UTC:
+// minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up looking for a matching time after this many years
+const MAX_YEARS_AHEAD = 5;
+
+class CronExpression {
+  /**
+   * @param {string} expression - e.g. '0 3 * * *' or '@daily'
+   * @throws {Error} If the expression is invalid
+   */
+  constructor(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new Error('Cron expression is required');
+    }
+
+    this.expression = expression.trim();
+    const source = MACROS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => this.parseField(part, FIELDS[i]));
+
+    this.minutes = minutes;
+    this.hours = hours;
+    this.daysOfMonth = daysOfMonth;
+    this.months = months;
+
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+      daysOfWeek.delete(7);
+      daysOfWeek.add(0);
+    }
+    this.daysOfWeek = daysOfWeek;
+
+    // Like cron: if both day fields are restricted, either may match
+    this.domRestricted = parts[2] !== '*';
+    this.dowRestricted = parts[4] !== '*';
+  }
+
+  parseField(part, field) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const [rangePart, stepPart] = item.split('/');
+      const step = stepPart === undefined ? 1 : Number(stepPart);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${stepPart}" in ${field.name} field`);
+      }
+
+      let start;
+      let end;
+      if (rangePart === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        const [from, to] = rangePart.split('-');
+        start = this.parseValue(from, field);
+        end = this.parseValue(to, field);
+      } else {
+        start = this.parseValue(rangePart, field);
+        // "5/15" means every 15 starting at 5
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid range "${rangePart}" in ${field.name} field`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  parseValue(value, field) {
+    const upper = String(value).toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+      return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+    }
+
+    const number = Number(value);
+    if (value === '' || !Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid value "${value}" in ${field.name} field (${field.min}-${field.max})`);
+    }
+    return number;
+  }
+
+  matchesDay(date) {
+    const domMatch = this.daysOfMonth.has(date.getUTCDate());
+    const dowMatch = this.daysOfWeek.has(date.getUTCDay());
+
+    if (this.domRestricted && this.dowRestricted) return domMatch || dowMatch;
+    if (this.domRestricted) return domMatch;
+    if (this.dowRestricted) return dowMatch;
+    return true;
+  }
+
+  /**
+   * Next time the expression fires, strictly after `from`
+   * @param {Date} from - Start time (default: now)
+   * @returns {Date|null} Next run time, or null if none within a few years
+   */
+  next(from = new Date()) {
+    const date = new Date(from.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = new Date(from.getTime());
+    limit.setUTCFullYear(limit.getUTCFullYear() + MAX_YEARS_AHEAD);
+
+    while (date < limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1);
+        date.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    return null;
+  }
+}
+
+module.exports = CronExpression;
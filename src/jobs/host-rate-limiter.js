@@ -0,0 +1,39 @@
+// Default gap between two requests to the same host
+const DEFAULT_INTERVAL_MS = 250;
+
+class HostRateLimiter {
+  /**
+   * Spaces out requests per host, so concurrent workers stay polite to each upstream
+   * @param {Object} options - `interval` ms between requests to one host (0 disables)
+   */
+  constructor(options = {}) {
+    this.interval = options.interval ?? DEFAULT_INTERVAL_MS;
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * Wait until a request to this URL's host is allowed. Slots are handed out
+   * in call order, so callers waiting on the same host queue up.
+   * @param {string} url - URL about to be fetched
+   */
+  async wait(url) {
+    if (this.interval <= 0) return;
+
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch (error) {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, slot + this.interval);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+module.exports = HostRateLimiter;
@@ -0,0 +1,273 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+class JobQueue extends EventEmitter {
+  constructor(database, options = {}) {
+    super();
+    // One listener per open event stream, so don't cap them
+    this.setMaxListeners(0);
+
+    this.db = database;
+    this.handlers = new Map();
+    this.pollInterval = options.pollInterval || 5000;
+    this.retryDelay = options.retryDelay || 30000;
+    this.currentJobId = null;
+    // Promise for the running job, so stop() can wait for it
+    this.currentRun = null;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Register the handler that runs jobs of a given type
+   * @param {string} type - Job type (e.g. 'scrape')
+   * @param {Function} handler - async (job) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  hasHandler(type) {
+    return this.handlers.has(type);
+  }
+
+  getTypes() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Options passed to the handler
+   * @param {Object} options - Queue options (maxAttempts)
+   * @returns {Object} The queued job
+   */
+  enqueue(type, payload = {}, options = {}) {
+    if (!this.hasHandler(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const id = uuidv4();
+    this.db.createJob({
+      id,
+      type,
+      payload,
+      max_attempts: options.maxAttempts || 3
+    });
+
+    console.log(`📥 Queued ${type} job ${id}`);
+
+    // Pick it up right away if the queue is idle
+    setImmediate(() => this.poll());
+
+    return this.db.getJob(id);
+  }
+
+  /**
+   * Find queued or running jobs of a type, optionally matching a payload predicate
+   * @param {string} type - Job type
+   * @param {Function} predicate - Optional filter on the job payload
+   * @returns {Object|undefined} The first matching active job
+   */
+  findActiveJob(type, predicate = () => true) {
+    return this.db.getActiveJobs(type).find(job => predicate(job.payload));
+  }
+
+  /**
+   * Start processing queued jobs, resuming any interrupted by a restart
+   */
+  start() {
+    this.stopped = false;
+    this.resumeInterrupted();
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop picking up jobs
+   * @returns {Promise<void>} Resolves once the running job, if any, has settled
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    // The running job still writes its result to the database
+    if (this.currentRun) {
+      console.log(`⏳ Waiting for job ${this.currentJobId} to finish...`);
+      await this.currentRun.catch(() => {});
+    }
+  }
+
+  /**
+   * processNext() for timers, which have nowhere to pass an error on to.
+   * Errors (e.g. from a closed database) are logged instead of crashing the process.
+   */
+  poll() {
+    this.processNext().catch(error => {
+      console.error('Job queue error:', error.message);
+    });
+  }
+
+  /**
+   * Broadcast an event to anyone watching a job (see `job:<id>` listeners)
+   * @param {string} jobId - Job ID
+   * @param {string} type - Event type (status, progress, downloaded, ...)
+   * @param {Object} data - Event payload
+   */
+  publish(jobId, type, data = {}) {
+    this.emit(`job:${jobId}`, {
+      type,
+      data: { ...data, timestamp: new Date().toISOString() }
+    });
+  }
+
+  /**
+   * Jobs still marked as running at startup were interrupted by a crash or
+   * restart. Put them back in the queue so they continue where they left off.
+   */
+  resumeInterrupted() {
+    const interrupted = this.db.getJobsByStatus('running');
+
+    for (const job of interrupted) {
+      if (job.attempts >= job.max_attempts) {
+        console.log(`✗ Job ${job.id} (${job.type}) was interrupted and has no attempts left`);
+        this.db.updateJob(job.id, {
+          status: 'failed',
+          error: 'Interrupted by server restart',
+          completed_at: new Date().toISOString()
+        });
+      } else {
+        console.log(`↻ Resuming interrupted job ${job.id} (${job.type})`);
+        this.db.updateJob(job.id, { status: 'queued', run_after: null });
+      }
+    }
+  }
+
+  /**
+   * Run the next queued job, if nothing else is running.
+   * Jobs run one at a time so overlapping triggers never race each other.
+   */
+  async processNext() {
+    if (this.currentJobId || this.stopped) return;
+
+    const job = this.db.getNextQueuedJob();
+    if (!job) return;
+
+    this.currentJobId = job.id;
+    this.currentRun = this.runJob(job);
+    try {
+      await this.currentRun;
+    } finally {
+      this.currentJobId = null;
+      this.currentRun = null;
+    }
+
+    // Drain the rest of the queue without waiting for the next poll
+    setImmediate(() => this.poll());
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const attempt = job.attempts + 1;
+
+    this.db.updateJob(job.id, {
+      status: 'running',
+      attempts: attempt,
+      error: null,
+      started_at: new Date().toISOString()
+    });
+
+    console.log(`\n▶ Running ${job.type} job ${job.id} (attempt ${attempt}/${job.max_attempts})`);
+    this.publish(job.id, 'status', { status: 'running', attempt });
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      const result = await handler(this.createContext({ ...job, attempts: attempt }));
+
+      this.db.updateJob(job.id, {
+        status: 'completed',
+        result: JSON.stringify(result || null),
+        completed_at: new Date().toISOString()
+      });
+      console.log(`✓ Job ${job.id} completed`);
+      this.publish(job.id, 'status', { status: 'completed', result: result || null });
+    } catch (error) {
+      console.error(`✗ Job ${job.id} failed:`, error.message);
+
+      if (attempt < job.max_attempts) {
+        // Back off exponentially before the next attempt
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        this.db.updateJob(job.id, {
+          status: 'queued',
+          error: error.message,
+          run_after: new Date(Date.now() + delay).toISOString()
+        });
+        console.log(`↻ Retrying job ${job.id} in ${Math.ceil(delay / 1000)} seconds`);
+        this.publish(job.id, 'status', { status: 'queued', error: error.message, retryInMs: delay });
+      } else {
+        this.db.updateJob(job.id, {
+          status: 'failed',
+          error: error.message,
+          completed_at: new Date().toISOString()
+        });
+        this.publish(job.id, 'status', { status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Build the object handed to a job handler
+   * @param {Object} job - The job row
+   * @returns {Object} Job context with progress helpers
+   */
+  createContext(job) {
+    const db = this.db;
+    const queue = this;
+
+    return {
+      id: job.id,
+      type: job.type,
+      payload: job.payload,
+      attempt: job.attempts,
+
+      setTotal(total) {
+        db.updateJob(job.id, { items_total: total });
+        queue.publishProgress(job.id);
+      },
+
+      // Items finished in an earlier attempt don't need to be processed again
+      isItemDone(key) {
+        const item = db.getJobItem(job.id, key);
+        return !!item && (item.status === 'completed' || item.status === 'skipped');
+      },
+
+      recordItem(key, status, error = null) {
+        db.recordJobItem(job.id, key, status, error);
+        queue.publishProgress(job.id);
+      },
+
+      // Forward per-API events (downloaded, converted, failed, ...) to watchers
+      publish(type, data) {
+        queue.publish(job.id, type, data);
+      }
+    };
+  }
+
+  publishProgress(jobId) {
+    const job = this.db.getJob(jobId);
+    this.publish(jobId, 'progress', {
+      items_total: job.items_total,
+      items_completed: job.items_completed,
+      items_skipped: job.items_skipped,
+      items_failed: job.items_failed
+    });
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,105 @@
+const CronExpression = require('./cron');
+
+class Scheduler {
+  /**
+   * @param {Object} database - CatalogDatabase instance
+   * @param {Object} options - `enqueue(type, payload)` queues a job and returns it
+   */
+  constructor(database, options = {}) {
+    this.db = database;
+    this.enqueue = options.enqueue;
+    this.checkInterval = options.checkInterval || 30000;
+    this.timer = null;
+  }
+
+  /**
+   * Start firing due schedules. Schedules missed while the server was down run once on start.
+   */
+  start() {
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.checkInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  tick() {
+    try {
+      const now = new Date();
+      const due = this.db.getDueSchedules(now.toISOString());
+
+      for (const schedule of due) {
+        this.runSchedule(schedule, now);
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    }
+  }
+
+  /**
+   * Queue the job for a schedule and compute its next run
+   * @param {Object} schedule - Schedule row
+   * @param {Date} now - Current time
+   * @returns {Object|null} The queued job, or null if skipped or failed
+   */
+  runSchedule(schedule, now = new Date()) {
+    const nextRunAt = this.getNextRun(schedule.cron, now);
+
+    // Never overlap runs of the same schedule
+    const activeJob = this.getActiveJob(schedule);
+    if (activeJob) {
+      console.log(`⏭️  Schedule "${schedule.name}" skipped: previous run ${activeJob.id} is still ${activeJob.status}`);
+      this.db.updateSchedule(schedule.id, { next_run_at: nextRunAt });
+      return null;
+    }
+
+    try {
+      const job = this.enqueue(schedule.job_type, { ...schedule.payload, scheduleId: schedule.id });
+
+      console.log(`⏰ Schedule "${schedule.name}" queued ${schedule.job_type} job ${job.id}`);
+      this.db.updateSchedule(schedule.id, {
+        last_run_at: now.toISOString(),
+        last_job_id: job.id,
+        last_error: null,
+        next_run_at: nextRunAt
+      });
+      return job;
+    } catch (error) {
+      console.error(`✗ Schedule "${schedule.name}" failed to queue:`, error.message);
+      this.db.updateSchedule(schedule.id, {
+        last_run_at: now.toISOString(),
+        last_error: error.message,
+        next_run_at: nextRunAt
+      });
+      return null;
+    }
+  }
+
+  /**
+   * The schedule's previous job, if it is still queued or running
+   */
+  getActiveJob(schedule) {
+    if (!schedule.last_job_id) return null;
+
+    const lastJob = this.db.getJob(schedule.last_job_id);
+    if (lastJob && (lastJob.status === 'queued' || lastJob.status === 'running')) {
+      return lastJob;
+    }
+    return null;
+  }
+
+  /**
+   * Next run time for a cron expression as an ISO string
+   * @throws {Error} If the expression is invalid
+   */
+  getNextRun(cron, from = new Date()) {
+    const next = new CronExpression(cron).next(from);
+    return next ? next.toISOString() : null;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,61 @@
+class WorkerPool {
+  /**
+   * Runs async tasks with bounded concurrency
+   * @param {Object} options - `concurrency` tasks run at once; `maxQueued` tasks
+   *   may wait for a slot before waitForRoom() holds producers back
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.maxQueued = options.maxQueued ?? Infinity;
+    this.running = 0;
+    this.queue = [];
+    this.roomWaiters = [];
+  }
+
+  /**
+   * Queue a task
+   * @param {Function} task - async () => result
+   * @returns {Promise} Settles with the task's result once it has run
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Backpressure for producers: resolves once fewer than `maxQueued` tasks are waiting
+   */
+  waitForRoom() {
+    if (this.queue.length < this.maxQueued) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.roomWaiters.push(resolve));
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.next();
+        });
+    }
+
+    while (this.roomWaiters.length > 0 && this.queue.length < this.maxQueued) {
+      this.roomWaiters.shift()();
+    }
+  }
+}
+
+module.exports = WorkerPool;
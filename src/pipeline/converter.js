@@ -1,28 +1,63 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
+const EventEmitter = require('events');
 const { promisify } = require('util');
+const crypto = require('crypto');
 const path = require('path');
+const { fileURLToPath } = require('url');
+const os = require('os');
 const fs = require('fs').promises;
 const yaml = require('js-yaml');
 const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const SpecLinter = require('./spec-linter');
+const SpecQuality = require('./spec-quality');
+const SwaggerUpgrader = require('./swagger-upgrader');
+const SpecBundler = require('./spec-bundler');
+const { assertPublicUrl, publicRequestOptions } = require('./public-fetch');
+const WorkerPool = require('../jobs/worker-pool');
+const HostRateLimiter = require('../jobs/host-rate-limiter');
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-class ConversionPipeline {
+// Per-tool limits for openapi-to-bruno and bruno-docs
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_MEMORY_LIMIT_MB = 1024;
+
+// Warnings kept per tool run
+const MAX_WARNINGS = 50;
+
+class ConversionPipeline extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     // Use absolute paths to avoid issues when changing directories
     const rootDir = path.resolve(__dirname, '../..');
     this.brunoDocGenPath = options.brunoDocGenPath || path.resolve(rootDir, 'bruno-doc-gen');
     this.collectionsDir = options.collectionsDir || path.resolve(rootDir, 'data/collections');
     this.docsDir = options.docsDir || path.resolve(rootDir, 'data/docs');
     this.openapiDir = options.openapiDir || path.resolve(rootDir, 'data/openapi');
+    this.versionsDir = options.versionsDir || path.resolve(rootDir, 'data/versions');
+    this.linter = new SpecLinter();
+    this.quality = new SpecQuality();
+    this.upgrader = new SwaggerUpgrader();
+    this.bundler = new SpecBundler();
+    this.timeoutMs = options.timeoutMs || Number(process.env.CONVERSION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.memoryLimitMb = options.memoryLimitMb || Number(process.env.CONVERSION_MEMORY_MB) || DEFAULT_MEMORY_LIMIT_MB;
+    // Optional HostRateLimiter shared by every spec and $ref download
+    this.rateLimiter = options.rateLimiter || null;
+    // file:// specs (and their $refs) are only read from inside this directory
+    this.specDirectory = path.resolve(options.specDirectory || process.env.SPEC_DIRECTORY || path.resolve(rootDir, 'data/specs'));
   }
 
   /**
-   * Convert OpenAPI spec to Bruno collection and generate docs
+   * Convert OpenAPI spec to Bruno collection and generate docs.
+   * Emits a 'progress' event with a `stage` after each step.
    * @param {Object} apiInfo - API information from scraper
+   * @param {string} content - Spec already downloaded (and bundled) by the caller;
+   *   fetched from `openapi_url` when omitted
    * @returns {Promise<Object>} Conversion result
    */
-  async convertAndGenerateDocs(apiInfo) {
+  async convertAndGenerateDocs(apiInfo, content = null) {
     const { id, name, openapi_url, github_url } = apiInfo;
     
     console.log(`\n=== Processing: ${name} ===`);
@@ -30,15 +65,28 @@ class ConversionPipeline {
     try {
       // Step 1: Download OpenAPI spec
       console.log('1. Downloading OpenAPI spec...');
-      const openapiPath = await this.downloadOpenAPISpec(id, openapi_url);
+      const openapiPath = content !== null
+        ? await this.runStage('download', () => this.saveSpec(id, content))
+        : await this.downloadOpenAPISpec(id, openapi_url);
+      this.emitProgress('downloaded', apiInfo);
+
+      const { spec, lint, quality, convertPath } = await this.runStage('parse', async () => {
+        const spec = await this.loadSpec(openapiPath);
+        const lint = await this.lintSpec(apiInfo, spec);
+        const quality = this.scoreQuality(spec);
+        const convertPath = await this.normalizeSpec(apiInfo, spec, openapiPath);
+        return { spec, lint, quality, convertPath };
+      });
       
       // Step 2: Convert to Bruno collection
       console.log('2. Converting to Bruno collection...');
-      const collectionPath = await this.convertToBruno(id, name, openapiPath);
+      const collectionPath = await this.runStage('convert', () => this.convertToBruno(id, name, convertPath));
+      this.emitProgress('converted', apiInfo);
       
       // Step 3: Generate documentation
       console.log('3. Generating documentation...');
-      const docsPath = await this.generateDocs(id, name, collectionPath, github_url);
+      const docsPath = await this.runStage('docs', () => this.generateDocs(id, name, collectionPath, github_url));
+      this.emitProgress('docs_generated', apiInfo);
       
       console.log(`✓ Successfully processed ${name}`);
       
@@ -46,79 +94,332 @@ class ConversionPipeline {
         success: true,
         collection_path: collectionPath,
         docs_path: docsPath,
-        openapi_path: openapiPath
+        openapi_path: openapiPath,
+        lint,
+        quality
       };
     } catch (error) {
       console.error(`✗ Error processing ${name}:`, error.message);
+      this.emitProgress('failed', apiInfo, { reason: error.message, failedStage: error.stage });
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        stage: error.stage
       };
     }
   }
 
+  /**
+   * Run one step of the pipeline, labelling any error with the stage
+   * (download, parse, convert or docs) it happened in
+   */
+  async runStage(stage, task) {
+    try {
+      return await task();
+    } catch (error) {
+      if (!error.stage) error.stage = stage;
+      throw error;
+    }
+  }
+
+  emitProgress(stage, apiInfo, details = {}) {
+    this.emit('progress', {
+      stage,
+      apiId: apiInfo.id,
+      api: apiInfo.name,
+      ...details
+    });
+  }
+
   /**
    * Download OpenAPI spec from URL
    */
   async downloadOpenAPISpec(id, url) {
-    const filename = `${id}.json`;
-    const filepath = path.join(this.openapiDir, filename);
+    const response = await this.runStage('download', () => this.fetchSpec(url));
+    const { content } = await this.runStage('parse', () => this.bundleSpec(this.parseSpec(response.data), url));
+    return this.runStage('download', () => this.saveSpec(id, content));
+  }
 
-    // Ensure directory exists
-    await fs.mkdir(this.openapiDir, { recursive: true });
+  /**
+   * Fetch a file referenced by a spec's external $refs
+   * @param {string} url - Referenced file
+   * @param {string|null} rootUrl - Where the spec holding the $refs came from
+   * @throws {Error} For a local file referenced by a spec that isn't local
+   *   itself, or a URL on a private network
+   */
+  async fetchDocument(url, rootUrl) {
+    if (url.startsWith('file:')) {
+      // Otherwise a downloaded or uploaded spec could pull a private spec from
+      // the spec directory into its own catalog entry
+      if (!(rootUrl || '').startsWith('file:')) {
+        throw new Error('file: references are only allowed in specs from the spec directory');
+      }
+      return (await this.fetchSpec(url)).data;
+    }
+
+    // Nor may it make the server fetch internal services for it
+    assertPublicUrl(url);
+    const response = await this.fetchSpec(url, {}, publicRequestOptions);
+    return response.data;
+  }
+
+  /**
+   * Follow a spec's $refs to other files and bundle them into one document
+   * @param {Object} parsed - { content, spec } from parseSpec
+   * @param {string|null} url - URL the spec was fetched from; relative refs
+   *   resolve against it. Null for uploads, which can only use absolute refs.
+   * @returns {Promise<Object>} { content, spec }, unchanged for single-file specs
+   * @throws {Error} If a referenced file is missing or the references form a cycle
+   */
+  async bundleSpec(parsed, url) {
+    if (!this.bundler.hasExternalRefs(parsed.spec)) {
+      return parsed;
+    }
+
+    console.log('  Bundling external $refs...');
+    const bundler = new SpecBundler({ read: location => this.fetchDocument(location, url) });
+    const spec = await bundler.bundle(parsed.spec, url);
+    return { content: JSON.stringify(spec, null, 2), spec };
+  }
+
+  /**
+   * Fetch a spec, optionally with conditional request headers
+   * @param {string} url - Spec URL
+   * @param {Object} headers - Extra headers (If-None-Match, If-Modified-Since)
+   * @param {Object} options - Extra axios options (see publicRequestOptions)
+   * @returns {Promise<Object>} Axios response; status is 304 when not modified
+   */
+  async fetchSpec(url, headers = {}, options = {}) {
+    if (url.startsWith('file:')) {
+      return this.readLocalSpec(url);
+    }
+
+    if (this.rateLimiter) {
+      await this.rateLimiter.wait(url);
+    }
 
     // Download using axios (curl not available in container)
-    const response = await axios.get(url, {
+    return axios.get(url, {
+      headers,
       timeout: 30000,
       maxContentLength: 10 * 1024 * 1024, // 10MB max
-      maxRedirects: 5
+      maxRedirects: 5,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304,
+      ...options
     });
+  }
+
+  /**
+   * Read a spec imported from the spec directory, shaped like an axios response
+   * @throws {Error} If the file is outside the spec directory
+   */
+  async readLocalSpec(url) {
+    const filePath = path.resolve(fileURLToPath(url));
+    if (!filePath.startsWith(this.specDirectory + path.sep)) {
+      throw new Error(`${filePath} is outside the spec directory`);
+    }
+
+    const data = await fs.readFile(filePath, 'utf-8');
+    return { status: 200, headers: {}, data };
+  }
 
-    // Save the response data
+  /**
+   * Parse downloaded JSON or YAML and check it looks like an OpenAPI spec
+   * @param {string|Object} data - Response body
+   * @returns {Object} Normalized JSON content and the parsed spec
+   */
+  parseSpec(data) {
     let content;
-    if (typeof response.data === 'string') {
-      content = response.data;
+    if (typeof data === 'string') {
+      content = data;
     } else {
-      content = JSON.stringify(response.data, null, 2);
+      content = JSON.stringify(data, null, 2);
     }
 
-    await fs.writeFile(filepath, content, 'utf-8');
-
     // Try to parse as JSON first
-    let isValidSpec = false;
+    let spec;
     try {
-      const parsed = JSON.parse(content);
-      // Check if it looks like an OpenAPI spec
-      if (parsed.openapi || parsed.swagger) {
-        isValidSpec = true;
-      } else {
-        throw new Error('Not a valid OpenAPI specification (missing openapi/swagger field)');
-      }
+      spec = JSON.parse(content);
     } catch (jsonError) {
       // If not JSON, try to parse as YAML
       try {
-        const yamlContent = yaml.load(content);
-        if (yamlContent && (yamlContent.openapi || yamlContent.swagger)) {
-          // Convert YAML to JSON
-          console.log('  Converting YAML to JSON...');
-          content = JSON.stringify(yamlContent, null, 2);
-          await fs.writeFile(filepath, content, 'utf-8');
-          isValidSpec = true;
-        } else {
-          throw new Error('Not a valid OpenAPI specification (missing openapi/swagger field)');
-        }
+        spec = yaml.load(content);
       } catch (yamlError) {
         throw new Error('Downloaded file is not a valid OpenAPI spec (not JSON or YAML)');
       }
+
+      if (spec && typeof spec === 'object') {
+        // Convert YAML to JSON
+        console.log('  Converting YAML to JSON...');
+        content = JSON.stringify(spec, null, 2);
+      }
     }
 
-    if (!isValidSpec) {
-      throw new Error('Downloaded file is not a valid OpenAPI specification');
+    // Check if it looks like an OpenAPI spec
+    if (!spec || typeof spec !== 'object' || !(spec.openapi || spec.swagger)) {
+      throw new Error('Not a valid OpenAPI specification (missing openapi/swagger field)');
     }
 
+    return { content, spec };
+  }
+
+  /**
+   * Write normalized spec content to data/openapi
+   * @returns {Promise<string>} Path of the stored spec
+   */
+  async saveSpec(id, content) {
+    // Ensure directory exists
+    await fs.mkdir(this.openapiDir, { recursive: true });
+
+    const filepath = this.getSpecPath(id);
+    await fs.writeFile(filepath, content, 'utf-8');
     return filepath;
   }
 
+  getSpecPath(id) {
+    return path.join(this.openapiDir, `${id}.json`);
+  }
+
+  // Swagger 2.0 specs upgraded to OpenAPI 3.0, kept next to the original
+  getUpgradedSpecPath(id) {
+    return path.join(this.openapiDir, `${id}.openapi3.json`);
+  }
+
+  /**
+   * Upgrade a Swagger 2.0 spec to OpenAPI 3.0 so collections are always
+   * generated from a 3.x document. The original spec is left as it is.
+   * @param {Object} apiInfo - API the spec belongs to
+   * @param {Object} spec - Parsed original spec
+   * @param {string} openapiPath - Path of the original spec
+   * @returns {Promise<string>} Path of the spec to convert
+   */
+  async normalizeSpec(apiInfo, spec, openapiPath) {
+    const upgradedPath = this.getUpgradedSpecPath(apiInfo.id);
+
+    if (!this.upgrader.isSwagger2(spec)) {
+      // Drop the upgrade of an earlier 2.0 revision
+      await fs.rm(upgradedPath, { force: true });
+      return openapiPath;
+    }
+
+    console.log('  Upgrading Swagger 2.0 to OpenAPI 3.0...');
+    const upgraded = this.upgrader.upgrade(spec);
+
+    await fs.mkdir(this.openapiDir, { recursive: true });
+    await fs.writeFile(upgradedPath, JSON.stringify(upgraded, null, 2), 'utf-8');
+    this.emitProgress('upgraded', apiInfo, { from: String(spec.swagger), to: upgraded.openapi });
+
+    return upgradedPath;
+  }
+
+  /**
+   * Re-fetch an API's spec and regenerate its collection and docs only when it changed.
+   * Uses ETag/Last-Modified for conditional requests, then compares content hashes.
+   * @param {Object} apiInfo - API row from the database
+   * @param {Object} options - `force` ignores validators and hashes
+   * @returns {Promise<Object>} Result with `changed`, new validators and, if changed, new paths
+   */
+  async resyncApi(apiInfo, options = {}) {
+    const { id, name, github_url } = apiInfo;
+    // The spec that was imported; source_url can be an upstream origin (APIs.guru's x-origin)
+    const url = apiInfo.openapi_url || apiInfo.source_url;
+    const force = !!options.force;
+
+    if (!url) {
+      throw new Error('No source URL stored for this API');
+    }
+
+    const headers = {};
+    if (!force && apiInfo.etag) headers['If-None-Match'] = apiInfo.etag;
+    if (!force && apiInfo.last_modified) headers['If-Modified-Since'] = apiInfo.last_modified;
+
+    const response = await this.runStage('download', () => this.fetchSpec(url, headers));
+    const validators = {
+      etag: response.headers.etag || apiInfo.etag || null,
+      last_modified: response.headers['last-modified'] || apiInfo.last_modified || null
+    };
+
+    if (response.status === 304) {
+      this.emitProgress('skipped', apiInfo, { reason: 'Not modified' });
+      return { changed: false, content_hash: apiInfo.content_hash, ...validators };
+    }
+
+    // Bundling first means a change in any referenced file counts as a change
+    const { content, spec } = await this.runStage('parse', () => this.bundleSpec(this.parseSpec(response.data), url));
+    const contentHash = this.hashContent(content);
+
+    // Entries synced before hashes were stored: compare with the spec on disk
+    const previousHash = apiInfo.content_hash ||
+      await this.hashSpecFile(this.getSpecPath(id)).catch(() => null);
+
+    if (!force && contentHash === previousHash) {
+      this.emitProgress('skipped', apiInfo, { reason: 'Spec unchanged' });
+      return { changed: false, content_hash: contentHash, ...validators };
+    }
+
+    const openapiPath = await this.saveSpec(id, content);
+    this.emitProgress('downloaded', apiInfo);
+
+    const { lint, quality, convertPath } = await this.runStage('parse', async () => {
+      const lint = await this.lintSpec(apiInfo, spec);
+      const quality = this.scoreQuality(spec);
+      const convertPath = await this.normalizeSpec(apiInfo, spec, openapiPath);
+      return { lint, quality, convertPath };
+    });
+
+    const collectionPath = await this.runStage('convert', () => this.convertToBruno(id, name, convertPath));
+    this.emitProgress('converted', apiInfo);
+
+    const docsPath = await this.runStage('docs', () => this.generateDocs(id, name, collectionPath, github_url));
+    this.emitProgress('docs_generated', apiInfo);
+
+    return {
+      changed: true,
+      content_hash: contentHash,
+      spec,
+      openapi_path: openapiPath,
+      collection_path: collectionPath,
+      docs_path: docsPath,
+      lint,
+      quality,
+      ...validators
+    };
+  }
+
+  async loadSpec(openapiPath) {
+    return JSON.parse(await fs.readFile(openapiPath, 'utf-8'));
+  }
+
+  /**
+   * Validate and lint a spec before it is converted
+   * @returns {Promise<Object>} Lint report (see SpecLinter.lint)
+   * @throws {Error} If the spec has $refs that don't resolve, which openapi-to-bruno can't handle
+   */
+  async lintSpec(apiInfo, spec) {
+    const report = await this.linter.lint(spec);
+
+    console.log(`  Lint: score ${report.score}, ${report.counts.error} error(s), ${report.counts.warning} warning(s)`);
+    this.emitProgress('linted', apiInfo, { score: report.score, counts: report.counts });
+
+    const unresolved = report.issues.filter(issue => issue.rule === 'unresolved-ref');
+    if (unresolved.length > 0) {
+      const examples = unresolved.slice(0, 3).map(issue => `${issue.path}: ${issue.message}`).join('; ');
+      throw new Error(`Spec has ${unresolved.length} unresolvable $ref(s): ${examples}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Documentation quality of a spec (see SpecQuality)
+   * @returns {Object} { score, breakdown }
+   */
+  scoreQuality(spec) {
+    const quality = this.quality.score(spec);
+    console.log(`  Quality score: ${quality.score}`);
+    return quality;
+  }
+
   /**
    * Convert OpenAPI to Bruno collection using openapi-to-bruno
    */
@@ -129,15 +430,15 @@ class ConversionPipeline {
     await fs.mkdir(this.collectionsDir, { recursive: true });
     
     // Use the openapi-to-bruno tool from bruno-doc-gen
-    const command = `cd ${this.brunoDocGenPath} && node bin/openapi-to-bruno "${openapiPath}" "${collectionPath}" --force`;
-    
+    let result;
     try {
-      const { stdout, stderr } = await execAsync(command);
-      console.log(stdout);
-      if (stderr) console.error(stderr);
+      result = await this.runTool('openapi-to-bruno', [openapiPath, collectionPath, '--force']);
     } catch (error) {
       throw new Error(`Failed to convert to Bruno: ${error.message}`);
     }
+
+    console.log(result.stdout);
+    this.reportWarnings({ id, name }, 'convert', result.warnings);
     
     return collectionPath;
   }
@@ -151,8 +452,9 @@ class ConversionPipeline {
     // Ensure directory exists
     await fs.mkdir(this.docsDir, { recursive: true });
 
-    // Use bruno-docs to generate documentation
-    let command = `cd ${this.brunoDocGenPath} && node bin/bruno-docs generate "${collectionPath}" -o "${docsPath}" --title "${name}"`;
+    // Use bruno-docs to generate documentation. The title is joined to its
+    // option so a name starting with "-" can't be read as another option.
+    const args = ['generate', collectionPath, '-o', docsPath, `--title=${name}`];
 
     // Don't add bruno-url for GitHub-scraped APIs
     // The GitHub URL points to the source repo (with OpenAPI spec), not a Bruno collection
@@ -160,39 +462,187 @@ class ConversionPipeline {
     // For now, we skip this to avoid confusing "Fetch in Bruno" buttons
     
     try {
-      const { stdout, stderr } = await execAsync(command);
-      console.log(stdout);
-      // Ignore stderr warnings about HAR validation
+      const result = await this.runTool('bruno-docs', args);
+      console.log(result.stdout);
+      this.reportWarnings({ id, name }, 'docs', result.warnings);
     } catch (error) {
+      if (error.limitExceeded) throw error;
+
       // Even if there are warnings, docs might still be generated
       console.warn(`Warning during doc generation: ${error.message}`);
+      this.reportWarnings({ id, name }, 'docs', [{ step: 'docs', message: error.message }]);
     }
     
     return docsPath;
   }
 
   /**
-   * Process multiple APIs in batch
+   * Run a bruno-doc-gen CLI in its own Node process, without a shell, so
+   * names and paths are passed through untouched. The process is killed
+   * when it exceeds the time limit, and its heap is capped.
+   * @param {string} tool - Script in bruno-doc-gen/bin
+   * @param {Array<string>} args - Arguments for the script
+   * @returns {Promise<Object>} { stdout, warnings }
+   * @throws {Error} With `limitExceeded` set if the time or memory limit was hit
    */
-  async processBatch(apiList) {
-    const results = [];
-    
-    for (const api of apiList) {
-      const result = await this.convertAndGenerateDocs(api);
-      results.push({
-        ...api,
-        ...result
+  async runTool(tool, args) {
+    const step = tool === 'bruno-docs' ? 'docs' : 'convert';
+
+    try {
+      const { stdout, stderr } = await execFileAsync(process.execPath, [
+        `--max-old-space-size=${this.memoryLimitMb}`,
+        path.join('bin', tool),
+        ...args
+      ], {
+        cwd: this.brunoDocGenPath,
+        timeout: this.timeoutMs,
+        killSignal: 'SIGKILL',
+        maxBuffer: 10 * 1024 * 1024
       });
-      
-      // Small delay between conversions
-      await this.sleep(500);
+
+      return { stdout, warnings: this.parseWarnings(step, stdout, stderr) };
+    } catch (error) {
+      const stderr = error.stderr || '';
+      let message;
+
+      if (error.killed && error.signal === 'SIGKILL') {
+        message = `${tool} timed out after ${Math.round(this.timeoutMs / 1000)}s`;
+      } else if (/heap out of memory|Allocation failed/i.test(stderr)) {
+        message = `${tool} ran out of memory (limit ${this.memoryLimitMb} MB)`;
+      }
+
+      if (message) {
+        const limitError = new Error(message);
+        limitError.limitExceeded = true;
+        throw limitError;
+      }
+
+      const lastLine = this.outputLines(stderr).pop();
+      throw new Error(lastLine ? `${tool} exited with code ${error.code}: ${lastLine}` : error.message);
     }
-    
-    return results;
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * Warnings printed by a tool: everything on stderr, plus stdout lines
+   * that call themselves warnings
+   * @returns {Array<Object>} { step, message }, at most MAX_WARNINGS
+   */
+  parseWarnings(step, stdout, stderr) {
+    const lines = [
+      ...this.outputLines(stdout).filter(line => /^(⚠|warn(ing)?\b)/i.test(line)),
+      ...this.outputLines(stderr)
+    ];
+
+    return [...new Set(lines)]
+      .slice(0, MAX_WARNINGS)
+      .map(line => ({ step, message: line.replace(/^(⚠️?|warn(ing)?:?)\s*/i, '') }));
+  }
+
+  outputLines(output) {
+    return String(output || '')
+      .replace(/\u001b\[[0-9;]*m/g, '') // ANSI colours
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  reportWarnings(apiInfo, step, warnings) {
+    if (warnings.length === 0) return;
+
+    console.warn(`  ${warnings.length} warning(s) during ${step}`);
+    this.emitProgress('warnings', apiInfo, { step, warnings });
+  }
+
+  /**
+   * Hash a stored spec so unchanged revisions can be detected
+   * @param {string} specPath - Path to the OpenAPI JSON file
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async hashSpecFile(specPath) {
+    const content = await fs.readFile(specPath);
+    return this.hashContent(content);
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Snapshot the current spec, collection and docs of an API as a new revision.
+   * Nothing is stored when the spec is identical to the latest revision.
+   * @param {Object} database - CatalogDatabase instance
+   * @param {Object} api - API the revision belongs to
+   * @param {Object} paths - openapi_path, collection_path and docs_path to archive
+   * @returns {Promise<Object>} The latest revision of the API
+   */
+  async createVersion(database, api, paths) {
+    const contentHash = await this.hashSpecFile(paths.openapi_path);
+
+    const latest = database.getLatestApiVersion(api.id);
+    if (latest && latest.content_hash === contentHash) {
+      return latest;
+    }
+
+    const versionId = uuidv4();
+    const versionDir = path.join(this.versionsDir, api.id, versionId);
+    await fs.mkdir(versionDir, { recursive: true });
+
+    const specPath = path.join(versionDir, 'openapi.json');
+    await fs.copyFile(paths.openapi_path, specPath);
+
+    const collectionPath = await this.copyIfExists(paths.collection_path, path.join(versionDir, 'collection'));
+    const docsPath = await this.copyIfExists(paths.docs_path, path.join(versionDir, 'docs'));
+
+    database.createApiVersion({
+      id: versionId,
+      api_id: api.id,
+      version: api.version,
+      content_hash: contentHash,
+      spec_path: specPath,
+      collection_path: collectionPath,
+      docs_path: docsPath
+    });
+
+    console.log(`  Stored revision ${versionId} of ${api.name}`);
+
+    return database.getApiVersion(api.id, versionId);
+  }
+
+  async copyIfExists(source, destination) {
+    if (!source) return null;
+
+    try {
+      await fs.access(source);
+    } catch (error) {
+      return null;
+    }
+
+    await fs.cp(source, destination, { recursive: true });
+    return destination;
+  }
+
+  /**
+   * Process multiple APIs in batch, `concurrency` at a time. Spec downloads
+   * are rate limited per host (see `rateLimiter`).
+   * @param {Array<Object>} apiList - APIs to convert
+   * @param {Object} options - `concurrency` (default: one per CPU)
+   * @returns {Promise<Array<Object>>} Results in the order of apiList
+   */
+  async processBatch(apiList, options = {}) {
+    const { concurrency = os.cpus().length } = options;
+    const pool = new WorkerPool({ concurrency });
+
+    if (!this.rateLimiter) {
+      this.rateLimiter = new HostRateLimiter();
+    }
+
+    return Promise.all(apiList.map(api => pool.run(async () => {
+      const result = await this.convertAndGenerateDocs(api);
+      return {
+        ...api,
+        ...result
+      };
+    })));
   }
 }
 
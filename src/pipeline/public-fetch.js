@@ -0,0 +1,107 @@
+// Keeps downloads named by untrusted specs (their $refs) on the public
+// internet, away from loopback, the local network and cloud metadata services
+
+const dns = require('dns');
+const net = require('net');
+
+// Separate lists, as a BlockList also compares IPv4 addresses with IPv6
+// rules (as ::ffff:a.b.c.d), which would make ::ffff:0:0/96 match them all
+const PRIVATE_IPV4 = new net.BlockList();
+const PRIVATE_IPV6 = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+]) {
+  PRIVATE_IPV4.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['::ffff:0:0', 96], // IPv4-mapped, which would get around the IPv4 ranges
+  ['64:ff9b::', 96], // NAT64, likewise
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  PRIVATE_IPV6.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    throw new Error(`${address} is not an IP address`);
+  }
+  return family === 6 ? PRIVATE_IPV6.check(address, 'ipv6') : PRIVATE_IPV4.check(address, 'ipv4');
+}
+
+// Host names are checked when they're looked up; addresses have to be checked here
+function checkHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`${host} is not a public address`);
+  }
+}
+
+/**
+ * Check a URL before downloading it
+ * @param {string} url - Absolute URL
+ * @throws {Error} If it isn't http(s) or names a private IP address
+ */
+function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Only http and https URLs can be fetched, not ${protocol}`);
+  }
+  checkHost(hostname);
+}
+
+/**
+ * dns.lookup that fails for host names resolving to a private address. As
+ * the connection uses the address checked here, a second DNS answer can't
+ * point it elsewhere.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Axios options for a public-only download; redirects are checked hop by hop
+const publicRequestOptions = {
+  lookup: publicLookup,
+  beforeRedirect: options => checkHost(options.hostname)
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicLookup,
+  publicRequestOptions
+};
@@ -0,0 +1,306 @@
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Stop following references after this many files
+const MAX_FILES = 200;
+
+// Keywords whose values are schemas, lists of schemas or maps of schemas
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'contains', 'propertyNames', 'if', 'then', 'else'];
+const SCHEMA_LISTS = ['allOf', 'oneOf', 'anyOf', 'prefixItems'];
+const SCHEMA_MAPS = ['properties', 'patternProperties', 'definitions', '$defs', 'dependentSchemas'];
+
+// Values that are data, not spec objects, so a `$ref` key in them means nothing
+const LITERAL_KEYWORDS = ['example', 'default', 'enum', 'const'];
+
+class SpecBundler {
+  /**
+   * @param {Object} options - `read(location)` returns the raw content (string
+   *   or parsed object) of a referenced file; `maxFiles` caps how many are read
+   */
+  constructor(options = {}) {
+    this.read = options.read;
+    this.maxFiles = options.maxFiles || MAX_FILES;
+  }
+
+  /**
+   * Whether a spec has $refs to other files
+   */
+  hasExternalRefs(spec) {
+    if (!spec || typeof spec !== 'object') return false;
+    if (typeof spec.$ref === 'string' && !spec.$ref.startsWith('#')) return true;
+    return Object.values(spec).some(value => this.hasExternalRefs(value));
+  }
+
+  /**
+   * Bundle a spec split over several files into a single document. Schemas
+   * from other files are added to components.schemas (definitions in Swagger
+   * 2.0) so recursive schemas keep working; everything else is inlined.
+   * @param {Object} spec - Parsed root document (not modified)
+   * @param {string|null} location - URL or path of the root document; relative
+   *   refs resolve against it, and are an error without one
+   * @returns {Promise<Object>} Bundled document with only local $refs
+   * @throws {Error} If a referenced file or pointer is missing, or references form a cycle
+   *   that can't be expressed in one document
+   */
+  async bundle(spec, location) {
+    const schemasPath = spec.swagger ? ['definitions'] : ['components', 'schemas'];
+    const existingSchemas = this.resolvePointer(spec, `/${schemasPath.join('/')}`) || {};
+
+    const state = {
+      root: location,
+      documents: new Map([[location, spec]]),
+      hoisted: new Map(),
+      schemas: {},
+      names: new Set(Object.keys(existingSchemas)),
+      schemasPath
+    };
+
+    // Schemas declared in the root as a $ref to another file stay where they are
+    for (const [name, schema] of Object.entries(existingSchemas)) {
+      if (schema && typeof schema.$ref === 'string' && !schema.$ref.startsWith('#')) {
+        const { key } = this.parseRef(schema.$ref, location);
+        if (!state.hoisted.has(key)) {
+          state.hoisted.set(key, `#/${[...schemasPath, name].map(this.escapeToken).join('/')}`);
+        }
+      }
+    }
+
+    const bundled = await this.walk(spec, location, 'other', [], '', state);
+
+    if (Object.keys(state.schemas).length > 0) {
+      let container = bundled;
+      for (const token of schemasPath) {
+        container[token] = container[token] || {};
+        container = container[token];
+      }
+      Object.assign(container, state.schemas);
+    }
+
+    return bundled;
+  }
+
+  async walk(node, location, context, stack, pointer, state) {
+    if (context === 'literal' || !node || typeof node !== 'object') {
+      return node;
+    }
+
+    if (Array.isArray(node)) {
+      const itemContext = context === 'schemaList' ? 'schema' : context;
+      const items = [];
+      for (let i = 0; i < node.length; i++) {
+        items.push(await this.walk(node[i], location, itemContext, stack, `${pointer}/${i}`, state));
+      }
+      return items;
+    }
+
+    if (typeof node.$ref === 'string') {
+      return this.resolveRef(node, location, context, stack, pointer, state);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = await this.walk(value, location, this.childContext(context, key), stack,
+        `${pointer}/${this.escapeToken(key)}`, state);
+    }
+    return result;
+  }
+
+  childContext(context, key) {
+    if (context === 'schemaMap') return 'schema';
+
+    if (context === 'schema') {
+      if (SCHEMA_KEYWORDS.includes(key)) return 'schema';
+      if (SCHEMA_LISTS.includes(key)) return 'schemaList';
+      if (SCHEMA_MAPS.includes(key)) return 'schemaMap';
+      if (LITERAL_KEYWORDS.includes(key)) return 'literal';
+      return 'other';
+    }
+
+    if (key === 'schema') return 'schema';
+    if (key === 'schemas' || key === 'definitions') return 'schemaMap';
+    if (key === 'example') return 'literal';
+    return 'other';
+  }
+
+  async resolveRef(node, location, context, stack, pointer, state) {
+    const { $ref: ref, ...siblings } = node;
+
+    // Local refs of the root document already point into the bundle
+    if (ref.startsWith('#') && location === state.root) {
+      return { ...node };
+    }
+
+    const { key, targetLocation, fragment } = this.parseRef(ref, location);
+
+    if (targetLocation === state.root) {
+      return { $ref: `#${fragment}`, ...siblings };
+    }
+
+    const isSchema = context === 'schema';
+    const homeRef = `#${pointer}`;
+    const hoistedRef = isSchema ? state.hoisted.get(key) : undefined;
+
+    const cycleStart = stack.findIndex(entry => entry.key === key);
+    if (cycleStart !== -1) {
+      const chain = stack.slice(cycleStart);
+      // A schema can refer to itself through components, but a chain of
+      // plain $refs (or of inlined objects) never ends
+      if (!hoistedRef || chain.every(entry => entry.alias)) {
+        const steps = [...chain.map(entry => entry.key), key].map(step => this.describe(step, state));
+        throw new Error(`Circular $ref: ${steps.join(' -> ')}`);
+      }
+    }
+
+    if (hoistedRef && hoistedRef !== homeRef) {
+      return { $ref: hoistedRef, ...siblings };
+    }
+
+    const target = await this.resolveTarget(targetLocation, fragment, ref, location, state);
+    const entry = { key, alias: !!(target && typeof target.$ref === 'string') };
+
+    if (!isSchema || hoistedRef === homeRef) {
+      // Inline where the reference was
+      const inlined = await this.walk(target, targetLocation, context, [...stack, entry], pointer, state);
+      if (isSchema) this.dropFileDefinitions(inlined, fragment);
+      return inlined && typeof inlined === 'object' && !Array.isArray(inlined)
+        ? { ...inlined, ...siblings }
+        : inlined;
+    }
+
+    // Hoist into the schemas of the bundle, registering it first so
+    // recursive references find it
+    const name = this.uniqueName(targetLocation, fragment, state);
+    const schemaPointer = `/${[...state.schemasPath, name].map(this.escapeToken).join('/')}`;
+    state.hoisted.set(key, `#${schemaPointer}`);
+    state.names.add(name);
+
+    state.schemas[name] = await this.walk(target, targetLocation, 'schema', [...stack, entry], schemaPointer, state);
+    this.dropFileDefinitions(state.schemas[name], fragment);
+    return { $ref: `#${schemaPointer}`, ...siblings };
+  }
+
+  // A schema file's own `definitions` have been hoisted next to it by now,
+  // and OpenAPI 3.0 schemas may not contain them
+  dropFileDefinitions(schema, fragment) {
+    if ((fragment === '' || fragment === '/') && schema && typeof schema === 'object') {
+      delete schema.definitions;
+    }
+  }
+
+  parseRef(ref, location) {
+    const hashIndex = ref.indexOf('#');
+    const file = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+    const targetLocation = file ? this.resolveLocation(location, file) : location;
+
+    return { key: `${targetLocation}#${fragment}`, targetLocation, fragment };
+  }
+
+  // Relative refs resolve against the referring file, like links
+  resolveLocation(base, file) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(file)) {
+      return new URL(file).href;
+    }
+    if (!base) {
+      throw new Error(`Cannot resolve relative $ref "${file}": the spec has no location to resolve it against (uploaded specs can only reference absolute URLs)`);
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(base)) {
+      return new URL(file, base).href;
+    }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(base), file));
+  }
+
+  async resolveTarget(targetLocation, fragment, ref, fromLocation, state) {
+    const document = await this.load(targetLocation, ref, fromLocation, state);
+    const target = this.resolvePointer(document, fragment);
+
+    if (target === undefined) {
+      throw new Error(`$ref "${ref}" in ${this.describe(fromLocation, state)} points to "#${fragment}", which does not exist in ${this.describe(targetLocation, state)}`);
+    }
+
+    return target;
+  }
+
+  async load(location, ref, fromLocation, state) {
+    if (state.documents.has(location)) {
+      return state.documents.get(location);
+    }
+
+    if (state.documents.size >= this.maxFiles) {
+      throw new Error(`Spec references more than ${this.maxFiles} files`);
+    }
+
+    let content;
+    try {
+      content = await this.read(location);
+    } catch (error) {
+      throw new Error(`Cannot resolve $ref "${ref}" in ${this.describe(fromLocation, state)}: ${this.describe(location, state)} could not be read (${error.message})`);
+    }
+
+    const document = this.parseDocument(content, location);
+    state.documents.set(location, document);
+    return document;
+  }
+
+  parseDocument(content, location) {
+    if (content && typeof content === 'object') {
+      return content;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (jsonError) {
+      try {
+        return yaml.load(content);
+      } catch (yamlError) {
+        throw new Error(`${location} is not valid JSON or YAML: ${yamlError.message}`);
+      }
+    }
+  }
+
+  resolvePointer(document, fragment) {
+    if (fragment === '' || fragment === '/') return document;
+
+    let node = document;
+    for (const token of fragment.replace(/^\//, '').split('/')) {
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || typeof node !== 'object' || !(key in node)) return undefined;
+      node = node[key];
+    }
+    return node;
+  }
+
+  // "schemas/pet.yaml#/Pet" -> "Pet", "schemas/pet.yaml" -> "pet"
+  uniqueName(location, fragment, state) {
+    const tokens = fragment.split('/').filter(Boolean);
+    const source = tokens.length > 0
+      ? decodeURIComponent(tokens[tokens.length - 1]).replace(/~1/g, '/').replace(/~0/g, '~')
+      : path.posix.basename(location.split(/[?#]/)[0]).replace(/\.(json|ya?ml)$/i, '');
+
+    // Component names may only use these characters
+    const base = source.replace(/[^A-Za-z0-9._-]/g, '_') || 'Schema';
+
+    let name = base;
+    for (let i = 2; state.names.has(name); i++) {
+      name = `${base}_${i}`;
+    }
+    return name;
+  }
+
+  escapeToken(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  // Locations in errors are shown relative to the root document where possible
+  describe(keyOrLocation, state) {
+    if (!keyOrLocation) return 'the spec';
+    if (!state.root) return keyOrLocation;
+
+    const rootDir = state.root.slice(0, state.root.lastIndexOf('/') + 1);
+    return rootDir && keyOrLocation.startsWith(rootDir)
+      ? keyOrLocation.slice(rootDir.length)
+      : keyOrLocation;
+  }
+}
+
+module.exports = SpecBundler;
@@ -0,0 +1,486 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Guard against deeply nested or recursive schemas
+const MAX_SCHEMA_DEPTH = 10;
+
+class SpecDiff {
+  /**
+   * Compare two revisions of an OpenAPI (3.x) or Swagger (2.0) document
+   * @param {Object} oldSpec - Earlier revision
+   * @param {Object} newSpec - Later revision
+   * @returns {Object} Report with added/removed paths and operations, every change and a summary
+   */
+  compare(oldSpec, newSpec) {
+    this.oldSpec = oldSpec;
+    this.newSpec = newSpec;
+    this.changes = [];
+
+    const report = {
+      paths: { added: [], removed: [] },
+      operations: { added: [], removed: [], changed: [] }
+    };
+
+    const oldPaths = oldSpec.paths || {};
+    const newPaths = newSpec.paths || {};
+    const allPaths = new Set([...Object.keys(oldPaths), ...Object.keys(newPaths)]);
+
+    for (const pathName of allPaths) {
+      const oldItem = oldPaths[pathName];
+      const newItem = newPaths[pathName];
+
+      if (!oldItem) {
+        report.paths.added.push(pathName);
+        this.addChange('path-added', false, { path: pathName }, 'Path added');
+      } else if (!newItem) {
+        report.paths.removed.push(pathName);
+        this.addChange('path-removed', true, { path: pathName }, 'Path removed');
+      }
+
+      for (const method of HTTP_METHODS) {
+        const oldOp = oldItem && oldItem[method];
+        const newOp = newItem && newItem[method];
+        const label = `${method.toUpperCase()} ${pathName}`;
+        const where = { path: pathName, method };
+
+        if (!oldOp && !newOp) continue;
+
+        if (!oldOp) {
+          report.operations.added.push(label);
+          this.addChange('operation-added', false, where, 'Operation added');
+        } else if (!newOp) {
+          report.operations.removed.push(label);
+          this.addChange('operation-removed', true, where, 'Operation removed');
+        } else {
+          const before = this.changes.length;
+          this.compareOperation(where, oldItem, oldOp, newItem, newOp);
+          if (this.changes.length > before) {
+            report.operations.changed.push(label);
+          }
+        }
+      }
+    }
+
+    const breaking = this.changes.filter(change => change.breaking);
+
+    return {
+      summary: {
+        totalChanges: this.changes.length,
+        breakingChanges: breaking.length,
+        pathsAdded: report.paths.added.length,
+        pathsRemoved: report.paths.removed.length,
+        operationsAdded: report.operations.added.length,
+        operationsRemoved: report.operations.removed.length,
+        operationsChanged: report.operations.changed.length
+      },
+      hasBreakingChanges: breaking.length > 0,
+      ...report,
+      changes: this.changes
+    };
+  }
+
+  /**
+   * Render a diff report as a Markdown changelog
+   * @param {Object} report - Result of compare()
+   * @param {Object} labels - Optional `from` and `to` revision labels
+   * @returns {string} Changelog text
+   */
+  formatChangelog(report, labels = {}) {
+    const lines = [];
+    const range = labels.from && labels.to ? ` (${labels.from} → ${labels.to})` : '';
+
+    lines.push(`# API changes${range}`, '');
+
+    if (report.changes.length === 0) {
+      lines.push('No changes.');
+      return lines.join('\n');
+    }
+
+    const breaking = report.changes.filter(change => change.breaking);
+    const other = report.changes.filter(change => !change.breaking);
+
+    if (breaking.length > 0) {
+      lines.push('## ⚠️ Breaking changes', '');
+      breaking.forEach(change => lines.push(`- ${this.formatChange(change)}`));
+      lines.push('');
+    }
+
+    if (other.length > 0) {
+      lines.push('## Other changes', '');
+      other.forEach(change => lines.push(`- ${this.formatChange(change)}`));
+      lines.push('');
+    }
+
+    return lines.join('\n').trimEnd();
+  }
+
+  formatChange(change) {
+    if (change.method) {
+      return `\`${change.method.toUpperCase()} ${change.path}\`: ${change.message}`;
+    }
+    return `\`${change.path}\`: ${change.message}`;
+  }
+
+  addChange(type, breaking, where, message) {
+    this.changes.push({
+      type,
+      breaking,
+      path: where.path,
+      method: where.method || null,
+      message
+    });
+  }
+
+  compareOperation(where, oldItem, oldOp, newItem, newOp) {
+    if (!oldOp.deprecated && newOp.deprecated) {
+      this.addChange('operation-deprecated', false, where, 'Operation deprecated');
+    }
+
+    this.compareParameters(where, oldItem, oldOp, newItem, newOp);
+    this.compareRequestBody(where, oldOp, newOp);
+    this.compareResponses(where, oldOp, newOp);
+  }
+
+  compareParameters(where, oldItem, oldOp, newItem, newOp) {
+    const oldParams = this.getParameters(this.oldSpec, oldItem, oldOp);
+    const newParams = this.getParameters(this.newSpec, newItem, newOp);
+
+    for (const [key, newParam] of newParams) {
+      const oldParam = oldParams.get(key);
+      const label = `Parameter \`${newParam.name}\` (${newParam.in})`;
+
+      if (!oldParam) {
+        if (newParam.required) {
+          this.addChange('parameter-added', true, where, `Required parameter \`${newParam.name}\` (${newParam.in}) added`);
+        } else {
+          this.addChange('parameter-added', false, where, `${label} added`);
+        }
+        continue;
+      }
+
+      if (!oldParam.required && newParam.required) {
+        this.addChange('parameter-required', true, where, `${label} is now required`);
+      } else if (oldParam.required && !newParam.required) {
+        this.addChange('parameter-optional', false, where, `${label} is now optional`);
+      }
+
+      const oldType = this.schemaType(this.resolve(this.oldSpec, oldParam.schema) || oldParam);
+      const newType = this.schemaType(this.resolve(this.newSpec, newParam.schema) || newParam);
+      if (oldType && newType && oldType !== newType) {
+        this.addChange('parameter-type-changed', true, where, `${label} type changed from ${oldType} to ${newType}`);
+        continue;
+      }
+
+      const oldSchema = this.resolve(this.oldSpec, oldParam.schema) || oldParam;
+      const newSchema = this.resolve(this.newSpec, newParam.schema) || newParam;
+      this.compareEnums(where, 'parameter', true, label, oldSchema.enum, newSchema.enum);
+    }
+
+    for (const [key, oldParam] of oldParams) {
+      if (!newParams.has(key)) {
+        this.addChange('parameter-removed', false, where, `Parameter \`${oldParam.name}\` (${oldParam.in}) removed`);
+      }
+    }
+  }
+
+  compareRequestBody(where, oldOp, newOp) {
+    const oldBody = this.getRequestBody(this.oldSpec, oldOp);
+    const newBody = this.getRequestBody(this.newSpec, newOp);
+
+    if (!oldBody && !newBody) return;
+
+    if (!oldBody) {
+      this.addChange('request-body-added', !!newBody.required, where,
+        newBody.required ? 'Required request body added' : 'Request body added');
+      return;
+    }
+    if (!newBody) {
+      this.addChange('request-body-removed', false, where, 'Request body removed');
+      return;
+    }
+
+    if (!oldBody.required && newBody.required) {
+      this.addChange('request-body-required', true, where, 'Request body is now required');
+    }
+
+    this.compareContent(where, 'request', 'request body', oldBody.content, newBody.content);
+  }
+
+  compareResponses(where, oldOp, newOp) {
+    const oldResponses = this.getResponses(this.oldSpec, oldOp);
+    const newResponses = this.getResponses(this.newSpec, newOp);
+
+    for (const code of Object.keys(newResponses)) {
+      if (!oldResponses[code]) {
+        this.addChange('response-added', false, where, `Response ${code} added`);
+      }
+    }
+
+    for (const code of Object.keys(oldResponses)) {
+      const newResponse = newResponses[code];
+      if (!newResponse) {
+        // Clients may depend on success responses; losing an error response is harmless
+        const breaking = code.startsWith('2');
+        this.addChange('response-removed', breaking, where, `Response ${code} removed`);
+        continue;
+      }
+
+      this.compareContent(where, 'response', `response ${code}`, oldResponses[code].content, newResponse.content);
+    }
+  }
+
+  /**
+   * Compare media types and their schemas of a request body or response
+   */
+  compareContent(where, direction, label, oldContent = {}, newContent = {}) {
+    for (const mediaType of Object.keys(oldContent)) {
+      if (!newContent[mediaType]) {
+        this.addChange(`${direction}-media-type-removed`, true, where, `Media type ${mediaType} removed from ${label}`);
+      }
+    }
+    for (const mediaType of Object.keys(newContent)) {
+      if (!oldContent[mediaType]) {
+        this.addChange(`${direction}-media-type-added`, false, where, `Media type ${mediaType} added to ${label}`);
+      }
+    }
+
+    for (const mediaType of Object.keys(newContent)) {
+      if (!oldContent[mediaType]) continue;
+
+      this.compareSchemas(
+        where,
+        direction,
+        label,
+        oldContent[mediaType].schema,
+        newContent[mediaType].schema,
+        '',
+        0,
+        new Set()
+      );
+    }
+  }
+
+  /**
+   * Compare two schemas. What counts as breaking depends on the direction:
+   * clients send requests and read responses.
+   */
+  compareSchemas(where, direction, label, oldRaw, newRaw, location, depth, seen) {
+    if (!oldRaw || !newRaw || depth > MAX_SCHEMA_DEPTH) return;
+
+    // Stop on recursive schemas
+    const refKey = `${oldRaw.$ref || ''}|${newRaw.$ref || ''}`;
+    if (refKey !== '|') {
+      if (seen.has(refKey)) return;
+      seen = new Set(seen).add(refKey);
+    }
+
+    const oldSchema = this.flattenSchema(this.oldSpec, oldRaw);
+    const newSchema = this.flattenSchema(this.newSpec, newRaw);
+    const at = location ? `${label} \`${location}\`` : label;
+    const isRequest = direction === 'request';
+
+    const oldType = this.schemaType(oldSchema);
+    const newType = this.schemaType(newSchema);
+    if (oldType && newType && oldType !== newType) {
+      this.addChange(`${direction}-type-changed`, true, where, `Type of ${at} changed from ${oldType} to ${newType}`);
+      return;
+    }
+
+    this.compareEnums(where, direction, isRequest, at, oldSchema.enum, newSchema.enum);
+
+    const oldProps = oldSchema.properties || {};
+    const newProps = newSchema.properties || {};
+    const oldRequired = new Set(oldSchema.required || []);
+    const newRequired = new Set(newSchema.required || []);
+    const prefix = location ? `${location}.` : '';
+
+    for (const name of Object.keys(newProps)) {
+      const propLocation = `${prefix}${name}`;
+
+      if (!(name in oldProps)) {
+        if (isRequest && newRequired.has(name)) {
+          this.addChange('request-property-added', true, where, `Required property \`${propLocation}\` added to ${label}`);
+        } else {
+          this.addChange(`${direction}-property-added`, false, where, `Property \`${propLocation}\` added to ${label}`);
+        }
+        continue;
+      }
+
+      if (isRequest && !oldRequired.has(name) && newRequired.has(name)) {
+        this.addChange('request-property-required', true, where, `Property \`${propLocation}\` in ${label} is now required`);
+      } else if (!isRequest && oldRequired.has(name) && !newRequired.has(name)) {
+        this.addChange('response-property-optional', true, where, `Property \`${propLocation}\` in ${label} is no longer always present`);
+      }
+
+      this.compareSchemas(where, direction, label, oldProps[name], newProps[name], propLocation, depth + 1, seen);
+    }
+
+    for (const name of Object.keys(oldProps)) {
+      if (!(name in newProps)) {
+        // Clients read responses, so removing a response property breaks them
+        this.addChange(`${direction}-property-removed`, !isRequest, where, `Property \`${prefix}${name}\` removed from ${label}`);
+      }
+    }
+
+    if (oldSchema.items && newSchema.items) {
+      this.compareSchemas(where, direction, label, oldSchema.items, newSchema.items, `${location || ''}[]`, depth + 1, seen);
+    }
+  }
+
+  /**
+   * Compare the values a schema or parameter allows
+   * @param {string} prefix - Change type prefix: 'request', 'response' or 'parameter'
+   * @param {boolean} narrowingBreaks - Whether allowing fewer values breaks
+   *   clients (it does for what they send, not for what they read)
+   */
+  compareEnums(where, prefix, narrowingBreaks, at, oldEnum, newEnum) {
+    const hadEnum = Array.isArray(oldEnum);
+    const hasEnum = Array.isArray(newEnum);
+    const list = values => values.map(v => JSON.stringify(v)).join(', ');
+
+    if (!hadEnum && hasEnum) {
+      this.addChange(`${prefix}-enum-added`, narrowingBreaks, where, `Enum ${list(newEnum)} added to ${at}, which allowed any value`);
+      return;
+    }
+    if (hadEnum && !hasEnum) {
+      this.addChange(`${prefix}-enum-removed`, false, where, `Enum removed from ${at}, which now allows any value`);
+      return;
+    }
+    if (!hadEnum) return;
+
+    const removed = oldEnum.filter(value => !newEnum.includes(value));
+    const added = newEnum.filter(value => !oldEnum.includes(value));
+    if (removed.length > 0) {
+      this.addChange(`${prefix}-enum-value-removed`, narrowingBreaks, where,
+        `Enum value(s) ${list(removed)} removed from ${at}`);
+    }
+    if (added.length > 0) {
+      this.addChange(`${prefix}-enum-value-added`, false, where,
+        `Enum value(s) ${list(added)} added to ${at}`);
+    }
+  }
+
+  /**
+   * Operation parameters merged with path-level ones, keyed by location and name.
+   * Swagger 2.0 body and formData parameters are handled as the request body.
+   */
+  getParameters(spec, pathItem, operation) {
+    const params = new Map();
+    const all = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+
+    for (const raw of all) {
+      const param = this.resolve(spec, raw);
+      if (!param || !param.name || param.in === 'body' || param.in === 'formData') continue;
+      params.set(`${param.in}:${param.name}`, param);
+    }
+
+    return params;
+  }
+
+  /**
+   * Request body normalized to the OpenAPI 3 shape: { required, content: { mediaType: { schema } } }
+   */
+  getRequestBody(spec, operation) {
+    if (operation.requestBody) {
+      const body = this.resolve(spec, operation.requestBody);
+      return { required: !!body.required, content: body.content || {} };
+    }
+
+    // Swagger 2.0
+    const params = (operation.parameters || []).map(param => this.resolve(spec, param)).filter(Boolean);
+    const bodyParam = params.find(param => param.in === 'body');
+    const formParams = params.filter(param => param.in === 'formData');
+
+    if (bodyParam) {
+      const mediaTypes = operation.consumes || spec.consumes || ['application/json'];
+      const content = {};
+      mediaTypes.forEach(mediaType => { content[mediaType] = { schema: bodyParam.schema }; });
+      return { required: !!bodyParam.required, content };
+    }
+
+    if (formParams.length > 0) {
+      const schema = { type: 'object', properties: {}, required: [] };
+      for (const param of formParams) {
+        schema.properties[param.name] = { type: param.type, enum: param.enum, items: param.items };
+        if (param.required) schema.required.push(param.name);
+      }
+      const mediaTypes = operation.consumes || spec.consumes || ['application/x-www-form-urlencoded'];
+      const content = {};
+      mediaTypes.forEach(mediaType => { content[mediaType] = { schema }; });
+      return { required: schema.required.length > 0, content };
+    }
+
+    return null;
+  }
+
+  /**
+   * Responses normalized to the OpenAPI 3 shape, keyed by status code
+   */
+  getResponses(spec, operation) {
+    const responses = {};
+
+    for (const [code, raw] of Object.entries(operation.responses || {})) {
+      const response = this.resolve(spec, raw) || {};
+
+      if (response.content) {
+        responses[code] = { content: response.content };
+      } else if (response.schema) {
+        // Swagger 2.0
+        const mediaTypes = operation.produces || spec.produces || ['application/json'];
+        const content = {};
+        mediaTypes.forEach(mediaType => { content[mediaType] = { schema: response.schema }; });
+        responses[code] = { content };
+      } else {
+        responses[code] = { content: {} };
+      }
+    }
+
+    return responses;
+  }
+
+  /**
+   * Resolve a local $ref (e.g. #/components/schemas/Pet) within a document
+   */
+  resolve(spec, value, depth = 0) {
+    if (!value || typeof value !== 'object' || !value.$ref) return value;
+    if (depth > MAX_SCHEMA_DEPTH || !value.$ref.startsWith('#/')) return value;
+
+    const target = value.$ref
+      .slice(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => (node ? node[part] : undefined), spec);
+
+    return this.resolve(spec, target, depth + 1);
+  }
+
+  /**
+   * Resolve a schema and merge its allOf members into one set of properties
+   */
+  flattenSchema(spec, raw) {
+    const schema = this.resolve(spec, raw) || {};
+    if (!Array.isArray(schema.allOf)) return schema;
+
+    const merged = { ...schema, properties: { ...(schema.properties || {}) }, required: [...(schema.required || [])] };
+    delete merged.allOf;
+
+    for (const member of schema.allOf) {
+      const part = this.flattenSchema(spec, member);
+      Object.assign(merged.properties, part.properties || {});
+      merged.required.push(...(part.required || []));
+      if (!merged.type && part.type) merged.type = part.type;
+    }
+
+    return merged;
+  }
+
+  schemaType(schema) {
+    if (!schema) return null;
+    if (Array.isArray(schema.type)) return [...schema.type].sort().join('|');
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return null;
+  }
+}
+
+module.exports = SpecDiff;
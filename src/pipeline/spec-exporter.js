@@ -0,0 +1,590 @@
+const crypto = require('crypto');
+const SwaggerUpgrader = require('./swagger-upgrader');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Guard against deeply nested or recursive schemas when building sample bodies
+const MAX_SAMPLE_DEPTH = 8;
+
+// Request body media types we can fill in, most useful first
+const PREFERRED_MEDIA_TYPES = ['application/json', 'application/x-www-form-urlencoded', 'multipart/form-data'];
+
+// OpenAPI ignores header parameters with these names; they come from the body and auth instead
+const RESERVED_HEADERS = ['accept', 'content-type', 'authorization'];
+
+const STRING_SAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  email: 'user@example.com',
+  uuid: '00000000-0000-0000-0000-000000000000',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '127.0.0.1',
+  binary: ''
+};
+
+class SpecExporter {
+  /**
+   * Turns a stored spec into requests for other API clients: Postman,
+   * Insomnia, HAR and curl. Parameters and bodies are filled in from the
+   * spec's examples, or sample values built from the schemas.
+   */
+  constructor() {
+    this.upgrader = new SwaggerUpgrader();
+  }
+
+  /**
+   * Postman collection (v2.1). Requests are grouped in folders by their
+   * first tag; the server URL and credentials are collection variables.
+   * @param {Object} spec - Parsed OpenAPI 3.x or Swagger 2.0 document
+   * @param {Object} api - Catalog entry (name, description, openapi_url)
+   * @returns {Object} Collection document
+   */
+  toPostman(spec, api = {}) {
+    const { baseUrl, requests, credentials } = this.getRequests(spec, api, name => `{{${name}}}`);
+
+    const folders = new Map();
+    const items = [];
+    for (const request of requests) {
+      const item = this.postmanItem(request);
+      if (!request.folder) {
+        items.push(item);
+        continue;
+      }
+      if (!folders.has(request.folder)) {
+        const folder = { name: request.folder, item: [] };
+        folders.set(request.folder, folder);
+        items.push(folder);
+      }
+      folders.get(request.folder).item.push(item);
+    }
+
+    return {
+      info: {
+        name: this.title(spec, api),
+        description: spec.info?.description || api.description || '',
+        schema: POSTMAN_SCHEMA
+      },
+      item: items,
+      variable: [
+        { key: 'baseUrl', value: baseUrl },
+        ...credentials.map(key => ({ key, value: '' }))
+      ]
+    };
+  }
+
+  postmanItem(request) {
+    const query = request.query.map(param => ({
+      key: param.name,
+      value: param.value,
+      description: param.description,
+      disabled: !param.required
+    }));
+
+    const item = {
+      name: request.name,
+      request: {
+        method: request.method,
+        header: request.headers.map(header => ({ key: header.name, value: header.value })),
+        url: {
+          raw: `{{baseUrl}}${this.postmanPath(request.path)}${this.queryString(query.filter(param => !param.disabled), 'key')}`,
+          host: ['{{baseUrl}}'],
+          path: this.postmanPath(request.path).split('/').filter(Boolean),
+          query,
+          variable: request.pathParams.map(param => ({ key: param.name, value: param.value, description: param.description }))
+        },
+        description: request.description
+      }
+    };
+
+    if (request.body?.params) {
+      const mode = request.body.mediaType === 'multipart/form-data' ? 'formdata' : 'urlencoded';
+      item.request.body = {
+        mode,
+        [mode]: request.body.params.map(param => ({ key: param.name, value: param.value, ...(mode === 'formdata' && { type: 'text' }) }))
+      };
+    } else if (request.body) {
+      item.request.body = {
+        mode: 'raw',
+        raw: request.body.text,
+        ...(request.body.mediaType.includes('json') && { options: { raw: { language: 'json' } } })
+      };
+    }
+
+    return item;
+  }
+
+  // Postman marks path variables as :name
+  postmanPath(pathName) {
+    return pathName.replace(/\{([^}]+)\}/g, ':$1');
+  }
+
+  /**
+   * Insomnia export (format 4): a workspace with a base environment holding
+   * the server URL and credentials, a folder per tag and one request per operation
+   * @returns {Object} Export document
+   */
+  toInsomnia(spec, api = {}) {
+    const variable = name => `{{ _.${name} }}`;
+    const { baseUrl, requests, credentials } = this.getRequests(spec, api, variable);
+    const resourceId = (prefix, key) => `${prefix}_${crypto.createHash('sha1').update(`${api.id || ''}:${key}`).digest('hex').slice(0, 32)}`;
+
+    const workspaceId = resourceId('wrk', 'workspace');
+    const resources = [
+      {
+        _id: workspaceId,
+        _type: 'workspace',
+        parentId: null,
+        name: this.title(spec, api),
+        description: spec.info?.description || api.description || '',
+        scope: 'collection'
+      },
+      {
+        _id: resourceId('env', 'base'),
+        _type: 'environment',
+        parentId: workspaceId,
+        name: 'Base Environment',
+        data: Object.fromEntries([['base_url', baseUrl], ...credentials.map(key => [key, ''])])
+      }
+    ];
+
+    const folderIds = new Map();
+    requests.forEach((request, index) => {
+      let parentId = workspaceId;
+      if (request.folder) {
+        if (!folderIds.has(request.folder)) {
+          const folderId = resourceId('fld', `folder:${request.folder}`);
+          folderIds.set(request.folder, folderId);
+          resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name: request.folder });
+        }
+        parentId = folderIds.get(request.folder);
+      }
+
+      const body = request.body?.params
+        ? { mimeType: request.body.mediaType, params: request.body.params.map(param => ({ name: param.name, value: param.value })) }
+        : request.body ? { mimeType: request.body.mediaType, text: request.body.text } : {};
+
+      resources.push({
+        _id: resourceId('req', `request:${index}:${request.method} ${request.path}`),
+        _type: 'request',
+        parentId,
+        name: request.name,
+        description: request.description,
+        method: request.method,
+        url: `${variable('base_url')}${this.fillPath(request)}`,
+        parameters: request.query.map(param => ({ name: param.name, value: param.value, disabled: !param.required })),
+        headers: request.headers.map(header => ({ name: header.name, value: header.value })),
+        body
+      });
+    });
+
+    return {
+      _type: 'export',
+      __export_format: 4,
+      __export_date: new Date().toISOString(),
+      __export_source: 'bruno-api-catalog',
+      resources
+    };
+  }
+
+  /**
+   * HAR log with one unsent request per operation, for tools that generate
+   * code snippets from HAR (responses are left empty)
+   * @returns {Object} HAR document
+   */
+  toHar(spec, api = {}) {
+    const { requests, baseUrl } = this.getRequests(spec, api, name => `<${name}>`);
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'bruno-api-catalog', version: '1.0.0' },
+        entries: requests.map(request => ({
+          startedDateTime: new Date(0).toISOString(),
+          time: 0,
+          comment: request.name,
+          request: this.harRequest(request, baseUrl),
+          response: {
+            status: 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+          },
+          cache: {},
+          timings: { send: 0, wait: 0, receive: 0 }
+        }))
+      }
+    };
+  }
+
+  harRequest(request, baseUrl) {
+    const queryString = request.query.filter(param => param.required).map(param => ({ name: param.name, value: param.value }));
+    const har = {
+      method: request.method,
+      url: this.requestUrl(request, baseUrl),
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: request.headers.map(header => ({ name: header.name, value: header.value })),
+      queryString,
+      headersSize: -1,
+      bodySize: -1
+    };
+
+    if (request.body?.params) {
+      har.postData = { mimeType: request.body.mediaType, params: request.body.params.map(param => ({ name: param.name, value: param.value })) };
+    } else if (request.body) {
+      har.postData = { mimeType: request.body.mediaType, text: request.body.text };
+    }
+
+    return har;
+  }
+
+  /**
+   * One curl command per operation
+   * @returns {Array} { name, method, path, command } for each operation
+   */
+  toCurl(spec, api = {}) {
+    const { requests, baseUrl } = this.getRequests(spec, api, name => `<${name}>`);
+
+    return requests.map(request => {
+      const lines = [`curl -X ${request.method} ${this.shellQuote(this.requestUrl(request, baseUrl))}`];
+
+      for (const header of request.headers) {
+        lines.push(`-H ${this.shellQuote(`${header.name}: ${header.value}`)}`);
+      }
+
+      if (request.body?.params) {
+        const flag = request.body.mediaType === 'multipart/form-data' ? '-F' : '--data-urlencode';
+        for (const param of request.body.params) {
+          lines.push(`${flag} ${this.shellQuote(`${param.name}=${param.value}`)}`);
+        }
+      } else if (request.body) {
+        lines.push(`--data-raw ${this.shellQuote(request.body.text)}`);
+      }
+
+      return {
+        name: request.name,
+        method: request.method,
+        path: request.path,
+        command: lines.join(' \\\n  ')
+      };
+    });
+  }
+
+  /**
+   * Every operation in the spec as a client-neutral request with sample values
+   * @param {Object} rawSpec - Parsed OpenAPI 3.x or Swagger 2.0 document
+   * @param {Object} api - Catalog entry; its openapi_url resolves relative server URLs
+   * @param {Function} variable - Formats a placeholder for a credential
+   * @returns {Object} { baseUrl, requests, credentials } where credentials
+   *   names the placeholders used
+   */
+  getRequests(rawSpec, api, variable) {
+    const spec = this.upgrader.isSwagger2(rawSpec) ? this.upgrader.upgrade(rawSpec) : rawSpec;
+    const credentials = new Set();
+    const requests = [];
+
+    for (const [pathName, rawItem] of Object.entries(spec.paths || {})) {
+      const pathItem = this.resolve(spec, rawItem);
+      if (!pathItem || typeof pathItem !== 'object') continue;
+
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation || typeof operation !== 'object') continue;
+
+        const request = {
+          name: operation.summary || operation.operationId || `${method.toUpperCase()} ${pathName}`,
+          description: operation.description || '',
+          folder: (operation.tags && operation.tags[0]) || null,
+          method: method.toUpperCase(),
+          path: pathName,
+          pathParams: [],
+          query: [],
+          headers: [],
+          body: null
+        };
+
+        const cookies = [];
+        for (const param of this.getParameters(spec, pathItem, operation)) {
+          const entry = {
+            name: param.name,
+            value: this.formatValue(this.parameterSample(spec, param)),
+            description: param.description || '',
+            required: !!param.required
+          };
+
+          if (param.in === 'path') request.pathParams.push(entry);
+          else if (param.in === 'query') request.query.push(entry);
+          else if (param.in === 'cookie') cookies.push(`${entry.name}=${entry.value}`);
+          else if (param.in === 'header' && !RESERVED_HEADERS.includes(param.name.toLowerCase())) request.headers.push(entry);
+        }
+
+        if (cookies.length > 0) {
+          request.headers.push({ name: 'Cookie', value: cookies.join('; ') });
+        }
+
+        this.addAuth(spec, operation, request, variable, credentials);
+
+        request.body = this.bodySample(spec, operation.requestBody);
+        if (request.body) {
+          // multipart boundaries are added by the client
+          if (request.body.mediaType !== 'multipart/form-data') {
+            request.headers.push({ name: 'Content-Type', value: request.body.mediaType });
+          }
+        }
+
+        requests.push(request);
+      }
+    }
+
+    return { baseUrl: this.getBaseUrl(spec, api.openapi_url), requests, credentials: [...credentials] };
+  }
+
+  /**
+   * Operation parameters merged with path-level ones
+   */
+  getParameters(spec, pathItem, operation) {
+    const params = new Map();
+
+    for (const raw of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+      const param = this.resolve(spec, raw);
+      if (!param || !param.name || !param.in) continue;
+      params.set(`${param.in}:${param.name}`, param);
+    }
+
+    return [...params.values()];
+  }
+
+  /**
+   * Send the first security requirement's credentials as placeholders
+   */
+  addAuth(spec, operation, request, variable, credentials) {
+    const requirements = operation.security || spec.security || [];
+    const schemes = spec.components?.securitySchemes || {};
+    const requirement = requirements.find(entry => entry && Object.keys(entry).length > 0);
+    if (!requirement) return;
+
+    for (const schemeName of Object.keys(requirement)) {
+      const scheme = this.resolve(spec, schemes[schemeName]);
+      if (!scheme) continue;
+
+      const credential = schemeName.replace(/[^A-Za-z0-9_]/g, '_');
+      const placeholder = variable(credential);
+
+      if (scheme.type === 'apiKey' && scheme.in === 'query') {
+        request.query.push({ name: scheme.name, value: placeholder, description: scheme.description || '', required: true, credential: true });
+      } else if (scheme.type === 'apiKey' && scheme.in === 'header') {
+        request.headers.push({ name: scheme.name, value: placeholder });
+      } else if (scheme.type === 'apiKey' && scheme.in === 'cookie') {
+        request.headers.push({ name: 'Cookie', value: `${scheme.name}=${placeholder}` });
+      } else if (scheme.type === 'http' && (scheme.scheme || '').toLowerCase() === 'basic') {
+        request.headers.push({ name: 'Authorization', value: `Basic ${placeholder}` });
+      } else if (['http', 'oauth2', 'openIdConnect'].includes(scheme.type)) {
+        request.headers.push({ name: 'Authorization', value: `Bearer ${placeholder}` });
+      } else {
+        continue;
+      }
+
+      credentials.add(credential);
+    }
+  }
+
+  parameterSample(spec, param) {
+    if (param.example !== undefined) return param.example;
+    const example = this.firstExample(spec, param.examples);
+    if (example !== undefined) return example;
+
+    // Parameters described with content instead of a schema
+    const media = param.content && Object.values(param.content)[0];
+    return this.sampleValue(spec, param.schema || media?.schema);
+  }
+
+  /**
+   * Sample body for the first media type we know how to fill in
+   * @returns {Object|null} { mediaType, text } or, for forms, { mediaType, params }
+   */
+  bodySample(spec, rawBody) {
+    const body = this.resolve(spec, rawBody);
+    if (!body || !body.content) return null;
+
+    const mediaTypes = Object.keys(body.content);
+    if (mediaTypes.length === 0) return null;
+
+    const mediaType = PREFERRED_MEDIA_TYPES.find(type => mediaTypes.includes(type))
+      || mediaTypes.find(type => type.endsWith('+json'))
+      || mediaTypes[0];
+    const media = body.content[mediaType] || {};
+
+    let value = media.example;
+    if (value === undefined) value = this.firstExample(spec, media.examples);
+    if (value === undefined) value = this.sampleValue(spec, media.schema);
+
+    if (mediaType === 'application/x-www-form-urlencoded' || mediaType === 'multipart/form-data') {
+      const fields = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+      return {
+        mediaType,
+        params: Object.entries(fields).map(([name, fieldValue]) => ({ name, value: this.formatValue(fieldValue) }))
+      };
+    }
+
+    if (typeof value === 'string') {
+      return { mediaType, text: value };
+    }
+    return { mediaType, text: value === undefined || value === null ? '' : JSON.stringify(value, null, 2) };
+  }
+
+  firstExample(spec, examples) {
+    if (!examples || typeof examples !== 'object') return undefined;
+    const first = this.resolve(spec, Object.values(examples)[0]);
+    return first && typeof first === 'object' && 'value' in first ? first.value : undefined;
+  }
+
+  /**
+   * Build an example value from a schema: its example, default or first
+   * enum value when given, otherwise a placeholder of the right type
+   */
+  sampleValue(spec, rawSchema, depth = 0, seen = new Set()) {
+    if (!rawSchema || typeof rawSchema !== 'object' || depth > MAX_SAMPLE_DEPTH) return null;
+
+    // A recursive schema stops at its second appearance on the current branch
+    const ref = rawSchema.$ref;
+    if (ref && seen.has(ref)) return null;
+    const schema = this.resolve(spec, rawSchema);
+    if (!schema || typeof schema !== 'object') return null;
+    const branch = ref ? new Set([...seen, ref]) : seen;
+
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    if (Array.isArray(schema.allOf)) {
+      const parts = schema.allOf.map(part => this.sampleValue(spec, part, depth + 1, branch));
+      if (parts.every(part => part && typeof part === 'object' && !Array.isArray(part))) {
+        return Object.assign({}, ...parts, this.objectSample(spec, schema, depth, branch));
+      }
+      return parts.find(part => part !== null) ?? null;
+    }
+
+    const choices = schema.oneOf || schema.anyOf;
+    if (Array.isArray(choices) && choices.length > 0) {
+      return this.sampleValue(spec, choices[0], depth + 1, branch);
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+    if (type === 'object' || (!type && schema.properties)) {
+      return this.objectSample(spec, schema, depth, branch);
+    }
+    if (type === 'array' || (!type && schema.items)) {
+      const item = this.sampleValue(spec, schema.items, depth + 1, branch);
+      return item === null ? [] : [item];
+    }
+    if (type === 'string') {
+      return STRING_SAMPLES[schema.format] ?? 'string';
+    }
+    if (type === 'integer' || type === 'number') {
+      return schema.minimum ?? 0;
+    }
+    if (type === 'boolean') {
+      return true;
+    }
+
+    return null;
+  }
+
+  objectSample(spec, schema, depth, seen) {
+    const sample = {};
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      const resolved = this.resolve(spec, property);
+      // Requests don't send server-generated fields
+      if (resolved && resolved.readOnly) continue;
+      sample[name] = this.sampleValue(spec, property, depth + 1, seen);
+    }
+    return sample;
+  }
+
+  /**
+   * First server URL with its variables filled in. Relative URLs are
+   * resolved against where the spec was downloaded from.
+   */
+  getBaseUrl(spec, sourceUrl) {
+    const server = (spec.servers || [])[0];
+    let url = server?.url || '/';
+
+    for (const [name, variable] of Object.entries(server?.variables || {})) {
+      url = url.split(`{${name}}`).join(variable.default ?? '');
+    }
+
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+      try {
+        url = new URL(url, sourceUrl || 'http://localhost').toString();
+      } catch (error) {
+        url = `http://localhost${url.startsWith('/') ? '' : '/'}${url}`;
+      }
+    }
+
+    return url.replace(/\/+$/, '');
+  }
+
+  // Path with its parameters replaced by their sample values
+  fillPath(request) {
+    const values = new Map(request.pathParams.map(param => [param.name, param.value]));
+    return request.path.replace(/\{([^}]+)\}/g, (match, name) => (
+      values.has(name) ? encodeURIComponent(values.get(name)) : match
+    ));
+  }
+
+  requestUrl(request, baseUrl) {
+    const query = request.query.filter(param => param.required);
+    return `${baseUrl}${this.fillPath(request)}${this.queryString(query, 'name', true)}`;
+  }
+
+  // Credential placeholders are left readable; sample values are encoded when asked
+  queryString(params, key, encode = false) {
+    if (params.length === 0) return '';
+    const format = param => (encode && !param.credential ? encodeURIComponent(param.value) : param.value);
+    return `?${params.map(param => `${encodeURIComponent(param[key])}=${format(param)}`).join('&')}`;
+  }
+
+  // Parameter values are sent as text; arrays use the default comma style
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => this.formatValue(item)).join(',');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+  }
+
+  title(spec, api) {
+    return spec.info?.title || api.name || 'API';
+  }
+
+  /**
+   * Resolve a local $ref (e.g. #/components/schemas/Pet) within a document
+   */
+  resolve(spec, value, depth = 0) {
+    if (!value || typeof value !== 'object' || !value.$ref) return value;
+    if (depth > MAX_SAMPLE_DEPTH || !value.$ref.startsWith('#/')) return value;
+
+    const target = value.$ref
+      .slice(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => (node ? node[part] : undefined), spec);
+
+    return this.resolve(spec, target, depth + 1);
+  }
+}
+
+module.exports = SpecExporter;
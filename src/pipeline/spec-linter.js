@@ -0,0 +1,255 @@
+const SwaggerParser = require('@apidevtools/swagger-parser');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Stored reports keep at most this many issues; counts are always complete
+const MAX_ISSUES = 200;
+
+// Score penalties. Operation rules are weighted by the share of operations
+// that break them, so large APIs aren't punished for their size.
+const PENALTIES = {
+  firstError: 30,
+  extraError: 2,
+  maxExtraErrors: 20,
+  'operation-operationId': 15,
+  'operation-success-response': 15,
+  'operation-description': 10,
+  servers: 10,
+  'info-description': 5,
+  'external-ref': 5
+};
+
+class SpecLinter {
+  /**
+   * Validate a spec against the OpenAPI 2.0/3.0/3.1 schemas, check its $refs
+   * and run the lint rules
+   * @param {Object} spec - Parsed spec (not modified)
+   * @returns {Promise<Object>} { valid, score, specVersion, counts, issues }
+   */
+  async lint(spec) {
+    const issues = [];
+    const refs = this.checkRefs(spec);
+    issues.push(...refs);
+
+    // The parser stops at the first $ref it can't resolve, and checkRefs has
+    // already listed those precisely
+    if (!refs.some(issue => issue.rule === 'unresolved-ref')) {
+      issues.push(...await this.validateSchema(spec));
+    }
+
+    const operations = this.getOperations(spec);
+    issues.push(...this.lintOperations(operations));
+    issues.push(...this.lintDocument(spec));
+
+    const counts = { error: 0, warning: 0, info: 0 };
+    issues.forEach(issue => counts[issue.severity]++);
+
+    return {
+      valid: counts.error === 0,
+      score: this.score(issues, operations.length),
+      specVersion: String(spec.openapi || spec.swagger || ''),
+      operationCount: operations.length,
+      counts,
+      issues: issues.slice(0, MAX_ISSUES)
+    };
+  }
+
+  /**
+   * Schema and semantic validation via swagger-parser. External refs are
+   * not fetched; they're reported separately by checkRefs.
+   */
+  async validateSchema(spec) {
+    try {
+      // validate() dereferences in place, so give it a copy
+      await SwaggerParser.validate(JSON.parse(JSON.stringify(spec)), {
+        resolve: { external: false }
+      });
+      return [];
+    } catch (error) {
+      if (Array.isArray(error.details)) {
+        return this.schemaIssues(error.details);
+      }
+
+      const message = error.message.replace(/^Validation failed\.\s*/, '');
+      return [this.issue('error', 'semantic', this.pathFromMessage(message), message)];
+    }
+  }
+
+  schemaIssues(details) {
+    const seen = new Set();
+    const issues = [];
+
+    for (const detail of details) {
+      // oneOf/anyOf failures repeat the errors of their branches, and the
+      // "must have $ref" branch of a reference-or-object union is noise
+      if (detail.keyword === 'oneOf' || detail.keyword === 'anyOf') continue;
+      if (detail.params && detail.params.missingProperty === '$ref') continue;
+
+      const location = this.pointerToPath(detail.instancePath || '');
+      const key = `${location} ${detail.message}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      issues.push(this.issue('error', 'schema', location, detail.message));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Find $refs that point nowhere (errors) or to other files (warnings)
+   */
+  checkRefs(spec) {
+    const issues = [];
+
+    const walk = (node, pointer) => {
+      if (!node || typeof node !== 'object') return;
+
+      if (typeof node.$ref === 'string') {
+        const ref = node.$ref;
+        const location = this.pointerToPath(pointer);
+        if (!ref.startsWith('#')) {
+          issues.push(this.issue('warning', 'external-ref', location, `External $ref "${ref}" is not bundled into the spec`));
+        } else if (this.resolvePointer(spec, ref.slice(1)) === undefined) {
+          issues.push(this.issue('error', 'unresolved-ref', location, `$ref "${ref}" does not resolve`));
+        }
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        walk(value, `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+      }
+    };
+
+    walk(spec, '');
+    return issues;
+  }
+
+  resolvePointer(document, pointer) {
+    if (pointer === '' || pointer === '/') return document;
+
+    let node = document;
+    for (const token of pointer.replace(/^\//, '').split('/')) {
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!node || typeof node !== 'object' || !(key in node)) return undefined;
+      node = node[key];
+    }
+    return node;
+  }
+
+  getOperations(spec) {
+    const operations = [];
+
+    for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem && pathItem[method];
+        if (operation && typeof operation === 'object') {
+          operations.push({ method, path: pathName, operation });
+        }
+      }
+    }
+
+    return operations;
+  }
+
+  lintOperations(operations) {
+    const issues = [];
+    const operationIds = new Map();
+
+    for (const { method, path, operation } of operations) {
+      const location = `paths.${path}.${method}`;
+      const label = `${method.toUpperCase()} ${path}`;
+
+      if (!operation.operationId) {
+        issues.push(this.issue('warning', 'operation-operationId', location, `${label} has no operationId`));
+      } else if (operationIds.has(operation.operationId)) {
+        issues.push(this.issue('error', 'operation-operationId-unique', location,
+          `operationId "${operation.operationId}" is also used by ${operationIds.get(operation.operationId)}`));
+      } else {
+        operationIds.set(operation.operationId, label);
+      }
+
+      const statusCodes = Object.keys(operation.responses || {});
+      if (!statusCodes.some(code => /^[23]/.test(code))) {
+        issues.push(this.issue('warning', 'operation-success-response', location,
+          statusCodes.length === 0
+            ? `${label} documents no responses`
+            : `${label} documents no success (2xx/3xx) response`));
+      }
+
+      if (!operation.summary && !operation.description) {
+        issues.push(this.issue('info', 'operation-description', location, `${label} has no summary or description`));
+      }
+    }
+
+    return issues;
+  }
+
+  lintDocument(spec) {
+    const issues = [];
+
+    if (spec.swagger) {
+      if (!spec.host) {
+        issues.push(this.issue('warning', 'servers', 'host', 'No host defined, so requests have no base URL'));
+      }
+    } else {
+      const servers = (spec.servers || []).filter(server => server && server.url && server.url !== '/');
+      if (servers.length === 0) {
+        issues.push(this.issue('warning', 'servers', 'servers', 'No servers defined, so requests have no base URL'));
+      }
+    }
+
+    if (!spec.info || !spec.info.description) {
+      issues.push(this.issue('info', 'info-description', 'info.description', 'The API has no description'));
+    }
+
+    return issues;
+  }
+
+  /**
+   * 0-100, see PENALTIES
+   */
+  score(issues, operationCount) {
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    let penalty = 0;
+
+    if (errors > 0) {
+      penalty += PENALTIES.firstError + Math.min((errors - 1) * PENALTIES.extraError, PENALTIES.maxExtraErrors);
+    }
+
+    for (const rule of ['operation-operationId', 'operation-success-response', 'operation-description']) {
+      const affected = issues.filter(issue => issue.rule === rule).length;
+      if (operationCount > 0) {
+        penalty += PENALTIES[rule] * (affected / operationCount);
+      }
+    }
+
+    for (const rule of ['servers', 'info-description', 'external-ref']) {
+      if (issues.some(issue => issue.rule === rule)) {
+        penalty += PENALTIES[rule];
+      }
+    }
+
+    return Math.max(0, Math.round(100 - penalty));
+  }
+
+  issue(severity, rule, path, message) {
+    return { severity, rule, path, message };
+  }
+
+  // "/paths/~1pets/get" -> "paths./pets.get"
+  pointerToPath(pointer) {
+    return pointer
+      .split('/')
+      .filter(Boolean)
+      .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .join('.');
+  }
+
+  // swagger-parser's semantic errors name the path, e.g. "/paths/a/{id}/get is missing ..."
+  pathFromMessage(message) {
+    const match = message.match(/^(\/paths\/\S+)/);
+    return match ? match[1].replace(/^\/paths\//, 'paths./').replace(/\/(get|put|post|delete|options|head|patch|trace)$/, '.$1') : '';
+  }
+}
+
+module.exports = SpecLinter;
@@ -0,0 +1,168 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// How much each criterion contributes to the 0-100 score
+const WEIGHTS = {
+  descriptions: 30,
+  examples: 20,
+  typedSchemas: 20,
+  auth: 15,
+  servers: 15
+};
+
+class SpecQuality {
+  /**
+   * Score how well a spec is documented
+   * @param {Object} spec - Parsed OpenAPI 3.x or Swagger 2.0 document
+   * @returns {Object} { score, breakdown } where each breakdown value is 0-1
+   */
+  score(spec) {
+    const operations = this.getOperations(spec);
+
+    const breakdown = {
+      descriptions: this.descriptionCoverage(spec, operations),
+      examples: this.exampleCoverage(operations),
+      typedSchemas: this.typedSchemaCoverage(spec),
+      auth: this.authCoverage(spec, operations),
+      servers: this.serverCoverage(spec)
+    };
+
+    const score = Object.entries(WEIGHTS)
+      .reduce((total, [criterion, weight]) => total + weight * breakdown[criterion], 0);
+
+    for (const criterion of Object.keys(breakdown)) {
+      breakdown[criterion] = Math.round(breakdown[criterion] * 100) / 100;
+    }
+
+    return { score: Math.round(score), breakdown };
+  }
+
+  getOperations(spec) {
+    const operations = [];
+
+    for (const pathItem of Object.values(spec.paths || {})) {
+      if (!pathItem || typeof pathItem !== 'object') continue;
+      for (const method of HTTP_METHODS) {
+        if (pathItem[method] && typeof pathItem[method] === 'object') {
+          operations.push({ operation: pathItem[method], pathParameters: pathItem.parameters || [] });
+        }
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Share of operations, parameters and the API itself that are described
+   */
+  descriptionCoverage(spec, operations) {
+    let described = spec.info && spec.info.description ? 1 : 0;
+    let total = 1;
+
+    for (const { operation, pathParameters } of operations) {
+      total++;
+      if (operation.summary || operation.description) described++;
+
+      for (const parameter of [...pathParameters, ...(operation.parameters || [])]) {
+        // Referenced parameters are counted where they're defined
+        if (!parameter || parameter.$ref) continue;
+        total++;
+        if (parameter.description) described++;
+      }
+    }
+
+    return described / total;
+  }
+
+  /**
+   * Share of operations with an example request or response
+   */
+  exampleCoverage(operations) {
+    if (operations.length === 0) return 0;
+
+    const withExamples = operations.filter(({ operation }) => {
+      const mediaTypes = [
+        ...Object.values(operation.requestBody?.content || {}),
+        ...Object.values(operation.responses || {}).flatMap(response =>
+          Object.values((response && response.content) || {}))
+      ];
+
+      return mediaTypes.some(media => media && (media.example !== undefined || media.examples || media.schema?.example !== undefined)) ||
+        // Swagger 2.0: response `examples` and body parameter schemas
+        Object.values(operation.responses || {}).some(response => response && (response.examples || response.schema?.example !== undefined)) ||
+        (operation.parameters || []).some(parameter => parameter && (parameter.example !== undefined || parameter.schema?.example !== undefined));
+    });
+
+    return withExamples.length / operations.length;
+  }
+
+  /**
+   * Share of schemas that declare a type (or compose/reference typed schemas)
+   */
+  typedSchemaCoverage(spec) {
+    let typed = 0;
+    let total = 0;
+
+    const visit = (schema, depth = 0) => {
+      if (!schema || typeof schema !== 'object' || schema.$ref || depth > 20) return;
+
+      total++;
+      if (schema.type || schema.allOf || schema.oneOf || schema.anyOf || schema.enum || schema.const !== undefined) {
+        typed++;
+      }
+
+      Object.values(schema.properties || {}).forEach(property => visit(property, depth + 1));
+      if (schema.items) visit(schema.items, depth + 1);
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        visit(schema.additionalProperties, depth + 1);
+      }
+      [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || [])].forEach(part => visit(part, depth + 1));
+    };
+
+    Object.values(spec.components?.schemas || spec.definitions || {}).forEach(schema => visit(schema));
+
+    for (const { operation } of this.getOperations(spec)) {
+      for (const media of Object.values(operation.requestBody?.content || {})) {
+        visit(media && media.schema);
+      }
+      for (const response of Object.values(operation.responses || {})) {
+        if (!response) continue;
+        visit(response.schema);
+        Object.values(response.content || {}).forEach(media => visit(media && media.schema));
+      }
+      (operation.parameters || []).forEach(parameter => visit(parameter && parameter.schema));
+    }
+
+    // Nothing to type is not a documentation gap
+    return total === 0 ? 1 : typed / total;
+  }
+
+  /**
+   * 1 if security schemes are defined and applied, 0.5 if only defined
+   */
+  authCoverage(spec, operations) {
+    const schemes = spec.components?.securitySchemes || spec.securityDefinitions || {};
+    if (Object.keys(schemes).length === 0) return 0;
+
+    const applied = (spec.security && spec.security.length > 0) ||
+      operations.some(({ operation }) => operation.security && operation.security.length > 0);
+
+    return applied ? 1 : 0.5;
+  }
+
+  /**
+   * 1 for an absolute base URL, 0.5 for a relative one
+   */
+  serverCoverage(spec) {
+    if (spec.swagger) {
+      return spec.host ? 1 : (spec.basePath ? 0.5 : 0);
+    }
+
+    const urls = (spec.servers || []).map(server => server && server.url).filter(Boolean);
+    if (urls.some(url => /^https?:\/\//.test(url) || /^\{[^}]+\}/.test(url))) return 1;
+    return urls.some(url => url !== '/') ? 0.5 : 0;
+  }
+}
+
+SpecQuality.WEIGHTS = WEIGHTS;
+
+module.exports = SpecQuality;
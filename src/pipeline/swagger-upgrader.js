@@ -0,0 +1,467 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Swagger 2.0 parameter fields that move into `schema` in OpenAPI 3
+const SCHEMA_FIELDS = [
+  'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf'
+];
+
+const TARGET_VERSION = '3.0.3';
+
+const OAUTH_FLOWS = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode'
+};
+
+class SwaggerUpgrader {
+  isSwagger2(spec) {
+    return !!spec && String(spec.swagger).startsWith('2');
+  }
+
+  /**
+   * Upgrade a Swagger 2.0 document to OpenAPI 3.0
+   * @param {Object} spec - Swagger 2.0 document (not modified)
+   * @returns {Object} Equivalent OpenAPI 3.0 document
+   */
+  upgrade(spec) {
+    if (!this.isSwagger2(spec)) {
+      throw new Error(`Not a Swagger 2.0 document (swagger: ${spec && spec.swagger})`);
+    }
+
+    // Work on a copy and resolve the body/formData split before rewriting $refs
+    const source = JSON.parse(JSON.stringify(spec));
+    this.bodyParameters = new Set(
+      Object.entries(source.parameters || {})
+        .filter(([, parameter]) => parameter && (parameter.in === 'body' || parameter.in === 'formData'))
+        .map(([name]) => name)
+    );
+    this.source = source;
+
+    const result = { openapi: TARGET_VERSION, info: source.info || { title: 'API', version: '1.0.0' } };
+
+    const servers = this.convertServers(source);
+    if (servers.length > 0) result.servers = servers;
+
+    if (source.tags) result.tags = source.tags;
+    if (source.externalDocs) result.externalDocs = source.externalDocs;
+    if (source.security) result.security = source.security;
+
+    result.paths = this.convertPaths(source);
+
+    const components = this.convertComponents(source);
+    if (Object.keys(components).length > 0) result.components = components;
+
+    this.copyExtensions(source, result);
+
+    this.source = null;
+    this.bodyParameters = null;
+    return result;
+  }
+
+  /**
+   * host + basePath + schemes -> servers
+   */
+  convertServers(spec) {
+    const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath.replace(/\/+$/, '') : '';
+
+    if (!spec.host) {
+      return basePath ? [{ url: basePath }] : [];
+    }
+
+    const schemes = spec.schemes && spec.schemes.length > 0 ? spec.schemes : ['https'];
+    return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+  }
+
+  convertPaths(spec) {
+    const paths = {};
+
+    for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+      if (!pathItem || typeof pathItem !== 'object') continue;
+
+      if (pathItem.$ref) {
+        paths[pathName] = { $ref: pathItem.$ref };
+        continue;
+      }
+
+      const converted = {};
+      const sharedParameters = pathItem.parameters || [];
+
+      // Body and form parameters become each operation's requestBody
+      const pathParameters = sharedParameters.filter(parameter => !this.isBodyParameter(parameter));
+      const pathBodyParameters = sharedParameters.filter(parameter => this.isBodyParameter(parameter));
+
+      if (pathParameters.length > 0) {
+        converted.parameters = pathParameters.map(parameter => this.convertParameter(parameter));
+      }
+
+      for (const method of HTTP_METHODS) {
+        if (pathItem[method]) {
+          converted[method] = this.convertOperation(pathItem[method], pathBodyParameters);
+        }
+      }
+
+      this.copyExtensions(pathItem, converted);
+      paths[pathName] = converted;
+    }
+
+    return paths;
+  }
+
+  convertOperation(operation, pathBodyParameters = []) {
+    const converted = {};
+
+    for (const field of ['tags', 'summary', 'description', 'externalDocs', 'operationId', 'deprecated', 'security']) {
+      if (operation[field] !== undefined) converted[field] = operation[field];
+    }
+
+    const consumes = operation.consumes || this.source.consumes || ['application/json'];
+    const produces = operation.produces || this.source.produces || ['application/json'];
+
+    // Operation parameters override path-level ones with the same name and location
+    const operationParameters = operation.parameters || [];
+    const overridden = new Set(operationParameters.map(parameter => this.parameterKey(parameter)));
+    const allBodyParameters = [
+      ...pathBodyParameters.filter(parameter => !overridden.has(this.parameterKey(parameter))),
+      ...operationParameters.filter(parameter => this.isBodyParameter(parameter))
+    ];
+
+    const parameters = operationParameters
+      .filter(parameter => !this.isBodyParameter(parameter))
+      .map(parameter => this.convertParameter(parameter));
+    if (parameters.length > 0) converted.parameters = parameters;
+
+    const requestBody = this.convertRequestBody(allBodyParameters, consumes);
+    if (requestBody) converted.requestBody = requestBody;
+
+    converted.responses = {};
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      converted.responses[status] = this.convertResponse(response, produces);
+    }
+
+    this.copyExtensions(operation, converted);
+    return converted;
+  }
+
+  /**
+   * Query, path, header and cookie parameters
+   */
+  convertParameter(parameter) {
+    if (parameter.$ref) {
+      return { $ref: this.convertRef(parameter.$ref) };
+    }
+
+    const converted = { name: parameter.name, in: parameter.in };
+    if (parameter.description) converted.description = parameter.description;
+    if (parameter.required || parameter.in === 'path') converted.required = true;
+    if (parameter.allowEmptyValue) converted.allowEmptyValue = true;
+
+    const schema = {};
+    for (const field of SCHEMA_FIELDS) {
+      if (parameter[field] !== undefined) schema[field] = parameter[field];
+    }
+    if (schema.items) schema.items = this.convertSchema(this.itemsToSchema(schema.items));
+    converted.schema = this.convertSchema(schema);
+
+    Object.assign(converted, this.convertCollectionFormat(parameter));
+
+    if (parameter['x-example'] !== undefined) converted.example = parameter['x-example'];
+    this.copyExtensions(parameter, converted, ['x-example']);
+    return converted;
+  }
+
+  convertCollectionFormat(parameter) {
+    if (parameter.type !== 'array') return {};
+
+    switch (parameter.collectionFormat) {
+      case 'multi':
+        return { style: 'form', explode: true };
+      case 'ssv':
+        return { style: 'spaceDelimited', explode: false };
+      case 'pipes':
+        return { style: 'pipeDelimited', explode: false };
+      case 'tsv':
+        // No OpenAPI 3 equivalent; comma-separated is the closest
+      default:
+        // csv is the Swagger 2.0 default
+        return parameter.in === 'query' || parameter.in === 'cookie'
+          ? { style: 'form', explode: false }
+          : { style: 'simple', explode: false };
+    }
+  }
+
+  // Nested `items` in Swagger 2.0 parameters carry collectionFormat, which has no schema meaning
+  itemsToSchema(items) {
+    const { collectionFormat, ...schema } = items;
+    if (schema.items) schema.items = this.itemsToSchema(schema.items);
+    return schema;
+  }
+
+  /**
+   * A body parameter or formData parameters -> requestBody
+   */
+  convertRequestBody(parameters, consumes) {
+    const resolved = parameters.map(parameter => this.resolveParameter(parameter));
+    const body = resolved.find(parameter => parameter.in === 'body');
+
+    if (body) {
+      const original = parameters[resolved.indexOf(body)];
+      // A shared body parameter becomes a shared requestBody
+      if (original.$ref) {
+        return { $ref: this.convertRef(original.$ref) };
+      }
+      return this.bodyToRequestBody(body, consumes);
+    }
+
+    const formParameters = resolved.filter(parameter => parameter.in === 'formData');
+    if (formParameters.length === 0) return null;
+
+    return this.formToRequestBody(formParameters, consumes);
+  }
+
+  bodyToRequestBody(body, consumes) {
+    const requestBody = { content: {} };
+    if (body.description) requestBody.description = body.description;
+    if (body.required) requestBody.required = true;
+
+    const schema = this.convertSchema(body.schema || {});
+    for (const mediaType of consumes) {
+      requestBody.content[mediaType] = { schema };
+      if (body['x-examples'] && body['x-examples'][mediaType] !== undefined) {
+        requestBody.content[mediaType].example = body['x-examples'][mediaType];
+      }
+    }
+
+    this.copyExtensions(body, requestBody, ['x-examples']);
+    return requestBody;
+  }
+
+  formToRequestBody(formParameters, consumes) {
+    const hasFile = formParameters.some(parameter => parameter.type === 'file');
+    const formTypes = consumes.filter(mediaType =>
+      mediaType === 'multipart/form-data' || mediaType === 'application/x-www-form-urlencoded');
+    const mediaTypes = formTypes.length > 0
+      ? formTypes
+      : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const parameter of formParameters) {
+      const property = {};
+      for (const field of SCHEMA_FIELDS) {
+        if (parameter[field] !== undefined) property[field] = parameter[field];
+      }
+      if (property.items) property.items = this.itemsToSchema(property.items);
+      if (parameter.description) property.description = parameter.description;
+
+      schema.properties[parameter.name] = this.convertSchema(property);
+      if (parameter.required) required.push(parameter.name);
+    }
+    if (required.length > 0) schema.required = required;
+
+    const requestBody = { content: {} };
+    if (required.length > 0) requestBody.required = true;
+    for (const mediaType of mediaTypes) {
+      requestBody.content[mediaType] = { schema };
+    }
+    return requestBody;
+  }
+
+  convertResponse(response, produces) {
+    if (!response) return { description: '' };
+    if (response.$ref) {
+      return { $ref: this.convertRef(response.$ref) };
+    }
+
+    const converted = { description: response.description || '' };
+
+    if (response.schema) {
+      const schema = this.convertSchema(response.schema);
+      converted.content = {};
+      for (const mediaType of produces) {
+        converted.content[mediaType] = { schema };
+      }
+    }
+
+    // examples are keyed by media type in Swagger 2.0
+    for (const [mediaType, example] of Object.entries(response.examples || {})) {
+      converted.content = converted.content || {};
+      converted.content[mediaType] = { ...(converted.content[mediaType] || {}), example };
+    }
+
+    if (response.headers) {
+      converted.headers = {};
+      for (const [name, header] of Object.entries(response.headers)) {
+        const schema = {};
+        for (const field of SCHEMA_FIELDS) {
+          if (header[field] !== undefined) schema[field] = header[field];
+        }
+        if (schema.items) schema.items = this.itemsToSchema(schema.items);
+        converted.headers[name] = {
+          ...(header.description ? { description: header.description } : {}),
+          schema: this.convertSchema(schema)
+        };
+      }
+    }
+
+    this.copyExtensions(response, converted);
+    return converted;
+  }
+
+  /**
+   * definitions, shared parameters and responses, securityDefinitions -> components
+   */
+  convertComponents(spec) {
+    const components = {};
+
+    if (spec.definitions) {
+      components.schemas = {};
+      for (const [name, schema] of Object.entries(spec.definitions)) {
+        components.schemas[name] = this.convertSchema(schema);
+      }
+    }
+
+    for (const [name, parameter] of Object.entries(spec.parameters || {})) {
+      if (this.bodyParameters.has(name)) {
+        components.requestBodies = components.requestBodies || {};
+        components.requestBodies[name] = parameter.in === 'body'
+          ? this.bodyToRequestBody(parameter, spec.consumes || ['application/json'])
+          : this.formToRequestBody([parameter], spec.consumes || []);
+      } else {
+        components.parameters = components.parameters || {};
+        components.parameters[name] = this.convertParameter(parameter);
+      }
+    }
+
+    if (spec.responses) {
+      components.responses = {};
+      for (const [name, response] of Object.entries(spec.responses)) {
+        components.responses[name] = this.convertResponse(response, spec.produces || ['application/json']);
+      }
+    }
+
+    if (spec.securityDefinitions) {
+      components.securitySchemes = {};
+      for (const [name, scheme] of Object.entries(spec.securityDefinitions)) {
+        components.securitySchemes[name] = this.convertSecurityScheme(scheme);
+      }
+    }
+
+    return components;
+  }
+
+  convertSecurityScheme(scheme) {
+    const description = scheme.description ? { description: scheme.description } : {};
+
+    if (scheme.type === 'basic') {
+      return { type: 'http', scheme: 'basic', ...description };
+    }
+    if (scheme.type === 'apiKey') {
+      return { type: 'apiKey', name: scheme.name, in: scheme.in, ...description };
+    }
+    if (scheme.type === 'oauth2') {
+      const flow = { scopes: scheme.scopes || {} };
+      if (scheme.authorizationUrl) flow.authorizationUrl = scheme.authorizationUrl;
+      if (scheme.tokenUrl) flow.tokenUrl = scheme.tokenUrl;
+
+      return {
+        type: 'oauth2',
+        flows: { [OAUTH_FLOWS[scheme.flow] || 'implicit']: flow },
+        ...description
+      };
+    }
+
+    return { ...scheme };
+  }
+
+  /**
+   * Swagger 2.0 schemas are nearly OpenAPI 3.0 schemas: fix up $refs, file
+   * types, x-nullable and discriminators, recursively
+   */
+  convertSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this.convertSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === '$ref' && typeof value === 'string') {
+        converted.$ref = this.convertRef(value);
+      } else if (key === 'x-nullable') {
+        converted.nullable = value;
+      } else if (key === 'discriminator' && typeof value === 'string') {
+        converted.discriminator = { propertyName: value };
+      } else if (key === 'properties' || key === 'definitions' || key === 'patternProperties') {
+        converted[key] = {};
+        for (const [name, property] of Object.entries(value || {})) {
+          converted[key][name] = this.convertSchema(property);
+        }
+      } else if (key === 'example' || key === 'default' || key === 'enum') {
+        // Literal values, not schemas
+        converted[key] = value;
+      } else if (value && typeof value === 'object') {
+        converted[key] = this.convertSchema(value);
+      } else {
+        converted[key] = value;
+      }
+    }
+
+    if (converted.type === 'file') {
+      converted.type = 'string';
+      converted.format = 'binary';
+    }
+
+    return converted;
+  }
+
+  convertRef(ref) {
+    if (ref.startsWith('#/definitions/')) {
+      return ref.replace('#/definitions/', '#/components/schemas/');
+    }
+    if (ref.startsWith('#/parameters/')) {
+      const name = decodeURIComponent(ref.slice('#/parameters/'.length).split('/')[0]);
+      return this.bodyParameters.has(name)
+        ? ref.replace('#/parameters/', '#/components/requestBodies/')
+        : ref.replace('#/parameters/', '#/components/parameters/');
+    }
+    if (ref.startsWith('#/responses/')) {
+      return ref.replace('#/responses/', '#/components/responses/');
+    }
+    return ref;
+  }
+
+  isBodyParameter(parameter) {
+    const resolved = this.resolveParameter(parameter);
+    return resolved.in === 'body' || resolved.in === 'formData';
+  }
+
+  resolveParameter(parameter) {
+    if (parameter && parameter.$ref && parameter.$ref.startsWith('#/parameters/')) {
+      const name = decodeURIComponent(parameter.$ref.slice('#/parameters/'.length));
+      return (this.source.parameters || {})[name] || {};
+    }
+    return parameter || {};
+  }
+
+  parameterKey(parameter) {
+    const resolved = this.resolveParameter(parameter);
+    return `${resolved.in}:${resolved.name}`;
+  }
+
+  copyExtensions(from, to, skip = []) {
+    for (const [key, value] of Object.entries(from)) {
+      if (key.startsWith('x-') && !skip.includes(key) && to[key] === undefined) {
+        to[key] = value;
+      }
+    }
+  }
+}
+
+SwaggerUpgrader.TARGET_VERSION = TARGET_VERSION;
+
+module.exports = SwaggerUpgrader;
@@ -0,0 +1,157 @@
+const { Octokit } = require('@octokit/rest');
+
+// Attempts per request when GitHub rate limits it
+const MAX_RETRIES = 3;
+// GitHub asks for at least a minute's pause after a secondary rate limit without retry-after
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+// Cached responses not used for this long are dropped
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+class GitHubClient {
+  /**
+   * GitHub REST requests with rate limit handling and, optionally, an ETag
+   * cache. Cached requests are sent with If-None-Match, and GitHub doesn't
+   * count the 304s against the rate limit.
+   * @param {string} token - GitHub token
+   * @param {Object} options - `database` (CatalogDatabase) to keep the cache in
+   */
+  constructor(token, options = {}) {
+    this.octokit = new Octokit({
+      auth: token,
+      userAgent: 'bruno-api-catalog/1.0.0'
+    });
+    this.db = options.database || null;
+
+    // Latest x-ratelimit-* headers per resource (core, search, ...)
+    this.rateLimits = {};
+    // Set while waiting out a rate limit
+    this.waitingUntil = null;
+    this.stats = { requests: 0, notModified: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Make a request, e.g. request('GET /repos/{owner}/{repo}', { owner, repo })
+   * @param {string} route - Octokit route
+   * @param {Object} params - Route parameters
+   * @param {Object} options - `cache: true` to use the ETag cache
+   * @returns {Promise<Object>} Response data
+   * @throws {Error} Octokit's RequestError, once retries are used up
+   */
+  async request(route, params = {}, options = {}) {
+    const key = options.cache && this.db ? this.cacheKey(route, params) : null;
+    const cached = key ? this.db.getGitHubCacheEntry(key) : null;
+    const headers = cached ? { 'if-none-match': cached.etag } : {};
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        this.stats.requests++;
+        const response = await this.octokit.request(route, { ...params, headers });
+        this.recordRateLimit(response.headers);
+
+        if (key && response.headers.etag) {
+          this.db.setGitHubCacheEntry(key, response.headers.etag, response.data);
+        }
+        return response.data;
+      } catch (error) {
+        if (error.response) {
+          this.recordRateLimit(error.response.headers);
+        }
+
+        if (error.status === 304 && cached) {
+          this.stats.notModified++;
+          this.db.touchGitHubCacheEntry(key);
+          return cached.data;
+        }
+
+        const delay = this.getRetryDelay(error);
+        if (delay === null || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+
+        this.stats.rateLimited++;
+        console.log(`⏳ GitHub rate limit hit. Waiting ${Math.ceil(delay / 1000)} seconds (attempt ${attempt}/${MAX_RETRIES})...`);
+        await this.wait(delay);
+      }
+    }
+  }
+
+  // Requests are cached by their URL (route and parameters)
+  cacheKey(route, params) {
+    const { method, url } = this.octokit.request.endpoint(route, params);
+    return `${method} ${url}`;
+  }
+
+  /**
+   * How long to wait before retrying a failed request
+   * @returns {number|null} Milliseconds, or null if it isn't a rate limit
+   */
+  getRetryDelay(error) {
+    if (error.status !== 403 && error.status !== 429) {
+      return null;
+    }
+
+    const headers = (error.response && error.response.headers) || {};
+
+    // Secondary rate limits say how long to back off
+    if (headers['retry-after']) {
+      return Number(headers['retry-after']) * 1000;
+    }
+
+    // Primary rate limit used up: wait for the reset (plus a second for clock skew)
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+    }
+
+    if (/secondary rate limit/i.test(error.message)) {
+      return SECONDARY_LIMIT_WAIT_MS;
+    }
+
+    return null;
+  }
+
+  recordRateLimit(headers = {}) {
+    if (headers['x-ratelimit-limit'] === undefined) return;
+
+    this.rateLimits[headers['x-ratelimit-resource'] || 'core'] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']),
+      reset: new Date(Number(headers['x-ratelimit-reset']) * 1000)
+    };
+  }
+
+  /**
+   * Wait for the reset if the last response for a resource used up its limit
+   * @param {string} resource - e.g. 'search' or 'core'
+   */
+  async waitForRateLimit(resource) {
+    const state = this.rateLimits[resource];
+    if (!state || state.remaining > 0) return;
+
+    const delay = state.reset.getTime() - Date.now() + 1000;
+    if (delay > 0) {
+      console.log(`\n⏳ ${resource} rate limit used up. Waiting ${Math.ceil(delay / 1000)} seconds until reset...`);
+      await this.wait(delay);
+    }
+  }
+
+  async wait(ms) {
+    this.waitingUntil = new Date(Date.now() + ms);
+    try {
+      await new Promise(resolve => setTimeout(resolve, ms));
+    } finally {
+      this.waitingUntil = null;
+    }
+  }
+
+  /**
+   * Drop cached responses that haven't been used in a while
+   */
+  pruneCache() {
+    if (this.db) {
+      this.db.pruneGitHubCache(new Date(Date.now() - CACHE_MAX_AGE_MS).toISOString());
+    }
+  }
+}
+
+module.exports = GitHubClient;
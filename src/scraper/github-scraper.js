@@ -1,109 +1,104 @@
-const { Octokit } = require('@octokit/rest');
 const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const SpecBundler = require('../pipeline/spec-bundler');
+const { assertPublicUrl, publicRequestOptions } = require('../pipeline/public-fetch');
+const GitHubClient = require('./github-client');
+
+// Code searches run by default: well-known filenames, spec folders, and files
+// that declare a spec version whatever they're called
+const DEFAULT_QUERIES = [
+  'filename:openapi.json',
+  'filename:openapi.yaml',
+  'filename:openapi.yml',
+  'filename:swagger.json',
+  'filename:swagger.yaml',
+  'filename:swagger.yml',
+  'filename:api-docs.json',
+  'path:openapi extension:yaml',
+  'path:openapi extension:yml',
+  'path:openapi extension:json',
+  '"openapi: 3" extension:yaml',
+  '"openapi: 3" extension:yml',
+  '"swagger: 2.0" extension:yaml'
+];
+
+// How much of each match is read to tell specs from other files
+const SNIFF_BYTES = 8192;
+
+// A spec version at the top level: JSON (anywhere in the sniffed part) or
+// unindented YAML
+const SPEC_MARKERS = [
+  /^\s*\{[\s\S]*"(openapi|swagger)"\s*:\s*"[23]/,
+  /^(openapi|swagger)\s*:\s*['"]?[23]/m
+];
 
 class GitHubScraper {
-  constructor(token) {
-    this.octokit = new Octokit({
-      auth: token,
-      userAgent: 'bruno-api-catalog/1.0.0'
-    });
-    this.rateLimitResetTime = null;
-  }
-
-  /**
-   * Check and handle rate limits
-   * @returns {Promise<void>}
-   */
-  async checkRateLimit() {
-    try {
-      const { data } = await this.octokit.rateLimit.get();
-      const codeSearch = data.resources.search;
-
-      console.log(`\n📊 Rate Limit Status:`);
-      console.log(`   Remaining: ${codeSearch.remaining}/${codeSearch.limit}`);
-      console.log(`   Resets at: ${new Date(codeSearch.reset * 1000).toLocaleTimeString()}`);
-
-      // If we're low on requests, wait
-      if (codeSearch.remaining < 2) {
-        const resetTime = new Date(codeSearch.reset * 1000);
-        const waitTime = resetTime - Date.now() + 5000; // Add 5 second buffer
-
-        if (waitTime > 0) {
-          console.log(`\n⏳ Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)} seconds until reset...`);
-          await this.sleep(waitTime);
-          console.log(`✅ Rate limit reset! Continuing...`);
-        }
-      }
-    } catch (error) {
-      console.error('Error checking rate limit:', error.message);
-    }
-  }
-
   /**
-   * Handle rate limit errors with automatic retry
-   * @param {Error} error - The error to check
-   * @returns {Promise<boolean>} - True if we should retry
+   * @param {string} token - GitHub token
+   * @param {Object} options - `database` (CatalogDatabase) to cache
+   *   repository info and file contents in (see GitHubClient)
    */
-  async handleRateLimitError(error) {
-    if (error.status === 403 && error.message.includes('rate limit')) {
-      console.log('\n🚨 Rate limit exceeded! Checking reset time...');
-
-      try {
-        const { data } = await this.octokit.rateLimit.get();
-        const resetTime = new Date(data.resources.search.reset * 1000);
-        const waitTime = resetTime - Date.now() + 5000; // Add 5 second buffer
-
-        if (waitTime > 0) {
-          console.log(`⏳ Waiting ${Math.ceil(waitTime / 1000)} seconds for rate limit reset...`);
-          console.log(`   Reset time: ${resetTime.toLocaleString()}`);
-          await this.sleep(waitTime);
-          console.log(`✅ Rate limit reset! Retrying...`);
-          return true; // Signal to retry
-        }
-      } catch (e) {
-        console.error('Error getting rate limit info:', e.message);
-      }
-    }
-    return false; // Don't retry
+  constructor(token, options = {}) {
+    this.client = new GitHubClient(token, { database: options.database });
+    this.bundler = new SpecBundler();
   }
 
   /**
-   * Search GitHub for OpenAPI specification files
-   * @param {Object} options - Search options
-   * @returns {Promise<Array>} Array of found OpenAPI specs
+   * Search GitHub for OpenAPI specification files.
+   * Each query is a code search combining filename:, path:, extension: and
+   * quoted content qualifiers. Matches are sniffed before anything else is
+   * fetched, so files that aren't specs cost neither a repository lookup nor
+   * a full download.
+   * @param {Object} options - minStars, maxResults, `queries` (default:
+   *   DEFAULT_QUERIES) and `onQueryStats(stats)`, called after each query
+   *   with the statistics of every query so far
+   * @returns {Promise<Object>} { results, queryStats }
    */
   async searchOpenAPIFiles(options = {}) {
     const {
       minStars = 10,
       maxResults = 1000,
-      filePatterns = [
-        'openapi.json',
-        'openapi.yaml',
-        'openapi.yml',
-        'swagger.json'
-      ]
+      queries = DEFAULT_QUERIES,
+      onQueryStats = null
     } = options;
 
     const results = [];
-    const seenRepos = new Set(); // Track repos we've already processed
+    const queryStats = [];
+    const seenFiles = new Set(); // Files already matched by an earlier query
+    const repos = new Map(); // Repository info by full name, looked up once per search
+
+    this.client.pruneCache();
 
     console.log(`\n🔍 Starting GitHub search for OpenAPI specs (minStars: ${minStars}, maxResults: ${maxResults})`);
 
-    for (const pattern of filePatterns) {
+    for (const query of queries) {
       // Stop if we've reached maxResults
       if (results.length >= maxResults) {
         console.log(`Reached max results (${maxResults}), stopping...`);
         break;
       }
 
+      const stats = {
+        query,
+        total_count: null, // What GitHub reports for the query
+        matches: 0,
+        duplicates: 0,
+        below_min_stars: 0,
+        not_specs: 0,
+        added: 0,
+        errors: 0,
+        error: null
+      };
+      queryStats.push(stats);
+
       try {
         // Note: GitHub Code Search API doesn't support stars: qualifier
         // We'll filter by stars after getting repo info
-        const query = `filename:${pattern}`;
         console.log(`\n=== Searching: ${query} (will filter by ${minStars}+ stars) ===`);
 
-        // Check rate limit before starting this search
-        await this.checkRateLimit();
+        // Wait for the reset if the last search used up the limit
+        await this.client.waitForRateLimit('code_search');
 
         // GitHub API limits to 1000 results per query (10 pages of 100)
         const maxPages = Math.min(10, Math.ceil(maxResults / 100));
@@ -115,120 +110,142 @@ class GitHubScraper {
             break;
           }
 
-          let searchResults;
-          let retryCount = 0;
-          const maxRetries = 3;
+          // Rate limits are retried by the client
+          const searchResults = await this.client.request('GET /search/code', {
+            q: query,
+            per_page: 100,
+            page: page,
+            sort: 'indexed'
+          });
 
-          // Retry loop for rate limit errors
-          while (retryCount < maxRetries) {
-            try {
-              // Search for files with pagination
-              searchResults = await this.octokit.search.code({
-                q: query,
-                per_page: 100,
-                page: page,
-                sort: 'indexed'
-              });
-              break; // Success, exit retry loop
-            } catch (error) {
-              const shouldRetry = await this.handleRateLimitError(error);
-              if (shouldRetry && retryCount < maxRetries - 1) {
-                retryCount++;
-                console.log(`Retry attempt ${retryCount}/${maxRetries}...`);
-                continue;
-              } else {
-                throw error; // Re-throw if not rate limit or max retries reached
-              }
-            }
+          if (page === 1) {
+            stats.total_count = searchResults.total_count;
           }
-
-          if (!searchResults) {
-            console.log(`Failed to get results after ${maxRetries} retries`);
-            break;
-          }
-
-          console.log(`Page ${page}: Found ${searchResults.data.items.length} files`);
+          console.log(`Page ${page}: Found ${searchResults.items.length} files`);
 
           // If no more results, break pagination
-          if (searchResults.data.items.length === 0) {
+          if (searchResults.items.length === 0) {
             console.log(`No more results for this query`);
             break;
           }
 
-          for (const item of searchResults.data.items) {
+          for (const item of searchResults.items) {
             // Stop if we've reached maxResults
             if (results.length >= maxResults) {
               console.log(`Reached max results (${maxResults}), stopping...`);
               break;
             }
 
+            stats.matches++;
+
             // Create unique key for this repo+path combination
-            const repoKey = `${item.repository.owner.login}/${item.repository.name}/${item.path}`;
+            const fileKey = `${item.repository.full_name}/${item.path}`;
 
             // Skip if we've already processed this exact file
-            if (seenRepos.has(repoKey)) {
-              console.log(`Skipping duplicate: ${repoKey}`);
+            if (seenFiles.has(fileKey)) {
+              stats.duplicates++;
               continue;
             }
+            seenFiles.add(fileKey);
 
             try {
+              const cachedRepo = repos.get(item.repository.full_name);
+              if (cachedRepo && cachedRepo.stargazers_count < minStars) {
+                stats.below_min_stars++;
+                continue;
+              }
+
+              // Cheap look at the start of the file before spending API calls on it
+              if (await this.sniffFile(item) === false) {
+                console.log(`Skipping ${fileKey} (not an OpenAPI/Swagger document)`);
+                stats.not_specs++;
+                continue;
+              }
+
               // Get repository info
-              const repo = await this.octokit.repos.get({
-                owner: item.repository.owner.login,
-                repo: item.repository.name
-              });
+              let repo = cachedRepo;
+              if (!repo) {
+                repo = await this.client.request('GET /repos/{owner}/{repo}', {
+                  owner: item.repository.owner.login,
+                  repo: item.repository.name
+                }, { cache: true });
+                repos.set(item.repository.full_name, repo);
+              }
 
               // Filter by stars AFTER getting repo info
-              if (repo.data.stargazers_count < minStars) {
-                console.log(`Skipping ${repo.data.full_name} (${repo.data.stargazers_count} stars < ${minStars})`);
+              if (repo.stargazers_count < minStars) {
+                console.log(`Skipping ${repo.full_name} (${repo.stargazers_count} stars < ${minStars})`);
+                stats.below_min_stars++;
                 continue;
               }
 
               // Get file content
-              const fileContent = await this.octokit.repos.getContent({
+              const fileContent = await this.client.request('GET /repos/{owner}/{repo}/contents/{path}', {
                 owner: item.repository.owner.login,
                 repo: item.repository.name,
                 path: item.path
-              });
+              }, { cache: true });
 
               // Decode content
-              const content = Buffer.from(fileContent.data.content, 'base64').toString('utf-8');
+              const content = Buffer.from(fileContent.content, 'base64').toString('utf-8');
 
               // Try to parse as JSON or YAML
               let spec;
               try {
                 spec = JSON.parse(content);
               } catch (e) {
-                // If not JSON, might be YAML - we'll handle this in the pipeline
-                spec = { raw: content };
+                try {
+                  spec = yaml.load(content);
+                } catch (yamlError) {
+                  spec = null;
+                }
+                // Not parseable here - the pipeline will report it
+                if (!spec || typeof spec !== 'object') {
+                  spec = { raw: content };
+                }
               }
 
-              // Mark this repo as seen
-              seenRepos.add(repoKey);
+              // Parsed, but not a spec (e.g. a config file that mentions openapi)
+              if (!spec.raw && !spec.openapi && !spec.swagger) {
+                console.log(`Skipping ${fileKey} (no openapi or swagger field)`);
+                stats.not_specs++;
+                continue;
+              }
+
+              // Specs split over several files are bundled from the same repo,
+              // so conversion never sees dangling references
+              const bundled = this.bundler.hasExternalRefs(spec);
+              if (bundled) {
+                console.log(`  Bundling multi-file spec ${fileKey}...`);
+                spec = await this.bundleRepoSpec(spec, item.repository.owner.login, item.repository.name, item.path);
+              }
 
               results.push({
                 id: uuidv4(),
-                name: spec.info?.title || repo.data.name,
-                description: spec.info?.description || repo.data.description || '',
+                name: spec.info?.title || repo.name,
+                description: spec.info?.description || repo.description || '',
                 version: spec.info?.version || '1.0.0',
-                github_url: repo.data.html_url,
-                openapi_url: fileContent.data.download_url,
-                stars: repo.data.stargazers_count,
+                github_url: repo.html_url,
+                openapi_url: fileContent.download_url,
+                stars: repo.stargazers_count,
                 file_path: item.path,
                 repo_owner: item.repository.owner.login,
                 repo_name: item.repository.name,
                 spec: spec,
+                bundled,
                 source: 'github-scrape',
-                source_url: fileContent.data.download_url,
+                source_url: fileContent.download_url,
                 last_synced_at: new Date().toISOString()
               });
+              stats.added++;
 
-              console.log(`✓ Added ${repo.data.full_name} (${repo.data.stargazers_count} stars)`);
+              console.log(`✓ Added ${repo.full_name} (${repo.stargazers_count} stars)`);
 
               // Rate limiting - be nice to GitHub
               await this.sleep(1000);
             } catch (error) {
               console.error(`Error processing ${item.path}:`, error.message);
+              stats.errors++;
             }
           }
 
@@ -236,19 +253,76 @@ class GitHubScraper {
           await this.sleep(1000);
         }
 
-        // Small delay between file patterns
+        // Small delay between queries
         await this.sleep(2000);
 
       } catch (error) {
-        console.error(`Error searching ${pattern}:`, error.message);
+        console.error(`Error searching ${query}:`, error.message);
+        stats.error = error.message;
       }
+
+      console.log(`Query stats: ${stats.matches} matches, ${stats.added} added, ${stats.not_specs} not specs, ${stats.duplicates} duplicates, ${stats.below_min_stars} below ${minStars} stars`);
+      onQueryStats?.(queryStats);
     }
 
     console.log(`\n=== Search complete ===`);
     console.log(`Total unique APIs found: ${results.length}`);
-    console.log(`Unique repos processed: ${seenRepos.size}`);
+    console.log(`Unique repos looked up: ${repos.size}`);
+    console.log(`GitHub requests: ${this.client.stats.requests} (${this.client.stats.notModified} unchanged since cached)`);
+
+    return { results, queryStats };
+  }
+
+  /**
+   * Read the first few KB of a search match from raw.githubusercontent.com
+   * (which doesn't count against the API rate limit) and sniff it
+   * @param {Object} item - Code search result
+   * @returns {Promise<boolean|null>} See sniffSpec; null if it couldn't be read
+   */
+  async sniffFile(item) {
+    // https://github.com/:owner/:repo/blob/:ref/:path -> https://raw.githubusercontent.com/:owner/:repo/:ref/:path
+    const rawUrl = item.html_url
+      .replace(/^https:\/\/github\.com\//, 'https://raw.githubusercontent.com/')
+      .replace(/^(https:\/\/raw\.githubusercontent\.com\/[^/]+\/[^/]+)\/blob\//, '$1/');
+
+    try {
+      const response = await axios.get(rawUrl, {
+        headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
+        responseType: 'text',
+        transformResponse: data => data,
+        timeout: 15000,
+        validateStatus: status => status === 200 || status === 206
+      });
+
+      // 206 with "bytes 0-4095/12345" when the file is longer than what we asked for
+      const total = Number((response.headers['content-range'] || '').split('/')[1]);
+      const complete = response.status === 200 || (total > 0 && total <= SNIFF_BYTES);
+
+      return this.sniffSpec(response.data, complete);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether text looks like the start of an OpenAPI/Swagger document
+   * @param {string} text - The file, or its first bytes
+   * @param {boolean} complete - Whether `text` is the whole file
+   * @returns {boolean|null} true or false, or null when the marker could be
+   *   further into the file than `text` goes
+   */
+  sniffSpec(text, complete) {
+    if (SPEC_MARKERS.some(marker => marker.test(text))) {
+      return true;
+    }
 
-    return results;
+    // Markup, or a JSON array at the top
+    if (/^\s*[<[]/.test(text)) {
+      return false;
+    }
+
+    // JSON keys can be in any order, so a large document may declare its version late
+    return complete ? false : null;
   }
 
   /**
@@ -260,23 +334,29 @@ class GitHubScraper {
    */
   async getOpenAPIFromRepo(owner, repo, path = 'openapi.json') {
     try {
-      const repoInfo = await this.octokit.repos.get({ owner, repo });
-      const fileContent = await this.octokit.repos.getContent({ owner, repo, path });
+      const repoInfo = await this.client.request('GET /repos/{owner}/{repo}', { owner, repo }, { cache: true });
+      const fileContent = await this.client.request('GET /repos/{owner}/{repo}/contents/{path}', { owner, repo, path }, { cache: true });
 
-      const content = Buffer.from(fileContent.data.content, 'base64').toString('utf-8');
-      const spec = JSON.parse(content);
+      const content = Buffer.from(fileContent.content, 'base64').toString('utf-8');
+      let spec = JSON.parse(content);
+
+      const bundled = this.bundler.hasExternalRefs(spec);
+      if (bundled) {
+        spec = await this.bundleRepoSpec(spec, owner, repo, path);
+      }
 
       return {
         id: uuidv4(),
-        name: spec.info?.title || repoInfo.data.name,
-        description: spec.info?.description || repoInfo.data.description || '',
+        name: spec.info?.title || repoInfo.name,
+        description: spec.info?.description || repoInfo.description || '',
         version: spec.info?.version || '1.0.0',
-        github_url: repoInfo.data.html_url,
-        openapi_url: fileContent.data.download_url,
-        stars: repoInfo.data.stargazers_count,
+        github_url: repoInfo.html_url,
+        openapi_url: fileContent.download_url,
+        stars: repoInfo.stargazers_count,
         spec: spec,
+        bundled,
         source: 'github-scrape',
-        source_url: fileContent.data.download_url,
+        source_url: fileContent.download_url,
         last_synced_at: new Date().toISOString()
       };
     } catch (error) {
@@ -285,15 +365,69 @@ class GitHubScraper {
   }
 
   /**
-   * Check rate limit status
-   * @returns {Promise<Object>} Rate limit info
+   * Bundle a spec whose $refs point to other files. Files in the same repo
+   * are read with the contents API; absolute URL refs are downloaded.
+   * @param {Object} spec - Parsed root document
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} filePath - Path of the root document in the repo
+   * @returns {Promise<Object>} Bundled spec
+   * @throws {Error} If a referenced file is missing or the references form a cycle
+   */
+  async bundleRepoSpec(spec, owner, repo, filePath) {
+    // Repo files are addressed as raw URLs so relative refs resolve like links
+    const repoRoot = `https://raw.githubusercontent.com/${owner}/${repo}/HEAD/`;
+    const rootUrl = repoRoot + filePath.split('/').map(encodeURIComponent).join('/');
+
+    const bundler = new SpecBundler({
+      read: async (url) => {
+        if (!url.startsWith(repoRoot)) {
+          // Refs come from someone else's repo, so they may only reach public hosts
+          assertPublicUrl(url);
+          const response = await axios.get(url, { timeout: 30000, maxContentLength: 10 * 1024 * 1024, ...publicRequestOptions });
+          return response.data;
+        }
+
+        const data = await this.client.request('GET /repos/{owner}/{repo}/contents/{path}', {
+          owner,
+          repo,
+          path: decodeURIComponent(url.slice(repoRoot.length).split('?')[0])
+        }, { cache: true });
+        if (Array.isArray(data) || data.type !== 'file') {
+          throw new Error('not a file');
+        }
+        return Buffer.from(data.content, 'base64').toString('utf-8');
+      }
+    });
+
+    return bundler.bundle(spec, rootUrl);
+  }
+
+  /**
+   * Check rate limit status. Asking doesn't count against the limit.
+   * @returns {Promise<Object>} Core limit, remaining and reset, the same per
+   *   resource (core, search, code_search, ...), and `waitingUntil` while
+   *   this scraper is waiting out a rate limit
    */
   async getRateLimit() {
-    const { data } = await this.octokit.rateLimit.get();
+    const data = await this.client.request('GET /rate_limit');
+    const resources = {};
+    for (const [name, resource] of Object.entries(data.resources)) {
+      resources[name] = {
+        limit: resource.limit,
+        remaining: resource.remaining,
+        used: resource.used,
+        reset: new Date(resource.reset * 1000)
+      };
+    }
+
     return {
       limit: data.rate.limit,
       remaining: data.rate.remaining,
-      reset: new Date(data.rate.reset * 1000)
+      reset: new Date(data.rate.reset * 1000),
+      resources,
+      waitingUntil: this.client.waitingUntil,
+      requests: { ...this.client.stats }
     };
   }
 
@@ -302,4 +436,6 @@ class GitHubScraper {
   }
 }
 
+GitHubScraper.DEFAULT_QUERIES = DEFAULT_QUERIES;
+
 module.exports = GitHubScraper;
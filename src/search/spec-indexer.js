@@ -0,0 +1,269 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Keep huge specs (AWS, Azure) from bloating the index
+const MAX_FIELD_LENGTH = 200000;
+
+class SpecIndexer {
+  constructor(database, options = {}) {
+    const rootDir = path.resolve(__dirname, '../..');
+    this.db = database;
+    this.openapiDir = options.openapiDir || path.resolve(rootDir, 'data/openapi');
+  }
+
+  /**
+   * Add or refresh an API and its operations in the full-text indexes
+   * @param {Object} api - API (id, name, description)
+   * @param {Object} spec - Parsed spec; read from data/openapi when omitted
+   */
+  async indexApi(api, spec = null) {
+    if (!spec) {
+      spec = await this.loadSpec(api.id);
+    }
+
+    // Prefer the stored row: it has the collection and docs paths
+    const stored = this.db.getApi(api.id) || api;
+
+    const tags = this.db.getApiTags(api.id).map(tag => tag.name);
+    const document = this.extractDocument(stored, spec || {}, tags);
+    this.db.indexApiSearch(api.id, document);
+
+    const operations = await this.extractOperations(stored, spec || {});
+    this.db.replaceApiOperations(api.id, operations);
+
+    // Backs the openapiVersion filter on GET /api/apis
+    const openapiVersion = spec && (spec.openapi || spec.swagger);
+    if (openapiVersion && stored.openapi_version !== String(openapiVersion)) {
+      this.db.setApiOpenapiVersion(api.id, String(openapiVersion));
+    }
+  }
+
+  /**
+   * Index every API that isn't in the search index yet
+   * @param {Object} options - `all` re-indexes the whole catalog
+   * @returns {Promise<number>} Number of APIs indexed
+   */
+  async indexMissing(options = {}) {
+    const apis = options.all ? this.db.getAllApis({ limit: 100000 }) : this.db.getUnindexedApis();
+    let indexed = 0;
+
+    for (const api of apis) {
+      try {
+        await this.indexApi(api);
+        indexed++;
+      } catch (error) {
+        console.error(`✗ Error indexing ${api.name}:`, error.message);
+      }
+    }
+
+    return indexed;
+  }
+
+  async loadSpec(apiId) {
+    try {
+      const content = await fs.readFile(path.join(this.openapiDir, `${apiId}.json`), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      // No stored spec (or not JSON) - index catalog metadata only
+      return null;
+    }
+  }
+
+  /**
+   * Pull the searchable text out of an OpenAPI document
+   * @returns {Object} Text per index column
+   */
+  extractDocument(api, spec, catalogTags = []) {
+    const info = spec.info || {};
+    const operations = [];
+    const specTags = new Set();
+
+    for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem && pathItem[method];
+        if (!operation) continue;
+
+        operations.push([
+          method.toUpperCase(),
+          pathName,
+          this.withWords(operation.operationId),
+          operation.summary,
+          operation.description
+        ].filter(Boolean).join(' '));
+
+        (operation.tags || []).forEach(tag => specTags.add(tag));
+      }
+    }
+
+    (spec.tags || []).forEach(tag => {
+      if (tag && tag.name) specTags.add(tag.name);
+    });
+
+    const schemas = spec.components?.schemas || spec.definitions || {};
+    const schemaText = Object.entries(schemas).map(([name, schema]) =>
+      [this.withWords(name), schema && schema.title, schema && schema.description].filter(Boolean).join(' ')
+    );
+
+    const names = new Set([api.name, info.title].filter(Boolean));
+
+    return {
+      name: this.limit([...names].join(' ')),
+      description: this.limit([api.description, info.description].filter(Boolean).join('\n')),
+      paths: this.limit(Object.keys(spec.paths || {}).join('\n')),
+      operations: this.limit(operations.join('\n')),
+      tags: this.limit([...catalogTags, ...specTags].join('\n')),
+      schemas: this.limit(schemaText.join('\n'))
+    };
+  }
+
+  /**
+   * Every operation in a spec, linked to its .bru request file and docs anchor when found
+   * @returns {Promise<Array>} Operations ready for CatalogDatabase.replaceApiOperations
+   */
+  async extractOperations(api, spec) {
+    const requestFiles = await this.findRequestFiles(api.collection_path);
+    const docsAnchors = await this.findDocsAnchors(api.docs_path);
+    const operations = [];
+
+    for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem && pathItem[method];
+        if (!operation) continue;
+
+        const request = this.matchRequestFile(requestFiles, method, pathName);
+        const anchor = [request && request.name, operation.operationId, operation.summary]
+          .map(candidate => this.slugify(candidate))
+          .find(slug => slug && docsAnchors.has(slug));
+
+        operations.push({
+          method: method.toUpperCase(),
+          path: pathName,
+          operation_id: operation.operationId || null,
+          operation_words: this.withWords(operation.operationId),
+          summary: operation.summary || null,
+          description: operation.description ? this.limit(operation.description) : null,
+          tags: operation.tags || [],
+          request_file: request ? request.file : null,
+          docs_anchor: anchor || null
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Read the method and URL of every .bru request in a collection
+   * @returns {Promise<Array>} { file, name, method, path } with file relative to the collection
+   */
+  async findRequestFiles(collectionPath) {
+    if (!collectionPath) return [];
+
+    const requests = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.name.endsWith('.bru')) {
+          const content = await fs.readFile(fullPath, 'utf-8');
+          const request = this.parseBruRequest(content);
+          if (request) {
+            requests.push({ file: path.relative(collectionPath, fullPath), ...request });
+          }
+        }
+      }
+    };
+
+    await walk(collectionPath);
+    return requests;
+  }
+
+  parseBruRequest(content) {
+    const block = content.match(new RegExp(`^(${HTTP_METHODS.join('|')})\\s*\\{[^}]*?\\burl:\\s*(.+)$`, 'm'));
+    if (!block) return null;
+
+    const name = content.match(/meta\s*\{[^}]*?\bname:\s*(.+)/);
+    const url = block[2].trim()
+      .replace(/^\{\{[^}]+\}\}/, '') // {{baseUrl}}
+      .replace(/^https?:\/\/[^/]+/, '')
+      .split('?')[0];
+
+    return {
+      name: name ? name[1].trim() : null,
+      method: block[1],
+      path: url
+    };
+  }
+
+  /**
+   * Find the request for an operation. Bruno writes path params as :id, and the
+   * base URL may carry part of the path, so fall back to a suffix match.
+   */
+  matchRequestFile(requests, method, specPath) {
+    const target = this.normalizePath(specPath);
+    const candidates = requests.filter(request => request.method === method);
+
+    return candidates.find(request => this.normalizePath(request.path) === target) ||
+      candidates.find(request => {
+        const requestPath = this.normalizePath(request.path);
+        // An empty target (the root path) would be a suffix of every request
+        return requestPath && target && (target.endsWith(requestPath) || requestPath.endsWith(target));
+      });
+  }
+
+  normalizePath(value) {
+    return String(value || '')
+      .replace(/\{[^}]+\}/g, '{}')
+      .replace(/:[A-Za-z0-9_.-]+/g, '{}')
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Element ids in the generated docs page, used to build deep links
+   */
+  async findDocsAnchors(docsPath) {
+    if (!docsPath) return new Set();
+
+    try {
+      const html = await fs.readFile(path.join(docsPath, 'index.html'), 'utf-8');
+      return new Set([...html.matchAll(/\bid="([^"]+)"/g)].map(match => match[1]));
+    } catch (error) {
+      return new Set();
+    }
+  }
+
+  slugify(text) {
+    if (!text) return '';
+    return String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Append the words of camelCase / snake_case identifiers so "sendSms" matches "sms"
+   */
+  withWords(identifier) {
+    if (!identifier) return '';
+    const words = String(identifier)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/[_\-.]+/g, ' ');
+    return words === identifier ? identifier : `${identifier} ${words}`;
+  }
+
+  limit(text) {
+    return text.length > MAX_FIELD_LENGTH ? text.slice(0, MAX_FIELD_LENGTH) : text;
+  }
+}
+
+module.exports = SpecIndexer;
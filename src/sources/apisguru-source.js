@@ -0,0 +1,111 @@
+const axios = require('axios');
+const SourceAdapter = require('./source-adapter');
+
+class APIsGuruSource extends SourceAdapter {
+  /**
+   * The preferred version of every API in the APIs.guru directory
+   */
+  constructor() {
+    super('apis-guru', {
+      description: 'Import the APIs.guru OpenAPI directory'
+    });
+    this.apiListUrl = 'https://api.apis.guru/v2/list.json';
+  }
+
+  async discover() {
+    const apiList = await this.fetchAPIList();
+    return this.convertToInternalFormat(apiList).map(api => ({ url: api.openapi_url, api }));
+  }
+
+  toApi(entry) {
+    return {
+      ...entry.api,
+      last_synced_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Find the catalog entry for an API, regardless of its version.
+   * APIs.guru spec URLs contain the version, so also match by name within the source.
+   * @param {Object} database - CatalogDatabase instance
+   * @param {Object} api - API to check
+   * @returns {Object|undefined} Existing API row
+   */
+  findExisting(database, api) {
+    const stmt = database.db.prepare(`
+      SELECT * FROM apis
+      WHERE openapi_url = ? OR (name = ? AND source = ?)
+      ORDER BY created_at
+      LIMIT 1
+    `);
+    return stmt.get(api.openapi_url, api.name, api.source);
+  }
+
+  /**
+   * Fetch the list of all APIs from APIs.guru
+   * @returns {Promise<Object>} Object containing all APIs
+   */
+  async fetchAPIList() {
+    try {
+      console.log('Fetching APIs.guru catalog...');
+      const response = await axios.get(this.apiListUrl);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch APIs.guru catalog: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert APIs.guru format to our internal format
+   * @param {Object} apiList - The APIs.guru API list
+   * @returns {Array} Array of APIs in our format
+   */
+  convertToInternalFormat(apiList) {
+    const apis = [];
+
+    for (const [providerKey, providerData] of Object.entries(apiList)) {
+      const preferredVersion = providerData.preferred;
+      const versionData = providerData.versions[preferredVersion];
+
+      if (!versionData) {
+        console.warn(`No preferred version found for ${providerKey}`);
+        continue;
+      }
+
+      const info = versionData.info;
+
+      // They use swaggerUrl for both OpenAPI 3.0 and Swagger 2.0
+      const openapiUrl = versionData.swaggerUrl;
+
+      // Extract the original source URL from x-origin
+      let sourceUrl = openapiUrl;
+      if (info['x-origin'] && info['x-origin'].length > 0) {
+        sourceUrl = info['x-origin'][0].url || openapiUrl;
+      }
+
+      // Get categories/tags
+      const tags = info['x-apisguru-categories'] || [];
+
+      apis.push({
+        name: info.title || providerKey,
+        description: info.description || '',
+        version: info.version || preferredVersion,
+        github_url: null, // APIs.guru doesn't always have GitHub URLs
+        openapi_url: openapiUrl,
+        stars: 0, // APIs.guru doesn't track stars
+        source: this.source,
+        source_url: sourceUrl,
+        provider: info['x-providerName'] || providerKey,
+        logo_url: info['x-logo']?.url || null,
+        categories: tags,
+        added_date: providerData.added,
+        updated_date: versionData.updated,
+        openapi_version: versionData.openapiVer || '2.0'
+      });
+    }
+
+    return apis;
+  }
+}
+
+module.exports = APIsGuruSource;
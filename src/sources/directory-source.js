@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { pathToFileURL } = require('url');
+const yaml = require('js-yaml');
+const SourceAdapter = require('./source-adapter');
+
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+class DirectorySource extends SourceAdapter {
+  /**
+   * Spec files in a local directory (and its subdirectories). Only files
+   * with an `openapi` or `swagger` field are imported, so files that hold
+   * shared schemas for $refs are left alone.
+   * @param {Object} options - `root` directory imports may read from
+   */
+  constructor(options = {}) {
+    super('directory', {
+      source: 'local',
+      // Local specs are usually internal ones
+      visibility: 'private',
+      description: 'Import spec files from the local spec directory'
+    });
+    this.root = path.resolve(options.root || path.resolve(__dirname, '../../data/specs'));
+  }
+
+  get optionRules() {
+    return {
+      // Subdirectory of the spec directory to import
+      path: { type: 'string', max: 500, default: '', check: subdirectory => { this.resolve(subdirectory); } }
+    };
+  }
+
+  async discover(options = {}) {
+    const dir = this.resolve(options.path);
+
+    const entries = [];
+    for (const file of await this.listSpecFiles(dir)) {
+      const spec = await this.readSpec(file);
+      if (spec) {
+        entries.push({ url: pathToFileURL(file).href, file });
+      }
+    }
+    return entries;
+  }
+
+  async fetch(entry) {
+    return fs.readFile(entry.file, 'utf-8');
+  }
+
+  toApi(entry, spec) {
+    return {
+      ...super.toApi(entry, spec),
+      name: spec?.info?.title || path.basename(entry.file).replace(/\.(json|ya?ml)$/i, '')
+    };
+  }
+
+  /**
+   * @throws {Error} If the subdirectory is outside the root
+   */
+  resolve(subdirectory) {
+    const dir = path.resolve(this.root, subdirectory || '.');
+    if (dir !== this.root && !dir.startsWith(this.root + path.sep)) {
+      throw new Error('must be within the spec directory');
+    }
+    return dir;
+  }
+
+  async listSpecFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      // Skip hidden files and folders like .git
+      if (entry.name.startsWith('.')) continue;
+
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listSpecFiles(entryPath));
+      } else if (entry.isFile() && SPEC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    }
+    return files.sort();
+  }
+
+  /**
+   * Parse a file, returning it only if it's the root of an OpenAPI/Swagger document
+   */
+  async readSpec(file) {
+    try {
+      const spec = yaml.load(await fs.readFile(file, 'utf-8'));
+      return spec && typeof spec === 'object' && (spec.openapi || spec.swagger) ? spec : null;
+    } catch (error) {
+      console.warn(`Skipping ${file}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = DirectorySource;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Quiet time after the last change before reporting, so a batch of edits is imported once
+const DEFAULT_DEBOUNCE_MS = 2000;
+
+class DirectoryWatcher {
+  /**
+   * Watches a directory tree and calls `onChange` once changes to it settle
+   * @param {string} root - Directory to watch (with its subdirectories)
+   * @param {Object} options - `onChange()` callback and `debounceMs`
+   */
+  constructor(root, options = {}) {
+    this.root = root;
+    this.onChange = options.onChange;
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.watcher = fs.watch(this.root, { recursive: true }, (event, filename) => {
+      // Editors' swap and backup files, .git and the like
+      if (filename && filename.split(path.sep).some(part => part.startsWith('.'))) return;
+      this.schedule();
+    });
+
+    this.watcher.on('error', error => {
+      console.error(`Error watching ${this.root}:`, error.message);
+    });
+  }
+
+  /**
+   * Call onChange after the debounce period, restarting it if already pending
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.onChange();
+    }, this.debounceMs);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = DirectoryWatcher;
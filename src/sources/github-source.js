@@ -0,0 +1,80 @@
+const SourceAdapter = require('./source-adapter');
+const GitHubScraper = require('../scraper/github-scraper');
+
+// GitHub rejects code search queries longer than this
+const MAX_QUERY_LENGTH = 256;
+// Each query can take up to 10 search requests, and code search allows 10 a minute
+const MAX_QUERIES = 30;
+
+class GitHubSource extends SourceAdapter {
+  /**
+   * OpenAPI files found with GitHub code search
+   * @param {Object} options - `token` for the GitHub API and `database`
+   *   (CatalogDatabase) to cache GitHub responses in
+   */
+  constructor(options = {}) {
+    super('github', {
+      source: 'github-scrape',
+      description: 'Search GitHub code for OpenAPI/Swagger files in starred repositories'
+    });
+    this.token = options.token || null;
+    // One scraper for every import, so rate limit state carries over between them
+    this.scraper = this.token ? new GitHubScraper(this.token, { database: options.database }) : null;
+  }
+
+  get optionRules() {
+    return {
+      minStars: { type: 'integer', min: 0, default: 10 },
+      maxResults: { type: 'integer', min: 1, max: 1000, default: 20 },
+      // Code search queries, e.g. "filename:openapi.yaml" or "path:specs extension:json";
+      // GitHubScraper.DEFAULT_QUERIES when omitted
+      queries: {
+        type: 'list',
+        check: queries => {
+          if (queries.length === 0) throw new Error('must not be empty');
+          if (queries.length > MAX_QUERIES) throw new Error(`must have at most ${MAX_QUERIES} queries`);
+          const long = queries.find(query => query.length > MAX_QUERY_LENGTH);
+          if (long) throw new Error(`must be at most ${MAX_QUERY_LENGTH} characters each (got ${long})`);
+        }
+      }
+    };
+  }
+
+  configurationError() {
+    return this.token ? null : 'GitHub token not configured';
+  }
+
+  /**
+   * @param {Object} options - minStars, maxResults and queries, plus an
+   *   optional `onQueryStats` callback (see GitHubScraper.searchOpenAPIFiles)
+   */
+  async discover(options = {}) {
+    const { results } = await this.scraper.searchOpenAPIFiles(options);
+    return results.map(result => ({ url: result.openapi_url, result }));
+  }
+
+  /**
+   * Current GitHub rate limits (see GitHubScraper.getRateLimit)
+   */
+  getRateLimit() {
+    return this.scraper.getRateLimit();
+  }
+
+  // The scraper already read the spec through the contents API (and its
+  // cache), and bundled multi-file specs from the repo - no second download
+  async fetch(entry) {
+    const { spec } = entry.result;
+    // Content the scraper couldn't parse is passed on for the pipeline to report
+    return spec.raw !== undefined ? spec.raw : spec;
+  }
+
+  toApi(entry, spec) {
+    const { id, spec: scraped, bundled, ...api } = entry.result;
+    return {
+      ...api,
+      last_synced_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = GitHubSource;
@@ -0,0 +1,95 @@
+const axios = require('axios');
+const SourceAdapter = require('./source-adapter');
+
+const DEFAULT_FILENAMES = ['openapi.json', 'openapi.yaml', 'openapi.yml', 'swagger.json', 'swagger.yaml', 'swagger.yml'];
+
+class GitLabSource extends SourceAdapter {
+  /**
+   * OpenAPI files at the root of projects on a GitLab instance, either a
+   * group's projects or the instance's public projects by stars. Specs are
+   * read through raw file URLs, so only public projects can be imported.
+   * @param {Object} options - `baseUrl` of the instance and an optional API `token`
+   */
+  constructor(options = {}) {
+    super('gitlab', {
+      description: 'Find openapi/swagger files in the projects of a GitLab instance'
+    });
+    this.baseUrl = (options.baseUrl || 'https://gitlab.com').replace(/\/+$/, '');
+    this.token = options.token || null;
+  }
+
+  get optionRules() {
+    return {
+      group: { type: 'string', max: 200 },
+      search: { type: 'string', max: 200 },
+      minStars: { type: 'integer', min: 0, default: 0 },
+      maxProjects: { type: 'integer', min: 1, max: 1000, default: 100 },
+      filenames: { type: 'list', default: DEFAULT_FILENAMES }
+    };
+  }
+
+  async discover(options = {}) {
+    const { minStars = 0, maxProjects = 100, filenames = DEFAULT_FILENAMES } = options;
+    const wanted = new Set(filenames.map(name => name.toLowerCase()));
+
+    const projects = await this.listProjects(options, maxProjects);
+    console.log(`Checking ${projects.length} GitLab project(s) for specs...`);
+
+    const entries = [];
+    for (const project of projects) {
+      if ((project.star_count || 0) < minStars || !project.default_branch) continue;
+
+      try {
+        const tree = await this.get(`/projects/${project.id}/repository/tree`, { ref: project.default_branch, per_page: 100 });
+        for (const file of tree) {
+          if (file.type !== 'blob' || !wanted.has(file.name.toLowerCase())) continue;
+
+          entries.push({
+            url: `${project.web_url}/-/raw/${encodeURIComponent(project.default_branch)}/${encodeURIComponent(file.path)}`,
+            name: project.name,
+            description: project.description || '',
+            repositoryUrl: project.web_url,
+            stars: project.star_count || 0,
+            categories: project.topics || []
+          });
+        }
+      } catch (error) {
+        console.error(`Error listing ${project.path_with_namespace}:`, error.message);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * A group's projects (with subgroups), or public projects by star count
+   */
+  async listProjects(options, maxProjects) {
+    const endpoint = options.group
+      ? `/groups/${encodeURIComponent(options.group)}/projects`
+      : '/projects';
+    const params = options.group
+      ? { include_subgroups: true, order_by: 'star_count', sort: 'desc' }
+      : { visibility: 'public', order_by: 'star_count', sort: 'desc' };
+    if (options.search) params.search = options.search;
+
+    const projects = [];
+    for (let page = 1; projects.length < maxProjects; page++) {
+      const batch = await this.get(endpoint, { ...params, archived: false, per_page: 100, page });
+      projects.push(...batch);
+      if (batch.length < 100) break;
+    }
+    return projects.slice(0, maxProjects);
+  }
+
+  async get(endpoint, params = {}) {
+    const response = await axios.get(`${this.baseUrl}/api/v4${endpoint}`, {
+      params,
+      headers: this.token ? { 'PRIVATE-TOKEN': this.token } : {},
+      timeout: 30000
+    });
+    return response.data;
+  }
+}
+
+module.exports = GitLabSource;
@@ -0,0 +1,86 @@
+const axios = require('axios');
+const SourceAdapter = require('./source-adapter');
+
+// Fields tried, in order, for each item's spec URL when `urlField` isn't given
+const URL_FIELDS = ['url', 'openapi_url', 'openapiUrl', 'specUrl', 'spec_url', 'swaggerUrl', 'spec'];
+
+class JsonIndexSource extends SourceAdapter {
+  /**
+   * A JSON document listing specs, e.g. an internal API registry. Items are
+   * spec URLs or objects with a URL field and optional name, description
+   * and tags; relative URLs resolve against the index's URL.
+   */
+  constructor() {
+    super('json-index', {
+      description: 'Import the specs listed in a JSON index document'
+    });
+  }
+
+  get optionRules() {
+    return {
+      url: { type: 'string', required: true, max: 2000, check: url => { if (!/^https?:\/\//i.test(url)) throw new Error('must be an http(s) URL'); } },
+      // Dot path to the list in the document, e.g. "data.apis"; the document itself when empty
+      itemsPath: { type: 'string', max: 200, default: '' },
+      urlField: { type: 'string', max: 100 },
+      nameField: { type: 'string', max: 100, default: 'name' },
+      tagsField: { type: 'string', max: 100, default: 'tags' }
+    };
+  }
+
+  async discover(options = {}) {
+    const { url, itemsPath = '', urlField, nameField = 'name', tagsField = 'tags' } = options;
+
+    const response = await axios.get(url, { timeout: 30000, maxContentLength: 10 * 1024 * 1024 });
+    const items = this.getItems(response.data, itemsPath);
+
+    const entries = [];
+    for (const item of items) {
+      const fields = item && typeof item === 'object' ? item : {};
+      const specUrl = typeof item === 'string'
+        ? item
+        : (urlField ? fields[urlField] : URL_FIELDS.map(field => fields[field]).find(value => typeof value === 'string'));
+      if (typeof specUrl !== 'string' || !specUrl) continue;
+
+      let resolved;
+      try {
+        resolved = new URL(specUrl, url);
+      } catch (error) {
+        continue;
+      }
+      if (!['http:', 'https:'].includes(resolved.protocol)) continue;
+
+      const tags = fields[tagsField];
+      entries.push({
+        url: resolved.toString(),
+        name: typeof fields[nameField] === 'string' ? fields[nameField] : undefined,
+        description: typeof fields.description === 'string' ? fields.description : '',
+        categories: Array.isArray(tags) ? tags.filter(tag => typeof tag === 'string') : []
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * The list at `itemsPath`; without a path, the document itself or its
+   * only array-valued field
+   * @throws {Error} If there is no list there
+   */
+  getItems(document, itemsPath) {
+    let items = itemsPath
+      ? itemsPath.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), document)
+      : document;
+
+    if (!itemsPath && items && !Array.isArray(items) && typeof items === 'object') {
+      const lists = Object.values(items).filter(Array.isArray);
+      if (lists.length === 1) items = lists[0];
+    }
+
+    if (!Array.isArray(items)) {
+      throw new Error(`No list of specs found in the index${itemsPath ? ` at "${itemsPath}"` : ''}`);
+    }
+    return items;
+  }
+}
+
+module.exports = JsonIndexSource;
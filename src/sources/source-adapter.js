@@ -0,0 +1,101 @@
+const axios = require('axios');
+const path = require('path');
+
+class SourceAdapter {
+  /**
+   * Base class for the places APIs are imported from. An adapter finds
+   * specs (discover), downloads one (fetch) and describes it in the catalog's
+   * format (toApi); SourceImporter does the rest.
+   * @param {string} name - Registry name, used in POST /api/sources/:name/import
+   * @param {Object} options - `source` stored on imported APIs (defaults to
+   *   the name), a one-line `description` and the `visibility` new APIs get
+   *   unless the import says otherwise (default: public)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.source = options.source || name;
+    this.description = options.description || '';
+    this.visibility = options.visibility || 'public';
+  }
+
+  /**
+   * Validation rules (see api/validation) for this source's import options
+   */
+  get optionRules() {
+    return {};
+  }
+
+  /**
+   * Why the source can't be used right now (e.g. a missing token), or null
+   * @returns {string|null}
+   */
+  configurationError() {
+    return null;
+  }
+
+  /**
+   * Find the specs this source offers
+   * @param {Object} options - Import options, validated against optionRules
+   * @returns {Promise<Array>} Entries, each with the spec's `url` plus
+   *   whatever the adapter needs to fetch and describe it
+   */
+  async discover(options) {
+    throw new Error(`Source ${this.name} does not implement discover()`);
+  }
+
+  /**
+   * Download the spec of an entry
+   * @returns {Promise<string|Object>} Raw document (JSON or YAML text, or parsed)
+   */
+  async fetch(entry) {
+    const response = await axios.get(entry.url, {
+      timeout: 30000,
+      maxContentLength: 10 * 1024 * 1024, // 10MB max
+      maxRedirects: 5
+    });
+    return response.data;
+  }
+
+  /**
+   * Describe an entry in the catalog's API format. Called once before the
+   * spec is fetched (`spec` is null) to check for an existing entry, and
+   * again with the parsed spec.
+   * @returns {Object} API fields (name, description, version, openapi_url, ...)
+   */
+  toApi(entry, spec) {
+    const info = (spec && spec.info) || {};
+    return {
+      name: info.title || entry.name || this.nameFromUrl(entry.url),
+      description: info.description || entry.description || '',
+      version: info.version || entry.version || (spec ? '1.0.0' : null),
+      github_url: entry.repositoryUrl || null,
+      openapi_url: entry.url,
+      stars: entry.stars || 0,
+      source: this.source,
+      source_url: entry.url,
+      categories: entry.categories || [],
+      last_synced_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * The catalog entry an API would update instead of being added again
+   * @param {CatalogDatabase} database - Catalog database
+   * @param {Object} api - Result of toApi
+   * @returns {Object|undefined} Existing API row
+   */
+  findExisting(database, api) {
+    return database.getApiByUrl(api.openapi_url);
+  }
+
+  nameFromUrl(url) {
+    try {
+      const file = path.posix.basename(new URL(url).pathname);
+      return file.replace(/\.(json|ya?ml)$/i, '') || url;
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+module.exports = SourceAdapter;
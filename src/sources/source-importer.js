@@ -0,0 +1,351 @@
+const EventEmitter = require('events');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const WorkerPool = require('../jobs/worker-pool');
+const HostRateLimiter = require('../jobs/host-rate-limiter');
+
+// Spec downloads in flight at once; they're I/O bound and rate limited per host
+const DEFAULT_DOWNLOAD_CONCURRENCY = 4;
+
+// High-level tags added from keywords in an API's name and description
+const CATEGORY_KEYWORDS = {
+  'Payments': ['payment', 'stripe', 'paypal', 'billing', 'invoice', 'transaction', 'checkout'],
+  'Authentication': ['auth', 'oauth', 'login', 'sso', 'identity', 'jwt', 'token'],
+  'Database': ['database', 'sql', 'postgres', 'mysql', 'mongodb', 'redis', 'storage'],
+  'Cloud & Infrastructure': ['cloud', 'aws', 'azure', 'gcp', 'kubernetes', 'docker', 'infrastructure', 'terraform'],
+  'AI & ML': ['ai', 'ml', 'machine learning', 'llm', 'gpt', 'openai', 'model', 'neural'],
+  'Communication': ['chat', 'messaging', 'email', 'sms', 'notification', 'twilio', 'sendgrid'],
+  'Analytics': ['analytics', 'metrics', 'tracking', 'monitoring', 'observability', 'telemetry'],
+  'E-commerce': ['ecommerce', 'e-commerce', 'shop', 'cart', 'product', 'inventory'],
+  'Social Media': ['social', 'twitter', 'facebook', 'instagram', 'linkedin'],
+  'Developer Tools': ['api', 'sdk', 'cli', 'developer', 'webhook', 'rest', 'graphql'],
+  'Security': ['security', 'encryption', 'firewall', 'vulnerability', 'scan'],
+  'Media': ['video', 'audio', 'image', 'media', 'streaming', 'upload'],
+  'Documentation': ['docs', 'documentation', 'wiki', 'knowledge'],
+  'IoT': ['iot', 'sensor', 'device', 'hardware', 'embedded'],
+  'Finance': ['finance', 'banking', 'trading', 'stock', 'crypto', 'blockchain'],
+  'Healthcare': ['health', 'medical', 'patient', 'hospital', 'clinical'],
+  'Education': ['education', 'learning', 'course', 'student', 'school'],
+  'Gaming': ['game', 'gaming', 'player', 'unity', 'unreal']
+};
+
+class SourceImporter extends EventEmitter {
+  /**
+   * Imports the specs a source adapter discovers: downloads them, converts
+   * them with the pipeline and stores new APIs or new revisions of existing
+   * ones, with tags, versions and search index entries.
+   * @param {Object} options - `database` (CatalogDatabase), `pipeline`
+   *   (ConversionPipeline) and optional `indexer` (SpecIndexer)
+   */
+  constructor(options = {}) {
+    super();
+    this.db = options.database;
+    this.pipeline = options.pipeline;
+    this.indexer = options.indexer || null;
+  }
+
+  emitProgress(stage, api, details = {}) {
+    this.emit('progress', {
+      stage,
+      apiId: api.id,
+      api: api.name,
+      ...details
+    });
+  }
+
+  /**
+   * Import everything a source offers.
+   * Downloads and conversions run in separate worker pools: downloads are
+   * I/O bound and rate limited per host, conversions are CPU bound. New
+   * downloads wait while fetched specs pile up.
+   * Emits a 'progress' event with a `stage` for every API skipped or failed
+   * here; the pipeline reports the conversion steps.
+   * @param {SourceAdapter} adapter - Where to import from
+   * @param {Object} options - Import options, plus the adapter's own options
+   * @returns {Promise<Object>} Import statistics
+   */
+  async importAll(adapter, options = {}) {
+    const {
+      skipExisting = true,
+      maxApis = null,
+      downloadConcurrency = DEFAULT_DOWNLOAD_CONCURRENCY,
+      conversionConcurrency = os.cpus().length,
+      hostInterval = 250, // Gap between requests to the same host
+      visibility = adapter.visibility, // For new APIs; existing ones keep theirs
+      job = null, // Optional job context for per-item progress and resume
+      ...adapterOptions
+    } = options;
+
+    const stats = {
+      total: 0,
+      processed: 0,
+      skipped: 0,
+      failed: 0,
+      errors: []
+    };
+
+    const entries = await adapter.discover(adapterOptions);
+    stats.total = entries.length;
+    console.log(`Found ${stats.total} spec(s) in ${adapter.name}`);
+
+    // Limit if specified
+    const toImport = maxApis ? entries.slice(0, maxApis) : entries;
+    console.log(`Importing ${toImport.length} spec(s) (${downloadConcurrency} downloads, ${conversionConcurrency} conversions at a time)...`);
+    job?.setTotal(toImport.length);
+
+    // $refs to other files share the per-host rate limit with spec downloads
+    const rateLimiter = new HostRateLimiter({ interval: hostInterval });
+    this.pipeline.rateLimiter = rateLimiter;
+
+    const context = {
+      adapter,
+      skipExisting,
+      visibility,
+      job,
+      stats,
+      rateLimiter,
+      downloads: new WorkerPool({ concurrency: downloadConcurrency, maxQueued: downloadConcurrency }),
+      conversions: new WorkerPool({ concurrency: conversionConcurrency, maxQueued: conversionConcurrency * 2 })
+    };
+
+    const imports = [];
+    for (const entry of toImport) {
+      // Backpressure: don't start downloads faster than they can be converted
+      await context.downloads.waitForRoom();
+      await context.conversions.waitForRoom();
+      imports.push(this.importEntry(entry, context));
+    }
+    await Promise.all(imports);
+
+    return stats;
+  }
+
+  /**
+   * Download, convert and store one spec. Never throws; failures are counted
+   * in `context.stats` and recorded in conversion_failures.
+   */
+  async importEntry(entry, context) {
+    const { adapter, skipExisting, visibility, job, stats } = context;
+
+    // API ids are generated per run, so progress is keyed by spec URL
+    const itemKey = entry.url;
+    const skip = (api, reason) => {
+      console.log(`⊘ Skipping ${api.name} (${reason})`);
+      this.emitProgress('skipped', api, { reason });
+      job?.recordItem(itemKey, 'skipped');
+      stats.skipped++;
+    };
+
+    let api = { ...adapter.toApi(entry, null), id: null };
+    let existing = null;
+    try {
+      // Already handled before the job was interrupted
+      if (job?.isItemDone(itemKey)) {
+        stats.skipped++;
+        return;
+      }
+
+      existing = adapter.findExisting(this.db, api);
+      // The same version again; sources that only learn the version from the spec skip by URL
+      if (existing && skipExisting && (!api.version || existing.version === api.version)) {
+        return skip({ ...api, id: existing.id }, 'Already exists');
+      }
+
+      // Failed before - wait for the backoff instead of retrying on every import
+      if (this.db.isConversionRetryPending(itemKey)) {
+        return skip(api, 'Retry scheduled');
+      }
+
+      const data = await context.downloads.run(() => this.pipeline.runStage('download', async () => {
+        console.log(`Downloading ${api.name}...`);
+        await context.rateLimiter.wait(entry.url);
+        return adapter.fetch(entry);
+      }));
+
+      const { content, spec } = await this.pipeline.runStage('parse', () => (
+        this.pipeline.bundleSpec(this.pipeline.parseSpec(data), entry.url)
+      ));
+
+      // New revision of an API we already have - keep its identity
+      api = { ...adapter.toApi(entry, spec), visibility, id: existing ? existing.id : uuidv4() };
+
+      // Nothing to do if the spec matches the latest stored revision
+      if (existing) {
+        const latestVersion = this.db.getLatestApiVersion(existing.id);
+        if (latestVersion && latestVersion.content_hash === this.pipeline.hashContent(content)) {
+          this.db.updateApi(existing.id, { last_synced_at: api.last_synced_at });
+          this.db.clearConversionFailure(itemKey);
+          return skip(api, 'Spec unchanged');
+        }
+      }
+
+      const result = await context.conversions.run(() => this.pipeline.convertAndGenerateDocs(api, content));
+      if (!result.success) {
+        // The pipeline has already reported the failure
+        this.recordFailure(api, itemKey, result.stage, result.error, existing ? existing.id : null);
+        stats.failed++;
+        stats.errors.push({ api: api.name, error: result.error });
+        job?.recordItem(itemKey, 'failed', result.error);
+        return;
+      }
+
+      await this.saveApi(api, result, existing);
+      this.db.clearConversionFailure(itemKey);
+
+      console.log(`✓ Successfully processed ${api.name}`);
+      job?.recordItem(itemKey, 'completed');
+      stats.processed++;
+
+    } catch (error) {
+      console.error(`✗ Error processing ${api.name}:`, error.message);
+      this.recordFailure(api, itemKey, error.stage, error.message, existing ? existing.id : null);
+      stats.failed++;
+      stats.errors.push({ api: api.name, error: error.message });
+      this.emitProgress('failed', api, { reason: error.message, failedStage: error.stage });
+      job?.recordItem(itemKey, 'failed', error.message);
+    }
+  }
+
+  /**
+   * Convert and store one spec outside a source import, e.g. an upload.
+   * Unlike importAll, a spec that can't be downloaded or parsed is an error
+   * for the caller.
+   * @param {string|Object|null} data - Spec document (JSON or YAML text, or
+   *   parsed); downloaded from `fields.openapi_url` when null
+   * @param {Object} fields - API fields (source, openapi_url, categories, ...);
+   *   name, description and version default to the spec's info
+   * @returns {Promise<Object>} `{ success: true, api }`, or the failed
+   *   pipeline result (`success: false` with `stage` and `error`)
+   * @throws {Error} With the `stage` it happened in, if the spec is unusable
+   */
+  async importSpec(data, fields = {}) {
+    const url = fields.openapi_url || null;
+
+    if (data === null) {
+      data = await this.pipeline.runStage('download', async () => (await this.pipeline.fetchSpec(url)).data);
+    }
+
+    const { content, spec } = await this.pipeline.runStage('parse', () => (
+      this.pipeline.bundleSpec(this.pipeline.parseSpec(data), url)
+    ));
+
+    const info = spec.info || {};
+    const api = {
+      stars: 0,
+      categories: [],
+      visibility: 'public',
+      ...fields,
+      id: uuidv4(),
+      name: fields.name || info.title || 'Untitled API',
+      description: fields.description || info.description || '',
+      version: info.version || '1.0.0',
+      openapi_url: url,
+      source_url: fields.source_url || url,
+      last_synced_at: new Date().toISOString()
+    };
+
+    const result = await this.pipeline.convertAndGenerateDocs(api, content);
+    if (!result.success) {
+      // Only specs with a URL can be retried later
+      if (url) this.recordFailure(api, url, result.stage, result.error);
+      return result;
+    }
+
+    await this.saveApi(api, result);
+    if (url) this.db.clearConversionFailure(url);
+
+    return { success: true, api };
+  }
+
+  /**
+   * Store a converted API - a new entry, or a new revision of `existing` -
+   * with its lint results, version snapshot, tags and search index entry
+   * @param {Object} api - API fields from the source adapter
+   * @param {Object} result - Successful result of convertAndGenerateDocs
+   * @param {Object} existing - Catalog entry the API updates, if any
+   */
+  async saveApi(api, result, existing = null) {
+    const fields = {
+      ...api,
+      collection_path: result.collection_path,
+      docs_path: result.docs_path,
+      content_hash: await this.pipeline.hashSpecFile(result.openapi_path),
+      quality_score: result.quality.score
+    };
+
+    if (existing) {
+      this.db.updateApi(api.id, {
+        name: fields.name,
+        description: fields.description,
+        version: fields.version,
+        openapi_url: fields.openapi_url,
+        source_url: fields.source_url,
+        collection_path: fields.collection_path,
+        docs_path: fields.docs_path,
+        content_hash: fields.content_hash,
+        quality_score: fields.quality_score,
+        last_synced_at: fields.last_synced_at
+      });
+    } else {
+      this.db.createApi(fields);
+    }
+
+    this.db.saveSpecLint(api.id, result.lint);
+
+    // Keep this revision so collections can be pinned to it
+    await this.pipeline.createVersion(this.db, api, result);
+
+    for (const tagName of this.getTags(api)) {
+      const tag = this.db.getOrCreateTag(tagName);
+      this.db.addTagToApi(api.id, tag.id);
+    }
+
+    await this.indexer?.indexApi(api);
+  }
+
+  /**
+   * The source's own categories plus high-level ones matched from the API's
+   * name and description ('General' when nothing matches)
+   */
+  getTags(api) {
+    const tags = new Set(api.categories || []);
+    const combined = `${api.name || ''} ${api.description || ''}`.toLowerCase();
+
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      if (keywords.some(keyword => combined.includes(keyword))) {
+        tags.add(category);
+      }
+    }
+
+    if (tags.size === 0) {
+      tags.add('General');
+    }
+
+    return [...tags];
+  }
+
+  /**
+   * Remember a failed conversion so it's retried with backoff, keeping
+   * what's needed to retry it
+   */
+  recordFailure(api, sourceUrl, stage, error, apiId = null) {
+    const { id, lint, ...apiInfo } = api;
+    try {
+      return this.db.recordConversionFailure({
+        id: uuidv4(),
+        source_url: sourceUrl,
+        source: api.source,
+        api_id: apiId,
+        name: api.name,
+        stage: stage || 'convert',
+        error,
+        api_info: apiInfo
+      });
+    } catch (recordError) {
+      console.error(`Failed to record failure for ${api.name}:`, recordError.message);
+      return null;
+    }
+  }
+}
+
+module.exports = SourceImporter;
@@ -0,0 +1,45 @@
+class SourceRegistry {
+  /**
+   * Source adapters by name, for POST /api/sources/:name/import
+   */
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * @param {SourceAdapter} adapter - Adapter to add
+   * @throws {Error} If another adapter already has its name
+   */
+  register(adapter) {
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Source ${adapter.name} is already registered`);
+    }
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  getNames() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Describe every source for GET /api/sources
+   */
+  list() {
+    return [...this.adapters.values()].map(adapter => ({
+      name: adapter.name,
+      source: adapter.source,
+      description: adapter.description,
+      visibility: adapter.visibility,
+      options: Object.keys(adapter.optionRules),
+      available: !adapter.configurationError(),
+      error: adapter.configurationError()
+    }));
+  }
+}
+
+module.exports = SourceRegistry;
@@ -0,0 +1,33 @@
+const SourceAdapter = require('./source-adapter');
+
+class UrlListSource extends SourceAdapter {
+  /**
+   * A plain list of spec URLs given with the import
+   */
+  constructor() {
+    super('url-list', {
+      description: 'Import specs from a list of URLs'
+    });
+  }
+
+  get optionRules() {
+    return {
+      urls: {
+        type: 'list',
+        required: true,
+        check: urls => {
+          if (urls.length === 0) throw new Error('must not be empty');
+          for (const url of urls) {
+            if (!/^https?:\/\//i.test(url)) throw new Error(`must be http(s) URLs (got ${url})`);
+          }
+        }
+      }
+    };
+  }
+
+  async discover(options = {}) {
+    return [...new Set(options.urls || [])].map(url => ({ url }));
+  }
+}
+
+module.exports = UrlListSource;
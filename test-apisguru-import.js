@@ -1,19 +1,22 @@
 // Test script to import a small batch from APIs.guru
+// Needs a key with the import scope: ADMIN_API_KEY=... node test-apisguru-import.js
 const axios = require('axios');
 
 async function testImport() {
   try {
     console.log('Starting APIs.guru import test (10 APIs)...\n');
-    
-    const response = await axios.post('http://localhost:5000/api/import/apisguru', {
+
+    const response = await axios.post('http://localhost:5000/api/sources/apis-guru/import', {
       maxApis: 10,
       skipExisting: true
+    }, {
+      headers: { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` }
     });
-    
+
     console.log('Response:', response.data);
-    console.log('\nImport started! Check the server logs for progress.');
+    console.log(`\nImport started! Follow it at http://localhost:5000/api/jobs/${response.data.jobId}`);
     console.log('You can also check http://localhost:5000/api/stats to see the total count increase.');
-    
+
   } catch (error) {
     console.error('Error:', error.message);
     if (error.response) {
@@ -23,4 +26,3 @@ async function testImport() {
 }
 
 testImport();
-
@@ -0,0 +1,65 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+let catalog;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  catalog = await startServer();
+  for (let i = 1; i <= 5; i++) {
+    catalog.server.db.createApi({ id: `api-${i}`, name: `API ${i}`, stars: i * 10, source: i % 2 ? 'github-scrape' : 'apis-guru' });
+  }
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+const getJson = async url => (await fetch(`${catalog.baseUrl}${url}`)).json();
+
+test('pages through filtered APIs', async () => {
+  const first = await getJson('/api/apis?source=github-scrape&limit=2&orderBy=stars%20DESC');
+  assert.deepEqual(first.apis.map(api => api.id), ['api-5', 'api-3']);
+  assert.equal(first.total, 3);
+  assert.equal(first.hasMore, true);
+  assert.equal(first.nextOffset, 2);
+
+  const last = await getJson(`/api/apis?source=github-scrape&limit=2&offset=${first.nextOffset}&orderBy=stars%20DESC`);
+  assert.deepEqual(last.apis.map(api => api.id), ['api-1']);
+  assert.equal(last.hasMore, false);
+  assert.equal(last.nextOffset, null);
+});
+
+test('returns facets unless asked not to', async () => {
+  const withFacets = await getJson('/api/apis?minStars=20');
+  assert.deepEqual(withFacets.facets.sources, [{ value: 'apis-guru', count: 2 }, { value: 'github-scrape', count: 2 }]);
+
+  const withoutFacets = await getJson('/api/apis?facets=false');
+  assert.equal(withoutFacets.facets, undefined);
+});
+
+test('rejects unknown parameters and sort columns outside the whitelist', async () => {
+  const response = await fetch(`${catalog.baseUrl}/api/apis?orderBy=password&limit=0&color=red`);
+
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).errors.map(error => error.field), ['color', 'limit', 'orderBy']);
+});
+
+test('sorts by a whitelisted column in either direction', async () => {
+  const ascending = await getJson('/api/apis?orderBy=stars&facets=false');
+  const descending = await getJson('/api/apis?orderBy=-stars&facets=false');
+
+  assert.deepEqual(ascending.apis.map(api => api.id), ['api-1', 'api-2', 'api-3', 'api-4', 'api-5']);
+  assert.deepEqual(descending.apis.map(api => api.id), ['api-5', 'api-4', 'api-3', 'api-2', 'api-1']);
+});
+
+test('rejects unknown export formats and APIs without a stored spec', async () => {
+  const unknown = await fetch(`${catalog.baseUrl}/api/apis/api-1/export/openman`);
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error, 'Unknown export format. Use one of: postman, insomnia, snippets');
+
+  assert.equal((await fetch(`${catalog.baseUrl}/api/apis/api-1/export/postman`)).status, 404);
+  assert.equal((await fetch(`${catalog.baseUrl}/api/apis/api-1/spec?format=xml`)).status, 400);
+});
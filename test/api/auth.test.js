@@ -0,0 +1,96 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+
+let catalog;
+let keys;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY });
+
+  const { auth } = catalog.server;
+  keys = {
+    read: auth.createKey('Dashboard', ['read']).key,
+    import: auth.createKey('CI', ['import']).key,
+    revoked: auth.createKey('Old laptop', ['admin'])
+  };
+  catalog.server.db.revokeApiKey(keys.revoked.record.id);
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+function call(method, url, key, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (key) headers.Authorization = `Bearer ${key}`;
+  return fetch(`${catalog.baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+}
+
+test('requires a valid key for admin endpoints', async () => {
+  const missing = await call('GET', '/api/jobs');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+  assert.equal((await call('GET', '/api/jobs', 'bac_not-a-key')).status, 401);
+  assert.equal((await call('GET', '/api/jobs', keys.revoked.key)).status, 401);
+  assert.equal((await call('GET', '/api/apis')).status, 200);
+});
+
+test('checks scopes, with higher scopes including lower ones', async () => {
+  assert.equal((await call('GET', '/api/jobs', keys.read)).status, 200);
+  assert.equal((await call('GET', '/api/jobs', keys.import)).status, 200);
+
+  const forbidden = await call('GET', '/api/keys', keys.import);
+  assert.equal(forbidden.status, 403);
+  assert.equal((await forbidden.json()).error, 'This API key lacks the "admin" scope');
+  assert.equal((await call('POST', '/api/regenerate-docs', keys.read, {})).status, 403);
+});
+
+test('accepts keys in the X-API-Key header', async () => {
+  const response = await fetch(`${catalog.baseUrl}/api/jobs`, { headers: { 'X-API-Key': keys.read } });
+
+  assert.equal(response.status, 200);
+});
+
+test('creates keys that are shown once and stored hashed', async () => {
+  const response = await call('POST', '/api/keys', ADMIN_KEY, { name: 'Importer', scopes: ['import', 'import'] });
+  const created = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.match(created.key, /^bac_/);
+  assert.deepEqual(created.scopes, ['import']);
+
+  const { keys: listed } = await (await call('GET', '/api/keys', ADMIN_KEY)).json();
+  const stored = listed.find(key => key.id === created.id);
+  assert.equal(stored.key, undefined);
+  assert.equal(stored.key_hash, undefined);
+  assert.equal(stored.key_prefix, created.key.slice(0, 10));
+
+  const invalid = await call('POST', '/api/keys', ADMIN_KEY, { name: 'Root', scopes: ['root'] });
+  assert.equal(invalid.status, 400);
+});
+
+test('revoked keys stop working', async () => {
+  const { key, id } = await (await call('POST', '/api/keys', ADMIN_KEY, { name: 'Temp', scopes: ['read'] })).json();
+  assert.equal((await call('GET', '/api/jobs', key)).status, 200);
+
+  assert.equal((await call('DELETE', `/api/keys/${id}`, ADMIN_KEY)).status, 200);
+  assert.equal((await call('GET', '/api/jobs', key)).status, 401);
+  assert.equal((await call('DELETE', `/api/keys/${id}`, ADMIN_KEY)).status, 404);
+});
+
+test('audits who triggered jobs and changed keys', async () => {
+  await call('POST', '/api/regenerate-docs', keys.import, {});
+
+  const { entries } = await (await call('GET', '/api/audit?action=job.enqueue', ADMIN_KEY)).json();
+  assert.equal(entries[0].actor_name, 'CI');
+  assert.equal(entries[0].details.type, 'regenerate-docs');
+
+  const { entries: keyEntries } = await (await call('GET', '/api/audit?action=key.create', ADMIN_KEY)).json();
+  assert.ok(keyEntries.every(entry => entry.actor_id === 'bootstrap'));
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderBadge, renderScoreBadge } = require('../../src/api/badge');
+
+test('colors score badges by band', () => {
+  assert.match(renderScoreBadge('API quality', 95), /fill="#4c1"/);
+  assert.match(renderScoreBadge('API quality', 60), /fill="#a4a61d"/);
+  assert.match(renderScoreBadge('API quality', 0), /fill="#e05d44"/);
+  assert.match(renderScoreBadge('API quality', 72), /<title>API quality: 72%<\/title>/);
+});
+
+test('shows unknown scores in grey', () => {
+  const svg = renderScoreBadge('API quality', null);
+
+  assert.match(svg, /<title>API quality: unknown<\/title>/);
+  assert.match(svg, /fill="#9f9f9f"/);
+});
+
+test('escapes text and sizes the badge to it', () => {
+  const svg = renderBadge('a<b', '"x" & y', '#000');
+
+  assert.match(svg, /aria-label="a&lt;b: &quot;x&quot; &amp; y"/);
+  assert.ok(!svg.includes('a<b'));
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="\d+" height="20"/);
+  const width = badge => Number(badge.match(/width="(\d+)"/)[1]);
+  assert.ok(width(renderBadge('label', 'a much longer message', '#000')) > width(renderBadge('label', 'short', '#000')));
+});
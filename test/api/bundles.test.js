@@ -0,0 +1,82 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('../helpers/catalog-server');
+const { readZip } = require('../helpers/zip');
+
+let catalog;
+let dir;
+
+// Bruno collection folders on disk for two of the three APIs
+before(async () => {
+  mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-bundles-'));
+  catalog = await startServer();
+  const { db } = catalog.server;
+
+  for (const [id, name, files] of [
+    ['stripe-0001', 'Stripe API', { 'bruno.json': '{"name":"Stripe"}', 'charges/create.bru': 'meta { name: Create }' }],
+    ['stripe-0002', 'Stripe API', { 'bruno.json': '{"name":"Stripe fork"}' }]
+  ]) {
+    const collectionPath = path.join(dir, id);
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(collectionPath, file)), { recursive: true });
+      fs.writeFileSync(path.join(collectionPath, file), content);
+    }
+    db.createApi({ id, name, version: '1.0', collection_path: collectionPath, source_url: `https://example.com/${id}.json`, content_hash: `hash-${id}` });
+    db.addTagToApi(id, db.getOrCreateTag('Payments').id);
+  }
+  db.createApi({ id: 'adyen-0001', name: 'Adyen', collection_path: path.join(dir, 'missing') });
+  db.addTagToApi('adyen-0001', db.getOrCreateTag('Payments').id);
+});
+
+after(async () => {
+  await catalog.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+const download = url => fetch(`${catalog.baseUrl}${url}`);
+
+test('bundles every matching collection with a manifest', async () => {
+  const response = await download('/api/bundles?tag=Payments');
+  assert.equal(response.headers.get('content-type'), 'application/zip');
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="payments_bruno_collections.zip"');
+
+  const entries = readZip(Buffer.from(await response.arrayBuffer()));
+  const manifest = JSON.parse(entries.get('manifest.json'));
+
+  assert.deepEqual(manifest.skipped, [{ id: 'adyen-0001', name: 'Adyen', reason: 'Bruno collection not available' }]);
+  const stripe = manifest.collections.find(collection => collection.id === 'stripe-0001');
+  assert.equal(stripe.folder, 'stripe_api_stripe-0');
+  assert.equal(stripe.source_url, 'https://example.com/stripe-0001.json');
+  assert.equal(stripe.spec_sha256, 'hash-stripe-0001');
+  assert.deepEqual(stripe.files.map(file => file.path), ['stripe_api_stripe-0/bruno.json', 'stripe_api_stripe-0/charges/create.bru']);
+
+  // Same name and id prefix, so the second folder gets a suffix
+  const fork = manifest.collections.find(collection => collection.id === 'stripe-0002');
+  assert.equal(fork.folder, 'stripe_api_stripe-0_');
+
+  for (const { files } of manifest.collections) {
+    for (const file of files) {
+      assert.equal(crypto.createHash('sha256').update(entries.get(file.path)).digest('hex'), file.sha256);
+    }
+  }
+});
+
+test('narrows a bundle to the given ids', async () => {
+  const entries = readZip(Buffer.from(await (await download('/api/bundles?ids=stripe-0002,adyen-0001&tag=Payments')).arrayBuffer()));
+  const manifest = JSON.parse(entries.get('manifest.json'));
+
+  assert.deepEqual(manifest.collections.map(collection => collection.id), ['stripe-0002']);
+  assert.deepEqual([...entries.keys()].sort(), ['manifest.json', 'stripe_api_stripe-0/bruno.json']);
+});
+
+test('needs criteria that match at least one API', async () => {
+  assert.equal((await download('/api/bundles')).status, 400);
+  assert.equal((await download('/api/bundles?ids=nope')).status, 404);
+  assert.equal((await download('/api/bundles?tag=Payments&limit=501')).status, 400);
+});
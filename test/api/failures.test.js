@@ -0,0 +1,70 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+
+let catalog;
+let release;
+const handled = [];
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY });
+
+  // Retries wait until the test lets them finish
+  const gate = new Promise(resolve => { release = resolve; });
+  for (const type of ['resync', 'retry-conversion']) {
+    catalog.server.jobQueue.register(type, async job => {
+      handled.push({ type, payload: job.payload });
+      await gate;
+    });
+  }
+
+  const { db } = catalog.server;
+  db.createApi({ id: 'petstore', name: 'Petstore' });
+  db.recordConversionFailure({ id: 'known', source_url: 'https://example.com/petstore.json', api_id: 'petstore', name: 'Petstore', stage: 'docs' });
+  db.recordConversionFailure({ id: 'new', source_url: 'https://example.com/new.json', name: 'New API', stage: 'download', source: 'apis-guru' });
+});
+
+after(async () => {
+  release();
+  await catalog.close();
+  mock.restoreAll();
+});
+
+const call = (method, url) => fetch(`${catalog.baseUrl}${url}`, {
+  method,
+  headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+});
+
+test('lists failures with filters', async () => {
+  const all = await (await call('GET', '/api/failures')).json();
+  assert.equal(all.total, 2);
+
+  const downloads = await (await call('GET', '/api/failures?stage=download')).json();
+  assert.deepEqual(downloads.failures.map(failure => failure.id), ['new']);
+
+  assert.equal((await call('GET', '/api/failures?stage=upload')).status, 400);
+});
+
+test('retries catalog entries as a re-sync and new ones through the full pipeline', async () => {
+  const resync = await (await call('POST', '/api/failures/known/retry')).json();
+  const retry = await (await call('POST', '/api/failures/new/retry')).json();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(resync.message, 'Retrying Petstore');
+  // Jobs run one at a time, so the second one waits behind the first
+  assert.deepEqual(handled, [{ type: 'resync', payload: { apiId: 'petstore', force: true } }]);
+  const queued = catalog.server.db.getJob(retry.jobId);
+  assert.equal(queued.type, 'retry-conversion');
+  assert.deepEqual(queued.payload, { failureId: 'new' });
+});
+
+test('refuses a second retry while one is active', async () => {
+  const response = await call('POST', '/api/failures/known/retry');
+
+  assert.equal(response.status, 409);
+  assert.ok((await response.json()).jobId);
+  assert.equal((await call('POST', '/api/failures/missing/retry')).status, 404);
+});
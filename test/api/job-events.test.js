@@ -0,0 +1,112 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+const auth = { headers: { Authorization: `Bearer ${ADMIN_KEY}` } };
+
+let catalog;
+
+before(async () => {
+  // Keep request and job logs out of the test output
+  mock.method(console, 'log', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY });
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+// Read an event stream to its end and parse its events
+async function readEvents(response) {
+  const events = [];
+  for (const block of (await response.text()).split('\n\n')) {
+    const lines = block.split('\n');
+    const type = lines.find(line => line.startsWith('event: '));
+    const data = lines.find(line => line.startsWith('data: '));
+    if (type && data) {
+      events.push({ type: type.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) });
+    }
+  }
+  return events;
+}
+
+test('streams a running job until it completes', async () => {
+  let started;
+  let release;
+  const running = new Promise(resolve => { started = resolve; });
+  const gate = new Promise(resolve => { release = resolve; });
+
+  catalog.server.jobQueue.register('demo', async job => {
+    started();
+    await gate;
+    job.setTotal(1);
+    job.publish('converted', { apiId: 'petstore', api: 'Petstore' });
+    job.recordItem('petstore', 'completed');
+    return { converted: 1 };
+  });
+  const job = catalog.server.jobQueue.enqueue('demo');
+  await running;
+
+  const response = await fetch(`${catalog.baseUrl}/api/jobs/${job.id}/events`, auth);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  release();
+  const events = await readEvents(response);
+
+  assert.deepEqual(events.map(event => event.type), ['snapshot', 'progress', 'converted', 'progress', 'status']);
+  assert.equal(events[0].data.status, 'running');
+  assert.equal(events[2].data.apiId, 'petstore');
+  assert.equal(events[3].data.items_completed, 1);
+  assert.equal(events[4].data.status, 'completed');
+  assert.deepEqual(events[4].data.result, { converted: 1 });
+});
+
+test('sends only a snapshot for finished jobs', async () => {
+  catalog.server.jobQueue.register('noop', async () => null);
+  const job = catalog.server.jobQueue.enqueue('noop');
+  await catalog.server.jobQueue.runJob(catalog.server.db.getJob(job.id));
+
+  const events = await readEvents(await fetch(`${catalog.baseUrl}/api/jobs/${job.id}/events`, auth));
+
+  assert.deepEqual(events.map(event => event.type), ['snapshot']);
+  assert.equal(events[0].data.status, 'completed');
+});
+
+test('returns 404 for unknown jobs', async () => {
+  const response = await fetch(`${catalog.baseUrl}/api/jobs/missing/events`, auth);
+
+  assert.equal(response.status, 404);
+});
+
+test('opens the stream with an events token instead of a key', async () => {
+  catalog.server.jobQueue.register('token-noop', async () => null);
+  const job = catalog.server.jobQueue.enqueue('token-noop');
+  await catalog.server.jobQueue.runJob(catalog.server.db.getJob(job.id));
+  const other = catalog.server.jobQueue.enqueue('token-noop');
+
+  const response = await fetch(`${catalog.baseUrl}/api/jobs/${job.id}/events-token`, { method: 'POST', ...auth });
+  const { token, url } = await response.json();
+  assert.equal(url, `/api/jobs/${job.id}/events?token=${encodeURIComponent(token)}`);
+
+  const events = await readEvents(await fetch(`${catalog.baseUrl}${url}`));
+  assert.deepEqual(events.map(event => event.type), ['snapshot']);
+
+  // The token is only good for its own job
+  const wrongJob = await fetch(`${catalog.baseUrl}/api/jobs/${other.id}/events?token=${encodeURIComponent(token)}`);
+  assert.equal(wrongJob.status, 401);
+  assert.equal((await fetch(`${catalog.baseUrl}/api/jobs/${job.id}/events`)).status, 401);
+  assert.equal((await fetch(`${catalog.baseUrl}/api/jobs/missing/events-token`, { method: 'POST', ...auth })).status, 404);
+});
+
+test('leaves streams of unfinished jobs open until the server closes', async () => {
+  // Created without enqueue(), so the queue never picks it up
+  catalog.server.db.createJob({ id: 'held-job', type: 'noop', payload: {}, max_attempts: 1 });
+
+  const response = await fetch(`${catalog.baseUrl}/api/jobs/held-job/events`, auth);
+  const reader = response.body.getReader();
+  const { value } = await reader.read();
+
+  assert.match(new TextDecoder().decode(value), /^id: 1\nevent: snapshot\n/);
+  // after() only finishes if close() ends this stream
+});
@@ -0,0 +1,86 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+
+let catalog;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY });
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+const createSchedule = body => fetch(`${catalog.baseUrl}/api/schedules`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+  body: JSON.stringify(body)
+});
+
+test('creates a schedule with its next run', async () => {
+  const now = Date.now();
+  const response = await createSchedule({ name: 'Nightly re-sync', jobType: 'resync', cron: '0 3 * * *' });
+  const schedule = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(schedule.job_type, 'resync');
+  assert.equal(schedule.enabled, true);
+  const nextRun = Date.parse(schedule.next_run_at);
+  assert.ok(nextRun > now && nextRun <= now + 24 * 60 * 60 * 1000);
+  assert.equal(new Date(nextRun).getUTCHours(), 3);
+});
+
+test('rejects invalid cron expressions and unknown job types', async () => {
+  const badCron = await createSchedule({ name: 'Broken', jobType: 'resync', cron: '61 * * * *' });
+  assert.equal(badCron.status, 400);
+  const [error] = (await badCron.json()).errors;
+  assert.equal(error.field, 'cron');
+  assert.match(error.message, /Invalid value "61" in minute field/);
+
+  const badType = await createSchedule({ name: 'Broken', jobType: 'nope', cron: '@daily' });
+  assert.equal(badType.status, 400);
+});
+
+test('holds payloads to the options of the job type', async () => {
+  const invalid = await createSchedule({ name: 'Re-sync', jobType: 'resync', cron: '@daily', payload: { force: 'often', limit: 5 } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual((await invalid.json()).errors.map(error => error.field), ['payload.limit', 'payload.force']);
+
+  const created = await (await createSchedule({ name: 'Docs', jobType: 'regenerate-docs', cron: '@daily', payload: { apiId: 'petstore' } })).json();
+  assert.deepEqual(created.payload, { apiId: 'petstore' });
+
+  const patch = body => fetch(`${catalog.baseUrl}/api/schedules/${created.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+    body: JSON.stringify(body)
+  });
+
+  // The stored payload has no `all` option for search indexing
+  const retyped = await patch({ jobType: 'search-index' });
+  assert.equal(retyped.status, 400);
+  assert.equal((await retyped.json()).errors[0].field, 'payload.apiId');
+
+  const updated = await (await patch({ jobType: 'search-index', payload: {} })).json();
+  assert.equal(updated.job_type, 'search-index');
+  assert.deepEqual(updated.payload, { all: false });
+});
+
+test('rejects cron expressions that never fire', async () => {
+  const never = await createSchedule({ name: 'February 30th', jobType: 'resync', cron: '0 0 30 2 *' });
+  assert.equal(never.status, 400);
+  assert.deepEqual((await never.json()).errors, [{ in: 'body', field: 'cron', message: 'never fires (no matching time in the next few years)' }]);
+
+  const created = await (await createSchedule({ name: 'Monthly', jobType: 'resync', cron: '0 0 1 * *' })).json();
+  const patched = await fetch(`${catalog.baseUrl}/api/schedules/${created.id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+    body: JSON.stringify({ cron: '0 0 31 4 *' })
+  });
+  assert.equal(patched.status, 400);
+  assert.equal(catalog.server.db.getSchedule(created.id).cron, '0 0 1 * *');
+});
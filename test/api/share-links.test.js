@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ShareLinks = require('../../src/api/share-links');
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+test('verifies its own tokens for the API they were made for', () => {
+  const links = new ShareLinks({ secret: 'test-secret' });
+  const token = links.create('petstore', inOneHour());
+
+  assert.equal(links.verify(token, 'petstore'), true);
+  assert.equal(links.verify(token, 'other-api'), false);
+  assert.equal(links.verify(token, 'pet'), false);
+});
+
+test('handles API ids that contain dots', () => {
+  const links = new ShareLinks({ secret: 'test-secret' });
+
+  assert.equal(links.verify(links.create('api.v2', inOneHour()), 'api.v2'), true);
+});
+
+test('rejects expired tokens', () => {
+  const links = new ShareLinks({ secret: 'test-secret' });
+
+  assert.equal(links.verify(links.create('petstore', new Date(Date.now() - 1000)), 'petstore'), false);
+});
+
+test('rejects tokens signed with another secret or edited', () => {
+  const links = new ShareLinks({ secret: 'test-secret' });
+  const token = links.create('petstore', inOneHour());
+  const [, signature] = token.split('.');
+
+  assert.equal(new ShareLinks({ secret: 'other-secret' }).verify(token, 'petstore'), false);
+
+  // Same signature, but for another API
+  const forged = `${Buffer.from(`other-api.${Math.floor(inOneHour().getTime() / 1000)}`).toString('base64url')}.${signature}`;
+  assert.equal(links.verify(forged, 'other-api'), false);
+  assert.equal(links.verify(`${token}x`, 'petstore'), false);
+});
+
+test('rejects malformed tokens', () => {
+  const links = new ShareLinks({ secret: 'test-secret' });
+
+  for (const token of [undefined, null, 42, ['a.b'], '', 'abc', '.sig', 'abc.']) {
+    assert.equal(links.verify(token, 'petstore'), false, `accepted ${JSON.stringify(token)}`);
+  }
+});
+
+test('uses a random secret when none is configured', () => {
+  const token = new ShareLinks().create('petstore', inOneHour());
+
+  assert.equal(new ShareLinks().verify(token, 'petstore'), false);
+});
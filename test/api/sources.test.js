@@ -0,0 +1,56 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+
+let catalog;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY });
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+const call = (method, url, body) => fetch(`${catalog.baseUrl}${url}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+  body: body && JSON.stringify(body)
+});
+
+test('lists the registered sources', async () => {
+  const { sources } = await (await call('GET', '/api/sources')).json();
+
+  assert.deepEqual(sources.map(source => source.name), ['github', 'apis-guru', 'directory', 'url-list', 'gitlab', 'json-index']);
+  assert.deepEqual(sources.find(source => source.name === 'url-list').options, ['urls']);
+});
+
+test('validates imports against the source options', async () => {
+  assert.equal((await call('POST', '/api/sources/nope/import', {})).status, 404);
+
+  const missing = await call('POST', '/api/sources/url-list/import', {});
+  assert.equal(missing.status, 400);
+  assert.deepEqual((await missing.json()).errors, [{ in: 'body', field: 'urls', message: 'is required' }]);
+
+  const unknown = await call('POST', '/api/sources/url-list/import', { urls: ['https://example.com/a.json'], path: 'x' });
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).errors[0].field, 'path');
+});
+
+test('reports GitHub rate limits once a token is configured', async () => {
+  const notConfigured = await call('GET', '/api/github/rate-limit');
+  assert.equal(notConfigured.status, 400);
+  assert.deepEqual(await notConfigured.json(), { error: 'GitHub token not configured' });
+
+  const github = catalog.server.sources.get('github');
+  mock.method(github, 'configurationError', () => null);
+  mock.method(github, 'getRateLimit', async () => ({ limit: 5000, remaining: 4999, waitingUntil: null }));
+
+  const response = await call('GET', '/api/github/rate-limit');
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { limit: 5000, remaining: 4999, waitingUntil: null });
+});
@@ -0,0 +1,61 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+
+let catalog;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY });
+  catalog.server.db.createApi({ id: 'petstore', name: 'Petstore', openapi_url: 'https://example.com/petstore.json' });
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+const post = body => fetch(`${catalog.baseUrl}/api/apis`, {
+  method: 'POST',
+  headers: { Authorization: `Bearer ${ADMIN_KEY}`, ...(body instanceof FormData ? {} : { 'Content-Type': 'application/json' }) },
+  body: body instanceof FormData ? body : JSON.stringify(body)
+});
+
+const upload = (content, fields = {}) => {
+  const form = new FormData();
+  form.append('spec', new Blob([content]), 'openapi.yaml');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+};
+
+test('needs exactly one of a spec file or a URL', async () => {
+  const neither = await post({});
+  assert.equal(neither.status, 400);
+  assert.equal((await neither.json()).error, 'Send either a spec file (multipart field "spec") or a url');
+
+  assert.equal((await post(upload('openapi: 3.0.3', { url: 'https://example.com/a.json' }))).status, 400);
+  assert.equal((await post({ url: 'file:///etc/passwd' })).status, 400);
+});
+
+test('refuses URLs already in the catalog', async () => {
+  const response = await post({ url: 'https://example.com/petstore.json' });
+
+  assert.equal(response.status, 409);
+  assert.equal((await response.json()).apiId, 'petstore');
+});
+
+test('reports uploads that are not specs as client errors', async () => {
+  const response = await post(upload('<html>not a spec</html>'));
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).stage, 'parse');
+});
+
+test('requires the import scope', async () => {
+  const response = await fetch(`${catalog.baseUrl}/api/apis`, { method: 'POST' });
+
+  assert.equal(response.status, 401);
+});
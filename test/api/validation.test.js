@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, handleInvalidJson, pagination } = require('../../src/api/validation');
+
+// Run the middleware against a fake request and response
+function run(schema, req) {
+  const result = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  validate(schema)(req, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+// Errors for a query, or the coerced query when it is valid
+function query(rules, input) {
+  const req = { query: input };
+  const result = run({ query: rules }, req);
+  return result.nextCalled ? req.query : result.body.errors;
+}
+
+test('coerces query strings to each rule type', () => {
+  assert.deepEqual(query({
+    limit: { type: 'integer' },
+    ratio: { type: 'number' },
+    flag: { type: 'boolean' },
+    method: { type: 'enum', values: ['GET', 'POST'], caseInsensitive: true },
+    tags: { type: 'list' },
+    since: { type: 'date' }
+  }, {
+    limit: '25',
+    ratio: '0.5',
+    flag: 'yes',
+    method: 'get',
+    tags: ['a,b', 'c'],
+    since: '2024-01-01'
+  }), {
+    limit: 25,
+    ratio: 0.5,
+    flag: true,
+    method: 'GET',
+    tags: ['a', 'b', 'c'],
+    since: '2024-01-01T00:00:00.000Z'
+  });
+});
+
+test('parses sort fields against a whitelist', () => {
+  const rules = { sort: { type: 'sort', fields: ['name', 'stars'] } };
+
+  assert.deepEqual(query(rules, { sort: '-stars' }).sort, { field: 'stars', direction: 'DESC' });
+  assert.deepEqual(query(rules, { sort: 'name:desc' }).sort, { field: 'name', direction: 'DESC' });
+  assert.deepEqual(query(rules, { sort: 'name' }).sort, { field: 'name', direction: 'ASC' });
+  assert.deepEqual(query(rules, { sort: 'name; DROP TABLE apis' }), [
+    { in: 'query', field: 'sort', message: 'must be one of: name, stars (optionally with :asc or :desc)' }
+  ]);
+  assert.equal(query(rules, { sort: 'password' })[0].field, 'sort');
+});
+
+test('fills in defaults and reports every invalid field', () => {
+  const rules = { ...pagination(20, 100), name: { type: 'string', required: true } };
+
+  assert.deepEqual(query(rules, { name: 'x', limit: '' }), { name: 'x', limit: 20, offset: 0 });
+  assert.deepEqual(query(rules, { offset: '-1', extra: 'x' }), [
+    { in: 'query', field: 'extra', message: 'is not a recognized parameter' },
+    { in: 'query', field: 'offset', message: 'must be at least 0' },
+    { in: 'query', field: 'name', message: 'is required' }
+  ]);
+});
+
+test('runs custom checks after coercion', () => {
+  const rules = {
+    name: { type: 'string', check: value => { if (value === 'bad') throw new Error('is not allowed'); return value.toUpperCase(); } }
+  };
+
+  assert.equal(query(rules, { name: 'ok' }).name, 'OK');
+  assert.deepEqual(query(rules, { name: 'bad' }), [{ in: 'query', field: 'name', message: 'is not allowed' }]);
+});
+
+test('keeps body types strict apart from numeric strings', () => {
+  const body = { count: { type: 'integer' }, label: { type: 'string' }, opts: { type: 'object' } };
+
+  const req = { query: {}, body: { count: '3' } };
+  assert.ok(run({ body }, req).nextCalled);
+  assert.equal(req.body.count, 3);
+
+  assert.deepEqual(run({ body }, { query: {}, body: { label: 5, opts: [] } }).body.errors.map(error => error.message), [
+    'must be a string',
+    'must be an object'
+  ]);
+  assert.deepEqual(run({ body }, { query: {}, body: [] }).body.errors, [
+    { in: 'body', field: 'body', message: 'must be a JSON object' }
+  ]);
+});
+
+test('allows null for nullable rules', () => {
+  const body = { apiId: { type: 'string', nullable: true, default: null } };
+
+  for (const input of [{ apiId: null }, {}]) {
+    const req = { query: {}, body: input };
+    run({ body }, req);
+    assert.deepEqual(req.body, { apiId: null });
+  }
+});
+
+test('replaces the request with coerced values', () => {
+  const req = { query: { limit: '5' }, body: { force: true } };
+  const result = run({ query: pagination(20, 100), body: { force: { type: 'boolean' } } }, req);
+
+  assert.ok(result.nextCalled);
+  assert.deepEqual(req.query, { limit: 5, offset: 0 });
+  assert.deepEqual(req.body, { force: true });
+});
+
+test('responds 400 with the invalid fields', () => {
+  const result = run({ query: { limit: { type: 'integer', max: 10 } } }, { query: { limit: '50' } });
+
+  assert.equal(result.nextCalled, false);
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body, {
+    error: 'Invalid request parameters',
+    errors: [{ in: 'query', field: 'limit', message: 'must be at most 10' }]
+  });
+});
+
+test('reports malformed JSON in the same format', () => {
+  const res = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; } };
+  handleInvalidJson({ type: 'entity.parse.failed' }, {}, res, () => assert.fail('next called'));
+
+  assert.equal(res.code, 400);
+  assert.equal(res.body.errors[0].message, 'must be valid JSON');
+
+  let passed = null;
+  handleInvalidJson(new Error('other'), {}, res, error => { passed = error; });
+  assert.equal(passed.message, 'other');
+});
@@ -0,0 +1,113 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('../helpers/catalog-server');
+
+const ADMIN_KEY = 'bootstrap-admin-key';
+const auth = { Authorization: `Bearer ${ADMIN_KEY}` };
+
+let catalog;
+
+// One API of each visibility, all tagged Payments
+before(async () => {
+  mock.method(console, 'log', () => {});
+  catalog = await startServer({ adminApiKey: ADMIN_KEY, shareLinkSecret: 'test-secret' });
+
+  const { db } = catalog.server;
+  const tag = db.getOrCreateTag('Payments');
+  for (const visibility of ['public', 'unlisted', 'private']) {
+    db.createApi({ id: `${visibility}-api`, name: `Payments ${visibility}`, visibility, docs_path: '/docs/x' });
+    db.addTagToApi(`${visibility}-api`, tag.id);
+  }
+});
+
+after(async () => {
+  await catalog.close();
+  mock.restoreAll();
+});
+
+const get = (url, headers = {}) => fetch(`${catalog.baseUrl}${url}`, { headers });
+const ids = async response => (await response.json()).apis.map(api => api.id).sort();
+
+test('lists only public APIs without a key', async () => {
+  assert.deepEqual(await ids(await get('/api/apis')), ['public-api']);
+  assert.deepEqual(await ids(await get('/api/apis?visibility=private')), []);
+  assert.deepEqual(await ids(await get('/api/apis', auth)), ['private-api', 'public-api', 'unlisted-api']);
+  assert.deepEqual(await ids(await get('/api/apis?visibility=unlisted,private', auth)), ['private-api', 'unlisted-api']);
+
+  const [payments] = await (await get('/api/tags')).json();
+  assert.equal(payments.count, 1);
+  assert.deepEqual(await ids(await get('/api/tags/Payments/apis')), ['public-api']);
+});
+
+test('rejects invalid keys instead of treating them as anonymous', async () => {
+  const response = await get('/api/apis', { Authorization: 'Bearer bac_wrong' });
+
+  assert.equal(response.status, 401);
+  assert.equal((await get('/api/apis?visibility=secret', auth)).status, 400);
+});
+
+test('hides private APIs from anyone without a key or share link', async () => {
+  assert.equal((await get('/api/apis/unlisted-api')).status, 200);
+  assert.equal((await get('/api/apis/private-api')).status, 404);
+  assert.equal((await get('/api/apis/private-api/versions')).status, 404);
+  assert.equal((await get('/api/apis/private-api', auth)).status, 200);
+
+  const otherApiToken = catalog.server.shareLinks.create('public-api', new Date(Date.now() + 60000));
+  assert.equal((await get(`/api/apis/private-api?share=${otherApiToken}`)).status, 404);
+});
+
+test('opens a private API, its sub-resources and docs through a share link', async () => {
+  const response = await fetch(`${catalog.baseUrl}/api/apis/private-api/share`, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ expiresInHours: 1 })
+  });
+  const share = await response.json();
+
+  assert.equal(response.status, 201);
+  assert.equal(share.docsUrl, `/docs/private-api/index.html?share=${encodeURIComponent(share.token)}`);
+  assert.equal(share.downloadUrl, null);
+  assert.equal((await (await get(share.url)).json()).id, 'private-api');
+  assert.equal((await get(`/api/apis/private-api/versions?share=${share.token}`)).status, 200);
+
+  // The docs page keeps the token in a cookie scoped to the API's docs
+  const docs = await get(share.docsUrl);
+  assert.match(docs.headers.get('set-cookie'), /^catalog_share=.+; Path=\/docs\/private-api\/; HttpOnly; SameSite=Lax$/);
+  assert.equal((await get('/docs/private-api/index.html')).status, 404);
+});
+
+test('gates private docs however the path is written', async () => {
+  for (const docsPath of ['/docs//private-api/index.html', '/docs/private-api%2Findex.html', '/docs/%70rivate-api/index.html']) {
+    const response = await get(docsPath);
+    assert.equal(response.status, 404, docsPath);
+    assert.equal(await response.text(), 'Not found', docsPath);
+  }
+  assert.equal((await get('/docs/%E0%A4%A/index.html')).status, 400);
+});
+
+test('counts only public APIs and their tags in stats without a key', async () => {
+  const { db } = catalog.server;
+  db.addTagToApi('private-api', db.getOrCreateTag('Internal').id);
+
+  const anonymous = await (await get('/api/stats')).json();
+  assert.equal(anonymous.totalApis, 1);
+  assert.equal(anonymous.totalTags, 1);
+
+  const withKey = await (await get('/api/stats', auth)).json();
+  assert.equal(withKey.totalApis, 3);
+  assert.equal(withKey.totalTags, 2);
+});
+
+test('changes visibility with an import key', async () => {
+  const response = await fetch(`${catalog.baseUrl}/api/apis/unlisted-api`, {
+    method: 'PATCH',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ visibility: 'public' })
+  });
+
+  assert.equal((await response.json()).visibility, 'public');
+  assert.deepEqual(await ids(await get('/api/apis')), ['public-api', 'unlisted-api']);
+
+  const { entries } = await (await get('/api/audit?action=api.update', auth)).json();
+  assert.deepEqual(entries[0].details, { visibility: { from: 'unlisted', to: 'public' } });
+});
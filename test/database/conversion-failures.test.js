@@ -0,0 +1,71 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogDatabase = require('../../src/database/schema');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2024-03-01T12:00:00Z');
+
+let db;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  db = new CatalogDatabase(':memory:');
+});
+
+afterEach(() => {
+  db.close();
+  mock.timers.reset();
+});
+
+const fail = (sourceUrl, fields = {}) => db.recordConversionFailure({
+  id: `failure-${sourceUrl}`,
+  source_url: sourceUrl,
+  stage: 'convert',
+  error: 'openapi-to-bruno exited with code 1',
+  ...fields
+});
+
+test('doubles the retry delay on each failure of the same URL', () => {
+  const first = fail('https://example.com/a.json', { source: 'apis-guru', name: 'A', api_info: { id: 'a', categories: ['x'] } });
+  assert.equal(first.attempts, 1);
+  assert.equal(first.next_retry_at, new Date(START + HOUR).toISOString());
+  assert.deepEqual(first.api_info, { id: 'a', categories: ['x'] });
+
+  mock.timers.tick(HOUR);
+  const second = fail('https://example.com/a.json', { id: 'ignored', stage: 'docs' });
+  assert.equal(second.id, first.id);
+  assert.equal(second.attempts, 2);
+  assert.equal(second.stage, 'docs');
+  assert.equal(second.next_retry_at, new Date(START + HOUR + 2 * HOUR).toISOString());
+});
+
+test('caps the retry delay at a week', () => {
+  let failure;
+  for (let i = 0; i < 12; i++) failure = fail('https://example.com/a.json');
+
+  assert.equal(failure.attempts, 12);
+  assert.equal(Date.parse(failure.next_retry_at) - START, 7 * 24 * HOUR);
+});
+
+test('lists failures by stage, source and whether a retry is due', () => {
+  fail('https://example.com/a.json', { source: 'apis-guru' });
+  mock.timers.tick(30 * 60 * 1000);
+  fail('https://example.com/b.json', { source: 'github-scrape', stage: 'download' });
+  mock.timers.tick(40 * 60 * 1000);
+
+  const urls = options => db.getConversionFailures(options).failures.map(failure => failure.source_url);
+  assert.deepEqual(urls({}), ['https://example.com/b.json', 'https://example.com/a.json']);
+  assert.deepEqual(urls({ stage: 'download' }), ['https://example.com/b.json']);
+  assert.deepEqual(urls({ source: 'apis-guru' }), ['https://example.com/a.json']);
+  assert.deepEqual(urls({ due: true }), ['https://example.com/a.json']);
+  assert.deepEqual(urls({ due: false }), ['https://example.com/b.json']);
+  assert.equal(db.getConversionFailures({ limit: 1 }).total, 2);
+});
+
+test('clears a failure once the URL converts', () => {
+  fail('https://example.com/a.json');
+  db.clearConversionFailure('https://example.com/a.json');
+
+  assert.equal(db.getConversionFailureByUrl('https://example.com/a.json'), undefined);
+  assert.equal(fail('https://example.com/a.json').attempts, 1);
+});
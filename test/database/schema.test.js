@@ -0,0 +1,62 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogDatabase = require('../../src/database/schema');
+
+let db;
+
+// Three APIs from two sources, tagged and with or without docs
+beforeEach(() => {
+  db = new CatalogDatabase(':memory:');
+  const apis = [
+    { id: 'stripe', name: 'Stripe', stars: 900, source: 'github-scrape', openapi_version: '3.0.3', docs_path: '/docs/stripe', tags: ['payments', 'cards'] },
+    { id: 'adyen', name: 'Adyen', stars: 50, source: 'apis-guru', openapi_version: '3.1.0', docs_path: null, tags: ['payments'] },
+    { id: 'petstore', name: 'Petstore', stars: 10, source: 'apis-guru', openapi_version: '2.0', docs_path: '/docs/petstore', tags: [] }
+  ];
+  for (const { tags, ...api } of apis) {
+    db.createApi(api);
+    for (const tag of tags) db.addTagToApi(api.id, db.getOrCreateTag(tag).id);
+  }
+});
+
+afterEach(() => {
+  db.close();
+});
+
+const ids = apis => apis.map(api => api.id).sort();
+
+test('filters APIs by tags, source, OpenAPI version, stars and docs', () => {
+  assert.deepEqual(ids(db.getAllApis({ tags: ['payments'] })), ['adyen', 'stripe']);
+  assert.deepEqual(ids(db.getAllApis({ tags: ['payments', 'cards'] })), ['stripe']);
+  assert.deepEqual(ids(db.getAllApis({ source: 'apis-guru' })), ['adyen', 'petstore']);
+  assert.deepEqual(ids(db.getAllApis({ openapiVersion: '3' })), ['adyen', 'stripe']);
+  assert.deepEqual(ids(db.getAllApis({ openapiVersion: '3.0' })), ['stripe']);
+  assert.deepEqual(ids(db.getAllApis({ minStars: 10, maxStars: 50 })), ['adyen', 'petstore']);
+  assert.deepEqual(ids(db.getAllApis({ hasDocs: false })), ['adyen']);
+  assert.equal(db.countApis({ source: 'apis-guru', hasDocs: true }), 1);
+});
+
+test('counts facets without applying their own filter', () => {
+  const facets = db.getApiFacets({ source: 'apis-guru' });
+
+  // Source counts ignore the source filter, so both sources stay selectable
+  assert.deepEqual(facets.sources, [{ value: 'apis-guru', count: 2 }, { value: 'github-scrape', count: 1 }]);
+  assert.deepEqual(facets.openapiVersions, [{ value: '2.0', count: 1 }, { value: '3.1', count: 1 }]);
+  assert.deepEqual(facets.tags, [{ value: 'payments', count: 1 }]);
+  assert.deepEqual(facets.hasDocs, { true: 1, false: 1 });
+});
+
+test('groups patch releases under their minor OpenAPI version', () => {
+  db.createApi({ id: 'github', name: 'GitHub', openapi_version: '3.0.0' });
+
+  assert.deepEqual(db.getApiFacets().openapiVersions[0], { value: '3.0', count: 2 });
+});
+
+test('filters and sorts by quality score', () => {
+  db.setApiQualityScore('stripe', 92);
+  db.setApiQualityScore('adyen', 40);
+
+  assert.deepEqual(ids(db.getAllApis({ minQuality: 50 })), ['stripe']);
+  assert.deepEqual(ids(db.getAllApis({ maxQuality: 50 })), ['adyen']);
+  assert.equal(db.getApi('petstore').quality_score, null);
+  assert.deepEqual(db.getAllApis({ orderBy: 'quality_score', direction: 'DESC', minQuality: 0 }).map(api => api.id), ['stripe', 'adyen']);
+});
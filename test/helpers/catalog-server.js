@@ -0,0 +1,23 @@
+const CatalogServer = require('../../src/api/server');
+
+/**
+ * Start a CatalogServer with an in-memory database on a free port. Jobs
+ * aren't polled for, as start() isn't called.
+ * @param {Object} options - CatalogServer options
+ * @returns {Promise<Object>} `server`, its `baseUrl` and `close()`
+ */
+async function startServer(options = {}) {
+  const server = new CatalogServer({ dbPath: ':memory:', ...options });
+  // Closed by server.close(), as if start() had opened it
+  server.httpServer = await new Promise(resolve => {
+    const httpServer = server.app.listen(0, '127.0.0.1', () => resolve(httpServer));
+  });
+
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.httpServer.address().port}`,
+    close: () => server.close()
+  };
+}
+
+module.exports = { startServer };
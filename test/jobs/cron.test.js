@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CronExpression = require('../../src/jobs/cron');
+
+const next = (expression, from) => new CronExpression(expression).next(new Date(from)).toISOString();
+
+test('finds the next minute strictly after the start time', () => {
+  assert.equal(next('* * * * *', '2024-01-01T10:00:00Z'), '2024-01-01T10:01:00.000Z');
+  assert.equal(next('* * * * *', '2024-01-01T10:00:30Z'), '2024-01-01T10:01:00.000Z');
+});
+
+test('evaluates in UTC and rolls over days, months and years', () => {
+  assert.equal(next('0 3 * * *', '2024-01-01T03:00:00Z'), '2024-01-02T03:00:00.000Z');
+  assert.equal(next('30 0 1 * *', '2024-01-31T12:00:00Z'), '2024-02-01T00:30:00.000Z');
+  assert.equal(next('0 0 1 1 *', '2024-06-15T00:00:00Z'), '2025-01-01T00:00:00.000Z');
+});
+
+test('supports lists, ranges and steps', () => {
+  assert.equal(next('15,45 * * * *', '2024-01-01T10:20:00Z'), '2024-01-01T10:45:00.000Z');
+  assert.equal(next('0 9-17 * * *', '2024-01-01T17:30:00Z'), '2024-01-02T09:00:00.000Z');
+  assert.equal(next('*/20 * * * *', '2024-01-01T10:41:00Z'), '2024-01-01T11:00:00.000Z');
+  assert.equal(next('5/15 * * * *', '2024-01-01T10:06:00Z'), '2024-01-01T10:20:00.000Z');
+});
+
+test('supports month and weekday names, and 7 for Sunday', () => {
+  // 2024-01-01 is a Monday
+  assert.equal(next('0 0 * * FRI', '2024-01-01T00:00:00Z'), '2024-01-05T00:00:00.000Z');
+  assert.equal(next('0 0 * * 7', '2024-01-01T00:00:00Z'), '2024-01-07T00:00:00.000Z');
+  assert.equal(next('0 0 1 MAR *', '2024-01-01T00:00:00Z'), '2024-03-01T00:00:00.000Z');
+});
+
+test('matches either day field when both are restricted', () => {
+  // The 15th, or any Monday
+  assert.equal(next('0 0 15 * MON', '2024-01-09T00:00:00Z'), '2024-01-15T00:00:00.000Z');
+  assert.equal(next('0 0 15 * MON', '2024-01-15T00:00:00Z'), '2024-01-22T00:00:00.000Z');
+});
+
+test('expands macros', () => {
+  assert.equal(next('@hourly', '2024-01-01T10:15:00Z'), '2024-01-01T11:00:00.000Z');
+  assert.equal(next('@weekly', '2024-01-01T00:00:00Z'), '2024-01-07T00:00:00.000Z');
+  assert.equal(next('@DAILY', '2024-01-01T00:00:00Z'), '2024-01-02T00:00:00.000Z');
+});
+
+test('returns null when no time matches', () => {
+  assert.equal(new CronExpression('0 0 31 2 *').next(new Date('2024-01-01T00:00:00Z')), null);
+});
+
+test('rejects invalid expressions', () => {
+  assert.throws(() => new CronExpression(''), /Cron expression is required/);
+  assert.throws(() => new CronExpression('* * * *'), /expected 5 fields, got 4/);
+  assert.throws(() => new CronExpression('60 * * * *'), /Invalid value "60" in minute field/);
+  assert.throws(() => new CronExpression('*/0 * * * *'), /Invalid step "0"/);
+  assert.throws(() => new CronExpression('0 10-2 * * *'), /Invalid range "10-2" in hour field/);
+  assert.throws(() => new CronExpression('0 0 * * FUNDAY'), /day of week field/);
+});
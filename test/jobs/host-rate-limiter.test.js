@@ -0,0 +1,86 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const HostRateLimiter = require('../../src/jobs/host-rate-limiter');
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 0 });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Start a wait() for each URL and record the (mocked) time each one returns
+function startWaits(limiter, urls) {
+  const released = [];
+  urls.forEach((url, index) => {
+    limiter.wait(url).then(() => released.push({ index, at: Date.now() }));
+  });
+  return released;
+}
+
+test('spaces out requests to the same host in call order', async () => {
+  const released = startWaits(new HostRateLimiter({ interval: 50 }), [
+    'https://a.example.com/1',
+    'https://a.example.com/2',
+    'https://a.example.com/3'
+  ]);
+
+  await flush();
+  assert.deepEqual(released, [{ index: 0, at: 0 }]);
+
+  mock.timers.tick(49);
+  await flush();
+  assert.equal(released.length, 1);
+
+  mock.timers.tick(1);
+  await flush();
+  mock.timers.tick(50);
+  await flush();
+  assert.deepEqual(released, [{ index: 0, at: 0 }, { index: 1, at: 50 }, { index: 2, at: 100 }]);
+});
+
+test('does not hold up other hosts', async () => {
+  const released = startWaits(new HostRateLimiter({ interval: 200 }), [
+    'https://a.example.com/1',
+    'https://b.example.com/1',
+    'https://a.example.com:8443/1',
+    'https://a.example.com/2'
+  ]);
+
+  await flush();
+  assert.deepEqual(released.map(wait => wait.index), [0, 1, 2]);
+
+  mock.timers.tick(200);
+  await flush();
+  assert.deepEqual(released[3], { index: 3, at: 200 });
+});
+
+test('lets requests through once the interval has passed', async () => {
+  const limiter = new HostRateLimiter({ interval: 30 });
+  await limiter.wait('https://a.example.com/1');
+  mock.timers.tick(40);
+
+  const released = startWaits(limiter, ['https://a.example.com/2']);
+  await flush();
+  assert.deepEqual(released, [{ index: 0, at: 40 }]);
+});
+
+test('never waits when disabled or for URLs without a host', async () => {
+  const disabled = new HostRateLimiter({ interval: 0 });
+  const released = startWaits(disabled, ['https://a.example.com/1', 'https://a.example.com/2']);
+  await flush();
+  assert.equal(released.length, 2);
+  assert.equal(disabled.nextSlot.size, 0);
+
+  const limiter = new HostRateLimiter({ interval: 1000 });
+  await limiter.wait('not a url');
+  await limiter.wait('not a url');
+  assert.equal(limiter.nextSlot.size, 0);
+});
+
+test('defaults to 250ms between requests', () => {
+  assert.equal(new HostRateLimiter().interval, 250);
+});
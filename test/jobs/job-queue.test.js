@@ -0,0 +1,150 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogDatabase = require('../../src/database/schema');
+const JobQueue = require('../../src/jobs/job-queue');
+
+let db;
+let queue;
+
+beforeEach(() => {
+  // Keep the queue's progress logs out of the test output
+  mock.method(console, 'log', () => {});
+  db = new CatalogDatabase(':memory:');
+  queue = new JobQueue(db, { retryDelay: 1000 });
+});
+
+afterEach(async () => {
+  // Pickups scheduled by enqueue() must not run against a closed database
+  await queue.stop();
+  db.close();
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('completes a job and stores its result', async () => {
+  queue.register('demo', async job => ({ echoed: job.payload.value }));
+  const job = queue.enqueue('demo', { value: 42 });
+
+  const events = [];
+  queue.on(`job:${job.id}`, event => events.push(event));
+  await queue.runJob(db.getJob(job.id));
+
+  const stored = db.getJob(job.id);
+  assert.equal(stored.status, 'completed');
+  assert.equal(stored.attempts, 1);
+  assert.deepEqual(stored.result, { echoed: 42 });
+  assert.deepEqual(events.map(event => event.data.status), ['running', 'completed']);
+});
+
+test('rejects unknown job types', () => {
+  assert.throws(() => queue.enqueue('nope'), /Unknown job type: nope/);
+});
+
+test('requeues a failed job with exponential backoff', async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T00:00:00Z') });
+  queue.register('flaky', async () => { throw new Error('boom'); });
+  const job = queue.enqueue('flaky', {}, { maxAttempts: 3 });
+  const statuses = [];
+  queue.on(`job:${job.id}`, event => statuses.push(event.data));
+
+  await queue.runJob(db.getJob(job.id));
+  let stored = db.getJob(job.id);
+  assert.equal(stored.status, 'queued');
+  assert.equal(stored.error, 'boom');
+  assert.equal(stored.run_after, '2024-01-01T00:00:01.000Z');
+
+  // Not due until the delay has passed
+  assert.equal(db.getNextQueuedJob(), undefined);
+  mock.timers.tick(1000);
+  assert.equal(db.getNextQueuedJob().id, job.id);
+
+  await queue.runJob(db.getJob(job.id));
+  stored = db.getJob(job.id);
+  assert.equal(stored.status, 'queued');
+  assert.equal(stored.attempts, 2);
+  assert.equal(stored.run_after, '2024-01-01T00:00:03.000Z');
+  assert.deepEqual(statuses.filter(data => data.status === 'queued').map(data => data.retryInMs), [1000, 2000]);
+});
+
+test('fails a job once its attempts are used up', async () => {
+  queue.register('flaky', async () => { throw new Error('boom'); });
+  const job = queue.enqueue('flaky', {}, { maxAttempts: 2 });
+
+  await queue.runJob(db.getJob(job.id));
+  await queue.runJob(db.getJob(job.id));
+
+  const stored = db.getJob(job.id);
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.attempts, 2);
+  assert.equal(stored.error, 'boom');
+  assert.ok(stored.completed_at);
+});
+
+test('resumes interrupted jobs that have attempts left', () => {
+  queue.register('demo', async () => {});
+  const resumable = queue.enqueue('demo', {}, { maxAttempts: 3 });
+  const exhausted = queue.enqueue('demo', {}, { maxAttempts: 1 });
+  db.updateJob(resumable.id, { status: 'running', attempts: 1 });
+  db.updateJob(exhausted.id, { status: 'running', attempts: 1 });
+
+  queue.resumeInterrupted();
+
+  assert.equal(db.getJob(resumable.id).status, 'queued');
+  assert.equal(db.getJob(exhausted.id).status, 'failed');
+  assert.equal(db.getJob(exhausted.id).error, 'Interrupted by server restart');
+});
+
+test('remembers finished items across attempts', async () => {
+  const processed = [];
+  queue.register('items', async job => {
+    for (const key of ['a', 'b', 'c']) {
+      if (job.isItemDone(key)) continue;
+      processed.push(key);
+      if (key === 'b' && job.attempt === 1) throw new Error('crashed on b');
+      job.recordItem(key, 'completed');
+    }
+  });
+  const job = queue.enqueue('items');
+
+  await queue.runJob(db.getJob(job.id));
+  await queue.runJob(db.getJob(job.id));
+
+  assert.deepEqual(processed, ['a', 'b', 'b', 'c']);
+  assert.equal(db.getJob(job.id).status, 'completed');
+  assert.equal(db.getJob(job.id).items_completed, 3);
+});
+
+test('logs errors from timer pickups instead of crashing', async () => {
+  const error = mock.method(console, 'error', () => {});
+  mock.method(db, 'getNextQueuedJob', () => { throw new Error('The database connection is not open'); });
+
+  queue.register('demo', async () => {});
+  queue.enqueue('demo');
+  await new Promise(resolve => setImmediate(resolve));
+
+  const logged = error.mock.calls.map(call => call.arguments).filter(([message]) => message === 'Job queue error:');
+  assert.deepEqual(logged, [['Job queue error:', 'The database connection is not open']]);
+});
+
+test('stop() waits for the running job to settle', async () => {
+  let finish;
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  queue.register('slow', () => {
+    started();
+    return new Promise(resolve => { finish = resolve; });
+  });
+  const job = queue.enqueue('slow');
+  queue.start();
+  await running;
+
+  let stopped = false;
+  const stopping = queue.stop().then(() => { stopped = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(stopped, false);
+
+  finish({ done: true });
+  await stopping;
+  assert.equal(db.getJob(job.id).status, 'completed');
+  assert.equal(queue.currentRun, null);
+});
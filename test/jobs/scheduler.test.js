@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogDatabase = require('../../src/database/schema');
+const Scheduler = require('../../src/jobs/scheduler');
+
+let db;
+let queued;
+let scheduler;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-01T10:00:00Z') });
+
+  db = new CatalogDatabase(':memory:');
+  queued = [];
+  // Stands in for the server's enqueueJob()
+  scheduler = new Scheduler(db, {
+    enqueue: (type, payload) => {
+      if (type === 'scrape') throw new Error('GitHub token not configured');
+      const id = `job-${queued.length + 1}`;
+      db.createJob({ id, type, payload });
+      queued.push({ id, type, payload });
+      return db.getJob(id);
+    }
+  });
+
+  db.createSchedule({
+    id: 'nightly',
+    name: 'Nightly re-sync',
+    job_type: 'resync',
+    cron: '0 3 * * *',
+    payload: { force: true },
+    next_run_at: '2024-01-01T03:00:00.000Z'
+  });
+});
+
+afterEach(() => {
+  db.close();
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+test('queues due schedules and moves them to their next run', () => {
+  scheduler.tick();
+
+  assert.deepEqual(queued, [{ id: 'job-1', type: 'resync', payload: { force: true, scheduleId: 'nightly' } }]);
+  const schedule = db.getSchedule('nightly');
+  assert.equal(schedule.last_job_id, 'job-1');
+  assert.equal(schedule.last_run_at, '2024-01-01T10:00:00.000Z');
+  assert.equal(schedule.next_run_at, '2024-01-02T03:00:00.000Z');
+
+  // Not due again until tomorrow
+  scheduler.tick();
+  assert.equal(queued.length, 1);
+});
+
+test('skips a run while the previous job is still active', () => {
+  scheduler.tick();
+  db.updateSchedule('nightly', { next_run_at: '2024-01-01T09:00:00.000Z' });
+
+  scheduler.tick();
+  assert.equal(queued.length, 1);
+  assert.equal(db.getSchedule('nightly').next_run_at, '2024-01-02T03:00:00.000Z');
+
+  db.updateJob('job-1', { status: 'completed' });
+  db.updateSchedule('nightly', { next_run_at: '2024-01-01T09:00:00.000Z' });
+  scheduler.tick();
+  assert.equal(queued.length, 2);
+});
+
+test('records why a job could not be queued', () => {
+  db.createSchedule({
+    id: 'scrape',
+    name: 'Hourly scrape',
+    job_type: 'scrape',
+    cron: '@hourly',
+    next_run_at: '2024-01-01T10:00:00.000Z'
+  });
+
+  scheduler.tick();
+
+  const schedule = db.getSchedule('scrape');
+  assert.equal(schedule.last_error, 'GitHub token not configured');
+  assert.equal(schedule.next_run_at, '2024-01-01T11:00:00.000Z');
+});
+
+test('ignores disabled schedules', () => {
+  db.updateSchedule('nightly', { enabled: 0 });
+
+  scheduler.tick();
+
+  assert.deepEqual(queued, []);
+});
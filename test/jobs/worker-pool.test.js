@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkerPool = require('../../src/jobs/worker-pool');
+
+// A task that runs until release() is called
+function deferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  const task = async () => {
+    log.push(`start ${name}`);
+    await done;
+    log.push(`end ${name}`);
+    return name;
+  };
+  return { task, release };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most `concurrency` tasks at once, in queue order', async () => {
+  const log = [];
+  const pool = new WorkerPool({ concurrency: 2 });
+  const [a, b, c] = ['a', 'b', 'c'].map(name => deferredTask(log, name));
+
+  const results = [a, b, c].map(({ task }) => pool.run(task));
+  await flush();
+  assert.deepEqual(log, ['start a', 'start b']);
+  assert.equal(pool.pending, 1);
+
+  b.release();
+  await flush();
+  assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c']);
+
+  a.release();
+  c.release();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
+
+test('rejects with the task error and keeps going', async () => {
+  const pool = new WorkerPool();
+
+  await assert.rejects(pool.run(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await pool.run(() => 'next'), 'next');
+  await flush();
+  assert.equal(pool.running, 0);
+});
+
+test('holds producers back while the queue is full', async () => {
+  const log = [];
+  const pool = new WorkerPool({ concurrency: 1, maxQueued: 1 });
+  const first = deferredTask(log, 'first');
+  pool.run(first.task);
+  pool.run(async () => {});
+
+  let room = false;
+  pool.waitForRoom().then(() => { room = true; });
+  await flush();
+  assert.equal(room, false);
+
+  first.release();
+  await flush();
+  assert.equal(room, true);
+});
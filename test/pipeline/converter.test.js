@@ -0,0 +1,267 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogDatabase = require('../../src/database/schema');
+const ConversionPipeline = require('../../src/pipeline/converter');
+
+let db;
+let dir;
+let pipeline;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  db = new CatalogDatabase(':memory:');
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-converter-'));
+  pipeline = new ConversionPipeline({ versionsDir: path.join(dir, 'versions'), openapiDir: path.join(dir, 'openapi') });
+  db.createApi({ id: 'petstore', name: 'Petstore', version: '1.0.0' });
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+// Write the current spec and collection of the API
+function writeFiles(spec) {
+  const openapiPath = path.join(dir, 'openapi.json');
+  const collectionPath = path.join(dir, 'collection');
+  fs.writeFileSync(openapiPath, JSON.stringify(spec));
+  fs.mkdirSync(collectionPath, { recursive: true });
+  fs.writeFileSync(path.join(collectionPath, 'bruno.json'), '{}');
+  return { openapi_path: openapiPath, collection_path: collectionPath, docs_path: path.join(dir, 'missing-docs') };
+}
+
+test('archives a revision with its spec and collection', async () => {
+  const api = db.getApi('petstore');
+  const version = await pipeline.createVersion(db, api, writeFiles({ openapi: '3.0.3', info: { version: '1.0.0' } }));
+
+  assert.equal(version.api_id, 'petstore');
+  assert.equal(version.version, '1.0.0');
+  assert.match(version.content_hash, /^[0-9a-f]{64}$/);
+  assert.equal(version.docs_path, null);
+  assert.equal(fs.readFileSync(version.spec_path, 'utf8'), '{"openapi":"3.0.3","info":{"version":"1.0.0"}}');
+  assert.ok(fs.existsSync(path.join(version.collection_path, 'bruno.json')));
+  assert.ok(version.spec_path.startsWith(path.join(dir, 'versions', 'petstore', version.id)));
+});
+
+test('stores a new revision only when the spec changed', async () => {
+  const api = db.getApi('petstore');
+  const first = await pipeline.createVersion(db, api, writeFiles({ openapi: '3.0.3', paths: {} }));
+  const unchanged = await pipeline.createVersion(db, api, writeFiles({ openapi: '3.0.3', paths: {} }));
+  const changed = await pipeline.createVersion(db, api, writeFiles({ openapi: '3.0.3', paths: { '/pets': {} } }));
+
+  assert.equal(unchanged.id, first.id);
+  assert.notEqual(changed.id, first.id);
+  assert.deepEqual(db.getApiVersions('petstore').map(version => version.id), [changed.id, first.id]);
+});
+
+// Re-sync against a fake upstream; conversion and docs are stubbed out
+function stubResync(response) {
+  const fetchSpec = mock.method(pipeline, 'fetchSpec', async () => ({ status: 200, headers: {}, ...response }));
+  const convertToBruno = mock.method(pipeline, 'convertToBruno', async id => path.join(dir, 'collections', id));
+  mock.method(pipeline, 'generateDocs', async id => path.join(dir, 'docs', id));
+  return { fetchSpec, convertToBruno };
+}
+
+const storedApi = {
+  id: 'petstore',
+  name: 'Petstore',
+  source_url: 'https://example.com/petstore.yaml',
+  openapi_url: 'https://example.com/openapi.json',
+  etag: '"v1"',
+  last_modified: 'Mon, 01 Jan 2024 00:00:00 GMT'
+};
+
+test('re-sync sends the stored validators and skips a 304', async () => {
+  const { fetchSpec, convertToBruno } = stubResync({ status: 304, headers: {} });
+
+  const result = await pipeline.resyncApi({ ...storedApi, content_hash: 'abc' });
+
+  // The spec that was imported, not the page it was found on
+  assert.deepEqual(fetchSpec.mock.calls[0].arguments, ['https://example.com/openapi.json', {
+    'If-None-Match': '"v1"',
+    'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+  }]);
+  assert.deepEqual(result, { changed: false, content_hash: 'abc', etag: '"v1"', last_modified: storedApi.last_modified });
+  assert.equal(convertToBruno.mock.callCount(), 0);
+});
+
+test('re-sync regenerates only when the content hash changed', async () => {
+  const { convertToBruno } = stubResync({ data: 'openapi: 3.0.3\npaths: {}\n', headers: { etag: '"v2"' } });
+
+  const changed = await pipeline.resyncApi(storedApi);
+  assert.equal(changed.changed, true);
+  assert.equal(changed.etag, '"v2"');
+  assert.deepEqual(JSON.parse(fs.readFileSync(changed.openapi_path, 'utf8')), { openapi: '3.0.3', paths: {} });
+  assert.equal(changed.collection_path, path.join(dir, 'collections', 'petstore'));
+
+  const unchanged = await pipeline.resyncApi({ ...storedApi, content_hash: changed.content_hash });
+  assert.equal(unchanged.changed, false);
+  assert.equal(convertToBruno.mock.callCount(), 1);
+});
+
+test('forced re-sync ignores validators and hashes', async () => {
+  const { fetchSpec, convertToBruno } = stubResync({ data: { openapi: '3.0.3', paths: {} } });
+  const first = await pipeline.resyncApi(storedApi);
+
+  const forced = await pipeline.resyncApi({ ...storedApi, content_hash: first.content_hash }, { force: true });
+
+  assert.equal(forced.changed, true);
+  assert.deepEqual(fetchSpec.mock.calls[1].arguments[1], {});
+  assert.equal(convertToBruno.mock.callCount(), 2);
+});
+
+test('re-sync rejects responses that are not specs', async () => {
+  stubResync({ data: '<html>Moved</html>' });
+
+  await assert.rejects(pipeline.resyncApi(storedApi), /Not a valid OpenAPI specification/);
+  await assert.rejects(pipeline.resyncApi({ id: 'x', name: 'X' }), /No source URL stored for this API/);
+});
+
+test('re-sync lints the spec and stops on unresolvable $refs', async () => {
+  stubResync({ data: { openapi: '3.0.3', paths: {} } });
+  const { lint } = await pipeline.resyncApi(storedApi);
+  assert.equal(lint.specVersion, '3.0.3');
+  assert.equal(lint.issues.find(issue => issue.rule === 'servers').severity, 'warning');
+
+  const broken = { openapi: '3.0.3', paths: {}, components: { schemas: { Pet: { $ref: '#/components/schemas/Gone' } } } };
+  const { convertToBruno } = stubResync({ data: broken });
+  await assert.rejects(pipeline.resyncApi({ ...storedApi, content_hash: null }, { force: true }),
+    /Spec has 1 unresolvable \$ref\(s\): components\.schemas\.Pet: \$ref "#\/components\/schemas\/Gone" does not resolve/);
+  assert.equal(convertToBruno.mock.callCount(), 0);
+});
+
+test('converts an upgraded copy of Swagger 2.0 specs', async () => {
+  const original = path.join(dir, 'petstore.json');
+  const apiInfo = { id: 'petstore', name: 'Petstore' };
+
+  const upgradedPath = await pipeline.normalizeSpec(apiInfo, { swagger: '2.0', info: { title: 'P', version: '1' }, paths: {} }, original);
+  assert.equal(upgradedPath, path.join(dir, 'openapi', 'petstore.openapi3.json'));
+  assert.equal(JSON.parse(fs.readFileSync(upgradedPath, 'utf8')).openapi, '3.0.3');
+
+  // A later 3.x revision is converted as it is
+  assert.equal(await pipeline.normalizeSpec(apiInfo, { openapi: '3.1.0', paths: {} }, original), original);
+  assert.equal(fs.existsSync(upgradedPath), false);
+});
+
+test('bundles external $refs relative to the spec URL before saving', async () => {
+  const fetched = [];
+  mock.method(pipeline, 'fetchSpec', async url => {
+    fetched.push(url);
+    const files = {
+      'https://example.com/api/openapi.yaml': 'openapi: 3.0.3\npaths:\n  /pets:\n    $ref: paths/pets.yaml\n',
+      'https://example.com/api/paths/pets.yaml': 'get:\n  responses:\n    "200":\n      description: OK\n'
+    };
+    return { status: 200, headers: {}, data: files[url] };
+  });
+
+  const openapiPath = await pipeline.downloadOpenAPISpec('petstore', 'https://example.com/api/openapi.yaml');
+
+  assert.deepEqual(fetched, ['https://example.com/api/openapi.yaml', 'https://example.com/api/paths/pets.yaml']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(openapiPath, 'utf8')).paths['/pets'], {
+    get: { responses: { 200: { description: 'OK' } } }
+  });
+});
+
+test('follows file: $refs only from specs that are local files', async () => {
+  const fetchSpec = mock.method(pipeline, 'fetchSpec', async () => ({ status: 200, headers: {}, data: { type: 'string' } }));
+  const parsed = spec => ({ content: '', spec });
+  const remote = { openapi: '3.0.3', paths: { '/a': { $ref: 'file:///etc/catalog/private.json' } } };
+
+  await assert.rejects(
+    pipeline.bundleSpec(parsed(remote), 'https://example.com/openapi.json'),
+    /file: references are only allowed in specs from the spec directory/
+  );
+  // Uploads have no location at all
+  await assert.rejects(pipeline.bundleSpec(parsed(remote), null), /file: references are only allowed/);
+  assert.equal(fetchSpec.mock.callCount(), 0);
+
+  await pipeline.bundleSpec(parsed({ openapi: '3.0.3', paths: { '/a': { $ref: 'paths/a.json' } } }), 'file:///specs/openapi.json');
+  assert.deepEqual(fetchSpec.mock.calls[0].arguments, ['file:///specs/paths/a.json']);
+});
+
+test('rejects $refs to private addresses without requesting them', async () => {
+  const fetchSpec = mock.method(pipeline, 'fetchSpec');
+  const spec = ref => ({ content: '', spec: { openapi: '3.0.3', paths: { '/a': { $ref: ref } } } });
+
+  await assert.rejects(
+    pipeline.bundleSpec(spec('http://169.254.169.254/latest/meta-data/iam'), 'https://example.com/openapi.json'),
+    /could not be read \(169\.254\.169\.254 is not a public address\)/
+  );
+  await assert.rejects(
+    pipeline.bundleSpec(spec('http://[::1]:3000/api/keys'), 'https://example.com/openapi.json'),
+    /could not be read \(::1 is not a public address\)/
+  );
+  assert.equal(fetchSpec.mock.callCount(), 0);
+});
+
+// Stand-ins for the bruno-doc-gen CLIs
+function fakeTools(scripts) {
+  const toolsDir = path.join(dir, 'bruno-doc-gen');
+  fs.mkdirSync(path.join(toolsDir, 'bin'), { recursive: true });
+  for (const [tool, source] of Object.entries(scripts)) {
+    fs.writeFileSync(path.join(toolsDir, 'bin', tool), source);
+  }
+  return toolsDir;
+}
+
+test('passes tool arguments through without a shell and collects warnings', async () => {
+  const brunoDocGenPath = fakeTools({
+    'bruno-docs': `
+      console.log(JSON.stringify(process.argv.slice(2)));
+      console.log('Warning: example is not valid HAR');
+      console.error('\\u001b[33mmissing description\\u001b[0m');
+    `
+  });
+  pipeline = new ConversionPipeline({ brunoDocGenPath, docsDir: path.join(dir, 'docs') });
+  mock.method(console, 'warn', () => {});
+  const warnings = [];
+  pipeline.on('progress', event => { if (event.stage === 'warnings') warnings.push(event); });
+
+  const name = 'Pets"; touch pwned; echo "';
+  await pipeline.generateDocs('petstore', name, '/collections/petstore $(id)');
+
+  const stdout = console.log.mock.calls.map(call => call.arguments[0]).find(line => String(line).startsWith('['));
+  const args = JSON.parse(stdout.split('\n')[0]);
+  assert.deepEqual(args.slice(0, 2), ['generate', '/collections/petstore $(id)']);
+  assert.equal(args[args.length - 1], `--title=${name}`);
+  assert.equal(fs.existsSync(path.join(brunoDocGenPath, 'pwned')), false);
+  assert.deepEqual(warnings[0].warnings, [
+    { step: 'docs', message: 'example is not valid HAR' },
+    { step: 'docs', message: 'missing description' }
+  ]);
+});
+
+test('keeps names that look like options in the title', async () => {
+  const brunoDocGenPath = fakeTools({ 'bruno-docs': 'console.log(JSON.stringify(process.argv.slice(2)));' });
+  pipeline = new ConversionPipeline({ brunoDocGenPath, docsDir: path.join(dir, 'docs') });
+
+  await pipeline.generateDocs('petstore', '--bruno-url=https://evil.example', '/collections/petstore');
+
+  const stdout = console.log.mock.calls.map(call => call.arguments[0]).find(line => String(line).startsWith('['));
+  assert.deepEqual(JSON.parse(stdout).slice(2), ['-o', path.join(dir, 'docs', 'petstore'), '--title=--bruno-url=https://evil.example']);
+});
+
+test('kills tools that run past the time limit', async () => {
+  const brunoDocGenPath = fakeTools({ 'openapi-to-bruno': 'setTimeout(() => {}, 60000);' });
+  pipeline = new ConversionPipeline({ brunoDocGenPath, timeoutMs: 200 });
+
+  await assert.rejects(pipeline.runTool('openapi-to-bruno', []), error => {
+    assert.match(error.message, /^openapi-to-bruno timed out after \d+s$/);
+    assert.equal(error.limitExceeded, true);
+    return true;
+  });
+});
+
+test('reports the last line a failing tool printed', async () => {
+  const brunoDocGenPath = fakeTools({
+    'openapi-to-bruno': "console.error('Reading spec'); console.error('Unsupported OpenAPI version'); process.exit(2);"
+  });
+  pipeline = new ConversionPipeline({ brunoDocGenPath, collectionsDir: path.join(dir, 'collections') });
+
+  await assert.rejects(pipeline.convertToBruno('petstore', 'Petstore', '/specs/petstore.json'),
+    { message: 'Failed to convert to Bruno: openapi-to-bruno exited with code 2: Unsupported OpenAPI version' });
+});
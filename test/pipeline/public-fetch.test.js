@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { isPrivateAddress, assertPublicUrl, publicLookup, publicRequestOptions } = require('../../src/pipeline/public-fetch');
+
+test('tells private addresses from public ones', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '140.82.112.3', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('rejects URLs naming private addresses, however they are written', () => {
+  for (const url of ['http://127.0.0.1/spec.json', 'http://0x7f.1/spec.json', 'http://2130706433/', 'http://[::1]:8080/',
+    'http://[::ffff:127.0.0.1]/', 'http://169.254.169.254/latest/meta-data/']) {
+    assert.throws(() => assertPublicUrl(url), /is not a public address/, url);
+  }
+  assert.throws(() => assertPublicUrl('ftp://example.com/spec.json'), /Only http and https URLs can be fetched, not ftp:/);
+  assert.doesNotThrow(() => assertPublicUrl('https://example.com/spec.json'));
+  assert.doesNotThrow(() => assertPublicUrl('http://8.8.8.8/spec.json'));
+});
+
+test('fails lookups of host names that resolve to private addresses', async () => {
+  const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+
+  assert.match(error.message, /^localhost resolves to (127\.0\.0\.1|::1), which is not a public address$/);
+});
+
+test('checks the host of every redirect', () => {
+  assert.throws(() => publicRequestOptions.beforeRedirect({ hostname: '169.254.169.254' }), /169\.254\.169\.254 is not a public address/);
+  assert.throws(() => publicRequestOptions.beforeRedirect({ hostname: '::1' }), /::1 is not a public address/);
+  assert.doesNotThrow(() => publicRequestOptions.beforeRedirect({ hostname: 'example.com' }));
+});
+
+test('never connects to a private host', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => { requests++; res.end('{}'); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { port } = server.address();
+
+    await assert.rejects(
+      axios.get(`http://localhost:${port}/spec.json`, { family: 4, ...publicRequestOptions }),
+      /localhost resolves to 127\.0\.0\.1, which is not a public address/
+    );
+    assert.equal(requests, 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,144 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpecBundler = require('../../src/pipeline/spec-bundler');
+
+const ROOT = 'https://example.com/specs/openapi.json';
+
+// Bundler that reads from an in-memory set of files
+function bundler(files) {
+  const reads = [];
+  const instance = new SpecBundler({
+    read: async location => {
+      reads.push(location);
+      if (!(location in files)) throw new Error('404 Not Found');
+      return files[location];
+    }
+  });
+  instance.reads = reads;
+  return instance;
+}
+
+const operation = schema => ({
+  get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema } } } } }
+});
+
+test('finds refs to other files', () => {
+  const instance = new SpecBundler();
+
+  assert.equal(instance.hasExternalRefs({ a: [{ $ref: 'pet.yaml' }] }), true);
+  assert.equal(instance.hasExternalRefs({ a: { $ref: '#/components/schemas/Pet' } }), false);
+});
+
+test('hoists schemas from other files into components and inlines the rest', async () => {
+  const instance = bundler({
+    'https://example.com/specs/paths/pets.yaml': operation({ $ref: '../schemas/pet.yaml' }),
+    'https://example.com/specs/schemas/pet.yaml': 'type: object\nproperties:\n  name:\n    type: string\n'
+  });
+  const spec = { openapi: '3.0.3', paths: { '/pets': { $ref: 'paths/pets.yaml' } } };
+
+  const bundled = await instance.bundle(spec, ROOT);
+
+  assert.deepEqual(bundled.paths['/pets'], operation({ $ref: '#/components/schemas/pet' }));
+  assert.deepEqual(bundled.components.schemas.pet, { type: 'object', properties: { name: { type: 'string' } } });
+  assert.equal(spec.components, undefined);
+});
+
+test('reads each file once and keeps schema names unique', async () => {
+  const instance = bundler({
+    'https://example.com/specs/a.json': { Pet: { type: 'string' } },
+    'https://example.com/specs/b.json': { Pet: { type: 'integer' } }
+  });
+  const spec = {
+    openapi: '3.0.3',
+    paths: {
+      '/a': operation({ $ref: 'a.json#/Pet' }),
+      '/a2': operation({ $ref: './a.json#/Pet' }),
+      '/b': operation({ $ref: 'b.json#/Pet' })
+    },
+    components: { schemas: { Pet: { type: 'boolean' } } }
+  };
+
+  const bundled = await instance.bundle(spec, ROOT);
+
+  assert.deepEqual(instance.reads, ['https://example.com/specs/a.json', 'https://example.com/specs/b.json']);
+  assert.deepEqual(bundled.components.schemas, { Pet: { type: 'boolean' }, Pet_2: { type: 'string' }, Pet_3: { type: 'integer' } });
+  assert.deepEqual(bundled.paths['/a2'], operation({ $ref: '#/components/schemas/Pet_2' }));
+});
+
+test('keeps recursive schemas working through components', async () => {
+  const instance = bundler({
+    'https://example.com/specs/node.json': {
+      type: 'object',
+      properties: { children: { type: 'array', items: { $ref: '#' } } }
+    }
+  });
+
+  const bundled = await instance.bundle({ openapi: '3.0.3', paths: { '/tree': operation({ $ref: 'node.json' }) } }, ROOT);
+
+  assert.deepEqual(bundled.components.schemas.node.properties.children.items, { $ref: '#/components/schemas/node' });
+});
+
+test('uses definitions for Swagger 2.0 and rewrites refs back into the root', async () => {
+  const instance = bundler({
+    'https://example.com/specs/pet.json': {
+      type: 'object',
+      properties: { owner: { $ref: 'openapi.json#/definitions/Owner' } }
+    }
+  });
+  const spec = {
+    swagger: '2.0',
+    paths: { '/pets': { get: { responses: { 200: { description: 'OK', schema: { $ref: 'pet.json' } } } } } },
+    definitions: { Owner: { type: 'object' } }
+  };
+
+  const bundled = await instance.bundle(spec, ROOT);
+
+  assert.deepEqual(bundled.definitions.pet.properties.owner, { $ref: '#/definitions/Owner' });
+  assert.deepEqual(bundled.paths['/pets'].get.responses[200].schema, { $ref: '#/definitions/pet' });
+});
+
+test('resolves relative refs against local paths', async () => {
+  const instance = bundler({ '/specs/schemas/pet.json': { type: 'string' } });
+
+  await instance.bundle({ openapi: '3.0.3', paths: { '/pets': operation({ $ref: 'schemas/pet.json' }) } }, '/specs/api.json');
+
+  assert.deepEqual(instance.reads, ['/specs/schemas/pet.json']);
+});
+
+test('reports missing files and pointers relative to the root', async () => {
+  const instance = bundler({ 'https://example.com/specs/pet.json': { Pet: {} } });
+
+  await assert.rejects(
+    instance.bundle({ openapi: '3.0.3', paths: { '/a': operation({ $ref: 'missing.json' }) } }, ROOT),
+    { message: 'Cannot resolve $ref "missing.json" in openapi.json: missing.json could not be read (404 Not Found)' }
+  );
+  await assert.rejects(
+    instance.bundle({ openapi: '3.0.3', paths: { '/a': operation({ $ref: 'pet.json#/Cat' }) } }, ROOT),
+    { message: '$ref "pet.json#/Cat" in openapi.json points to "#/Cat", which does not exist in pet.json' }
+  );
+});
+
+test('rejects relative refs when the spec has no location', async () => {
+  const instance = bundler({ 'https://example.com/specs/pet.json': { type: 'string' } });
+
+  await assert.rejects(
+    instance.bundle({ openapi: '3.0.3', paths: { '/a': { $ref: 'paths/a.yaml' } } }, null),
+    { message: 'Cannot resolve relative $ref "paths/a.yaml": the spec has no location to resolve it against (uploaded specs can only reference absolute URLs)' }
+  );
+  // Absolute refs still work
+  const bundled = await instance.bundle({ openapi: '3.0.3', paths: { '/a': operation({ $ref: 'https://example.com/specs/pet.json' }) } }, null);
+  assert.deepEqual(instance.reads, ['https://example.com/specs/pet.json']);
+  assert.deepEqual(bundled.components.schemas.pet, { type: 'string' });
+});
+
+test('rejects chains of refs that never end', async () => {
+  const instance = bundler({
+    'https://example.com/specs/a.json': { $ref: 'b.json' },
+    'https://example.com/specs/b.json': { $ref: 'a.json' }
+  });
+
+  await assert.rejects(
+    instance.bundle({ openapi: '3.0.3', paths: { '/a': { $ref: 'a.json' } } }, ROOT),
+    { message: 'Circular $ref: a.json# -> b.json# -> a.json#' }
+  );
+});
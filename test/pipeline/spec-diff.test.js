@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpecDiff = require('../../src/pipeline/spec-diff');
+
+const diff = (oldSpec, newSpec) => new SpecDiff().compare(oldSpec, newSpec);
+const types = report => report.changes.map(change => `${change.type}:${change.breaking}`);
+
+// OpenAPI 3 document with one operation
+function spec(operation, schemas = {}) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: { '/pets': { post: { responses: { 200: { description: 'OK' } }, ...operation } } },
+    components: { schemas }
+  };
+}
+
+const jsonBody = (schema, required = false) => ({ required, content: { 'application/json': { schema } } });
+const jsonResponse = schema => ({ 200: { description: 'OK', content: { 'application/json': { schema } } } });
+
+test('reports no changes for identical specs', () => {
+  const report = diff(spec({}), spec({}));
+
+  assert.equal(report.summary.totalChanges, 0);
+  assert.equal(report.hasBreakingChanges, false);
+});
+
+test('reports added and removed paths and operations', () => {
+  const before = { openapi: '3.0.3', paths: { '/a': { get: {} }, '/b': { get: {}, post: {} } } };
+  const after = { openapi: '3.0.3', paths: { '/b': { get: {} }, '/c': { get: {} } } };
+  const report = diff(before, after);
+
+  assert.deepEqual(report.paths, { added: ['/c'], removed: ['/a'] });
+  assert.deepEqual(report.operations.removed, ['GET /a', 'POST /b']);
+  assert.deepEqual(report.operations.added, ['GET /c']);
+  assert.equal(report.summary.breakingChanges, 3);
+});
+
+test('treats new required parameters and stricter parameters as breaking', () => {
+  const before = spec({ parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }] });
+  const after = spec({
+    parameters: [
+      { name: 'limit', in: 'query', required: true, schema: { type: 'string' } },
+      { name: 'owner', in: 'query', required: true, schema: { type: 'string' } },
+      { name: 'page', in: 'query', schema: { type: 'integer' } }
+    ]
+  });
+
+  assert.deepEqual(types(diff(before, after)), [
+    'parameter-required:true',
+    'parameter-type-changed:true',
+    'parameter-added:true',
+    'parameter-added:false'
+  ]);
+});
+
+test('follows $refs and allOf when comparing request and response schemas', () => {
+  const before = spec({
+    requestBody: jsonBody({ $ref: '#/components/schemas/NewPet' }),
+    responses: jsonResponse({ $ref: '#/components/schemas/Pet' })
+  }, {
+    NewPet: { type: 'object', properties: { name: { type: 'string' } } },
+    Pet: { allOf: [{ $ref: '#/components/schemas/NewPet' }, { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }] }
+  });
+  const after = spec({
+    requestBody: jsonBody({ $ref: '#/components/schemas/NewPet' }),
+    responses: jsonResponse({ $ref: '#/components/schemas/Pet' })
+  }, {
+    NewPet: { type: 'object', required: ['name', 'tag'], properties: { name: { type: 'string' }, tag: { type: 'string' } } },
+    Pet: { allOf: [{ $ref: '#/components/schemas/NewPet' }, { type: 'object', properties: { id: { type: 'string' } } }] }
+  });
+
+  const report = diff(before, after);
+  assert.deepEqual(types(report), [
+    'request-property-required:true',
+    'request-property-added:true',
+    'response-property-added:false',
+    'response-property-optional:true',
+    'response-type-changed:true'
+  ]);
+  assert.deepEqual(report.operations.changed, ['POST /pets']);
+});
+
+test('treats removed response properties as breaking but not removed request properties', () => {
+  const object = properties => ({ type: 'object', properties });
+  const before = spec({ requestBody: jsonBody(object({ a: { type: 'string' } })), responses: jsonResponse(object({ b: { type: 'string' } })) });
+  const after = spec({ requestBody: jsonBody(object({})), responses: jsonResponse(object({})) });
+
+  assert.deepEqual(types(diff(before, after)), ['request-property-removed:false', 'response-property-removed:true']);
+});
+
+test('treats narrower enums as breaking for what clients send', () => {
+  const status = values => ({ type: 'object', properties: { status: { type: 'string', ...(values && { enum: values }) } } });
+  const report = diff(
+    spec({ requestBody: jsonBody(status(['a', 'b'])), responses: jsonResponse(status(['a'])) }),
+    spec({ requestBody: jsonBody(status(['a', 'c'])), responses: jsonResponse(status(['b'])) })
+  );
+
+  assert.deepEqual(types(report), [
+    'request-enum-value-removed:true',
+    'request-enum-value-added:false',
+    'response-enum-value-removed:false',
+    'response-enum-value-added:false'
+  ]);
+});
+
+test('treats a newly added enum as breaking, like removed values', () => {
+  const before = spec({
+    parameters: [{ name: 'sort', in: 'query', schema: { type: 'string' } }],
+    requestBody: jsonBody({ type: 'object', properties: { kind: { type: 'string' } } }),
+    responses: jsonResponse({ type: 'object', properties: { kind: { type: 'string' } } })
+  });
+  const after = spec({
+    parameters: [{ name: 'sort', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } }],
+    requestBody: jsonBody({ type: 'object', properties: { kind: { type: 'string', enum: ['cat'] } } }),
+    responses: jsonResponse({ type: 'object', properties: { kind: { type: 'string', enum: ['cat'] } } })
+  });
+
+  assert.deepEqual(types(diff(before, after)), [
+    'parameter-enum-added:true',
+    'request-enum-added:true',
+    'response-enum-added:false'
+  ]);
+  assert.deepEqual(types(diff(after, before)), [
+    'parameter-enum-removed:false',
+    'request-enum-removed:false',
+    'response-enum-removed:false'
+  ]);
+});
+
+test('treats an enum added to a Swagger 2.0 parameter as breaking', () => {
+  const swagger = param => ({ swagger: '2.0', paths: { '/pets': { get: { parameters: [param], responses: {} } } } });
+
+  assert.deepEqual(types(diff(
+    swagger({ name: 'q', in: 'query', type: 'string' }),
+    swagger({ name: 'q', in: 'query', type: 'string', enum: ['x'] })
+  )), ['parameter-enum-added:true']);
+});
+
+test('compares Swagger 2.0 parameters, form data and response schemas', () => {
+  const swagger = (parameters, schema) => ({
+    swagger: '2.0',
+    paths: { '/pets': { post: { parameters, responses: { 200: { description: 'OK', schema } } } } }
+  });
+
+  const report = diff(
+    swagger([{ name: 'q', in: 'query', type: 'string' }, { name: 'name', in: 'formData', type: 'string' }], { type: 'object' }),
+    swagger([{ name: 'q', in: 'query', type: 'integer' }, { name: 'name', in: 'formData', type: 'string', required: true }], { type: 'array' })
+  );
+
+  assert.deepEqual(types(report), [
+    'parameter-type-changed:true',
+    'request-body-required:true',
+    'request-property-required:true',
+    'response-type-changed:true'
+  ]);
+});
+
+test('stops on recursive schemas', () => {
+  const node = { type: 'object', properties: { child: { $ref: '#/components/schemas/Node' } } };
+  const report = diff(
+    spec({ responses: jsonResponse({ $ref: '#/components/schemas/Node' }) }, { Node: node }),
+    spec({ responses: jsonResponse({ $ref: '#/components/schemas/Node' }) }, { Node: node })
+  );
+
+  assert.equal(report.summary.totalChanges, 0);
+});
+
+test('formats a changelog with breaking changes first', () => {
+  const differ = new SpecDiff();
+  const report = differ.compare(
+    { openapi: '3.0.3', paths: { '/a': { get: {} } } },
+    { openapi: '3.0.3', paths: { '/b': { get: {} } } }
+  );
+
+  assert.equal(differ.formatChangelog(report, { from: '1.0', to: '2.0' }), [
+    '# API changes (1.0 → 2.0)',
+    '',
+    '## ⚠️ Breaking changes',
+    '',
+    '- `/a`: Path removed',
+    '- `GET /a`: Operation removed',
+    '',
+    '## Other changes',
+    '',
+    '- `/b`: Path added',
+    '- `GET /b`: Operation added'
+  ].join('\n'));
+  assert.equal(differ.formatChangelog(differ.compare({ paths: {} }, { paths: {} })), '# API changes\n\nNo changes.');
+});
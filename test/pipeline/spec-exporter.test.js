@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpecExporter = require('../../src/pipeline/spec-exporter');
+
+const exporter = new SpecExporter();
+const api = { name: 'Notes', openapi_url: 'https://notes.example.com/spec/openapi.json' };
+
+// Two operations on one path: a bearer-authenticated GET and an API-key PUT with a JSON body
+const notesSpec = {
+  openapi: '3.0.3',
+  info: { title: 'Notes API', version: '2.1.0', description: 'Take notes' },
+  servers: [{ url: '/v2' }],
+  security: [{ bearer: [] }],
+  paths: {
+    '/notes/{noteId}': {
+      parameters: [{ name: 'noteId', in: 'path', required: true, schema: { type: 'integer', example: 42 } }],
+      get: {
+        summary: 'Get a note',
+        parameters: [{ name: 'X-Trace', in: 'header', schema: { type: 'string' } }]
+      },
+      put: {
+        summary: 'Update a note',
+        security: [{ key: [] }],
+        requestBody: {
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Note' }, example: { title: "Bob's list" } } }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearer: { type: 'http', scheme: 'bearer' },
+      key: { type: 'apiKey', in: 'query', name: 'api_key' }
+    },
+    schemas: {
+      Note: { type: 'object', properties: { title: { type: 'string' }, pinned: { type: 'boolean' }, due: { type: 'string', format: 'date' } } }
+    }
+  }
+};
+
+test('exports a Postman collection with path variables and credential variables', () => {
+  const collection = exporter.toPostman(notesSpec, api);
+
+  assert.equal(collection.info.name, 'Notes API');
+  assert.match(collection.info.schema, /v2\.1\.0/);
+  assert.deepEqual(collection.variable, [
+    { key: 'baseUrl', value: 'https://notes.example.com/v2' },
+    { key: 'bearer', value: '' },
+    { key: 'key', value: '' }
+  ]);
+
+  const [get, put] = collection.item;
+  assert.equal(get.request.url.raw, '{{baseUrl}}/notes/:noteId');
+  assert.deepEqual(get.request.url.variable, [{ key: 'noteId', value: '42', description: '' }]);
+  assert.deepEqual(get.request.header[1], { key: 'Authorization', value: 'Bearer {{bearer}}' });
+  assert.equal(put.request.url.raw, '{{baseUrl}}/notes/:noteId?api_key={{key}}');
+  assert.deepEqual(JSON.parse(put.request.body.raw), { title: "Bob's list" });
+});
+
+test('exports an Insomnia workspace with a base environment', () => {
+  const { resources } = exporter.toInsomnia(notesSpec, api);
+  const [workspace, environment, ...requests] = resources;
+
+  assert.equal(workspace._type, 'workspace');
+  assert.equal(environment.parentId, workspace._id);
+  assert.deepEqual(environment.data, { base_url: 'https://notes.example.com/v2', bearer: '', key: '' });
+  assert.deepEqual(requests.map(request => [request.method, request.url]), [
+    ['GET', '{{ _.base_url }}/notes/42'],
+    ['PUT', '{{ _.base_url }}/notes/42']
+  ]);
+  assert.deepEqual(requests[1].parameters, [{ name: 'api_key', value: '{{ _.key }}', disabled: false }]);
+  assert.equal(requests[1].body.mimeType, 'application/json');
+
+  // Ids are stable, so re-importing updates the same requests
+  const again = exporter.toInsomnia(notesSpec, api).resources;
+  assert.deepEqual(again.map(resource => resource._id), resources.map(resource => resource._id));
+});
+
+test('exports HAR entries with placeholder credentials', () => {
+  const { log } = exporter.toHar(notesSpec, api);
+
+  assert.equal(log.version, '1.2');
+  assert.deepEqual(log.entries.map(entry => entry.request.url), [
+    'https://notes.example.com/v2/notes/42',
+    'https://notes.example.com/v2/notes/42?api_key=<key>'
+  ]);
+  assert.deepEqual(log.entries[1].request.postData, {
+    mimeType: 'application/json',
+    text: JSON.stringify({ title: "Bob's list" }, null, 2)
+  });
+});
+
+test('quotes curl arguments for the shell', () => {
+  const [get, put] = exporter.toCurl(notesSpec, api);
+
+  assert.deepEqual([get.name, get.method, get.path], ['Get a note', 'GET', '/notes/{noteId}']);
+  assert.equal(get.command, [
+    "curl -X GET 'https://notes.example.com/v2/notes/42'",
+    "  -H 'X-Trace: string'",
+    "  -H 'Authorization: Bearer <bearer>'"
+  ].join(' \\\n'));
+  assert.match(put.command, /--data-raw '\{\n {2}"title": "Bob'\\''s list"\n\}'$/);
+});
+
+test('builds sample bodies from schemas and handles Swagger 2.0', () => {
+  const swagger = {
+    swagger: '2.0',
+    info: { title: 'Legacy', version: '1' },
+    host: 'legacy.example.com',
+    basePath: '/api',
+    schemes: ['http'],
+    paths: {
+      '/items': {
+        post: {
+          consumes: ['application/x-www-form-urlencoded'],
+          parameters: [
+            { name: 'name', in: 'formData', type: 'string' },
+            { name: 'count', in: 'formData', type: 'integer' }
+          ],
+          responses: { 201: { description: 'Created' } }
+        }
+      }
+    }
+  };
+
+  const [entry] = exporter.toHar(swagger, {}).log.entries;
+
+  assert.equal(entry.request.url, 'http://legacy.example.com/api/items');
+  assert.equal(entry.request.postData.mimeType, 'application/x-www-form-urlencoded');
+  assert.deepEqual(entry.request.postData.params.map(param => param.name), ['name', 'count']);
+});
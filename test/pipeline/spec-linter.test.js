@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpecLinter = require('../../src/pipeline/spec-linter');
+
+const linter = new SpecLinter();
+
+// A small, complete OpenAPI 3 spec; tests break one thing at a time
+function petstore() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Petstore', version: '1.0.0', description: 'Pets for sale' },
+    servers: [{ url: 'https://petstore.example.com/v1' }],
+    paths: {
+      '/pets': {
+        get: {
+          operationId: 'listPets',
+          summary: 'List pets',
+          responses: {
+            200: { description: 'Pets', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pets' } } } }
+          }
+        },
+        post: {
+          operationId: 'createPet',
+          summary: 'Create a pet',
+          responses: { 201: { description: 'Created' } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        Pets: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  };
+}
+
+const rules = report => report.issues.map(issue => issue.rule);
+
+test('gives a clean spec a full score', async () => {
+  const report = await linter.lint(petstore());
+
+  assert.equal(report.valid, true);
+  assert.equal(report.score, 100);
+  assert.equal(report.specVersion, '3.0.3');
+  assert.equal(report.operationCount, 2);
+  assert.deepEqual(report.counts, { error: 0, warning: 0, info: 0 });
+});
+
+test('reports schema errors with their location', async () => {
+  const spec = petstore();
+  spec.paths['/pets'].get.responses = 'none';
+
+  const report = await linter.lint(spec);
+
+  assert.equal(report.valid, false);
+  const schemaIssue = report.issues.find(issue => issue.rule === 'schema');
+  assert.equal(schemaIssue.severity, 'error');
+  assert.equal(schemaIssue.path, 'paths./pets.get.responses');
+  assert.ok(report.score <= 70);
+});
+
+test('lists unresolved and external $refs', async () => {
+  const spec = petstore();
+  spec.paths['/pets'].get.responses[200].content['application/json'].schema = { $ref: '#/components/schemas/Missing' };
+  spec.paths['/pets'].post.requestBody = { content: { 'application/json': { schema: { $ref: 'pet.yaml#/Pet' } } } };
+
+  const report = await linter.lint(spec);
+
+  assert.deepEqual(report.issues.slice(0, 2), [
+    {
+      severity: 'error',
+      rule: 'unresolved-ref',
+      path: 'paths./pets.get.responses.200.content.application/json.schema',
+      message: '$ref "#/components/schemas/Missing" does not resolve'
+    },
+    {
+      severity: 'warning',
+      rule: 'external-ref',
+      path: 'paths./pets.post.requestBody.content.application/json.schema',
+      message: 'External $ref "pet.yaml#/Pet" is not bundled into the spec'
+    }
+  ]);
+  // The parser would only repeat the unresolved $ref
+  assert.ok(!rules(report).includes('schema'));
+});
+
+test('flags operations without ids, success responses or descriptions', async () => {
+  const spec = petstore();
+  delete spec.paths['/pets'].get.operationId;
+  delete spec.paths['/pets'].get.summary;
+  spec.paths['/pets'].post.operationId = 'listPets';
+  spec.paths['/pets'].post.responses = { 400: { description: 'Bad request' } };
+
+  const report = await linter.lint(spec);
+
+  assert.deepEqual(rules(report).filter(rule => rule.startsWith('operation-')), [
+    'operation-operationId',
+    'operation-description',
+    'operation-success-response'
+  ]);
+  assert.equal(report.issues.find(issue => issue.rule === 'operation-success-response').message,
+    'POST /pets documents no success (2xx/3xx) response');
+});
+
+test('reports duplicate operationIds', async () => {
+  const spec = petstore();
+  spec.paths['/pets'].post.operationId = 'listPets';
+
+  const report = await linter.lint(spec);
+  const duplicate = report.issues.find(issue => issue.rule === 'operation-operationId-unique');
+
+  assert.equal(duplicate.message, 'operationId "listPets" is also used by GET /pets');
+  assert.equal(report.valid, false);
+});
+
+test('checks the base URL and description of Swagger 2.0 specs', async () => {
+  const report = await linter.lint({
+    swagger: '2.0',
+    info: { title: 'Legacy', version: '1' },
+    paths: { '/ping': { get: { operationId: 'ping', summary: 'Ping', responses: { 200: { description: 'OK' } } } } }
+  });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.specVersion, '2.0');
+  assert.deepEqual(rules(report), ['servers', 'info-description']);
+  assert.equal(report.score, 85);
+});
+
+test('weights operation penalties by the share of operations affected', async () => {
+  const spec = petstore();
+  delete spec.paths['/pets'].post.summary;
+
+  assert.equal((await linter.lint(spec)).score, 95);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpecQuality = require('../../src/pipeline/spec-quality');
+
+const quality = new SpecQuality();
+
+test('scores a fully documented spec 100', () => {
+  const result = quality.score({
+    openapi: '3.0.3',
+    info: { title: 'Weather', version: '1', description: 'Forecasts' },
+    servers: [{ url: 'https://api.weather.example' }],
+    security: [{ apiKey: [] }],
+    paths: {
+      '/forecast/{city}': {
+        parameters: [{ name: 'city', in: 'path', required: true, description: 'City name', schema: { type: 'string' } }],
+        get: {
+          summary: 'Forecast for a city',
+          responses: {
+            200: {
+              description: 'Forecast',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Forecast' }, example: { high: 21 } } }
+            }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: { Forecast: { type: 'object', properties: { high: { type: 'number' } } } },
+      securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-Key' } }
+    }
+  });
+
+  assert.deepEqual(result, {
+    score: 100,
+    breakdown: { descriptions: 1, examples: 1, typedSchemas: 1, auth: 1, servers: 1 }
+  });
+});
+
+test('gives partial credit for each criterion', () => {
+  const result = quality.score({
+    openapi: '3.1.0',
+    info: { title: 'Notes', version: '1' },
+    servers: [{ url: '/v1' }],
+    paths: {
+      '/notes': {
+        get: { summary: 'List notes', responses: { 200: { description: 'OK', content: { 'application/json': { example: [] } } } } },
+        post: {
+          parameters: [{ name: 'draft', in: 'query', schema: {} }],
+          responses: { 201: { description: 'Created' } }
+        }
+      }
+    },
+    components: { securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } } }
+  });
+
+  assert.deepEqual(result.breakdown, { descriptions: 0.25, examples: 0.5, typedSchemas: 0, auth: 0.5, servers: 0.5 });
+  // 30 * 0.25 + 20 * 0.5 + 0 + 15 * 0.5 + 15 * 0.5
+  assert.equal(result.score, 33);
+});
+
+test('understands Swagger 2.0 definitions, examples and hosts', () => {
+  const result = quality.score({
+    swagger: '2.0',
+    info: { title: 'Legacy', version: '1', description: 'Old API' },
+    basePath: '/api',
+    securityDefinitions: { basic: { type: 'basic' } },
+    paths: {
+      '/users': {
+        get: {
+          description: 'All users',
+          responses: { 200: { description: 'Users', schema: { type: 'array', items: { $ref: '#/definitions/User' } }, examples: { 'application/json': [] } } },
+          security: [{ basic: [] }]
+        }
+      }
+    },
+    definitions: { User: { properties: { name: { type: 'string' } } } }
+  });
+
+  assert.deepEqual(result.breakdown, { descriptions: 1, examples: 1, typedSchemas: 0.67, auth: 1, servers: 0.5 });
+  assert.equal(result.score, 86);
+});
+
+test('does not fail on empty specs', () => {
+  assert.deepEqual(quality.score({ openapi: '3.0.0', paths: {} }), {
+    score: 20,
+    breakdown: { descriptions: 0, examples: 0, typedSchemas: 1, auth: 0, servers: 0 }
+  });
+});
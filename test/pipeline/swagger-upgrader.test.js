@@ -0,0 +1,275 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SpecLinter = require('../../src/pipeline/spec-linter');
+const SwaggerUpgrader = require('../../src/pipeline/swagger-upgrader');
+
+const upgrade = spec => new SwaggerUpgrader().upgrade({ swagger: '2.0', info: { title: 'Pets', version: '1.0.0' }, paths: {}, ...spec });
+
+test('rejects documents that are not Swagger 2.0', () => {
+  const upgrader = new SwaggerUpgrader();
+
+  assert.equal(upgrader.isSwagger2({ swagger: '2.0' }), true);
+  assert.equal(upgrader.isSwagger2({ openapi: '3.0.0' }), false);
+  assert.throws(() => upgrader.upgrade({ openapi: '3.0.0' }), /Not a Swagger 2.0 document \(swagger: undefined\)/);
+  assert.throws(() => upgrader.upgrade(null), /Not a Swagger 2.0 document/);
+});
+
+test('turns host, basePath and schemes into servers', () => {
+  assert.deepEqual(upgrade({ host: 'api.example.com', basePath: '/v1/', schemes: ['http', 'https'] }).servers, [
+    { url: 'http://api.example.com/v1' },
+    { url: 'https://api.example.com/v1' }
+  ]);
+  assert.deepEqual(upgrade({ host: 'api.example.com' }).servers, [{ url: 'https://api.example.com' }]);
+  assert.deepEqual(upgrade({ basePath: '/v1' }).servers, [{ url: '/v1' }]);
+  assert.equal(upgrade({}).servers, undefined);
+});
+
+test('moves parameter types into schemas and maps collection formats', () => {
+  const spec = upgrade({
+    paths: {
+      '/pets/{id}': {
+        parameters: [{ name: 'id', in: 'path', type: 'integer', format: 'int64' }],
+        get: {
+          parameters: [
+            { name: 'tags', in: 'query', type: 'array', items: { type: 'string', collectionFormat: 'csv' }, collectionFormat: 'multi' },
+            { name: 'ids', in: 'header', type: 'array', items: { type: 'integer' } },
+            { name: 'limit', in: 'query', type: 'integer', maximum: 100, 'x-example': 10 }
+          ],
+          responses: { 200: { description: 'OK' } }
+        }
+      }
+    }
+  });
+  const path = spec.paths['/pets/{id}'];
+
+  assert.equal(spec.openapi, SwaggerUpgrader.TARGET_VERSION);
+  assert.deepEqual(path.parameters, [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', format: 'int64' } }]);
+  assert.deepEqual(path.get.parameters, [
+    { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } }, style: 'form', explode: true },
+    { name: 'ids', in: 'header', schema: { type: 'array', items: { type: 'integer' } }, style: 'simple', explode: false },
+    { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 100 }, example: 10 }
+  ]);
+});
+
+test('turns body parameters into request bodies for each consumed media type', () => {
+  const spec = upgrade({
+    consumes: ['application/json', 'application/xml'],
+    produces: ['application/json'],
+    paths: {
+      '/pets': {
+        post: {
+          parameters: [{ name: 'pet', in: 'body', required: true, description: 'New pet', schema: { $ref: '#/definitions/Pet' } }],
+          responses: { 201: { description: 'Created', schema: { $ref: '#/definitions/Pet' } } }
+        }
+      }
+    },
+    definitions: { Pet: { type: 'object', properties: { name: { type: 'string', 'x-nullable': true } } } }
+  });
+  const operation = spec.paths['/pets'].post;
+  const ref = { $ref: '#/components/schemas/Pet' };
+
+  assert.equal(operation.parameters, undefined);
+  assert.deepEqual(operation.requestBody, {
+    description: 'New pet',
+    required: true,
+    content: { 'application/json': { schema: ref }, 'application/xml': { schema: ref } }
+  });
+  assert.deepEqual(operation.responses[201], { description: 'Created', content: { 'application/json': { schema: ref } } });
+  assert.deepEqual(spec.components.schemas.Pet.properties.name, { type: 'string', nullable: true });
+});
+
+test('turns form parameters into a form request body', () => {
+  const spec = upgrade({
+    paths: {
+      '/upload': {
+        post: {
+          consumes: ['multipart/form-data'],
+          parameters: [
+            { name: 'file', in: 'formData', type: 'file', required: true },
+            { name: 'note', in: 'formData', type: 'string', description: 'Caption' }
+          ],
+          responses: { 204: { description: 'Uploaded' } }
+        }
+      }
+    }
+  });
+
+  assert.deepEqual(spec.paths['/upload'].post.requestBody, {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          properties: { file: { type: 'string', format: 'binary' }, note: { type: 'string', description: 'Caption' } },
+          required: ['file']
+        }
+      }
+    }
+  });
+});
+
+test('moves shared parameters and responses into components and rewrites their refs', () => {
+  const spec = upgrade({
+    parameters: {
+      limit: { name: 'limit', in: 'query', type: 'integer' },
+      petBody: { name: 'pet', in: 'body', schema: { type: 'object' } }
+    },
+    responses: { NotFound: { description: 'Not found' } },
+    paths: {
+      '/pets': {
+        put: {
+          parameters: [{ $ref: '#/parameters/limit' }, { $ref: '#/parameters/petBody' }],
+          responses: { 404: { $ref: '#/responses/NotFound' } }
+        }
+      }
+    }
+  });
+  const operation = spec.paths['/pets'].put;
+
+  assert.deepEqual(operation.parameters, [{ $ref: '#/components/parameters/limit' }]);
+  assert.deepEqual(operation.requestBody, { $ref: '#/components/requestBodies/petBody' });
+  assert.deepEqual(operation.responses[404], { $ref: '#/components/responses/NotFound' });
+  assert.deepEqual(spec.components.parameters.limit, { name: 'limit', in: 'query', schema: { type: 'integer' } });
+  assert.deepEqual(spec.components.requestBodies.petBody, { content: { 'application/json': { schema: { type: 'object' } } } });
+  assert.deepEqual(spec.components.responses.NotFound, { description: 'Not found' });
+});
+
+test('converts security definitions into security schemes', () => {
+  const spec = upgrade({
+    securityDefinitions: {
+      basic: { type: 'basic' },
+      key: { type: 'apiKey', name: 'X-Key', in: 'header' },
+      oauth: { type: 'oauth2', flow: 'accessCode', authorizationUrl: 'https://a', tokenUrl: 'https://t', scopes: { read: 'Read' } },
+      machine: { type: 'oauth2', flow: 'application', tokenUrl: 'https://t' }
+    }
+  });
+
+  assert.deepEqual(spec.components.securitySchemes, {
+    basic: { type: 'http', scheme: 'basic' },
+    key: { type: 'apiKey', name: 'X-Key', in: 'header' },
+    oauth: { type: 'oauth2', flows: { authorizationCode: { scopes: { read: 'Read' }, authorizationUrl: 'https://a', tokenUrl: 'https://t' } } },
+    machine: { type: 'oauth2', flows: { clientCredentials: { scopes: {}, tokenUrl: 'https://t' } } }
+  });
+});
+
+test('converts discriminators and keeps extensions', () => {
+  const spec = upgrade({
+    'x-logo': 'logo.png',
+    definitions: { Pet: { type: 'object', discriminator: 'kind', enum: [{ $ref: 'literal' }] } }
+  });
+
+  assert.equal(spec['x-logo'], 'logo.png');
+  assert.deepEqual(spec.components.schemas.Pet, { type: 'object', discriminator: { propertyName: 'kind' }, enum: [{ $ref: 'literal' }] });
+});
+
+test('does not modify its input', () => {
+  const input = { swagger: '2.0', info: { title: 'Pets', version: '1' }, definitions: { Pet: { $ref: '#/definitions/Other' } } };
+  const copy = JSON.parse(JSON.stringify(input));
+
+  new SwaggerUpgrader().upgrade(input);
+  assert.deepEqual(input, copy);
+});
+
+test('lets an operation body override a path-level one', () => {
+  const spec = upgrade({
+    paths: {
+      '/pets/{id}': {
+        parameters: [
+          { name: 'id', in: 'path', required: true, type: 'string' },
+          { name: 'pet', in: 'body', schema: { type: 'object' } }
+        ],
+        put: { responses: { 200: { description: 'OK' } } },
+        patch: {
+          parameters: [{ name: 'pet', in: 'body', schema: { type: 'array' } }],
+          responses: { 200: { description: 'OK' } }
+        }
+      }
+    }
+  });
+  const path = spec.paths['/pets/{id}'];
+
+  assert.deepEqual(path.parameters.map(parameter => parameter.name), ['id']);
+  assert.equal(path.put.requestBody.content['application/json'].schema.type, 'object');
+  assert.equal(path.patch.requestBody.content['application/json'].schema.type, 'array');
+});
+
+test('defaults form bodies to urlencoded unless they upload files', () => {
+  const spec = upgrade({
+    consumes: ['application/json'],
+    paths: {
+      '/login': { post: { parameters: [{ name: 'user', in: 'formData', type: 'string' }], responses: {} } },
+      '/avatar': { post: { parameters: [{ name: 'image', in: 'formData', type: 'file' }], responses: {} } }
+    }
+  });
+
+  assert.deepEqual(Object.keys(spec.paths['/login'].post.requestBody.content), ['application/x-www-form-urlencoded']);
+  assert.deepEqual(Object.keys(spec.paths['/avatar'].post.requestBody.content), ['multipart/form-data']);
+  assert.equal(spec.paths['/login'].post.requestBody.required, undefined);
+});
+
+test('converts response headers, examples and file downloads', () => {
+  const spec = upgrade({
+    paths: {
+      '/export': {
+        get: {
+          produces: ['text/csv'],
+          responses: {
+            200: {
+              description: 'Export',
+              schema: { type: 'file' },
+              headers: { 'X-Rows': { type: 'integer', description: 'Row count' } },
+              examples: { 'text/csv': 'id,name' }
+            },
+            default: null
+          }
+        }
+      }
+    }
+  });
+
+  assert.deepEqual(spec.paths['/export'].get.responses, {
+    200: {
+      description: 'Export',
+      content: { 'text/csv': { schema: { type: 'string', format: 'binary' }, example: 'id,name' } },
+      headers: { 'X-Rows': { description: 'Row count', schema: { type: 'integer' } } }
+    },
+    default: { description: '' }
+  });
+});
+
+test('keeps path item $refs and unknown refs as they are', () => {
+  const spec = upgrade({
+    paths: { '/shared': { $ref: 'shared.yaml#/paths/~1shared' } },
+    definitions: { Remote: { $ref: 'https://example.com/schemas.json#/Pet' } }
+  });
+
+  assert.deepEqual(spec.paths['/shared'], { $ref: 'shared.yaml#/paths/~1shared' });
+  assert.deepEqual(spec.components.schemas.Remote, { $ref: 'https://example.com/schemas.json#/Pet' });
+});
+
+test('produces a document that validates as OpenAPI 3.0', async () => {
+  const spec = upgrade({
+    host: 'pets.example.com',
+    parameters: { limit: { name: 'limit', in: 'query', type: 'integer' } },
+    paths: {
+      '/pets': {
+        get: {
+          operationId: 'listPets',
+          parameters: [{ $ref: '#/parameters/limit' }],
+          responses: { 200: { description: 'OK', schema: { type: 'array', items: { $ref: '#/definitions/Pet' } } } }
+        },
+        post: {
+          operationId: 'addPet',
+          parameters: [{ name: 'pet', in: 'body', schema: { $ref: '#/definitions/Pet' } }],
+          responses: { 201: { description: 'Created' } }
+        }
+      }
+    },
+    definitions: { Pet: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }
+  });
+
+  const report = await new SpecLinter().lint(spec);
+
+  assert.equal(report.specVersion, '3.0.3');
+  assert.deepEqual(report.issues.filter(issue => issue.severity === 'error'), []);
+});
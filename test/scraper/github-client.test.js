@@ -0,0 +1,133 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogDatabase = require('../../src/database/schema');
+const GitHubClient = require('../../src/scraper/github-client');
+
+const START = Date.parse('2024-03-01T12:00:00Z');
+
+let db;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: START });
+  mock.method(console, 'log', () => {});
+  db = new CatalogDatabase(':memory:');
+});
+
+afterEach(() => {
+  db.close();
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+// Error shaped like Octokit's RequestError
+function requestError(status, headers = {}, message = 'Request failed') {
+  return Object.assign(new Error(message), { status, response: { headers } });
+}
+
+// Client whose requests are answered in turn by `responses` (a response or an error)
+function clientWith(responses) {
+  const client = new GitHubClient(null, { database: db });
+  const calls = [];
+  const request = async (route, params) => {
+    calls.push({ route, params });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  request.endpoint = client.octokit.request.endpoint;
+  client.octokit.request = request;
+  mock.method(client, 'wait', async () => {});
+  return { client, calls };
+}
+
+test('answers unchanged cached requests from the cache', async () => {
+  const { client, calls } = clientWith([
+    { headers: { etag: '"v1"' }, data: { stargazers_count: 5 } },
+    requestError(304)
+  ]);
+  const params = { owner: 'acme', repo: 'pets' };
+
+  assert.deepEqual(await client.request('GET /repos/{owner}/{repo}', params, { cache: true }), { stargazers_count: 5 });
+  assert.deepEqual(await client.request('GET /repos/{owner}/{repo}', params, { cache: true }), { stargazers_count: 5 });
+
+  assert.deepEqual(calls.map(call => call.params.headers), [{}, { 'if-none-match': '"v1"' }]);
+  assert.deepEqual(db.getGitHubCacheEntry('GET https://api.github.com/repos/acme/pets'), { etag: '"v1"', data: { stargazers_count: 5 } });
+  assert.deepEqual(client.stats, { requests: 2, notModified: 1, rateLimited: 0 });
+});
+
+test('only caches requests that ask for it', async () => {
+  const { client, calls } = clientWith([
+    { headers: { etag: '"v1"' }, data: { total_count: 1 } },
+    { headers: { etag: '"v1"' }, data: { total_count: 2 } }
+  ]);
+
+  await client.request('GET /search/code', { q: 'openapi' });
+  assert.deepEqual(await client.request('GET /search/code', { q: 'openapi' }), { total_count: 2 });
+  assert.deepEqual(calls[1].params.headers, {});
+});
+
+test('works out how long to wait after a rate limit', () => {
+  const client = new GitHubClient(null);
+  const reset = String(START / 1000 + 30);
+
+  assert.equal(client.getRetryDelay(requestError(429, { 'retry-after': '7' })), 7000);
+  assert.equal(client.getRetryDelay(requestError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset })), 31000);
+  assert.equal(client.getRetryDelay(requestError(403, {}, 'You have exceeded a secondary rate limit')), 60000);
+  assert.equal(client.getRetryDelay(requestError(403, {}, 'Resource not accessible by integration')), null);
+  assert.equal(client.getRetryDelay(requestError(404)), null);
+});
+
+test('retries rate limited requests a few times', async () => {
+  const { client, calls } = clientWith([
+    requestError(429, { 'retry-after': '2' }),
+    { headers: {}, data: { ok: true } }
+  ]);
+
+  assert.deepEqual(await client.request('GET /rate_limit'), { ok: true });
+  assert.deepEqual(client.wait.mock.calls.map(call => call.arguments[0]), [2000]);
+  assert.equal(client.stats.rateLimited, 1);
+
+  const limited = requestError(429, { 'retry-after': '1' });
+  const { client: exhausted } = clientWith([limited, limited, limited, { headers: {}, data: {} }]);
+  await assert.rejects(exhausted.request('GET /rate_limit'), limited);
+  assert.equal(exhausted.wait.mock.callCount(), 2);
+
+  const missing = requestError(404);
+  const { client: notFound } = clientWith([missing]);
+  await assert.rejects(notFound.request('GET /rate_limit'), missing);
+  assert.equal(notFound.wait.mock.callCount(), 0);
+  assert.equal(calls.length, 2);
+});
+
+test('waits for the reset once a resource is used up', async () => {
+  const { client } = clientWith([{
+    headers: {
+      'x-ratelimit-resource': 'code_search',
+      'x-ratelimit-limit': '10',
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-used': '10',
+      'x-ratelimit-reset': String(START / 1000 + 20)
+    },
+    data: {}
+  }]);
+
+  await client.request('GET /search/code', { q: 'openapi' });
+  assert.deepEqual(client.rateLimits.code_search, { limit: 10, remaining: 0, used: 10, reset: new Date(START + 20000) });
+
+  await client.waitForRateLimit('core');
+  await client.waitForRateLimit('code_search');
+  assert.deepEqual(client.wait.mock.calls.map(call => call.arguments[0]), [21000]);
+});
+
+test('prunes cache entries that have not been used for a month', () => {
+  const client = new GitHubClient(null, { database: db });
+  db.setGitHubCacheEntry('old', '"a"', {});
+  mock.timers.setTime(START + 20 * 24 * 60 * 60 * 1000);
+  db.setGitHubCacheEntry('recent', '"b"', {});
+  mock.timers.setTime(START + 40 * 24 * 60 * 60 * 1000);
+
+  client.pruneCache();
+
+  assert.equal(db.getGitHubCacheEntry('old'), null);
+  assert.deepEqual(db.getGitHubCacheEntry('recent'), { etag: '"b"', data: {} });
+});
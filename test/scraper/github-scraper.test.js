@@ -0,0 +1,144 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const GitHubScraper = require('../../src/scraper/github-scraper');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Scraper whose repo contents come from a map of paths to file contents
+function scraperWithRepo(files) {
+  const scraper = new GitHubScraper();
+  const requested = [];
+  scraper.client.octokit.request = async (route, { owner, repo, path }) => {
+    requested.push(`${owner}/${repo}/${path}`);
+    if (!(path in files)) throw new Error('Not Found');
+    return { headers: {}, data: { type: 'file', content: Buffer.from(files[path]).toString('base64') } };
+  };
+  return { scraper, requested };
+}
+
+test('bundles multi-file specs from the same repository', async () => {
+  const { scraper, requested } = scraperWithRepo({
+    'specs/schemas/pet.yaml': 'type: object\nproperties:\n  id:\n    type: integer\n'
+  });
+  const spec = {
+    openapi: '3.0.3',
+    paths: {
+      '/pets': {
+        get: {
+          responses: {
+            200: { description: 'OK', content: { 'application/json': { schema: { $ref: 'schemas/pet.yaml' } } } }
+          }
+        }
+      }
+    }
+  };
+
+  const bundled = await scraper.bundleRepoSpec(spec, 'acme', 'pets', 'specs/openapi.json');
+
+  assert.deepEqual(requested, ['acme/pets/specs/schemas/pet.yaml']);
+  assert.deepEqual(bundled.paths['/pets'].get.responses[200].content['application/json'].schema, {
+    $ref: '#/components/schemas/pet'
+  });
+  assert.deepEqual(bundled.components.schemas.pet, { type: 'object', properties: { id: { type: 'integer' } } });
+});
+
+test('reports files missing from the repository', async () => {
+  const { scraper } = scraperWithRepo({});
+
+  await assert.rejects(
+    scraper.bundleRepoSpec({ swagger: '2.0', paths: { '/a': { $ref: '../paths/a.json' } } }, 'acme', 'pets', 'specs/swagger.json'),
+    /Cannot resolve \$ref "\.\.\/paths\/a\.json" in swagger\.json: .*could not be read \(Not Found\)/
+  );
+});
+
+test('rejects $refs to private addresses', async () => {
+  const { scraper } = scraperWithRepo({});
+  const get = mock.method(axios, 'get');
+
+  await assert.rejects(
+    scraper.bundleRepoSpec({ openapi: '3.0.3', paths: { '/a': { $ref: 'http://10.0.0.5/internal.yaml' } } }, 'acme', 'pets', 'openapi.json'),
+    /http:\/\/10\.0\.0\.5\/internal\.yaml could not be read \(10\.0\.0\.5 is not a public address\)/
+  );
+  assert.equal(get.mock.callCount(), 0);
+});
+
+test('sniffs spec markers at the top of JSON and YAML', () => {
+  const scraper = new GitHubScraper();
+
+  assert.equal(scraper.sniffSpec('{\n  "info": {},\n  "openapi": "3.0.1"', false), true);
+  assert.equal(scraper.sniffSpec('# Pets\nswagger: "2.0"\n', true), true);
+  assert.equal(scraper.sniffSpec('components:\n  openapi: 3.0.0\n', true), false);
+  assert.equal(scraper.sniffSpec('<!DOCTYPE html>', false), false);
+  assert.equal(scraper.sniffSpec('[{"openapi": "3.0.0"}]', false), false);
+  // The version may come after the part that was read
+  assert.equal(scraper.sniffSpec('{ "info": { "title": "Big" }', false), null);
+});
+
+test('sniffs the start of a match from its raw URL', async () => {
+  const get = mock.method(axios, 'get', async () => ({
+    status: 206,
+    headers: { 'content-range': 'bytes 0-8191/4000' },
+    data: '{ "paths": {} }'
+  }));
+
+  const result = await new GitHubScraper().sniffFile({ html_url: 'https://github.com/acme/pets/blob/0a1b2c/specs/api.json' });
+
+  assert.equal(get.mock.calls[0].arguments[0], 'https://raw.githubusercontent.com/acme/pets/0a1b2c/specs/api.json');
+  assert.equal(get.mock.calls[0].arguments[1].headers.Range, 'bytes=0-8191');
+  // The whole (short) file was read and has no marker
+  assert.equal(result, false);
+
+  get.mock.mockImplementation(async () => { throw new Error('timeout'); });
+  assert.equal(await new GitHubScraper().sniffFile({ html_url: 'https://github.com/acme/pets/blob/main/x.json' }), null);
+});
+
+test('counts what happened to the matches of each query', async () => {
+  mock.method(console, 'log', () => {});
+  const scraper = new GitHubScraper();
+  mock.method(scraper, 'sleep', async () => {});
+  mock.method(scraper, 'sniffFile', async item => !item.path.includes('config'));
+
+  const match = (fullName, path) => {
+    const [owner, name] = fullName.split('/');
+    return { path, html_url: `https://github.com/${fullName}/blob/main/${path}`, repository: { full_name: fullName, name, owner: { login: owner } } };
+  };
+  const pages = {
+    'filename:openapi.json': [match('acme/pets', 'openapi.json'), match('acme/pets', 'config.json'), match('tiny/app', 'openapi.json')],
+    'path:openapi extension:json': [match('acme/pets', 'openapi.json'), match('tiny/app', 'openapi/v2.json')]
+  };
+  const repoLookups = [];
+  const routes = {
+    'GET /search/code': ({ q, page }) => ({ total_count: pages[q].length, items: page === 1 ? pages[q] : [] }),
+    'GET /repos/{owner}/{repo}': ({ owner, repo }) => {
+      repoLookups.push(`${owner}/${repo}`);
+      const stars = owner === 'acme' ? 500 : 1;
+      return { name: repo, full_name: `${owner}/${repo}`, stargazers_count: stars, html_url: `https://github.com/${owner}/${repo}` };
+    },
+    'GET /repos/{owner}/{repo}/contents/{path}': () => ({
+      content: Buffer.from(JSON.stringify({ openapi: '3.0.0', info: { title: 'Pets' }, paths: {} })).toString('base64'),
+      download_url: 'https://raw.example/openapi.json'
+    })
+  };
+  scraper.client.octokit.request = async (route, params) => ({ headers: {}, data: routes[route](params) });
+  const reported = [];
+
+  const { results, queryStats } = await scraper.searchOpenAPIFiles({
+    minStars: 100,
+    maxResults: 50,
+    queries: Object.keys(pages),
+    onQueryStats: stats => reported.push(stats.length)
+  });
+
+  assert.deepEqual(results.map(result => result.name), ['Pets']);
+  assert.deepEqual(repoLookups, ['acme/pets', 'tiny/app']);
+  assert.deepEqual(reported, [1, 2]);
+  assert.deepEqual(queryStats.map(({ query, total_count, matches, duplicates, below_min_stars, not_specs, added }) =>
+    ({ query, total_count, matches, duplicates, below_min_stars, not_specs, added })), [
+    { query: 'filename:openapi.json', total_count: 3, matches: 3, duplicates: 0, below_min_stars: 1, not_specs: 1, added: 1 },
+    // tiny/app was looked up by the first query, so its stars are already known
+    { query: 'path:openapi extension:json', total_count: 2, matches: 2, duplicates: 1, below_min_stars: 1, not_specs: 0, added: 0 }
+  ]);
+});
@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogDatabase = require('../../src/database/schema');
+const SpecIndexer = require('../../src/search/spec-indexer');
+
+let db;
+let indexer;
+
+const messaging = {
+  openapi: '3.0.3',
+  info: { title: 'Messaging', description: 'Send texts worldwide' },
+  paths: {
+    '/messages': {
+      post: { operationId: 'sendSms', summary: 'Send an SMS', tags: ['sms'] },
+      get: { operationId: 'listMessages', summary: 'List sent messages', tags: ['sms'] }
+    },
+    '/messages/{messageId}': {
+      delete: { operationId: 'cancelMessage', summary: 'Cancel a scheduled message' }
+    }
+  },
+  components: { schemas: { DeliveryReceipt: { description: 'Carrier delivery report' } } }
+};
+
+const payments = {
+  swagger: '2.0',
+  info: { title: 'Payments' },
+  paths: { '/charges': { get: { summary: 'List charges' } } },
+  definitions: { Charge: { title: 'Card charge' } }
+};
+
+beforeEach(async () => {
+  db = new CatalogDatabase(':memory:');
+  indexer = new SpecIndexer(db);
+  db.createApi({ id: 'messaging', name: 'Messaging API', description: 'Texts & <b>calls</b>' });
+  db.createApi({ id: 'payments', name: 'Payments API', description: 'Charge cards' });
+  await indexer.indexApi(db.getApi('messaging'), messaging);
+  await indexer.indexApi(db.getApi('payments'), payments);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+const ids = search => search.results.map(result => result.id);
+
+test('finds APIs by operation, path, schema and split identifiers', () => {
+  assert.deepEqual(ids(db.searchApis('sms')), ['messaging']);
+  assert.deepEqual(ids(db.searchApis('charges')), ['payments']);
+  assert.deepEqual(ids(db.searchApis('delivery receipt')), ['messaging']);
+  assert.deepEqual(ids(db.searchApis('card')), ['payments']);
+});
+
+test('matches word prefixes and requires every word', () => {
+  assert.deepEqual(ids(db.searchApis('mess')), ['messaging']);
+  assert.deepEqual(ids(db.searchApis('payments sms')), []);
+  assert.deepEqual(db.searchApis('  ?! '), { results: [], total: 0 });
+});
+
+test('ranks name matches above matches elsewhere', () => {
+  db.createApi({ id: 'billing', name: 'Billing API', description: 'Invoices' });
+  db.indexApiSearch('billing', { ...indexer.extractDocument(db.getApi('billing'), {}), schemas: 'Messaging preferences' });
+
+  const search = db.searchApis('messaging');
+  assert.deepEqual(ids(search), ['messaging', 'billing']);
+  assert.equal(search.total, 2);
+  assert.equal(search.results[0].name_highlight, '<mark>Messaging</mark> API <mark>Messaging</mark>');
+});
+
+test('pages through results', () => {
+  assert.equal(db.searchApis('api', { limit: 1 }).results.length, 1);
+  assert.equal(db.searchApis('api', { limit: 1 }).total, 2);
+  assert.equal(db.searchApis('api', { limit: 1, offset: 2 }).results.length, 0);
+});
+
+test('drops deleted APIs from the index', () => {
+  db.deleteApi('payments');
+
+  assert.deepEqual(ids(db.searchApis('charges')), []);
+});
+
+test('lists APIs that still need indexing', () => {
+  db.createApi({ id: 'weather', name: 'Weather API' });
+
+  assert.deepEqual(db.getUnindexedApis().map(api => api.id), ['weather']);
+});
+
+test('searches operations with filters', () => {
+  const paths = search => search.results.map(result => `${result.method} ${result.path}`);
+
+  assert.deepEqual(paths(db.searchOperations({ q: 'send sms' })), ['POST /messages']);
+  assert.deepEqual(paths(db.searchOperations({ q: 'message' })).sort(), ['DELETE /messages/{messageId}', 'GET /messages', 'POST /messages']);
+  assert.deepEqual(paths(db.searchOperations({ q: 'message', method: 'get' })), ['GET /messages']);
+  assert.deepEqual(paths(db.searchOperations({ tag: 'sms' })), ['GET /messages', 'POST /messages']);
+  assert.deepEqual(paths(db.searchOperations({ apiId: 'payments' })), ['GET /charges']);
+
+  const [sendSms] = db.searchOperations({ q: 'send' }).results;
+  assert.equal(sendSms.api_name, 'Messaging API');
+  assert.deepEqual(sendSms.tags, ['sms']);
+  assert.equal(sendSms.summary_snippet, '<mark>Send</mark> an SMS');
+});
+
+test('escapes spec text around the highlighted matches', () => {
+  const [messagingApi] = db.searchApis('calls').results;
+
+  assert.equal(messagingApi.description_snippet, 'Texts &amp; &lt;b&gt;<mark>calls</mark>&lt;/b&gt;\nSend texts worldwide');
+  assert.equal(messagingApi.name_highlight, 'Messaging API Messaging');
+});
+
+test('only links the root path to a request for the root path', () => {
+  const requests = [
+    { method: 'GET', path: '/v1/messages' },
+    { method: 'GET', path: '/' }
+  ];
+
+  assert.equal(indexer.matchRequestFile(requests.slice(0, 1), 'GET', '/'), undefined);
+  assert.equal(indexer.matchRequestFile(requests, 'GET', '/'), requests[1]);
+  assert.equal(indexer.matchRequestFile(requests, 'GET', '/messages'), requests[0]);
+});
+
+test('links operations to their Bruno requests and docs anchors', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-indexer-'));
+  try {
+    const collection = path.join(dir, 'collection');
+    fs.mkdirSync(path.join(collection, 'messages'), { recursive: true });
+    fs.writeFileSync(path.join(collection, 'messages', 'Send an SMS.bru'),
+      'meta {\n  name: Send an SMS\n}\n\npost {\n  url: {{baseUrl}}/v1/messages\n}\n');
+    fs.writeFileSync(path.join(collection, 'messages', 'Cancel.bru'),
+      'meta {\n  name: Cancel\n}\n\ndelete {\n  url: {{baseUrl}}/messages/:messageId?notify=true\n}\n');
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.writeFileSync(path.join(dir, 'docs', 'index.html'), '<h2 id="send-an-sms">Send an SMS</h2><h2 id="cancelmessage">x</h2>');
+
+    const api = { ...db.getApi('messaging'), collection_path: collection, docs_path: path.join(dir, 'docs') };
+    const operations = await indexer.extractOperations(api, messaging);
+    const link = method => operations.find(operation => operation.method === method);
+
+    assert.equal(link('POST').request_file, path.join('messages', 'Send an SMS.bru'));
+    assert.equal(link('POST').docs_anchor, 'send-an-sms');
+    assert.equal(link('DELETE').request_file, path.join('messages', 'Cancel.bru'));
+    assert.equal(link('DELETE').docs_anchor, 'cancelmessage');
+    assert.equal(link('GET').request_file, null);
+    assert.equal(link('GET').docs_anchor, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
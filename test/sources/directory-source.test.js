@@ -0,0 +1,59 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const DirectorySource = require('../../src/sources/directory-source');
+
+let root;
+
+// A spec directory with nested specs, shared schema files and things to skip
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-directory-'));
+  const files = {
+    'billing/openapi.yaml': 'openapi: 3.0.3\ninfo:\n  title: Billing\n  version: 1.0.0\npaths: {}\n',
+    'billing/schemas/invoice.yaml': 'type: object\n',
+    'legacy.json': JSON.stringify({ swagger: '2.0', info: { version: '1' }, paths: {} }),
+    'broken.yml': 'openapi: [',
+    'notes.txt': 'openapi: 3.0.0',
+    '.git/config.json': JSON.stringify({ openapi: '3.0.0' })
+  };
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+test('discovers root spec documents only', async () => {
+  const entries = await new DirectorySource({ root }).discover({});
+
+  assert.deepEqual(entries.map(entry => path.relative(root, entry.file)), [path.join('billing', 'openapi.yaml'), 'legacy.json']);
+  assert.equal(entries[1].url, pathToFileURL(path.join(root, 'legacy.json')).href);
+  assert.match(console.warn.mock.calls[0].arguments[0], /^Skipping .*broken\.yml/);
+});
+
+test('imports a subdirectory and names specs without a title after the file', async () => {
+  const source = new DirectorySource({ root });
+  const [billing] = await source.discover({ path: 'billing' });
+
+  assert.equal(source.toApi(billing, { info: { title: 'Billing' } }).name, 'Billing');
+  assert.match(await source.fetch(billing), /^openapi: 3\.0\.3/);
+
+  const [, legacy] = await source.discover({});
+  assert.equal(source.toApi(legacy, { swagger: '2.0', info: {} }).name, 'legacy');
+});
+
+test('refuses paths outside the spec directory', () => {
+  const { check } = new DirectorySource({ root }).optionRules.path;
+
+  assert.doesNotThrow(() => check('billing/../billing'));
+  assert.throws(() => check('../'), /must be within the spec directory/);
+  assert.throws(() => check(`../${path.basename(root)}-other`), /must be within the spec directory/);
+});
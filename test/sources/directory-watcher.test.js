@@ -0,0 +1,38 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const DirectoryWatcher = require('../../src/sources/directory-watcher');
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('reports a burst of changes once, after it settles', () => {
+  const onChange = mock.fn();
+  const watcher = new DirectoryWatcher('/specs', { onChange, debounceMs: 100 });
+
+  watcher.schedule();
+  mock.timers.tick(60);
+  watcher.schedule();
+  mock.timers.tick(60);
+  assert.equal(onChange.mock.callCount(), 0);
+
+  mock.timers.tick(40);
+  assert.equal(onChange.mock.callCount(), 1);
+  assert.equal(watcher.timer, null);
+});
+
+test('drops a pending report when stopped', () => {
+  const onChange = mock.fn();
+  const watcher = new DirectoryWatcher('/specs', { onChange });
+
+  watcher.schedule();
+  watcher.stop();
+  mock.timers.tick(5000);
+
+  assert.equal(onChange.mock.callCount(), 0);
+  assert.equal(watcher.debounceMs, 2000);
+});
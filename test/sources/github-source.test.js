@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const GitHubSource = require('../../src/sources/github-source');
+
+test('limits the number and length of custom search queries', () => {
+  const { check } = new GitHubSource({ token: 't' }).optionRules.queries;
+
+  assert.doesNotThrow(() => check(['filename:openapi.yaml', 'path:specs extension:json']));
+  assert.throws(() => check([]), /must not be empty/);
+  assert.throws(() => check(Array.from({ length: 31 }, (_, i) => `filename:spec${i}.json`)), /must have at most 30 queries/);
+  assert.throws(() => check(['x'.repeat(257)]), /must be at most 256 characters each/);
+});
+
+test('passes on the spec the scraper read instead of downloading it again', async () => {
+  const source = new GitHubSource({ token: 't' });
+  const spec = { openapi: '3.0.0', paths: {} };
+
+  assert.equal(await source.fetch({ url: 'https://raw.example/openapi.json', result: { spec } }), spec);
+  assert.equal(await source.fetch({ url: 'https://raw.example/openapi.yaml', result: { spec: { raw: 'openapi: [' } } }), 'openapi: [');
+});
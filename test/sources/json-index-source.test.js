@@ -0,0 +1,58 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const JsonIndexSource = require('../../src/sources/json-index-source');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Serve `document` as the index
+function serveIndex(document) {
+  return mock.method(axios, 'get', async () => ({ data: document }));
+}
+
+test('reads items from a nested list and resolves relative URLs', async () => {
+  const get = serveIndex({
+    data: {
+      apis: [
+        { name: 'Billing', specUrl: 'billing/openapi.json', description: 'Invoices', tags: ['finance', 3] },
+        'https://other.example.com/users.yaml',
+        { name: 'No URL' },
+        { name: 'FTP', url: 'ftp://example.com/spec.json' }
+      ]
+    }
+  });
+
+  const entries = await new JsonIndexSource().discover({ url: 'https://registry.example.com/v1/index.json', itemsPath: 'data.apis' });
+
+  assert.equal(get.mock.calls[0].arguments[0], 'https://registry.example.com/v1/index.json');
+  assert.deepEqual(entries, [
+    { url: 'https://registry.example.com/v1/billing/openapi.json', name: 'Billing', description: 'Invoices', categories: ['finance'] },
+    { url: 'https://other.example.com/users.yaml', name: undefined, description: '', categories: [] }
+  ]);
+});
+
+test('finds the only list in the document and honours custom fields', async () => {
+  serveIndex({ count: 1, services: [{ title: 'Search', location: 'https://s.example.com/openapi.json', labels: ['search'] }] });
+
+  const entries = await new JsonIndexSource().discover({
+    url: 'https://registry.example.com/index.json',
+    urlField: 'location',
+    nameField: 'title',
+    tagsField: 'labels'
+  });
+
+  assert.deepEqual(entries, [
+    { url: 'https://s.example.com/openapi.json', name: 'Search', description: '', categories: ['search'] }
+  ]);
+});
+
+test('reports indexes without a list', async () => {
+  serveIndex({ a: [], b: [] });
+  await assert.rejects(new JsonIndexSource().discover({ url: 'https://r.example.com/i.json' }), /No list of specs found in the index$/);
+
+  serveIndex({ data: {} });
+  await assert.rejects(new JsonIndexSource().discover({ url: 'https://r.example.com/i.json', itemsPath: 'data.apis' }),
+    /No list of specs found in the index at "data.apis"/);
+});
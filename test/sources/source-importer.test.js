@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogDatabase = require('../../src/database/schema');
+const ConversionPipeline = require('../../src/pipeline/converter');
+const SourceAdapter = require('../../src/sources/source-adapter');
+const SourceImporter = require('../../src/sources/source-importer');
+
+let db;
+let dir;
+let pipeline;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  db = new CatalogDatabase(':memory:');
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-importer-'));
+  pipeline = new ConversionPipeline({
+    openapiDir: path.join(dir, 'openapi'),
+    collectionsDir: path.join(dir, 'collections'),
+    versionsDir: path.join(dir, 'versions')
+  });
+
+  // The bruno-doc-gen tools are stubbed: a collection folder and no docs
+  mock.method(pipeline, 'convertToBruno', async id => {
+    const collectionPath = path.join(dir, 'collections', id);
+    fs.mkdirSync(collectionPath, { recursive: true });
+    fs.writeFileSync(path.join(collectionPath, 'bruno.json'), '{}');
+    return collectionPath;
+  });
+  mock.method(pipeline, 'generateDocs', async () => null);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+// An adapter serving specs from memory; a missing spec fails to download
+class MemorySource extends SourceAdapter {
+  constructor(specs) {
+    super('memory', { source: 'memory' });
+    this.specs = specs;
+  }
+
+  async discover() {
+    return Object.keys(this.specs).map(url => ({ url }));
+  }
+
+  async fetch(entry) {
+    if (!this.specs[entry.url]) throw new Error('404 Not Found');
+    return this.specs[entry.url];
+  }
+}
+
+const spec = (title, version) => ({
+  openapi: '3.0.3',
+  info: { title, version, description: 'Send SMS messages' },
+  paths: { '/messages': { post: { responses: { 201: { description: 'Sent' } } } } }
+});
+
+test('imports new specs with tags, versions and lint results', async () => {
+  const importer = new SourceImporter({ database: db, pipeline });
+  const source = new MemorySource({ 'https://example.com/sms.json': JSON.stringify(spec('SMS', '1.0.0')) });
+
+  const stats = await importer.importAll(source, { hostInterval: 0 });
+
+  assert.deepEqual(stats, { total: 1, processed: 1, skipped: 0, failed: 0, errors: [] });
+  const api = db.getApiByUrl('https://example.com/sms.json');
+  assert.equal(api.name, 'SMS');
+  assert.equal(api.source, 'memory');
+  assert.equal(api.visibility, 'public');
+  assert.deepEqual(db.getApiTags(api.id).map(tag => tag.name), ['Communication']);
+  assert.equal(db.getApiVersions(api.id).length, 1);
+  assert.equal(db.getSpecLint(api.id).spec_version, '3.0.3');
+});
+
+test('updates existing APIs in place and skips unchanged specs', async () => {
+  const importer = new SourceImporter({ database: db, pipeline });
+  const url = 'https://example.com/sms.json';
+  await importer.importAll(new MemorySource({ [url]: spec('SMS', '1.0.0') }), { hostInterval: 0, visibility: 'unlisted' });
+  const { id } = db.getApiByUrl(url);
+
+  // The version is only known from the spec, so existing URLs are skipped unless asked
+  const known = await importer.importAll(new MemorySource({ [url]: spec('SMS', '1.1.0') }), { hostInterval: 0 });
+  assert.equal(known.skipped, 1);
+
+  const unchanged = await importer.importAll(new MemorySource({ [url]: spec('SMS', '1.0.0') }), { hostInterval: 0, skipExisting: false });
+  assert.equal(unchanged.skipped, 1);
+
+  const updated = await importer.importAll(new MemorySource({ [url]: spec('SMS', '1.1.0') }), { hostInterval: 0, skipExisting: false });
+  assert.equal(updated.processed, 1);
+  assert.equal(db.getApiByUrl(url).id, id);
+  assert.equal(db.getApi(id).version, '1.1.0');
+  assert.equal(db.getApi(id).visibility, 'unlisted');
+  assert.equal(db.getApiVersions(id).length, 2);
+});
+
+test('records failures and skips them until their retry is due', async () => {
+  const importer = new SourceImporter({ database: db, pipeline });
+  const failures = [];
+  importer.on('progress', event => { if (event.stage === 'failed') failures.push(event); });
+  const source = new MemorySource({ 'https://example.com/missing.json': null });
+
+  const first = await importer.importAll(source, { hostInterval: 0, maxApis: 5 });
+  assert.deepEqual(first.errors, [{ api: 'missing', error: '404 Not Found' }]);
+  assert.equal(failures[0].failedStage, 'download');
+
+  const failure = db.getConversionFailureByUrl('https://example.com/missing.json');
+  assert.equal(failure.stage, 'download');
+  assert.equal(failure.source, 'memory');
+
+  const second = await importer.importAll(source, { hostInterval: 0 });
+  assert.deepEqual({ failed: second.failed, skipped: second.skipped }, { failed: 0, skipped: 1 });
+});
+
+test('imports a single uploaded spec with defaults from its info', async () => {
+  const importer = new SourceImporter({ database: db, pipeline });
+
+  const result = await importer.importSpec('openapi: 3.0.3\ninfo:\n  title: Ledger\n  version: 4.2.0\npaths: {}\n', {
+    source: 'upload',
+    categories: ['Internal']
+  });
+
+  assert.equal(result.success, true);
+  const api = db.getApi(result.api.id);
+  assert.deepEqual([api.name, api.version, api.source, api.openapi_url], ['Ledger', '4.2.0', 'upload', null]);
+  assert.deepEqual(db.getApiTags(api.id).map(tag => tag.name), ['Internal']);
+});
+
+test('downloads specs given by URL and throws for unusable ones', async () => {
+  const importer = new SourceImporter({ database: db, pipeline });
+  mock.method(pipeline, 'fetchSpec', async url => ({
+    data: url.endsWith('ok.json') ? spec('Remote', '1.0.0') : '<html>Not found</html>'
+  }));
+
+  const { api } = await importer.importSpec(null, { source: 'upload', name: 'Renamed', openapi_url: 'https://example.com/ok.json' });
+  assert.equal(db.getApi(api.id).name, 'Renamed');
+  assert.equal(db.getApi(api.id).source_url, 'https://example.com/ok.json');
+
+  await assert.rejects(importer.importSpec(null, { openapi_url: 'https://example.com/bad.json' }), error => {
+    assert.equal(error.stage, 'parse');
+    return true;
+  });
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SourceAdapter = require('../../src/sources/source-adapter');
+const SourceRegistry = require('../../src/sources/source-registry');
+const UrlListSource = require('../../src/sources/url-list-source');
+
+class TokenSource extends SourceAdapter {
+  constructor(token) {
+    super('token-source', { source: 'tokens', description: 'Needs a token', visibility: 'private' });
+    this.token = token;
+  }
+
+  get optionRules() {
+    return { org: { type: 'string' } };
+  }
+
+  configurationError() {
+    return this.token ? null : 'TOKEN is not set';
+  }
+}
+
+test('registers adapters by unique name', () => {
+  const registry = new SourceRegistry();
+  const urls = registry.register(new UrlListSource());
+
+  assert.equal(registry.get('url-list'), urls);
+  assert.equal(registry.get('nope'), null);
+  assert.throws(() => registry.register(new UrlListSource()), /Source url-list is already registered/);
+});
+
+test('lists sources with their options and availability', () => {
+  const registry = new SourceRegistry();
+  registry.register(new UrlListSource());
+  registry.register(new TokenSource(null));
+
+  assert.deepEqual(registry.getNames(), ['url-list', 'token-source']);
+  assert.deepEqual(registry.list(), [
+    {
+      name: 'url-list',
+      source: 'url-list',
+      description: 'Import specs from a list of URLs',
+      visibility: 'public',
+      options: ['urls'],
+      available: true,
+      error: null
+    },
+    {
+      name: 'token-source',
+      source: 'tokens',
+      description: 'Needs a token',
+      visibility: 'private',
+      options: ['org'],
+      available: false,
+      error: 'TOKEN is not set'
+    }
+  ]);
+});
+
+test('describes entries from the spec, then the entry, then the URL', () => {
+  const adapter = new TokenSource('t');
+  const entry = { url: 'https://example.com/specs/billing.yaml', name: 'Billing', stars: 3, categories: ['Finance'] };
+
+  const before = adapter.toApi(entry, null);
+  assert.equal(before.name, 'Billing');
+  assert.equal(before.version, null);
+  assert.equal(before.source, 'tokens');
+
+  const { last_synced_at: syncedAt, ...after } = adapter.toApi(entry, { info: { title: 'Billing API', version: '2.0.0' } });
+  assert.ok(syncedAt);
+  assert.deepEqual(after, {
+    name: 'Billing API',
+    description: '',
+    version: '2.0.0',
+    github_url: null,
+    openapi_url: entry.url,
+    stars: 3,
+    source: 'tokens',
+    source_url: entry.url,
+    categories: ['Finance']
+  });
+
+  assert.equal(adapter.toApi({ url: 'https://example.com/specs/billing.yaml' }, null).name, 'billing');
+  assert.equal(adapter.nameFromUrl('not a url'), 'not a url');
+});
+
+test('checks and de-duplicates URL lists', async () => {
+  const { urls } = new UrlListSource().optionRules;
+
+  assert.throws(() => urls.check([]), /must not be empty/);
+  assert.throws(() => urls.check(['ftp://example.com/a.json']), /must be http\(s\) URLs \(got ftp:\/\/example.com\/a.json\)/);
+  assert.deepEqual(await new UrlListSource().discover({ urls: ['https://a/1', 'https://a/1', 'https://a/2'] }), [
+    { url: 'https://a/1' },
+    { url: 'https://a/2' }
+  ]);
+});